@@ -0,0 +1,68 @@
+import { Path } from '../jsutils/Path';
+
+/**
+ * When something happened during a request, in milliseconds since the tracer
+ * was created, and how many milliseconds it took.
+ */
+export interface TraceTiming {
+  startOffset: number;
+  duration: number;
+}
+
+/**
+ * The phases of a request which a tracer records.
+ */
+export type TracePhase = 'parsing' | 'validation' | 'execution';
+
+/**
+ * The timings recorded by an ExecutionTracer.
+ *
+ *   - `duration` is the time from the creation of the tracer until the last
+ *     recorded phase or field ended.
+ *   - `parsing`, `validation` and `execution` are included once recorded.
+ *   - `fields` holds the timing of every resolved field, keyed by its response
+ *     path joined with dots, such as `user.friends.0.name`. The duration of a
+ *     field lasts until the value returned by its resolver is resolved.
+ */
+export interface ExecutionTrace {
+  duration: number;
+  parsing?: TraceTiming;
+  validation?: TraceTiming;
+  execution?: TraceTiming;
+  fields: { [path: string]: TraceTiming };
+}
+
+export interface ExecutionTracerOptions {
+  /**
+   * The clock used to measure time, in milliseconds. Defaults to `Date.now()`,
+   * `() => performance.now()` may be provided for sub-millisecond precision.
+   */
+  now?: () => number;
+}
+
+/**
+ * Records the duration of the phases of a request and the start offset and
+ * duration of every resolved field.
+ *
+ * Tracing is opt-in: a new tracer is provided to every traced request, and the
+ * trace is included as `extensions.tracing` in the result of its execution.
+ */
+export class ExecutionTracer {
+  constructor(options?: ExecutionTracerOptions);
+
+  /**
+   * Starts recording a phase, returning a function which ends it.
+   */
+  startPhase(phase: TracePhase): () => void;
+
+  /**
+   * Starts recording the field at the given response path, returning a
+   * function which ends it.
+   */
+  startField(path: Path): () => void;
+
+  /**
+   * Returns the timings recorded so far.
+   */
+  getTrace(): ExecutionTrace;
+}
@@ -0,0 +1,110 @@
+// @flow strict
+
+import { type ObjMap } from '../jsutils/ObjMap';
+import { type Path, pathToArray } from '../jsutils/Path';
+
+/**
+ * When something happened during a request, in milliseconds since the tracer
+ * was created, and how many milliseconds it took.
+ */
+export type TraceTiming = {|
+  startOffset: number,
+  duration: number,
+|};
+
+/**
+ * The phases of a request which a tracer records.
+ */
+export type TracePhase = 'parsing' | 'validation' | 'execution';
+
+/**
+ * The timings recorded by an ExecutionTracer.
+ *
+ *   - `duration` is the time from the creation of the tracer until the last
+ *     recorded phase or field ended.
+ *   - `parsing`, `validation` and `execution` are included once recorded.
+ *   - `fields` holds the timing of every resolved field, keyed by its response
+ *     path joined with dots, such as `user.friends.0.name`. The duration of a
+ *     field lasts until the value returned by its resolver is resolved.
+ */
+export type ExecutionTrace = {|
+  duration: number,
+  parsing?: TraceTiming,
+  validation?: TraceTiming,
+  execution?: TraceTiming,
+  fields: ObjMap<TraceTiming>,
+|};
+
+export type ExecutionTracerOptions = {|
+  /**
+   * The clock used to measure time, in milliseconds. Defaults to `Date.now()`,
+   * `() => performance.now()` may be provided for sub-millisecond precision.
+   */
+  now?: () => number,
+|};
+
+/**
+ * Records the duration of the phases of a request and the start offset and
+ * duration of every resolved field.
+ *
+ * Tracing is opt-in: a new tracer is provided to every traced request, and the
+ * trace is included as `extensions.tracing` in the result of its execution.
+ *
+ * Example:
+ *
+ *     const result = await graphql({
+ *       schema,
+ *       source,
+ *       tracer: new ExecutionTracer(),
+ *     });
+ *
+ *     console.log(result.extensions.tracing.fields);
+ *
+ */
+export class ExecutionTracer {
+  _now: () => number;
+  _startTime: number;
+  _trace: ExecutionTrace;
+
+  constructor(options?: ExecutionTracerOptions): void {
+    const now = (options && options.now) || Date.now;
+    this._now = now;
+    this._startTime = now();
+    this._trace = { duration: 0, fields: Object.create(null) };
+  }
+
+  /**
+   * Starts recording a phase, returning a function which ends it.
+   */
+  startPhase(phase: TracePhase): () => void {
+    return this._start(timing => {
+      this._trace[phase] = timing;
+    });
+  }
+
+  /**
+   * Starts recording the field at the given response path, returning a
+   * function which ends it.
+   */
+  startField(path: Path): () => void {
+    return this._start(timing => {
+      this._trace.fields[pathToArray(path).join('.')] = timing;
+    });
+  }
+
+  /**
+   * Returns the timings recorded so far.
+   */
+  getTrace(): ExecutionTrace {
+    return { ...this._trace, fields: { ...this._trace.fields } };
+  }
+
+  _start(record: (timing: TraceTiming) => void): () => void {
+    const startOffset = this._now() - this._startTime;
+    return () => {
+      const endOffset = this._now() - this._startTime;
+      this._trace.duration = Math.max(this._trace.duration, endOffset);
+      record({ startOffset, duration: endOffset - startOffset });
+    };
+  }
+}
@@ -0,0 +1,215 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString } from '../../type/scalars';
+import { GraphQLObjectType, GraphQLList } from '../../type/definition';
+
+import { graphqlSync } from '../../graphql';
+
+import { execute } from '../execute';
+import { ExecutionTracer } from '../ExecutionTracer';
+
+// A clock which only advances when told to, so that timings are predictable.
+function fakeClock() {
+  let time = 1000;
+  return {
+    now: () => time,
+    tick(duration) {
+      time += duration;
+    },
+  };
+}
+
+function tracedSchema(clock) {
+  const Item = new GraphQLObjectType({
+    name: 'Item',
+    fields: {
+      name: {
+        type: GraphQLString,
+        resolve(item) {
+          clock.tick(1);
+          return item;
+        },
+      },
+    },
+  });
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        sync: {
+          type: GraphQLString,
+          resolve() {
+            clock.tick(5);
+            return 'sync';
+          },
+        },
+        async: {
+          type: GraphQLString,
+          resolve() {
+            return Promise.resolve().then(() => {
+              clock.tick(10);
+              return 'async';
+            });
+          },
+        },
+        failing: {
+          type: GraphQLString,
+          resolve() {
+            clock.tick(2);
+            throw new Error('Failing resolver');
+          },
+        },
+        items: {
+          type: GraphQLList(Item),
+          resolve: () => ['a', 'b'],
+        },
+        contributing: {
+          type: GraphQLString,
+          resolve(_source, _args, _context, info) {
+            info.resultExtensions.tracing = 'contributed';
+            return 'contributing';
+          },
+        },
+      },
+    }),
+  });
+}
+
+describe('Execute: ExecutionTracer', () => {
+  it('records the timing of synchronous fields', () => {
+    const clock = fakeClock();
+    const tracer = new ExecutionTracer({ now: clock.now });
+    clock.tick(3);
+
+    const result = execute({
+      schema: tracedSchema(clock),
+      document: parse('{ sync items { name } }'),
+      tracer,
+    });
+
+    expect(result).to.deep.equal({
+      data: { sync: 'sync', items: [{ name: 'a' }, { name: 'b' }] },
+      extensions: {
+        tracing: {
+          duration: 10,
+          execution: { startOffset: 3, duration: 7 },
+          fields: {
+            sync: { startOffset: 3, duration: 5 },
+            items: { startOffset: 8, duration: 0 },
+            'items.0.name': { startOffset: 8, duration: 1 },
+            'items.1.name': { startOffset: 9, duration: 1 },
+          },
+        },
+      },
+    });
+  });
+
+  it('records the timing of asynchronous and failing fields', async () => {
+    const clock = fakeClock();
+    const tracer = new ExecutionTracer({ now: clock.now });
+
+    const result = await execute({
+      schema: tracedSchema(clock),
+      document: parse('{ async failing }'),
+      tracer,
+    });
+
+    expect(result).to.deep.include({
+      data: { async: 'async', failing: null },
+      extensions: {
+        tracing: {
+          duration: 12,
+          execution: { startOffset: 0, duration: 12 },
+          fields: {
+            async: { startOffset: 0, duration: 12 },
+            failing: { startOffset: 0, duration: 2 },
+          },
+        },
+      },
+    });
+  });
+
+  it('records the parsing and validation phases of graphql()', () => {
+    const clock = fakeClock();
+    const tracer = new ExecutionTracer({ now: clock.now });
+
+    const result = graphqlSync({
+      schema: tracedSchema(clock),
+      source: '{ sync }',
+      tracer,
+    });
+
+    expect(result).to.deep.equal({
+      data: { sync: 'sync' },
+      extensions: {
+        tracing: {
+          duration: 5,
+          parsing: { startOffset: 0, duration: 0 },
+          validation: { startOffset: 0, duration: 0 },
+          execution: { startOffset: 0, duration: 5 },
+          fields: {
+            sync: { startOffset: 0, duration: 5 },
+          },
+        },
+      },
+    });
+  });
+
+  it('reports a conflict with a contributed tracing extension', () => {
+    const clock = fakeClock();
+    const tracer = new ExecutionTracer({ now: clock.now });
+
+    const result = execute({
+      schema: tracedSchema(clock),
+      document: parse('{ contributing }'),
+      tracer,
+    });
+
+    expect(result).to.deep.equal({
+      errors: [
+        {
+          message:
+            'Cannot include the execution trace as "tracing" extension, which was already contributed to the result.',
+        },
+      ],
+      data: { contributing: 'contributing' },
+      extensions: { tracing: 'contributed' },
+    });
+  });
+
+  it('does not include a trace without a tracer', () => {
+    const result = execute({
+      schema: tracedSchema(fakeClock()),
+      document: parse('{ sync }'),
+    });
+
+    expect(result).to.deep.equal({ data: { sync: 'sync' } });
+  });
+
+  it('returns a snapshot of the timings recorded so far', () => {
+    const clock = fakeClock();
+    const tracer = new ExecutionTracer({ now: clock.now });
+    expect(tracer.getTrace()).to.deep.equal({ duration: 0, fields: {} });
+
+    const endPhase = tracer.startPhase('parsing');
+    clock.tick(4);
+    endPhase();
+
+    const trace = tracer.getTrace();
+    expect(trace).to.deep.equal({
+      duration: 4,
+      parsing: { startOffset: 0, duration: 4 },
+      fields: {},
+    });
+
+    tracer.startField({ prev: undefined, key: 'field' })();
+    expect(trace.fields).to.deep.equal({});
+  });
+});
@@ -0,0 +1,212 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString } from '../../type/scalars';
+import {
+  specifiedDirectives,
+  GraphQLDeferDirective,
+} from '../../type/directives';
+import { GraphQLObjectType, GraphQLList } from '../../type/definition';
+
+import { execute } from '../execute';
+
+import abortController from './abortController';
+
+describe('Execute: Handles aborted execution', () => {
+  it('does not execute when aborted before execution', () => {
+    let resolved = false;
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          a: {
+            type: GraphQLString,
+            resolve() {
+              resolved = true;
+              return 'a';
+            },
+          },
+        },
+      }),
+    });
+    const { signal, abort } = abortController();
+    abort();
+
+    const result = execute({ schema, document: parse('{ a }'), signal });
+    expect(result).to.deep.equal({
+      errors: [{ message: 'Execution was aborted.' }],
+    });
+    expect(resolved).to.equal(false);
+  });
+
+  it('stops resolving remaining fields once aborted', () => {
+    const { signal, abort } = abortController();
+    const resolvedFields = [];
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          a: {
+            type: GraphQLString,
+            resolve() {
+              resolvedFields.push('a');
+              abort();
+              return 'a';
+            },
+          },
+          b: {
+            type: GraphQLString,
+            resolve() {
+              resolvedFields.push('b');
+              return 'b';
+            },
+          },
+        },
+      }),
+    });
+
+    const result = execute({ schema, document: parse('{ a b }'), signal });
+    expect(result).to.deep.equal({
+      errors: [{ message: 'Execution was aborted.' }],
+      data: null,
+    });
+    expect(resolvedFields).to.deep.equal(['a']);
+  });
+
+  it('stops completing remaining list items once aborted', () => {
+    const { signal, abort } = abortController();
+    const completedItems = [];
+    const itemType = new GraphQLObjectType({
+      name: 'Item',
+      fields: {
+        name: {
+          type: GraphQLString,
+          resolve(item) {
+            completedItems.push(item);
+            if (item === 'second') {
+              abort();
+            }
+            return item;
+          },
+        },
+      },
+    });
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          items: {
+            type: GraphQLList(itemType),
+            resolve: () => ['first', 'second', 'third', 'fourth'],
+          },
+        },
+      }),
+    });
+
+    const result = execute({
+      schema,
+      document: parse('{ items { name } }'),
+      signal,
+    });
+    expect(result).to.deep.equal({
+      errors: [{ message: 'Execution was aborted.' }],
+      data: null,
+    });
+    expect(completedItems).to.deep.equal(['first', 'second']);
+  });
+
+  it('settles promptly without waiting for pending resolvers', async () => {
+    const { signal, abort } = abortController();
+    let resolverSignal;
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          slow: {
+            type: GraphQLString,
+            resolve(_source, _args, _context, info) {
+              resolverSignal = info.signal;
+              // Never resolves.
+              return new Promise(() => undefined);
+            },
+          },
+        },
+      }),
+    });
+
+    const result = execute({ schema, document: parse('{ slow }'), signal });
+    expect(resolverSignal).to.equal(signal);
+
+    abort();
+    expect(await result).to.deep.equal({
+      errors: [{ message: 'Execution was aborted.' }],
+      data: null,
+    });
+  });
+
+  it('ends an incremental response with a final payload once aborted', async () => {
+    const { signal, abort, listenerCount } = abortController();
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          a: { type: GraphQLString, resolve: () => 'a' },
+          slow: {
+            type: GraphQLString,
+            // Never resolves.
+            resolve: () => new Promise(() => undefined),
+          },
+        },
+      }),
+      directives: [...specifiedDirectives, GraphQLDeferDirective],
+    });
+
+    const result = execute({
+      schema,
+      document: parse('{ a ... @defer { slow } }'),
+      signal,
+    });
+    // $FlowFixMe
+    const iterator = result[Symbol.asyncIterator]();
+
+    expect(await iterator.next()).to.deep.equal({
+      value: { data: { a: 'a' }, hasNext: true },
+      done: false,
+    });
+
+    const next = iterator.next();
+    abort();
+    expect(await next).to.deep.equal({
+      value: {
+        errors: [{ message: 'Execution was aborted.' }],
+        hasNext: false,
+      },
+      done: false,
+    });
+    expect(await iterator.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+    expect(listenerCount()).to.equal(0);
+  });
+
+  it('does not affect execution which is not aborted', async () => {
+    const { signal } = abortController();
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          a: { type: GraphQLString, resolve: () => Promise.resolve('a') },
+        },
+      }),
+    });
+
+    const result = await execute({ schema, document: parse('{ a }'), signal });
+    expect(result).to.deep.equal({ data: { a: 'a' } });
+  });
+});
@@ -0,0 +1,34 @@
+// @flow strict
+
+import { type AbortSignalLike } from '../../jsutils/AbortSignalLike';
+
+/**
+ * Create a minimal AbortController, since it is not available globally in
+ * all supported versions of Node. Also counts the listeners of the signal.
+ */
+export default function abortController(): {|
+  signal: AbortSignalLike,
+  abort: () => void,
+  listenerCount: () => number,
+|} {
+  let listeners = [];
+
+  const signal = {
+    aborted: false,
+    addEventListener(_type, listener) {
+      listeners.push(listener);
+    },
+    removeEventListener(_type, listener) {
+      listeners = listeners.filter(l => l !== listener);
+    },
+  };
+
+  function abort() {
+    signal.aborted = true;
+    for (const listener of listeners) {
+      listener();
+    }
+  }
+
+  return { signal, abort, listenerCount: () => listeners.length };
+}
@@ -0,0 +1,343 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { buildSchema } from '../../utilities/buildASTSchema';
+
+import { compileQuery } from '../compileQuery';
+import { ExecutionTracer } from '../ExecutionTracer';
+
+import abortController from './abortController';
+
+const schema = buildSchema(`
+  type Query {
+    echo(value: String): String
+    args(value: String): Args
+    inputArgs(input: ArgsInput): Args
+    jsonArgs(json: JSON): Args
+    pets: [Pet]
+  }
+
+  scalar JSON
+
+  type Args {
+    value: String
+  }
+
+  input ArgsInput {
+    values: [String]
+  }
+
+  union Pet = Dog | Cat
+
+  type Dog {
+    name: String
+    barks: Boolean
+  }
+
+  type Cat {
+    name: String
+    meows: Boolean
+  }
+`);
+
+describe('Execute: compileQuery', () => {
+  it('executes with root value, context value and variable values', () => {
+    const document = parse(`
+      query ($value: String) {
+        echo(value: $value)
+        context: echo
+      }
+    `);
+    const compiled = compileQuery(schema, document);
+
+    const rootValue = {
+      echo(args, context) {
+        return args.value || context.value;
+      },
+    };
+
+    expect(compiled(rootValue, { value: 'a' }, { value: 'b' })).to.deep.equal({
+      data: { echo: 'b', context: 'a' },
+    });
+    expect(compiled(rootValue, { value: 'c' }, { value: 'd' })).to.deep.equal({
+      data: { echo: 'd', context: 'c' },
+    });
+  });
+
+  it('reuses argument values which do not use variables', () => {
+    const document = parse(`
+      query ($json: JSON) {
+        literal: jsonArgs(json: { value: "a" }) { value }
+        variable: jsonArgs(json: $json) { value }
+      }
+    `);
+    const compiled = compileQuery(schema, document);
+
+    const argsSeen = { literal: [], variable: [] };
+    const rootValue = {
+      jsonArgs(args, _context, info) {
+        argsSeen[info.path.key].push(args);
+        return args.json;
+      },
+    };
+
+    expect(compiled(rootValue, null, { json: { value: 'b' } })).to.deep.equal({
+      data: { literal: { value: 'a' }, variable: { value: 'b' } },
+    });
+    expect(compiled(rootValue, null, { json: { value: 'c' } })).to.deep.equal({
+      data: { literal: { value: 'a' }, variable: { value: 'c' } },
+    });
+
+    // The value of the custom scalar is only parsed once.
+    expect(argsSeen.literal[0].json).to.equal(argsSeen.literal[1].json);
+    expect(argsSeen.variable[0].json).to.not.equal(argsSeen.variable[1].json);
+  });
+
+  it('gives each execution its own copy of reused argument values', () => {
+    const document = parse(`
+      {
+        inputArgs(input: { values: ["a"] }) { value }
+      }
+    `);
+    const compiled = compileQuery(schema, document);
+
+    const rootValue = {
+      inputArgs(args) {
+        const value = args.input.values[0];
+        args.input.values.push('mutated');
+        args.input = null;
+        return { value };
+      },
+    };
+
+    expect(compiled(rootValue)).to.deep.equal({
+      data: { inputArgs: { value: 'a' } },
+    });
+    expect(compiled(rootValue)).to.deep.equal({
+      data: { inputArgs: { value: 'a' } },
+    });
+  });
+
+  it('collects fields according to the directive variables', () => {
+    const document = parse(`
+      query ($skip: Boolean!, $include: Boolean = true) {
+        a: echo(value: "a") @skip(if: $skip)
+        b: echo(value: "b") @include(if: $include)
+      }
+    `);
+    const compiled = compileQuery(schema, document);
+    const rootValue = { echo: ({ value }) => value };
+
+    expect(compiled(rootValue, null, { skip: false })).to.deep.equal({
+      data: { a: 'a', b: 'b' },
+    });
+    expect(compiled(rootValue, null, { skip: true })).to.deep.equal({
+      data: { b: 'b' },
+    });
+    expect(
+      compiled(rootValue, null, { skip: false, include: false }),
+    ).to.deep.equal({
+      data: { a: 'a' },
+    });
+    expect(compiled(rootValue, null, { skip: false })).to.deep.equal({
+      data: { a: 'a', b: 'b' },
+    });
+  });
+
+  it('collects fields again for variable values it no longer keeps', () => {
+    const document = parse(
+      `
+        query ($value: String) {
+          ...Echo(value: $value)
+        }
+
+        fragment Echo($value: String) on Query {
+          echo(value: $value)
+        }
+      `,
+      { experimentalFragmentVariables: true },
+    );
+    const compiled = compileQuery(schema, document);
+    const rootValue = { echo: ({ value }) => value };
+
+    for (let i = 0; i < 150; i++) {
+      expect(compiled(rootValue, null, { value: String(i) })).to.deep.equal({
+        data: { echo: String(i) },
+      });
+    }
+    expect(compiled(rootValue, null, { value: '0' })).to.deep.equal({
+      data: { echo: '0' },
+    });
+  });
+
+  it('only keeps the argument values of the collection contexts it keeps', () => {
+    const document = parse(
+      `
+        query ($value: String) {
+          ...Echo(value: $value)
+        }
+
+        fragment Echo($value: String) on Query {
+          echo(value: $value)
+          jsonArgs(json: { value: "a" }) {
+            value
+          }
+        }
+      `,
+      { experimentalFragmentVariables: true },
+    );
+    const compiled = compileQuery(schema, document);
+
+    let jsonSeen;
+    const rootValue = {
+      echo: ({ value }) => value,
+      jsonArgs({ json }) {
+        jsonSeen = json;
+        return json;
+      },
+    };
+    const run = value => {
+      compiled(rootValue, null, { value });
+      return jsonSeen;
+    };
+
+    const jsonByValue = [];
+    for (let i = 0; i < 150; i++) {
+      jsonByValue.push(run(String(i)));
+    }
+
+    // The argument values of the 100 most recent collection contexts are
+    // reused, while the older ones are coerced again.
+    for (let i = 50; i < 150; i++) {
+      expect(run(String(i))).to.equal(jsonByValue[i]);
+    }
+    const json = run('0');
+    expect(json).to.deep.equal(jsonByValue[0]);
+    expect(json).to.not.equal(jsonByValue[0]);
+  });
+
+  it('uses the signal and tracer of each execution', () => {
+    const compiled = compileQuery(schema, parse('{ echo(value: "a") }'));
+    const signals = [];
+    const rootValue = {
+      echo(args, _context, info) {
+        signals.push(info.signal);
+        return args.value;
+      },
+    };
+
+    const { signal, abort } = abortController();
+    expect(
+      compiled(rootValue, undefined, undefined, { signal }),
+    ).to.deep.equal({ data: { echo: 'a' } });
+    expect(signals).to.deep.equal([signal]);
+
+    abort();
+    expect(
+      compiled(rootValue, undefined, undefined, { signal }),
+    ).to.deep.equal({ errors: [{ message: 'Execution was aborted.' }] });
+
+    const tracer = new ExecutionTracer({ now: () => 0 });
+    expect(compiled(rootValue, undefined, undefined, { tracer })).to.deep.equal(
+      {
+        data: { echo: 'a' },
+        extensions: {
+          tracing: {
+            duration: 0,
+            execution: { startOffset: 0, duration: 0 },
+            fields: { echo: { startOffset: 0, duration: 0 } },
+          },
+        },
+      },
+    );
+    expect(signals).to.deep.equal([signal, undefined]);
+  });
+
+  it('executes the branches of abstract types', () => {
+    const document = parse(`
+      {
+        pets {
+          ... on Dog { name barks }
+          ... on Cat { name meows }
+        }
+      }
+    `);
+    const compiled = compileQuery(schema, document);
+    const rootValue = {
+      pets: [
+        { __typename: 'Dog', name: 'Odie', barks: true },
+        { __typename: 'Cat', name: 'Garfield', meows: false },
+      ],
+    };
+
+    const expected = {
+      data: {
+        pets: [
+          { name: 'Odie', barks: true },
+          { name: 'Garfield', meows: false },
+        ],
+      },
+    };
+    expect(compiled(rootValue)).to.deep.equal(expected);
+    expect(compiled(rootValue)).to.deep.equal(expected);
+  });
+
+  it('uses the provided field resolver', () => {
+    const document = parse('{ echo(value: "a") }');
+    const compiled = compileQuery(schema, document, null, {
+      fieldResolver: (source, args) => args.value + source,
+    });
+
+    expect(compiled('b')).to.deep.equal({ data: { echo: 'ab' } });
+    expect(compiled('c')).to.deep.equal({ data: { echo: 'ac' } });
+  });
+
+  it('executes the operation with the given name', () => {
+    const document = parse(`
+      query A { a: echo(value: "a") }
+      query B { b: echo(value: "b") }
+    `);
+    const compiled = compileQuery(schema, document, 'B');
+    const rootValue = { echo: ({ value }) => value };
+
+    expect(compiled(rootValue)).to.deep.equal({ data: { b: 'b' } });
+  });
+
+  it('results in errors if the operation cannot be found', () => {
+    const document = parse('query A { echo }');
+    const compiled = compileQuery(schema, document, 'B');
+
+    expect(compiled()).to.deep.equal({
+      errors: [{ message: 'Unknown operation named "B".' }],
+    });
+  });
+
+  it('results in errors if the variable values are invalid', () => {
+    const document = parse('query ($skip: Boolean!) { echo @skip(if: $skip) }');
+    const compiled = compileQuery(schema, document);
+
+    expect(compiled(null, null, {})).to.deep.equal({
+      errors: [
+        {
+          message:
+            'Variable "$skip" of required type "Boolean!" was not provided.',
+          locations: [{ line: 1, column: 8 }],
+        },
+      ],
+    });
+  });
+
+  it('throws if variable values are not an object', () => {
+    const document = parse('{ echo }');
+    const compiled = compileQuery(schema, document);
+
+    // $DisableFlowOnNegativeTest
+    expect(() => compiled(null, null, 'value')).to.throw(
+      'Variables must be provided as an Object where each property is a variable value. Perhaps look to see if an unparsed JSON string was provided.',
+    );
+  });
+});
@@ -0,0 +1,477 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { isAsyncIterable } from 'iterall';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLID, GraphQLString } from '../../type/scalars';
+import {
+  specifiedDirectives,
+  GraphQLDeferDirective,
+} from '../../type/directives';
+import { GraphQLObjectType, GraphQLNonNull } from '../../type/definition';
+
+import { execute } from '../execute';
+
+const heroType = new GraphQLObjectType({
+  name: 'Hero',
+  fields: () => ({
+    id: { type: GraphQLID },
+    name: { type: GraphQLString },
+    slowName: {
+      type: GraphQLString,
+      resolve: rootValue =>
+        new Promise(resolve => setTimeout(() => resolve(rootValue.name), 1)),
+    },
+    errorField: {
+      type: GraphQLString,
+      resolve: () => {
+        throw new Error('bad');
+      },
+    },
+    nonNullErrorField: {
+      type: GraphQLNonNull(GraphQLString),
+      resolve: () => null,
+    },
+    slowNonNullErrorField: {
+      type: GraphQLNonNull(GraphQLString),
+      resolve: () => new Promise(resolve => setTimeout(() => resolve(null), 1)),
+    },
+    friend: { type: heroType, resolve: () => ({ id: '2', name: 'Han' }) },
+  }),
+});
+
+const query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    hero: { type: heroType, resolve: () => ({ id: '1', name: 'Luke' }) },
+  },
+});
+
+const schema = new GraphQLSchema({
+  query,
+  directives: [...specifiedDirectives, GraphQLDeferDirective],
+});
+
+async function complete(document, variableValues) {
+  const result = await execute({ schema, document, variableValues });
+
+  if (isAsyncIterable(result)) {
+    const results = [];
+    // $FlowFixMe
+    for await (const patch of result) {
+      results.push(patch);
+    }
+    return results;
+  }
+  return result;
+}
+
+describe('Execute: defer directive', () => {
+  it('Can defer fragments containing scalar types', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ...NameFragment @defer
+        }
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { name: 'Luke' },
+        path: ['hero'],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Can disable defer using if argument', async () => {
+    const document = parse(`
+      query HeroNameQuery($shouldDefer: Boolean) {
+        hero {
+          id
+          ...NameFragment @defer(if: $shouldDefer, label: "DeferName")
+        }
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document, { shouldDefer: false })).to.deep.equal({
+      data: { hero: { id: '1', name: 'Luke' } },
+    });
+  });
+
+  it('Can defer fragments on the top level Query field', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        ...QueryFragment @defer(label: "DeferQuery")
+      }
+      fragment QueryFragment on Query {
+        hero {
+          id
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: {},
+        hasNext: true,
+      },
+      {
+        data: { hero: { id: '1' } },
+        path: [],
+        label: 'DeferQuery',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Can defer inline fragments and nested fragments', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... on Hero @defer(label: "DeferFriend") {
+            friend {
+              id
+              ...NameFragment @defer(label: "DeferNested")
+            }
+          }
+        }
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { friend: { id: '2' } },
+        path: ['hero'],
+        label: 'DeferFriend',
+        hasNext: true,
+      },
+      {
+        data: { name: 'Han' },
+        path: ['hero', 'friend'],
+        label: 'DeferNested',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Does not hold the initial payload for slow deferred fields', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... @defer(label: "Slow") {
+            slowName
+          }
+          ... @defer(label: "Fast") {
+            name
+          }
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { name: 'Luke' },
+        path: ['hero'],
+        label: 'Fast',
+        hasNext: true,
+      },
+      {
+        data: { slowName: 'Luke' },
+        path: ['hero'],
+        label: 'Slow',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Handles errors thrown in deferred fragments', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ...NameFragment @defer
+        }
+      }
+      fragment NameFragment on Hero {
+        errorField
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { errorField: null },
+        path: ['hero'],
+        errors: [
+          {
+            message: 'bad',
+            locations: [{ line: 9, column: 9 }],
+            path: ['hero', 'errorField'],
+          },
+        ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Handles non-nullable errors thrown in deferred fragments', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ...NameFragment @defer
+        }
+      }
+      fragment NameFragment on Hero {
+        nonNullErrorField
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: null,
+        path: ['hero'],
+        errors: [
+          {
+            message:
+              'Cannot return null for non-nullable field Hero.nonNullErrorField.',
+            locations: [{ line: 9, column: 9 }],
+            path: ['hero', 'nonNullErrorField'],
+          },
+        ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Drops deferred fragments whose parent was nulled', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          friend {
+            ...NameFragment @defer
+          }
+          nonNullErrorField
+        }
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal({
+      data: { hero: null },
+      errors: [
+        {
+          message:
+            'Cannot return null for non-nullable field Hero.nonNullErrorField.',
+          locations: [{ line: 7, column: 11 }],
+          path: ['hero', 'nonNullErrorField'],
+        },
+      ],
+    });
+  });
+
+  it('Drops deferred fragments within nulled deferred fragments', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ...FriendFragment @defer
+        }
+      }
+      fragment FriendFragment on Hero {
+        friend {
+          ...NameFragment @defer
+        }
+        nonNullErrorField
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: null,
+        path: ['hero'],
+        errors: [
+          {
+            message:
+              'Cannot return null for non-nullable field Hero.nonNullErrorField.',
+            locations: [{ line: 12, column: 9 }],
+            path: ['hero', 'nonNullErrorField'],
+          },
+        ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Delivers nested deferred fragments after their parent', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... @defer(label: "Parent") {
+            slowName
+            friend {
+              ... @defer(label: "Child") {
+                name
+              }
+            }
+          }
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { slowName: 'Luke', friend: {} },
+        path: ['hero'],
+        label: 'Parent',
+        hasNext: true,
+      },
+      {
+        data: { name: 'Han' },
+        path: ['hero', 'friend'],
+        label: 'Child',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Drops nested deferred fragments whose parent nulled them later', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... @defer(label: "Parent") {
+            friend {
+              ... @defer(label: "Child") {
+                name
+              }
+              slowNonNullErrorField
+            }
+          }
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { friend: null },
+        path: ['hero'],
+        label: 'Parent',
+        errors: [
+          {
+            message:
+              'Cannot return null for non-nullable field Hero.slowNonNullErrorField.',
+            locations: [{ line: 10, column: 15 }],
+            path: ['hero', 'friend', 'slowNonNullErrorField'],
+          },
+        ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Ignores defer on subscriptions', async () => {
+    const subscriptionSchema = new GraphQLSchema({
+      query,
+      subscription: query,
+      directives: [...specifiedDirectives, GraphQLDeferDirective],
+    });
+    const document = parse(`
+      subscription {
+        hero {
+          id
+          ... @defer {
+            name
+          }
+        }
+      }
+    `);
+
+    const result = await execute(subscriptionSchema, document);
+    expect(result).to.deep.equal({
+      data: { hero: { id: '1', name: 'Luke' } },
+    });
+  });
+
+  it('Closes the iterator when returning early', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... @defer {
+            slowName
+          }
+        }
+      }
+    `);
+
+    const iterator: any = await execute(schema, document);
+    expect(await iterator.next()).to.deep.equal({
+      value: { data: { hero: { id: '1' } }, hasNext: true },
+      done: false,
+    });
+    expect(await iterator.return()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+    expect(await iterator.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+});
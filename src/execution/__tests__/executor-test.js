@@ -263,6 +263,8 @@ describe('Execute: Handles basic execution tasks', () => {
       'rootValue',
       'operation',
       'variableValues',
+      'signal',
+      'resultExtensions',
     );
 
     const operation = document.definitions[0];
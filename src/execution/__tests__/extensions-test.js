@@ -0,0 +1,128 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString, GraphQLInt } from '../../type/scalars';
+import { GraphQLObjectType } from '../../type/definition';
+
+import { execute } from '../execute';
+import { ExecutionTracer } from '../ExecutionTracer';
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      cost: {
+        type: GraphQLInt,
+        args: { value: { type: GraphQLInt } },
+        resolve(_source, { value }, _context, info) {
+          const { resultExtensions } = info;
+          const cost: any = resultExtensions.cost;
+          resultExtensions.cost = (cost === undefined ? 0 : cost) + value;
+          return value;
+        },
+      },
+      async: {
+        type: GraphQLString,
+        resolve(_source, _args, _context, info) {
+          return Promise.resolve().then(() => {
+            info.resultExtensions.async = true;
+            return 'async';
+          });
+        },
+      },
+      plain: {
+        type: GraphQLString,
+        resolve: () => 'plain',
+      },
+    },
+  }),
+});
+
+describe('Execute: Handles result extensions', () => {
+  it('includes the extensions written by resolvers', () => {
+    const result = execute({
+      schema,
+      document: parse('{ a: cost(value: 1) b: cost(value: 2) }'),
+    });
+
+    expect(result).to.deep.equal({
+      data: { a: 1, b: 2 },
+      extensions: { cost: 3 },
+    });
+  });
+
+  it('includes the extensions written by asynchronous resolvers', async () => {
+    const result = await execute({
+      schema,
+      document: parse('{ async }'),
+    });
+
+    expect(result).to.deep.equal({
+      data: { async: 'async' },
+      extensions: { async: true },
+    });
+  });
+
+  it('includes the extensions written by middleware', () => {
+    const result = execute({
+      schema,
+      document: parse('{ plain }'),
+      fieldMiddleware: [
+        (resolve, source, args, context, info) => {
+          info.resultExtensions.rateLimit = { remaining: 99 };
+          return resolve(source, args, context, info);
+        },
+      ],
+    });
+
+    expect(result).to.deep.equal({
+      data: { plain: 'plain' },
+      extensions: { rateLimit: { remaining: 99 } },
+    });
+  });
+
+  it('merges the extensions with the trace', () => {
+    const tracer = new ExecutionTracer({ now: () => 0 });
+    const result = execute({
+      schema,
+      document: parse('{ cost(value: 1) }'),
+      tracer,
+    });
+
+    expect(result).to.deep.equal({
+      data: { cost: 1 },
+      extensions: {
+        cost: 1,
+        tracing: {
+          duration: 0,
+          execution: { startOffset: 0, duration: 0 },
+          fields: { cost: { startOffset: 0, duration: 0 } },
+        },
+      },
+    });
+  });
+
+  it('omits extensions when none are written', () => {
+    const result = execute({ schema, document: parse('{ plain }') });
+
+    expect(result).to.deep.equal({ data: { plain: 'plain' } });
+  });
+
+  it('does not share extensions between executions', () => {
+    const document = parse('{ cost(value: 1) }');
+
+    expect(execute({ schema, document })).to.deep.equal({
+      data: { cost: 1 },
+      extensions: { cost: 1 },
+    });
+    expect(execute({ schema, document })).to.deep.equal({
+      data: { cost: 1 },
+      extensions: { cost: 1 },
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { buildSchema } from '../../utilities/buildASTSchema';
+
+import { execute } from '../execute';
+import { compileQuery } from '../compileQuery';
+
+const schema = buildSchema(`
+  input Input {
+    value: String
+    other: String = "other"
+  }
+
+  type Query {
+    echo(value: String = "default"): String
+    echoInput(input: Input): String
+    echoList(values: [String]): String
+    nested: Query
+  }
+`);
+
+const rootValue = {
+  echo: ({ value }) => value,
+  echoInput: ({ input }) => JSON.stringify(input),
+  echoList: ({ values }) => JSON.stringify(values),
+  nested: () => rootValue,
+};
+
+function executeQuery(query, variableValues) {
+  const document = parse(query, { experimentalFragmentVariables: true });
+  return execute({ schema, document, rootValue, variableValues });
+}
+
+describe('Execute: Handles fragment arguments', () => {
+  it('uses the arguments of the spread', () => {
+    const result = executeQuery(`
+      {
+        ...Echo(value: "from spread")
+      }
+      fragment Echo($value: String) on Query {
+        echo(value: $value)
+      }
+    `);
+
+    expect(result).to.deep.equal({ data: { echo: 'from spread' } });
+  });
+
+  it('uses the default values of fragment variables', () => {
+    const result = executeQuery(`
+      {
+        ...Echo
+      }
+      fragment Echo($value: String = "from fragment") on Query {
+        echo(value: $value)
+      }
+    `);
+
+    expect(result).to.deep.equal({ data: { echo: 'from fragment' } });
+  });
+
+  it('uses the default values of arguments without a fragment argument', () => {
+    const result = executeQuery(`
+      {
+        ...Echo
+      }
+      fragment Echo($value: String, $other: String) on Query {
+        echo(value: $value)
+        echoInput(input: { value: $value, other: $other })
+        echoList(values: [$value, "b"])
+      }
+    `);
+
+    expect(result).to.deep.equal({
+      data: {
+        echo: 'default',
+        echoInput: '{"other":"other"}',
+        echoList: '[null,"b"]',
+      },
+    });
+  });
+
+  it('passes operation variables as fragment arguments', () => {
+    const query = `
+      query ($value: String) {
+        ...Echo(value: $value)
+      }
+      fragment Echo($value: String = "from fragment") on Query {
+        echo(value: $value)
+      }
+    `;
+
+    expect(executeQuery(query, { value: 'from operation' })).to.deep.equal({
+      data: { echo: 'from operation' },
+    });
+    expect(executeQuery(query, { value: null })).to.deep.equal({
+      data: { echo: null },
+    });
+    expect(executeQuery(query, {})).to.deep.equal({
+      data: { echo: 'from fragment' },
+    });
+  });
+
+  it('scopes fragment variables to their fragment', () => {
+    const result = executeQuery(
+      `
+        query ($value: String) {
+          operation: echo(value: $value)
+          ...Echo(value: "from spread")
+          nested {
+            ...Outer(value: "outer")
+          }
+        }
+        fragment Echo($value: String) on Query {
+          fragment: echo(value: $value)
+        }
+        fragment Outer($value: String) on Query {
+          outer: echo(value: $value)
+          ...Inner(inner: $value)
+        }
+        fragment Inner($inner: String) on Query {
+          inner: echo(value: $inner)
+          operationInInner: echo(value: $value)
+        }
+      `,
+      { value: 'from operation' },
+    );
+
+    expect(result).to.deep.equal({
+      data: {
+        operation: 'from operation',
+        fragment: 'from spread',
+        nested: {
+          outer: 'outer',
+          inner: 'outer',
+          operationInInner: 'from operation',
+        },
+      },
+    });
+  });
+
+  it('uses fragment variables in directives', () => {
+    const result = executeQuery(`
+      {
+        ...Include(include: false)
+        nested {
+          ...Include(include: true)
+        }
+      }
+      fragment Include($include: Boolean!) on Query {
+        echo @include(if: $include)
+      }
+    `);
+
+    expect(result).to.deep.equal({ data: { nested: { echo: 'default' } } });
+  });
+
+  it('uses fragment arguments in compiled queries', () => {
+    const document = parse(
+      `
+        query ($include: Boolean, $value: String) {
+          ...Echo(include: $include, value: $value)
+        }
+        fragment Echo($include: Boolean = true, $value: String) on Query {
+          echo(value: $value) @include(if: $include)
+        }
+      `,
+      { experimentalFragmentVariables: true },
+    );
+    const compiledQuery = compileQuery(schema, document);
+
+    expect(compiledQuery(rootValue, null, { value: 'a' })).to.deep.equal({
+      data: { echo: 'a' },
+    });
+    expect(
+      compiledQuery(rootValue, null, { include: false, value: 'b' }),
+    ).to.deep.equal({ data: {} });
+    expect(
+      compiledQuery(rootValue, null, { include: true, value: 'c' }),
+    ).to.deep.equal({ data: { echo: 'c' } });
+  });
+});
@@ -0,0 +1,200 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString } from '../../type/scalars';
+import { GraphQLObjectType } from '../../type/definition';
+
+import { execute } from '../execute';
+import { compileQuery } from '../compileQuery';
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      echo: {
+        type: GraphQLString,
+        args: { value: { type: GraphQLString } },
+        resolve: (_source, { value }) => value,
+      },
+      async: {
+        type: GraphQLString,
+        resolve: () => Promise.resolve('async'),
+      },
+      failing: {
+        type: GraphQLString,
+        resolve() {
+          throw new Error('Failing resolver');
+        },
+      },
+      plain: { type: GraphQLString },
+    },
+  }),
+});
+
+describe('Execute: Handles field middleware', () => {
+  it('wraps every field, the first middleware being the outermost', () => {
+    const calls = [];
+    const tracer = name => (resolve, source, args, context, info) => {
+      calls.push(`${name}:before:${info.fieldName}`);
+      const result = resolve(source, args, context, info);
+      calls.push(`${name}:after:${info.fieldName}`);
+      return result;
+    };
+
+    const result = execute({
+      schema,
+      document: parse('{ echo(value: "a") plain }'),
+      rootValue: { plain: 'b' },
+      fieldMiddleware: [tracer('first'), tracer('second')],
+    });
+
+    expect(result).to.deep.equal({ data: { echo: 'a', plain: 'b' } });
+    expect(calls).to.deep.equal([
+      'first:before:echo',
+      'second:before:echo',
+      'second:after:echo',
+      'first:after:echo',
+      'first:before:plain',
+      'second:before:plain',
+      'second:after:plain',
+      'first:after:plain',
+    ]);
+  });
+
+  it('allows transforming arguments and results', () => {
+    const result = execute({
+      schema,
+      document: parse('{ echo(value: "a") }'),
+      fieldMiddleware: [
+        (resolve, source, args, context, info) =>
+          String(resolve(source, args, context, info)).toUpperCase(),
+        (resolve, source, args, context, info) =>
+          resolve(source, { value: `${String(args.value)}b` }, context, info),
+      ],
+    });
+
+    expect(result).to.deep.equal({ data: { echo: 'AB' } });
+  });
+
+  it('observes asynchronous results', async () => {
+    const observed = [];
+    const result = await execute({
+      schema,
+      document: parse('{ async }'),
+      fieldMiddleware: [
+        (resolve, source, args, context, info) => {
+          const value: any = resolve(source, args, context, info);
+          return value.then(resolved => {
+            observed.push(resolved);
+            return resolved;
+          });
+        },
+      ],
+    });
+
+    expect(result).to.deep.equal({ data: { async: 'async' } });
+    expect(observed).to.deep.equal(['async']);
+  });
+
+  it('observes and recovers from errors', () => {
+    const observed = [];
+    const result = execute({
+      schema,
+      document: parse('{ failing echo(value: "a") }'),
+      fieldMiddleware: [
+        (resolve, source, args, context, info) => {
+          try {
+            return resolve(source, args, context, info);
+          } catch (error) {
+            observed.push(error.message);
+            return info.fieldName === 'failing' ? 'recovered' : undefined;
+          }
+        },
+      ],
+    });
+
+    expect(result).to.deep.equal({
+      data: { failing: 'recovered', echo: 'a' },
+    });
+    expect(observed).to.deep.equal(['Failing resolver']);
+  });
+
+  it('reports errors thrown by middleware as field errors', () => {
+    const result = execute({
+      schema,
+      document: parse('{ echo(value: "a") }'),
+      fieldMiddleware: [
+        () => {
+          throw new Error('Middleware error');
+        },
+      ],
+    });
+
+    expect(result).to.deep.equal({
+      data: { echo: null },
+      errors: [
+        {
+          message: 'Middleware error',
+          locations: [{ line: 1, column: 3 }],
+          path: ['echo'],
+        },
+      ],
+    });
+  });
+
+  it('wraps the field resolver used instead of the default one', () => {
+    const calls = [];
+    const result = execute({
+      schema,
+      document: parse('{ plain }'),
+      fieldResolver: (_source, _args, _context, info) =>
+        `resolved ${info.fieldName}`,
+      fieldMiddleware: [
+        (resolve, source, args, context, info) => {
+          calls.push(info.fieldName);
+          return resolve(source, args, context, info);
+        },
+      ],
+    });
+
+    expect(result).to.deep.equal({ data: { plain: 'resolved plain' } });
+    expect(calls).to.deep.equal(['plain']);
+  });
+
+  it('composes the middleware once for each resolver', () => {
+    const nextResolvers = [];
+    const result = execute({
+      schema,
+      document: parse('{ first: echo(value: "a") second: echo(value: "b") }'),
+      fieldMiddleware: [
+        (resolve, source, args, context, info) => {
+          nextResolvers.push(resolve);
+          return resolve(source, args, context, info);
+        },
+        (resolve, source, args, context, info) =>
+          resolve(source, args, context, info),
+      ],
+    });
+
+    expect(result).to.deep.equal({ data: { first: 'a', second: 'b' } });
+    expect(nextResolvers).to.have.lengthOf(2);
+    expect(nextResolvers[0]).to.equal(nextResolvers[1]);
+  });
+
+  it('wraps the fields of a compiled query', () => {
+    const query = compileQuery(schema, parse('{ plain }'), undefined, {
+      fieldMiddleware: [
+        (resolve, source, args, context, info) =>
+          `${String(resolve(source, args, context, info))}!`,
+      ],
+    });
+
+    expect(query({ plain: 'a' })).to.deep.equal({ data: { plain: 'a!' } });
+    expect(query({ plain: 'b' })).to.deep.equal({ data: { plain: 'b!' } });
+  });
+});
@@ -8,6 +8,12 @@ import { parse } from '../../language/parser';
 import { GraphQLSchema } from '../../type/schema';
 import { GraphQLString } from '../../type/scalars';
 import { GraphQLNonNull, GraphQLObjectType } from '../../type/definition';
+import {
+  specifiedDirectives,
+  GraphQLDisableErrorPropagationDirective,
+} from '../../type/directives';
+
+import { validate } from '../../validation/validate';
 
 import { buildSchema } from '../../utilities/buildASTSchema';
 
@@ -744,4 +750,135 @@ describe('Execute: handles non-nullable types', () => {
       });
     });
   });
+
+  describe('Handles disabled error propagation', () => {
+    it('nulls a non-nullable field which throws', async () => {
+      const query = `
+        {
+          syncNest {
+            syncNonNull
+            promiseNonNull
+          }
+        }
+      `;
+
+      const result = await execute({
+        schema,
+        document: parse(query),
+        rootValue: throwingData,
+        errorPropagation: false,
+      });
+      expect(result).to.deep.equal({
+        data: { syncNest: { syncNonNull: null, promiseNonNull: null } },
+        errors: [
+          {
+            message: syncNonNullError.message,
+            path: ['syncNest', 'syncNonNull'],
+            locations: [{ line: 4, column: 13 }],
+          },
+          {
+            message: promiseNonNullError.message,
+            path: ['syncNest', 'promiseNonNull'],
+            locations: [{ line: 5, column: 13 }],
+          },
+        ],
+      });
+    });
+
+    it('nulls a non-nullable field which returns null', () => {
+      const query = `
+        {
+          syncNonNull
+          syncNonNullNest {
+            syncNonNull
+          }
+        }
+      `;
+
+      const result = execute({
+        schema,
+        document: parse(query),
+        rootValue: nullingData,
+        errorPropagation: false,
+      });
+      expect(result).to.deep.equal({
+        data: { syncNonNull: null, syncNonNullNest: { syncNonNull: null } },
+        errors: [
+          {
+            message:
+              'Cannot return null for non-nullable field DataType.syncNonNull.',
+            path: ['syncNonNull'],
+            locations: [{ line: 3, column: 11 }],
+          },
+          {
+            message:
+              'Cannot return null for non-nullable field DataType.syncNonNull.',
+            path: ['syncNonNullNest', 'syncNonNull'],
+            locations: [{ line: 5, column: 13 }],
+          },
+        ],
+      });
+    });
+
+    it('nulls a non-nullable list item which returns null', () => {
+      const listSchema = buildSchema(`
+        type Query {
+          list: [String!]!
+        }
+      `);
+
+      const result = execute({
+        schema: listSchema,
+        document: parse('{ list }'),
+        rootValue: { list: ['a', null, 'c'] },
+        errorPropagation: false,
+      });
+      expect(result).to.deep.equal({
+        data: { list: ['a', null, 'c'] },
+        errors: [
+          {
+            message: 'Cannot return null for non-nullable field Query.list.',
+            path: ['list', 1],
+            locations: [{ line: 1, column: 3 }],
+          },
+        ],
+      });
+    });
+
+    it('can be disabled by the operation with a directive', () => {
+      const schemaWithDirective = new GraphQLSchema({
+        query: schema.getQueryType(),
+        directives: [
+          ...specifiedDirectives,
+          GraphQLDisableErrorPropagationDirective,
+        ],
+      });
+      const document = parse(`
+        query @experimental_disableErrorPropagation {
+          syncNest {
+            syncNonNull
+          }
+        }
+      `);
+
+      expect(validate(schemaWithDirective, document)).to.deep.equal([]);
+      expect(
+        execute({
+          schema: schemaWithDirective,
+          document,
+          rootValue: nullingData,
+        }),
+      ).to.deep.equal({
+        data: { syncNest: { syncNonNull: null } },
+        errors: [
+          {
+            message:
+              'Cannot return null for non-nullable field DataType.syncNonNull.',
+            path: ['syncNest', 'syncNonNull'],
+            locations: [{ line: 4, column: 13 }],
+          },
+        ],
+      });
+    });
+  });
 });
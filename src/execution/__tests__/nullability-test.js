@@ -0,0 +1,108 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { buildSchema } from '../../utilities/buildASTSchema';
+
+import { execute } from '../execute';
+
+const schema = buildSchema(`
+  type Query {
+    nullable: String
+    nonNull: String!
+    items: [String]
+    nonNullItems: [String!]!
+    child: Query
+  }
+`);
+
+const rootValue = {
+  nullable: () => null,
+  nonNull: () => {
+    throw new Error('Catch me if you can');
+  },
+  items: () => ['a', null],
+  nonNullItems: () => ['a', null],
+  child: () => rootValue,
+};
+
+function executeQuery(query) {
+  const document = parse(query, {
+    experimentalClientControlledNullability: true,
+  });
+  return execute({ schema, document, rootValue });
+}
+
+describe('Execute: Handles client controlled nullability', () => {
+  it('executes fields without nullability assertions', () => {
+    const result = executeQuery('{ nullable items }');
+
+    expect(result).to.deep.equal({
+      data: { nullable: null, items: ['a', null] },
+    });
+  });
+
+  it('propagates null from a field asserted to be non-null', () => {
+    const result = executeQuery('{ child { nullable! } nullable }');
+
+    expect(result).to.deep.equal({
+      data: { child: null, nullable: null },
+      errors: [
+        {
+          message: 'Cannot return null for non-nullable field Query.nullable.',
+          locations: [{ line: 1, column: 11 }],
+          path: ['child', 'nullable'],
+        },
+      ],
+    });
+  });
+
+  it('stops the propagation of null at an error boundary', () => {
+    const result = executeQuery('{ child { nonNull? } }');
+
+    expect(result).to.deep.equal({
+      data: { child: { nonNull: null } },
+      errors: [
+        {
+          message: 'Catch me if you can',
+          locations: [{ line: 1, column: 11 }],
+          path: ['child', 'nonNull'],
+        },
+      ],
+    });
+  });
+
+  it('applies list nullability operators to list items', () => {
+    const result = executeQuery('{ items[!] nonNullItems[?] }');
+
+    expect(result).to.deep.equal({
+      data: { items: null, nonNullItems: ['a', null] },
+      errors: [
+        {
+          message: 'Cannot return null for non-nullable field Query.items.',
+          locations: [{ line: 1, column: 3 }],
+          path: ['items', 1],
+        },
+      ],
+    });
+  });
+
+  it('keeps the nullability of a field with list nullability operators', () => {
+    const result = executeQuery('{ child { nonNullItems[!] } }');
+
+    expect(result).to.deep.equal({
+      data: { child: null },
+      errors: [
+        {
+          message:
+            'Cannot return null for non-nullable field Query.nonNullItems.',
+          locations: [{ line: 1, column: 11 }],
+          path: ['child', 'nonNullItems', 1],
+        },
+      ],
+    });
+  });
+});
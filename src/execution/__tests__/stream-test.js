@@ -0,0 +1,274 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { isAsyncIterable } from 'iterall';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLID, GraphQLString } from '../../type/scalars';
+import {
+  specifiedDirectives,
+  GraphQLStreamDirective,
+} from '../../type/directives';
+import {
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+} from '../../type/definition';
+
+import { execute } from '../execute';
+
+const friendType = new GraphQLObjectType({
+  name: 'Friend',
+  fields: {
+    id: { type: GraphQLID },
+    name: { type: GraphQLString },
+  },
+});
+
+const friends = [
+  { name: 'Luke', id: 1 },
+  { name: 'Han', id: 2 },
+  { name: 'Leia', id: 3 },
+];
+
+const query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    scalarList: {
+      type: GraphQLList(GraphQLString),
+      resolve: () => ['apple', 'banana', 'coconut'],
+    },
+    friendList: {
+      type: GraphQLList(friendType),
+      resolve: () => friends.map(f => Promise.resolve(f)),
+    },
+    slowFirstList: {
+      type: GraphQLList(GraphQLString),
+      resolve: () =>
+        ['apple', 'banana', 'coconut'].map(
+          (fruit, index) =>
+            new Promise(resolve => setTimeout(() => resolve(fruit), 3 - index)),
+        ),
+    },
+    nestedList: {
+      type: GraphQLList(GraphQLList(GraphQLString)),
+      resolve: () => [
+        ['apple', 'banana', 'coconut'],
+        ['durian', 'elderberry'],
+      ],
+    },
+    nonNullFriendList: {
+      type: GraphQLList(GraphQLNonNull(friendType)),
+      resolve: () => [friends[0], null],
+    },
+  },
+});
+
+const schema = new GraphQLSchema({
+  query,
+  directives: [...specifiedDirectives, GraphQLStreamDirective],
+});
+
+async function complete(document, variableValues) {
+  const result = await execute({ schema, document, variableValues });
+
+  if (isAsyncIterable(result)) {
+    const results = [];
+    // $FlowFixMe
+    for await (const patch of result) {
+      results.push(patch);
+    }
+    return results;
+  }
+  return result;
+}
+
+describe('Execute: stream directive', () => {
+  it('Can stream a list field', async () => {
+    const document = parse('{ scalarList @stream(initialCount: 1) }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { scalarList: ['apple'] },
+        hasNext: true,
+      },
+      {
+        data: 'banana',
+        path: ['scalarList', 1],
+        hasNext: true,
+      },
+      {
+        data: 'coconut',
+        path: ['scalarList', 2],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Can use default value of initialCount', async () => {
+    const document = parse('{ scalarList @stream(label: "scalarStream") }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { scalarList: [] },
+        hasNext: true,
+      },
+      {
+        data: 'apple',
+        path: ['scalarList', 0],
+        label: 'scalarStream',
+        hasNext: true,
+      },
+      {
+        data: 'banana',
+        path: ['scalarList', 1],
+        label: 'scalarStream',
+        hasNext: true,
+      },
+      {
+        data: 'coconut',
+        path: ['scalarList', 2],
+        label: 'scalarStream',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Returns all items when initialCount exceeds the list length', async () => {
+    const document = parse('{ scalarList @stream(initialCount: 5) }');
+
+    expect(await complete(document)).to.deep.equal({
+      data: { scalarList: ['apple', 'banana', 'coconut'] },
+    });
+  });
+
+  it('Can disable stream using if argument', async () => {
+    const document = parse(`
+      query ($shouldStream: Boolean) {
+        scalarList @stream(if: $shouldStream)
+      }
+    `);
+
+    expect(await complete(document, { shouldStream: false })).to.deep.equal({
+      data: { scalarList: ['apple', 'banana', 'coconut'] },
+    });
+  });
+
+  it('Can stream a list of promises of objects', async () => {
+    const document = parse(`
+      {
+        friendList @stream(initialCount: 2) {
+          name
+          id
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: {
+          friendList: [
+            { name: 'Luke', id: '1' },
+            { name: 'Han', id: '2' },
+          ],
+        },
+        hasNext: true,
+      },
+      {
+        data: { name: 'Leia', id: '3' },
+        path: ['friendList', 2],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Delivers streamed items in the order of the list', async () => {
+    const document = parse('{ slowFirstList @stream(initialCount: 0) }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { slowFirstList: [] },
+        hasNext: true,
+      },
+      {
+        data: 'apple',
+        path: ['slowFirstList', 0],
+        hasNext: true,
+      },
+      {
+        data: 'banana',
+        path: ['slowFirstList', 1],
+        hasNext: true,
+      },
+      {
+        data: 'coconut',
+        path: ['slowFirstList', 2],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Streams only the outermost list of a nested list field', async () => {
+    const document = parse('{ nestedList @stream(initialCount: 1) }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { nestedList: [['apple', 'banana', 'coconut']] },
+        hasNext: true,
+      },
+      {
+        data: ['durian', 'elderberry'],
+        path: ['nestedList', 1],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Handles null returned in non-null list items after initialCount', async () => {
+    const document = parse(`
+      {
+        nonNullFriendList @stream(initialCount: 1) {
+          name
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { nonNullFriendList: [{ name: 'Luke' }] },
+        hasNext: true,
+      },
+      {
+        data: null,
+        path: ['nonNullFriendList', 1],
+        errors: [
+          {
+            message:
+              'Cannot return null for non-nullable field Query.nonNullFriendList.',
+            locations: [{ line: 3, column: 9 }],
+            path: ['nonNullFriendList', 1],
+          },
+        ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('Errors on a negative initialCount', async () => {
+    const document = parse('{ scalarList @stream(initialCount: -2) }');
+
+    expect(await complete(document)).to.deep.equal({
+      data: { scalarList: null },
+      errors: [
+        {
+          message: 'initialCount must be a non-negative integer',
+          locations: [{ line: 1, column: 3 }],
+          path: ['scalarList'],
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import Maybe from '../tsutils/Maybe';
+import { PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { AbortSignalLike } from '../jsutils/AbortSignalLike';
+
+import { DocumentNode } from '../language/ast';
+
+import { GraphQLSchema } from '../type/schema';
+import { GraphQLFieldResolver, GraphQLTypeResolver } from '../type/definition';
+
+import {
+  ExecutionResult,
+  ExecutionResultDataDefault,
+  AsyncExecutionResult,
+  GraphQLFieldMiddleware,
+} from './execute';
+import { ExecutionTracer } from './ExecutionTracer';
+
+export interface CompileQueryOptions {
+  fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>;
+  typeResolver?: Maybe<GraphQLTypeResolver<any, any>>;
+  fieldMiddleware?: Maybe<ReadonlyArray<GraphQLFieldMiddleware>>;
+  errorPropagation?: Maybe<boolean>;
+}
+
+/**
+ * The options of a single execution of a compiled query, see `execute`.
+ */
+export interface CompiledQueryRunOptions {
+  signal?: Maybe<AbortSignalLike>;
+  tracer?: Maybe<ExecutionTracer>;
+}
+
+/**
+ * An operation compiled by `compileQuery`, which only needs the values that
+ * change between executions of the operation.
+ */
+export type CompiledQuery<TData = ExecutionResultDataDefault> = (
+  rootValue?: any,
+  contextValue?: any,
+  variableValues?: Maybe<{ [key: string]: any }>,
+  runOptions?: CompiledQueryRunOptions,
+) => PromiseOrValue<
+  ExecutionResult<TData> | AsyncIterableIterator<AsyncExecutionResult<TData>>
+>;
+
+/**
+ * Compiles an operation of a document for repeated execution, returning a
+ * function which executes it in the same way as `execute`. The signal and
+ * tracer are provided to each execution along with its variable values.
+ *
+ * Compiling only looks up the operation: the executions are memoized instead.
+ * The fields to execute, including the branches of abstract types, and the
+ * values of arguments which do not use variables are computed by the first
+ * execution using them and then reused by every following execution, which
+ * only coerces the variable values. Each execution is given its own copy of
+ * the reused argument values. Errors are thus only reported by executions, as
+ * with `execute`. This is intended for operations executed many times, such
+ * as persisted queries.
+ *
+ * The document is expected to be valid. If the operation cannot be found, the
+ * compiled query always results in the errors explaining why.
+ */
+export function compileQuery<TData = ExecutionResultDataDefault>(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  operationName?: Maybe<string>,
+  options?: CompileQueryOptions,
+): CompiledQuery<TData>;
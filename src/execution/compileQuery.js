@@ -0,0 +1,102 @@
+// @flow strict
+
+import { type PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { type AbortSignalLike } from '../jsutils/AbortSignalLike';
+
+import { type DocumentNode } from '../language/ast';
+
+import { type GraphQLSchema } from '../type/schema';
+import {
+  type GraphQLFieldResolver,
+  type GraphQLTypeResolver,
+} from '../type/definition';
+
+import {
+  type ExecutionResult,
+  type AsyncExecutionResult,
+  type GraphQLFieldMiddleware,
+  assertValidExecutionArguments,
+  buildExecutionPlan,
+  executePlan,
+} from './execute';
+import { type ExecutionTracer } from './ExecutionTracer';
+
+export type CompileQueryOptions = {|
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  typeResolver?: ?GraphQLTypeResolver<any, any>,
+  fieldMiddleware?: ?$ReadOnlyArray<GraphQLFieldMiddleware>,
+  errorPropagation?: ?boolean,
+|};
+
+/**
+ * The options of a single execution of a compiled query, see `execute`.
+ */
+export type CompiledQueryRunOptions = {|
+  signal?: ?AbortSignalLike,
+  tracer?: ?ExecutionTracer,
+|};
+
+/**
+ * An operation compiled by `compileQuery`, which only needs the values that
+ * change between executions of the operation.
+ */
+export type CompiledQuery = (
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?{ +[variable: string]: mixed, ... },
+  runOptions?: CompiledQueryRunOptions,
+) => PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+>;
+
+/**
+ * Compiles an operation of a document for repeated execution, returning a
+ * function which executes it in the same way as `execute`. The signal and
+ * tracer are provided to each execution along with its variable values.
+ *
+ * Compiling only looks up the operation: the executions are memoized instead.
+ * The fields to execute, including the branches of abstract types, and the
+ * values of arguments which do not use variables are computed by the first
+ * execution using them and then reused by every following execution, which
+ * only coerces the variable values. Each execution is given its own copy of
+ * the reused argument values. Errors are thus only reported by executions, as
+ * with `execute`. This is intended for operations executed many times, such
+ * as persisted queries.
+ *
+ * The document is expected to be valid. If the operation cannot be found, the
+ * compiled query always results in the errors explaining why.
+ */
+export function compileQuery(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  operationName?: ?string,
+  options?: CompileQueryOptions,
+): CompiledQuery {
+  // If arguments are missing or incorrect, throw an error.
+  assertValidExecutionArguments(schema, document);
+
+  const plan = buildExecutionPlan(
+    schema,
+    document,
+    operationName,
+    options && options.fieldResolver,
+    options && options.typeResolver,
+    options && options.fieldMiddleware,
+    options && options.errorPropagation,
+  );
+
+  if (Array.isArray(plan)) {
+    const errors = plan;
+    return () => ({ errors });
+  }
+
+  return (rootValue, contextValue, variableValues, runOptions) =>
+    executePlan(
+      plan,
+      rootValue,
+      contextValue,
+      variableValues,
+      runOptions && runOptions.signal,
+      runOptions && runOptions.tracer,
+    );
+}
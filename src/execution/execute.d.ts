@@ -1,5 +1,6 @@
 import Maybe from '../tsutils/Maybe';
 import { PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { AbortSignalLike } from '../jsutils/AbortSignalLike';
 import { Path, addPath, pathToArray } from '../jsutils/Path';
 
 import { GraphQLError } from '../error/GraphQLError';
@@ -23,6 +24,8 @@ import {
   GraphQLObjectType,
 } from '../type/definition';
 
+import { ExecutionTracer } from './ExecutionTracer';
+
 /**
  * Data that must be available at all points during query execution.
  *
@@ -38,6 +41,32 @@ export interface ExecutionContext {
   variableValues: { [key: string]: any };
   fieldResolver: GraphQLFieldResolver<any, any>;
   errors: GraphQLError[];
+  subsequentPayloads: Array<SubsequentPayloadRecord>;
+  payload: PayloadState;
+  resultExtensions: { [key: string]: any };
+  errorPropagation: boolean;
+  signal: Maybe<AbortSignalLike>;
+  fieldMiddleware: ReadonlyArray<GraphQLFieldMiddleware>;
+  tracer: Maybe<ExecutionTracer>;
+}
+
+interface SubsequentPayload {
+  errors: ReadonlyArray<GraphQLError>;
+  data: any;
+  path: ReadonlyArray<string | number>;
+  label: Maybe<string>;
+}
+
+interface SubsequentPayloadRecord {
+  state: PayloadState;
+  promise: Promise<SubsequentPayload>;
+}
+
+interface PayloadState {
+  parent: Maybe<PayloadState>;
+  path: ReadonlyArray<string | number>;
+  nulledPaths: Array<ReadonlyArray<string | number>>;
+  isDropped: boolean;
 }
 
 export interface ExecutionResultDataDefault {
@@ -49,13 +78,48 @@ export interface ExecutionResultDataDefault {
  *
  *   - `errors` is included when any errors occurred as a non-empty array.
  *   - `data` is the result of a successful execution of the query.
+ *   - `hasNext` is included when the result is the initial payload of an
+ *     incrementally delivered response, see `AsyncExecutionResult`.
+ *   - `extensions` is included when the execution reported additional
+ *     information, such as its trace. Resolvers and middleware may add to it
+ *     through `info.resultExtensions` until the result is built, so entries
+ *     written while resolving deferred or streamed fields are not included.
  */
 // TS_SPECIFIC: TData and ExecutionResultDataDefault
 export interface ExecutionResult<TData = ExecutionResultDataDefault> {
   errors?: ReadonlyArray<GraphQLError>;
   data?: TData | null;
+  hasNext?: boolean;
+  extensions?: { [key: string]: any };
 }
 
+/**
+ * A subsequent payload of an incrementally delivered response, produced by
+ * the `@defer` and `@stream` directives.
+ *
+ *   - `path` is the response path of the deferred fragment or streamed item.
+ *   - `label` is the label passed to the directive, if any.
+ *   - `data` is the result of the deferred fragment or the streamed item.
+ *   - `errors` is included when any errors occurred as a non-empty array.
+ *   - `hasNext` is false for the last payload of the response.
+ */
+export interface ExecutionPatchResult {
+  errors?: ReadonlyArray<GraphQLError>;
+  data?: any;
+  path: ReadonlyArray<string | number>;
+  label?: string;
+  hasNext: boolean;
+}
+
+/**
+ * When an operation contains `@defer` or `@stream`, execution results in an
+ * AsyncIterator which first yields the initial ExecutionResult and then an
+ * ExecutionPatchResult for every deferred fragment and streamed item.
+ */
+export type AsyncExecutionResult<TData = ExecutionResultDataDefault> =
+  | ExecutionResult<TData>
+  | ExecutionPatchResult;
+
 export type ExecutionArgs = {
   schema: GraphQLSchema;
   document: DocumentNode;
@@ -65,8 +129,29 @@ export type ExecutionArgs = {
   operationName?: Maybe<string>;
   fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>;
   typeResolver?: Maybe<GraphQLTypeResolver<any, any>>;
+  signal?: Maybe<AbortSignalLike>;
+  fieldMiddleware?: Maybe<ReadonlyArray<GraphQLFieldMiddleware>>;
+  tracer?: Maybe<ExecutionTracer>;
+  errorPropagation?: Maybe<boolean>;
 };
 
+/**
+ * A middleware wrapping the resolution of every field, which is called with
+ * the resolver to wrap followed by the arguments of a resolver.
+ *
+ * A middleware may observe the arguments, timing, result and errors of the
+ * wrapped resolver, and may transform them by calling it with different
+ * arguments or by returning a different result. The first middleware of a
+ * list wraps all the following ones, the last one wraps the field resolver.
+ */
+export type GraphQLFieldMiddleware = (
+  resolve: GraphQLFieldResolver<any, any>,
+  source: any,
+  args: { [argName: string]: any },
+  contextValue: any,
+  info: GraphQLResolveInfo,
+) => any;
+
 /**
  * Implements the "Evaluating requests" section of the GraphQL specification.
  *
@@ -74,14 +159,36 @@ export type ExecutionArgs = {
  * are synchronous), or a Promise of an ExecutionResult that will eventually be
  * resolved and never rejected.
  *
+ * If the operation uses `@defer` or `@stream`, the result is instead an
+ * AsyncIterator of AsyncExecutionResult, see `AsyncExecutionResult`.
+ *
  * If the arguments to this function do not result in a legal execution context,
  * a GraphQLError will be thrown immediately explaining the invalid input.
  *
+ * If a `signal` is provided and gets aborted, no further fields are resolved
+ * and the result is a single error. An incrementally delivered response ends
+ * with a final payload holding that error instead.
+ *
+ * If `fieldMiddleware` is provided, the resolution of every field is wrapped
+ * by it, see `GraphQLFieldMiddleware`.
+ *
+ * If a `tracer` is provided, the duration of the execution and of every field
+ * is recorded and included as `extensions.tracing` in the result, unless a
+ * resolver or middleware already contributed that extension, in which case
+ * the conflict is reported as an error instead.
+ *
+ * If `errorPropagation` is false, or the operation uses the
+ * `@experimental_disableErrorPropagation` directive, a field which raised an
+ * error resolves to null even if it is non-nullable, instead of the error
+ * propagating to the nearest nullable parent field.
+ *
  * Accepts either an object with named arguments, or individual arguments.
  */
 export function execute<TData = ExecutionResultDataDefault>(
   args: ExecutionArgs,
-): PromiseOrValue<ExecutionResult<TData>>;
+): PromiseOrValue<
+  ExecutionResult<TData> | AsyncIterableIterator<AsyncExecutionResult<TData>>
+>;
 export function execute<TData = ExecutionResultDataDefault>(
   schema: GraphQLSchema,
   document: DocumentNode,
@@ -91,7 +198,9 @@ export function execute<TData = ExecutionResultDataDefault>(
   operationName?: Maybe<string>,
   fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>,
   typeResolver?: Maybe<GraphQLTypeResolver<any, any>>,
-): PromiseOrValue<ExecutionResult<TData>>;
+): PromiseOrValue<
+  ExecutionResult<TData> | AsyncIterableIterator<AsyncExecutionResult<TData>>
+>;
 
 /**
  * Essential assertions before executing to provide developer feedback for
@@ -118,6 +227,10 @@ export function buildExecutionContext(
   operationName: Maybe<string>,
   fieldResolver: Maybe<GraphQLFieldResolver<any, any>>,
   typeResolver?: Maybe<GraphQLTypeResolver<any, any>>,
+  signal?: Maybe<AbortSignalLike>,
+  fieldMiddleware?: Maybe<ReadonlyArray<GraphQLFieldMiddleware>>,
+  tracer?: Maybe<ExecutionTracer>,
+  errorPropagation?: Maybe<boolean>,
 ): ReadonlyArray<GraphQLError> | ExecutionContext;
 
 /**
@@ -127,6 +240,10 @@ export function buildExecutionContext(
  * CollectFields requires the "runtime type" of an object. For a field which
  * returns an Interface or Union type, the "runtime type" will be the actual
  * Object type returned by that field.
+ *
+ * If a list of patches is passed, the fields of fragments marked with
+ * `@defer` are collected separately and added to that list, otherwise such
+ * fragments are collected as if they were not deferred.
  */
 export function collectFields(
   exeContext: ExecutionContext,
@@ -134,6 +251,10 @@ export function collectFields(
   selectionSet: SelectionSetNode,
   fields: { [key: string]: Array<FieldNode> },
   visitedFragmentNames: { [key: string]: boolean },
+  patches?: Array<{
+    label: Maybe<string>;
+    fields: { [key: string]: Array<FieldNode> };
+  }>,
 ): { [key: string]: Array<FieldNode> };
 
 export function buildResolveInfo(
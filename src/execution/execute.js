@@ -1,9 +1,14 @@
 // @flow strict
 
-import { forEach, isCollection } from 'iterall';
+import { $$asyncIterator, forEach, isCollection } from 'iterall';
+
+import find from '../polyfills/find';
+import isInteger from '../polyfills/isInteger';
+import objectValues from '../polyfills/objectValues';
 
 import inspect from '../jsutils/inspect';
 import memoize3 from '../jsutils/memoize3';
+import LRUCache from '../jsutils/LRUCache';
 import invariant from '../jsutils/invariant';
 import devAssert from '../jsutils/devAssert';
 import isInvalid from '../jsutils/isInvalid';
@@ -14,12 +19,14 @@ import isObjectLike from '../jsutils/isObjectLike';
 import promiseReduce from '../jsutils/promiseReduce';
 import promiseForObject from '../jsutils/promiseForObject';
 import { type PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { type AbortSignalLike } from '../jsutils/AbortSignalLike';
 import { type Path, addPath, pathToArray } from '../jsutils/Path';
 
 import { GraphQLError } from '../error/GraphQLError';
 import { locatedError } from '../error/locatedError';
 
 import { Kind } from '../language/kinds';
+import { visit, BREAK } from '../language/visitor';
 import {
   type DocumentNode,
   type OperationDefinitionNode,
@@ -28,6 +35,7 @@ import {
   type FragmentSpreadNode,
   type InlineFragmentNode,
   type FragmentDefinitionNode,
+  type ValueNode,
 } from '../language/ast';
 
 import { assertValidSchema } from '../type/validate';
@@ -40,6 +48,9 @@ import {
 import {
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  GraphQLDisableErrorPropagationDirective,
 } from '../type/directives';
 import {
   type GraphQLObjectType,
@@ -51,21 +62,25 @@ import {
   type GraphQLResolveInfo,
   type GraphQLTypeResolver,
   type GraphQLList,
+  type GraphQLInputType,
   isObjectType,
   isAbstractType,
   isLeafType,
   isListType,
   isNonNullType,
+  isInputObjectType,
 } from '../type/definition';
 
 import { typeFromAST } from '../utilities/typeFromAST';
 import { getOperationRootType } from '../utilities/getOperationRootType';
+import { applyNullabilityAssertion } from '../utilities/applyNullabilityAssertion';
 
 import {
   getVariableValues,
   getArgumentValues,
   getDirectiveValues,
 } from './values';
+import { type ExecutionTracer } from './ExecutionTracer';
 
 /**
  * Terminology
@@ -103,6 +118,54 @@ export type ExecutionContext = {|
   fieldResolver: GraphQLFieldResolver<any, any>,
   typeResolver: GraphQLTypeResolver<any, any>,
   errors: Array<GraphQLError>,
+  subsequentPayloads: Array<SubsequentPayloadRecord>,
+  // The payload being executed, shared by the contexts executing it.
+  payload: PayloadState,
+  resultExtensions: ObjMap<mixed>,
+  errorPropagation: boolean,
+  signal: ?AbortSignalLike,
+  fieldMiddleware: $ReadOnlyArray<GraphQLFieldMiddleware>,
+  tracer: ?ExecutionTracer,
+  plan: ?ExecutionPlan,
+|};
+
+// The number of sets of collection variable values for which an ExecutionPlan
+// keeps the collected fields.
+const MAX_COLLECTION_CONTEXTS = 100;
+
+/**
+ * The work which only depends on the schema and the document, computed once
+ * and shared by every execution of a compiled query, see `compileQuery`.
+ *
+ * @internal
+ */
+export type ExecutionPlan = {|
+  schema: GraphQLSchema,
+  fragments: ObjMap<FragmentDefinitionNode>,
+  operation: OperationDefinitionNode,
+  fieldResolver: GraphQLFieldResolver<any, any>,
+  typeResolver: GraphQLTypeResolver<any, any>,
+  fieldMiddleware: $ReadOnlyArray<GraphQLFieldMiddleware>,
+  errorPropagation: boolean,
+  // Names of the variables used by @skip, @include, @defer and @stream and by
+  // the arguments of fragment spreads, which affect the fields being collected.
+  collectionVariables: $ReadOnlyArray<string>,
+  // Contexts used to collect fields, one per set of values of the collection
+  // variables, which key the memoized collected fields. Only the most recently
+  // used ones are kept, since variable values are unbounded.
+  collectionContexts: LRUCache<string, CollectionContext>,
+|};
+
+type CollectionContext = {|
+  context: ExecutionContext,
+  // Argument values of the collected fields which do not use variables, by
+  // field definition, or null if the arguments of the field use variables.
+  // They are kept along with the context, since fragment spread arguments
+  // yield new field nodes for every context.
+  argumentValues: Map<
+    FieldNode,
+    Map<GraphQLField<mixed, mixed>, { [argument: string]: mixed, ... }> | null,
+  >,
 |};
 
 /**
@@ -110,10 +173,79 @@ export type ExecutionContext = {|
  *
  *   - `errors` is included when any errors occurred as a non-empty array.
  *   - `data` is the result of a successful execution of the query.
+ *   - `hasNext` is included when the result is the initial payload of an
+ *     incrementally delivered response, see `AsyncExecutionResult`.
+ *   - `extensions` is included when the execution reported additional
+ *     information, such as its trace. Resolvers and middleware may add to it
+ *     through `info.resultExtensions` until the result is built, so entries
+ *     written while resolving deferred or streamed fields are not included.
  */
 export type ExecutionResult = {|
   errors?: $ReadOnlyArray<GraphQLError>,
   data?: ObjMap<mixed> | null,
+  hasNext?: boolean,
+  extensions?: ObjMap<mixed>,
+|};
+
+/**
+ * A subsequent payload of an incrementally delivered response, produced by
+ * the `@defer` and `@stream` directives.
+ *
+ *   - `path` is the response path of the deferred fragment or streamed item.
+ *   - `label` is the label passed to the directive, if any.
+ *   - `data` is the result of the deferred fragment or the streamed item.
+ *   - `errors` is included when any errors occurred as a non-empty array.
+ *   - `hasNext` is false for the last payload of the response.
+ */
+export type ExecutionPatchResult = {|
+  errors?: $ReadOnlyArray<GraphQLError>,
+  data?: mixed,
+  path: $ReadOnlyArray<string | number>,
+  label?: string,
+  hasNext: boolean,
+|};
+
+/**
+ * When an operation contains `@defer` or `@stream`, execution results in an
+ * AsyncIterator which first yields the initial ExecutionResult and then an
+ * ExecutionPatchResult for every deferred fragment and streamed item.
+ */
+export type AsyncExecutionResult = ExecutionResult | ExecutionPatchResult;
+
+type SubsequentPayload = {|
+  errors: $ReadOnlyArray<GraphQLError>,
+  data: mixed,
+  path: $ReadOnlyArray<string | number>,
+  label: ?string,
+|};
+
+type SubsequentPayloadRecord = {|
+  state: PayloadState,
+  promise: Promise<SubsequentPayload>,
+|};
+
+// The state of the initial payload or of a subsequent payload. A subsequent
+// payload is dropped once the data it belongs to, at its path within the
+// payload which registered it, was nulled by an error. It is only delivered
+// after the payload which registered it, and a streamed item only after the
+// previous item of its list.
+type PayloadState = {|
+  parent: ?PayloadState,
+  previous: ?PayloadState,
+  path: $ReadOnlyArray<string | number>,
+  nulledPaths: Array<$ReadOnlyArray<string | number>>,
+  isDropped: boolean,
+  isDelivered: boolean,
+|};
+
+type FieldsAndPatches = {|
+  fields: ObjMap<Array<FieldNode>>,
+  patches: Array<DeferredFragment>,
+|};
+
+type DeferredFragment = {|
+  label: ?string,
+  fields: ObjMap<Array<FieldNode>>,
 |};
 
 export type ExecutionArgs = {|
@@ -125,8 +257,41 @@ export type ExecutionArgs = {|
   operationName?: ?string,
   fieldResolver?: ?GraphQLFieldResolver<any, any>,
   typeResolver?: ?GraphQLTypeResolver<any, any>,
+  signal?: ?AbortSignalLike,
+  fieldMiddleware?: ?$ReadOnlyArray<GraphQLFieldMiddleware>,
+  tracer?: ?ExecutionTracer,
+  errorPropagation?: ?boolean,
 |};
 
+/**
+ * A middleware wrapping the resolution of every field, which is called with
+ * the resolver to wrap followed by the arguments of a resolver.
+ *
+ * A middleware may observe the arguments, timing, result and errors of the
+ * wrapped resolver, and may transform them by calling it with different
+ * arguments or by returning a different result. The first middleware of a
+ * list wraps all the following ones, the last one wraps the field resolver.
+ *
+ * Example:
+ *
+ *     const logger = (resolve, source, args, contextValue, info) => {
+ *       const start = Date.now();
+ *       const result = resolve(source, args, contextValue, info);
+ *       console.log(info.fieldName, Date.now() - start);
+ *       return result;
+ *     };
+ *
+ *     execute({ schema, document, fieldMiddleware: [logger] });
+ *
+ */
+export type GraphQLFieldMiddleware = (
+  resolve: GraphQLFieldResolver<mixed, mixed>,
+  source: mixed,
+  args: { [argument: string]: mixed, ... },
+  contextValue: mixed,
+  info: GraphQLResolveInfo,
+) => mixed;
+
 /**
  * Implements the "Evaluating requests" section of the GraphQL specification.
  *
@@ -134,15 +299,37 @@ export type ExecutionArgs = {|
  * are synchronous), or a Promise of an ExecutionResult that will eventually be
  * resolved and never rejected.
  *
+ * If the operation uses `@defer` or `@stream`, the result is instead an
+ * AsyncIterator of AsyncExecutionResult, see `AsyncExecutionResult`.
+ *
  * If the arguments to this function do not result in a legal execution context,
  * a GraphQLError will be thrown immediately explaining the invalid input.
  *
+ * If a `signal` is provided and gets aborted, no further fields are resolved
+ * and the result is a single error. An incrementally delivered response ends
+ * with a final payload holding that error instead.
+ *
+ * If `fieldMiddleware` is provided, the resolution of every field is wrapped
+ * by it, see `GraphQLFieldMiddleware`.
+ *
+ * If a `tracer` is provided, the duration of the execution and of every field
+ * is recorded and included as `extensions.tracing` in the result, unless a
+ * resolver or middleware already contributed that extension, in which case
+ * the conflict is reported as an error instead.
+ *
+ * If `errorPropagation` is false, or the operation uses the
+ * `@experimental_disableErrorPropagation` directive, a field which raised an
+ * error resolves to null even if it is non-nullable, instead of the error
+ * propagating to the nearest nullable parent field.
+ *
  * Accepts either an object with named arguments, or individual arguments.
  */
 declare function execute(
   ExecutionArgs,
   ..._: []
-): PromiseOrValue<ExecutionResult>;
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+>;
 /* eslint-disable no-redeclare */
 declare function execute(
   schema: GraphQLSchema,
@@ -153,7 +340,9 @@ declare function execute(
   operationName?: ?string,
   fieldResolver?: ?GraphQLFieldResolver<any, any>,
   typeResolver?: ?GraphQLTypeResolver<any, any>,
-): PromiseOrValue<ExecutionResult>;
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+>;
 export function execute(
   argsOrSchema,
   document,
@@ -180,7 +369,11 @@ export function execute(
       });
 }
 
-function executeImpl(args: ExecutionArgs): PromiseOrValue<ExecutionResult> {
+function executeImpl(
+  args: ExecutionArgs,
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+> {
   const {
     schema,
     document,
@@ -190,11 +383,20 @@ function executeImpl(args: ExecutionArgs): PromiseOrValue<ExecutionResult> {
     operationName,
     fieldResolver,
     typeResolver,
+    signal,
+    fieldMiddleware,
+    tracer,
+    errorPropagation,
   } = args;
 
   // If arguments are missing or incorrect, throw an error.
   assertValidExecutionArguments(schema, document, variableValues);
 
+  // If the operation was aborted before it started, there is nothing to do.
+  if (signal && signal.aborted) {
+    return { errors: [abortedError()] };
+  }
+
   // If a valid execution context cannot be created due to incorrect arguments,
   // a "Response" with only errors is returned.
   const exeContext = buildExecutionContext(
@@ -206,6 +408,10 @@ function executeImpl(args: ExecutionArgs): PromiseOrValue<ExecutionResult> {
     operationName,
     fieldResolver,
     typeResolver,
+    signal,
+    fieldMiddleware,
+    tracer,
+    errorPropagation,
   );
 
   // Return early errors if execution context failed.
@@ -220,24 +426,236 @@ function executeImpl(args: ExecutionArgs): PromiseOrValue<ExecutionResult> {
   // field and its descendants will be omitted, and sibling fields will still
   // be executed. An execution which encounters errors will still result in a
   // resolved Promise.
+  const endExecution = tracer ? tracer.startPhase('execution') : undefined;
   const data = executeOperation(exeContext, exeContext.operation, rootValue);
-  return buildResponse(exeContext, data);
+  const response = buildResponse(exeContext, data, endExecution);
+  return signal ? abortableResponse(response, signal) : response;
+}
+
+/**
+ * Settles the response as soon as the signal is aborted instead of waiting
+ * for in-flight resolvers, which are no longer given any work to do.
+ */
+function abortableResponse(
+  response: PromiseOrValue<
+    ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+  >,
+  signal: AbortSignalLike,
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+> {
+  if (!isPromise(response)) {
+    return signal.aborted ? { errors: [abortedError()], data: null } : response;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => resolve({ errors: [abortedError()], data: null });
+    signal.addEventListener('abort', onAbort);
+    response.then(
+      result => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+function abortedError(): GraphQLError {
+  return new GraphQLError('Execution was aborted.');
+}
+
+/**
+ * Throws if the signal of the execution was aborted, which stops execution
+ * of the remaining fields and list items.
+ */
+function assertNotAborted(exeContext: ExecutionContext): void {
+  const { signal } = exeContext;
+  if (signal && signal.aborted) {
+    throw abortedError();
+  }
 }
 
 /**
  * Given a completed execution context and data, build the { errors, data }
  * response defined by the "Response" section of the GraphQL specification.
+ *
+ * If any fragments were deferred or any lists streamed, the response is
+ * delivered incrementally instead.
  */
 function buildResponse(
   exeContext: ExecutionContext,
   data: PromiseOrValue<ObjMap<mixed> | null>,
-): PromiseOrValue<ExecutionResult> {
+  endExecution?: () => void,
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+> {
   if (isPromise(data)) {
-    return data.then(resolved => buildResponse(exeContext, resolved));
+    return data.then(resolved =>
+      buildResponse(exeContext, resolved, endExecution),
+    );
+  }
+  const { tracer, resultExtensions } = exeContext;
+  if (tracer) {
+    if (endExecution) {
+      endExecution();
+    }
+    // A trace never replaces a "tracing" extension contributed by a resolver
+    // or middleware: the conflict is reported instead.
+    if (resultExtensions.tracing === undefined) {
+      resultExtensions.tracing = tracer.getTrace();
+    } else {
+      exeContext.errors.push(
+        new GraphQLError(
+          'Cannot include the execution trace as "tracing" extension, which was already contributed to the result.',
+        ),
+      );
+    }
+  }
+
+  const initialResult: ExecutionResult =
+    exeContext.errors.length === 0
+      ? { data }
+      : { errors: exeContext.errors, data };
+  if (Object.keys(resultExtensions).length > 0) {
+    initialResult.extensions = { ...resultExtensions };
   }
-  return exeContext.errors.length === 0
-    ? { data }
-    : { errors: exeContext.errors, data };
+
+  if (exeContext.subsequentPayloads.length > 0) {
+    return yieldSubsequentPayloads(exeContext, initialResult);
+  }
+  return initialResult;
+}
+
+/**
+ * Returns an AsyncIterator which yields the initial result followed by the
+ * subsequent payloads in the order they complete.
+ */
+function yieldSubsequentPayloads(
+  exeContext: ExecutionContext,
+  initialResult: ExecutionResult,
+): AsyncGenerator<AsyncExecutionResult, void, void> {
+  const { subsequentPayloads } = exeContext;
+  let hasReturnedInitialResult = false;
+  let isDone = false;
+
+  function race(): Promise<IteratorResult<AsyncExecutionResult, void>> {
+    if (isDone) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    const { signal } = exeContext;
+    if (signal && signal.aborted) {
+      return Promise.resolve(abortedPayload());
+    }
+
+    // Deferred fragments and streamed items nested within a payload are
+    // registered before that payload completes, so an empty list means that
+    // the response is complete. The last payload announced more to come when
+    // the remaining ones were dropped since, so the response ends with a
+    // final payload.
+    if (subsequentPayloads.length === 0) {
+      close();
+      return Promise.resolve({ value: { hasNext: false }, done: false });
+    }
+
+    const racing = subsequentPayloads
+      .filter(record => isPayloadReady(record.state))
+      .map(record => record.promise.then(payload => ({ record, payload })));
+
+    // Settle as soon as the signal is aborted instead of waiting for the
+    // pending payloads.
+    let onAbort;
+    if (signal) {
+      racing.push(
+        new Promise(resolve => {
+          onAbort = () => resolve();
+          signal.addEventListener('abort', onAbort);
+        }),
+      );
+    }
+
+    return Promise.race(racing).then(settled => {
+      if (signal && onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (isDone) {
+        return { value: undefined, done: true };
+      }
+      if (!settled || (signal && signal.aborted)) {
+        return abortedPayload();
+      }
+
+      const { record, payload } = settled;
+      const index = subsequentPayloads.indexOf(record);
+      if (index === -1) {
+        // The payload was dropped while it was being executed.
+        return race();
+      }
+      subsequentPayloads.splice(index, 1);
+      record.state.isDelivered = true;
+
+      const hasNext = subsequentPayloads.length > 0;
+      isDone = !hasNext;
+
+      const value: ExecutionPatchResult = {
+        data: payload.data,
+        path: payload.path,
+        hasNext,
+      };
+      if (payload.label != null) {
+        value.label = payload.label;
+      }
+      if (payload.errors.length > 0) {
+        value.errors = payload.errors;
+      }
+      return { value, done: false };
+    });
+  }
+
+  function close() {
+    isDone = true;
+    subsequentPayloads.length = 0;
+  }
+
+  // Ends the response with a final payload, so that the end of an aborted
+  // response can be told apart from a dropped one.
+  function abortedPayload(): IteratorResult<AsyncExecutionResult, void> {
+    close();
+    return {
+      value: { errors: [abortedError()], hasNext: false },
+      done: false,
+    };
+  }
+
+  /* TODO: Flow doesn't support symbols as keys:
+     https://github.com/facebook/flow/issues/3258 */
+  return ({
+    next() {
+      if (!hasReturnedInitialResult) {
+        hasReturnedInitialResult = true;
+        return Promise.resolve({
+          value: { ...initialResult, hasNext: true },
+          done: false,
+        });
+      }
+      return race();
+    },
+    return() {
+      close();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error) {
+      close();
+      return Promise.reject(error);
+    },
+    [$$asyncIterator]() {
+      return this;
+    },
+  }: any);
 }
 
 /**
@@ -280,7 +698,79 @@ export function buildExecutionContext(
   operationName: ?string,
   fieldResolver: ?GraphQLFieldResolver<mixed, mixed>,
   typeResolver?: ?GraphQLTypeResolver<mixed, mixed>,
+  signal?: ?AbortSignalLike,
+  fieldMiddleware?: ?$ReadOnlyArray<GraphQLFieldMiddleware>,
+  tracer?: ?ExecutionTracer,
+  errorPropagation?: ?boolean,
 ): $ReadOnlyArray<GraphQLError> | ExecutionContext {
+  const operationAndFragments = getOperationAndFragments(
+    document,
+    operationName,
+  );
+  if (Array.isArray(operationAndFragments)) {
+    return operationAndFragments;
+  }
+  const { operation, fragments } = operationAndFragments;
+
+  const coercedVariableValues = getVariableValues(
+    schema,
+    operation.variableDefinitions || [],
+    rawVariableValues || {},
+    { maxErrors: 50 },
+  );
+
+  if (coercedVariableValues.errors) {
+    return coercedVariableValues.errors;
+  }
+
+  return {
+    schema,
+    fragments,
+    rootValue,
+    contextValue,
+    operation,
+    variableValues: coercedVariableValues.coerced,
+    fieldResolver: fieldResolver || defaultFieldResolver,
+    typeResolver: typeResolver || defaultTypeResolver,
+    errors: [],
+    subsequentPayloads: [],
+    payload: createPayloadState(undefined, undefined, []),
+    resultExtensions: Object.create(null),
+    errorPropagation: shouldPropagateErrors(operation, errorPropagation),
+    signal,
+    fieldMiddleware: fieldMiddleware || [],
+    tracer,
+    plan: undefined,
+  };
+}
+
+/**
+ * Returns whether errors of non-null fields propagate to their parents, which
+ * may be disabled for the execution or by the operation itself.
+ */
+function shouldPropagateErrors(
+  operation: OperationDefinitionNode,
+  errorPropagation: ?boolean,
+): boolean {
+  return (
+    errorPropagation !== false &&
+    getDirectiveValues(GraphQLDisableErrorPropagationDirective, operation) ===
+      undefined
+  );
+}
+
+/**
+ * Finds the operation to execute and the fragments of the document.
+ */
+function getOperationAndFragments(
+  document: DocumentNode,
+  operationName: ?string,
+):
+  | $ReadOnlyArray<GraphQLError>
+  | {|
+      operation: OperationDefinitionNode,
+      fragments: ObjMap<FragmentDefinitionNode>,
+    |} {
   let operation: OperationDefinitionNode | void;
   const fragments: ObjMap<FragmentDefinitionNode> = Object.create(null);
   for (const definition of document.definitions) {
@@ -311,29 +801,208 @@ export function buildExecutionContext(
     }
     return [new GraphQLError('Must provide an operation.')];
   }
+  return { operation, fragments };
+}
+
+/**
+ * Constructs an ExecutionPlan for the operation of the document, which is
+ * shared by executions of the operation using `executePlan`.
+ *
+ * Returns a list of GraphQLErrors if the operation cannot be found.
+ *
+ * @internal
+ */
+export function buildExecutionPlan(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  operationName: ?string,
+  fieldResolver: ?GraphQLFieldResolver<mixed, mixed>,
+  typeResolver: ?GraphQLTypeResolver<mixed, mixed>,
+  fieldMiddleware: ?$ReadOnlyArray<GraphQLFieldMiddleware>,
+  errorPropagation: ?boolean,
+): $ReadOnlyArray<GraphQLError> | ExecutionPlan {
+  const operationAndFragments = getOperationAndFragments(
+    document,
+    operationName,
+  );
+  if (Array.isArray(operationAndFragments)) {
+    return operationAndFragments;
+  }
+
+  const collectionVariables = [];
+  visit(document, {
+    FragmentSpread(node) {
+      for (const argument of node.arguments || []) {
+        visit(argument, {
+          Variable(variable) {
+            collectionVariables.push(variable.name.value);
+          },
+        });
+      }
+    },
+    Directive(node) {
+      const directiveName = node.name.value;
+      if (
+        directiveName === GraphQLSkipDirective.name ||
+        directiveName === GraphQLIncludeDirective.name ||
+        directiveName === GraphQLDeferDirective.name ||
+        directiveName === GraphQLStreamDirective.name
+      ) {
+        visit(node, {
+          Variable(variable) {
+            collectionVariables.push(variable.name.value);
+          },
+        });
+      }
+      return false;
+    },
+  });
+
+  const { operation, fragments } = operationAndFragments;
+  return {
+    schema,
+    fragments,
+    operation,
+    fieldResolver: fieldResolver || defaultFieldResolver,
+    typeResolver: typeResolver || defaultTypeResolver,
+    fieldMiddleware: fieldMiddleware || [],
+    errorPropagation: shouldPropagateErrors(operation, errorPropagation),
+    collectionVariables,
+    collectionContexts: new LRUCache(MAX_COLLECTION_CONTEXTS),
+  };
+}
 
+/**
+ * Executes the operation of an ExecutionPlan, only coercing the variable
+ * values before executing the operation. The signal and tracer are those of
+ * this execution, as described by `execute`.
+ *
+ * @internal
+ */
+export function executePlan(
+  plan: ExecutionPlan,
+  rootValue: mixed,
+  contextValue: mixed,
+  rawVariableValues: ?{ +[variable: string]: mixed, ... },
+  signal?: ?AbortSignalLike,
+  tracer?: ?ExecutionTracer,
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+> {
+  devAssert(
+    rawVariableValues == null || isObjectLike(rawVariableValues),
+    'Variables must be provided as an Object where each property is a variable value. Perhaps look to see if an unparsed JSON string was provided.',
+  );
+
+  // If the operation was aborted before it started, there is nothing to do.
+  if (signal && signal.aborted) {
+    return { errors: [abortedError()] };
+  }
+
+  const { schema, operation } = plan;
   const coercedVariableValues = getVariableValues(
     schema,
     operation.variableDefinitions || [],
     rawVariableValues || {},
     { maxErrors: 50 },
   );
-
   if (coercedVariableValues.errors) {
-    return coercedVariableValues.errors;
+    return { errors: coercedVariableValues.errors };
   }
 
-  return {
+  const exeContext = {
     schema,
-    fragments,
+    fragments: plan.fragments,
     rootValue,
     contextValue,
     operation,
     variableValues: coercedVariableValues.coerced,
-    fieldResolver: fieldResolver || defaultFieldResolver,
-    typeResolver: typeResolver || defaultTypeResolver,
+    fieldResolver: plan.fieldResolver,
+    typeResolver: plan.typeResolver,
     errors: [],
+    subsequentPayloads: [],
+    payload: createPayloadState(undefined, undefined, []),
+    resultExtensions: Object.create(null),
+    errorPropagation: plan.errorPropagation,
+    signal,
+    fieldMiddleware: plan.fieldMiddleware,
+    tracer,
+    plan,
   };
+  const endExecution = tracer ? tracer.startPhase('execution') : undefined;
+  const data = executeOperation(exeContext, operation, rootValue);
+  const response = buildResponse(exeContext, data, endExecution);
+  return signal ? abortableResponse(response, signal) : response;
+}
+
+/**
+ * Returns the context used to collect fields. When executing a plan, this is
+ * a context shared by every execution using the same values for the variables
+ * of @skip, @include, @defer, @stream and fragment spread arguments, so
+ * collected fields are memoized across executions.
+ */
+function getCollectionContext(exeContext: ExecutionContext): ExecutionContext {
+  const { plan, variableValues } = exeContext;
+  if (!plan) {
+    return exeContext;
+  }
+  return getPlanCollectionContext(exeContext, plan, variableValues).context;
+}
+
+// The collection context of each execution of a plan, by the variable values
+// of the execution, which are shared by the contexts executing it.
+const planCollectionContexts: WeakMap<
+  { [variable: string]: mixed, ... },
+  CollectionContext,
+> = new WeakMap();
+
+function getPlanCollectionContext(
+  exeContext: ExecutionContext,
+  plan: ExecutionPlan,
+  variableValues: { [variable: string]: mixed, ... },
+): CollectionContext {
+  const cachedCollectionContext = planCollectionContexts.get(variableValues);
+  if (cachedCollectionContext) {
+    return cachedCollectionContext;
+  }
+
+  // Variables which were not provided are keyed apart from null values, since
+  // the default value of the argument is used instead.
+  const collectionVariableValues = {};
+  const keyValues = [];
+  for (const name of plan.collectionVariables) {
+    if (Object.prototype.hasOwnProperty.call(variableValues, name)) {
+      collectionVariableValues[name] = variableValues[name];
+      keyValues.push([variableValues[name]]);
+    } else {
+      keyValues.push([]);
+    }
+  }
+  const key = JSON.stringify(keyValues);
+  let collectionContext = plan.collectionContexts.get(key);
+  if (!collectionContext) {
+    // Only the values of the collection variables are kept, since they are
+    // the only ones used to collect fields. The state of the execution which
+    // creates the context is not kept either.
+    collectionContext = {
+      context: {
+        ...exeContext,
+        rootValue: undefined,
+        contextValue: undefined,
+        variableValues: collectionVariableValues,
+        errors: [],
+        subsequentPayloads: [],
+        payload: createPayloadState(undefined, undefined, []),
+        resultExtensions: Object.create(null),
+        signal: undefined,
+        tracer: undefined,
+      },
+      argumentValues: new Map(),
+    };
+    plan.collectionContexts.set(key, collectionContext);
+  }
+  planCollectionContexts.set(variableValues, collectionContext);
+  return collectionContext;
 }
 
 /**
@@ -345,16 +1014,25 @@ function executeOperation(
   rootValue: mixed,
 ): PromiseOrValue<ObjMap<mixed> | null> {
   const type = getOperationRootType(exeContext.schema, operation);
-  const fields = collectFields(
-    exeContext,
+  const { fields, patches } = collectRootFields(
+    getCollectionContext(exeContext),
     type,
     operation.selectionSet,
-    Object.create(null),
-    Object.create(null),
   );
 
   const path = undefined;
 
+  for (const patch of patches) {
+    addDeferredFragment(
+      exeContext,
+      patch.label,
+      path,
+      type,
+      rootValue,
+      patch.fields,
+    );
+  }
+
   // Errors from sub-fields of a NonNull type may propagate to the top level,
   // at which point we still log the error and null the parent field, which
   // in this case is the entire response.
@@ -368,12 +1046,14 @@ function executeOperation(
     if (isPromise(result)) {
       return result.then(undefined, error => {
         exeContext.errors.push(error);
+        nullPath(exeContext, path);
         return Promise.resolve(null);
       });
     }
     return result;
   } catch (error) {
     exeContext.errors.push(error);
+    nullPath(exeContext, path);
     return null;
   }
 }
@@ -392,6 +1072,7 @@ function executeFieldsSerially(
   return promiseReduce(
     Object.keys(fields),
     (results, responseName) => {
+      assertNotAborted(exeContext);
       const fieldNodes = fields[responseName];
       const fieldPath = addPath(path, responseName);
       const result = resolveField(
@@ -432,6 +1113,7 @@ function executeFields(
   let containsPromise = false;
 
   for (const responseName of Object.keys(fields)) {
+    assertNotAborted(exeContext);
     const fieldNodes = fields[responseName];
     const fieldPath = addPath(path, responseName);
     const result = resolveField(
@@ -469,6 +1151,10 @@ function executeFields(
  * returns an Interface or Union type, the "runtime type" will be the actual
  * Object type returned by that field.
  *
+ * If a list of patches is passed, the fields of fragments marked with
+ * `@defer` are collected separately and added to that list, otherwise such
+ * fragments are collected as if they were not deferred.
+ *
  * @internal
  */
 export function collectFields(
@@ -477,6 +1163,7 @@ export function collectFields(
   selectionSet: SelectionSetNode,
   fields: ObjMap<Array<FieldNode>>,
   visitedFragmentNames: ObjMap<boolean>,
+  patches?: Array<DeferredFragment>,
 ): ObjMap<Array<FieldNode>> {
   for (const selection of selectionSet.selections) {
     switch (selection.kind) {
@@ -498,12 +1185,28 @@ export function collectFields(
         ) {
           continue;
         }
+        const defer = patches && getDeferValues(exeContext, selection);
+        if (patches && defer) {
+          patches.push({
+            label: defer.label,
+            fields: collectFields(
+              exeContext,
+              runtimeType,
+              selection.selectionSet,
+              Object.create(null),
+              visitedFragmentNames,
+              patches,
+            ),
+          });
+          continue;
+        }
         collectFields(
           exeContext,
           runtimeType,
           selection.selectionSet,
           fields,
           visitedFragmentNames,
+          patches,
         );
         break;
       }
@@ -523,12 +1226,33 @@ export function collectFields(
         ) {
           continue;
         }
+        const fragmentSelectionSet = getFragmentSelectionSet(
+          exeContext,
+          fragment,
+          selection,
+        );
+        const defer = patches && getDeferValues(exeContext, selection);
+        if (patches && defer) {
+          patches.push({
+            label: defer.label,
+            fields: collectFields(
+              exeContext,
+              runtimeType,
+              fragmentSelectionSet,
+              Object.create(null),
+              visitedFragmentNames,
+              patches,
+            ),
+          });
+          continue;
+        }
         collectFields(
           exeContext,
           runtimeType,
-          fragment.selectionSet,
+          fragmentSelectionSet,
           fields,
           visitedFragmentNames,
+          patches,
         );
         break;
       }
@@ -537,6 +1261,84 @@ export function collectFields(
   return fields;
 }
 
+/**
+ * Returns the selection set of a spread fragment. Variables defined by the
+ * fragment are scoped to it, so they are replaced by the values of the
+ * arguments of the spread, falling back to their default values. Arguments
+ * and input object fields given a variable without a value are removed, as if
+ * the variable had not been provided.
+ *
+ * Note: fragment variables are experimental and may be changed or removed in
+ * the future.
+ */
+function getFragmentSelectionSet(
+  exeContext: ExecutionContext,
+  fragment: FragmentDefinitionNode,
+  spread: FragmentSpreadNode,
+): SelectionSetNode {
+  const variableDefinitions = fragment.variableDefinitions;
+  if (!variableDefinitions || variableDefinitions.length === 0) {
+    return fragment.selectionSet;
+  }
+
+  const { variableValues } = exeContext;
+  const fragmentVariableValues: ObjMap<?ValueNode> = Object.create(null);
+  for (const variableDefinition of variableDefinitions) {
+    const name = variableDefinition.variable.name.value;
+    const argumentNode = find(
+      spread.arguments || [],
+      arg => arg.name.value === name,
+    );
+    const valueNode = argumentNode && argumentNode.value;
+    fragmentVariableValues[name] =
+      valueNode &&
+      (valueNode.kind !== Kind.VARIABLE ||
+        Object.prototype.hasOwnProperty.call(
+          variableValues,
+          valueNode.name.value,
+        ))
+        ? valueNode
+        : variableDefinition.defaultValue;
+  }
+
+  const isMissingVariable = (valueNode: ValueNode): boolean =>
+    valueNode.kind === Kind.VARIABLE &&
+    valueNode.name.value in fragmentVariableValues &&
+    !fragmentVariableValues[valueNode.name.value];
+
+  return visit(fragment.selectionSet, {
+    Argument: node => (isMissingVariable(node.value) ? null : undefined),
+    ObjectField: node => (isMissingVariable(node.value) ? null : undefined),
+    Variable(node) {
+      const name = node.name.value;
+      if (name in fragmentVariableValues) {
+        return fragmentVariableValues[name] || { kind: Kind.NULL };
+      }
+    },
+  });
+}
+
+/**
+ * A memoized collection of the fields of the operation, see collectSubfields.
+ */
+const collectRootFields = memoize3(_collectRootFields);
+function _collectRootFields(
+  exeContext: ExecutionContext,
+  rootType: GraphQLObjectType,
+  selectionSet: SelectionSetNode,
+): FieldsAndPatches {
+  const patches = [];
+  const fields = collectFields(
+    exeContext,
+    rootType,
+    selectionSet,
+    Object.create(null),
+    Object.create(null),
+    patches,
+  );
+  return { fields, patches };
+}
+
 /**
  * Determines if a field should be included based on the @include and @skip
  * directives, where @skip has higher precedence than @include.
@@ -565,6 +1367,63 @@ function shouldIncludeNode(
   return true;
 }
 
+/**
+ * Returns the arguments of the @defer directive of a fragment if it should be
+ * deferred. Subscriptions are never delivered incrementally.
+ */
+function getDeferValues(
+  exeContext: ExecutionContext,
+  node: FragmentSpreadNode | InlineFragmentNode,
+): void | {| label: ?string |} {
+  const defer = getDirectiveValues(
+    GraphQLDeferDirective,
+    node,
+    exeContext.variableValues,
+  );
+  if (
+    !defer ||
+    defer.if === false ||
+    exeContext.operation.operation === 'subscription'
+  ) {
+    return;
+  }
+  return { label: typeof defer.label === 'string' ? defer.label : undefined };
+}
+
+/**
+ * Returns the arguments of the @stream directive of a field if it should be
+ * streamed. Subscriptions are never delivered incrementally.
+ */
+function getStreamValues(
+  exeContext: ExecutionContext,
+  fieldNodes: $ReadOnlyArray<FieldNode>,
+): void | {| initialCount: number, label: ?string |} {
+  const stream = getDirectiveValues(
+    GraphQLStreamDirective,
+    fieldNodes[0],
+    exeContext.variableValues,
+  );
+  if (
+    !stream ||
+    stream.if === false ||
+    exeContext.operation.operation === 'subscription'
+  ) {
+    return;
+  }
+
+  const { initialCount } = stream;
+  if (!isInteger(initialCount) || initialCount < 0) {
+    throw new GraphQLError(
+      'initialCount must be a non-negative integer',
+      fieldNodes,
+    );
+  }
+  return {
+    initialCount,
+    label: typeof stream.label === 'string' ? stream.label : undefined,
+  };
+}
+
 /**
  * Determines if a fragment is applicable to the given type.
  */
@@ -636,9 +1495,16 @@ function resolveField(
     info,
   );
 
+  // Client controlled nullability may require or relax the non-null types of
+  // the field and its list items.
+  const returnType = applyNullabilityAssertion(
+    fieldDef.type,
+    fieldNode.nullabilityAssertion,
+  );
+
   return completeValueCatchingError(
     exeContext,
-    fieldDef.type,
+    returnType,
     fieldNodes,
     info,
     path,
@@ -669,6 +1535,8 @@ export function buildResolveInfo(
     rootValue: exeContext.rootValue,
     operation: exeContext.operation,
     variableValues: exeContext.variableValues,
+    signal: exeContext.signal,
+    resultExtensions: exeContext.resultExtensions,
   };
 }
 
@@ -686,28 +1554,182 @@ export function resolveFieldValueOrError(
   source: mixed,
   info: GraphQLResolveInfo,
 ): Error | mixed {
+  const { fieldMiddleware, tracer } = exeContext;
+  const endField = tracer ? tracer.startField(info.path) : undefined;
   try {
     // Build a JS object of arguments from the field.arguments AST, using the
     // variables scope to fulfill any variable references.
-    // TODO: find a way to memoize, in case this field is within a List type.
-    const args = getArgumentValues(
-      fieldDef,
-      fieldNodes[0],
-      exeContext.variableValues,
-    );
+    const args = getFieldArgumentValues(exeContext, fieldDef, fieldNodes[0]);
 
     // The resolve function's optional third argument is a context value that
     // is provided to every resolve function within an execution. It is commonly
     // used to represent an authenticated user, or request-specific caches.
     const contextValue = exeContext.contextValue;
 
-    const result = resolveFn(source, args, contextValue, info);
+    const result =
+      fieldMiddleware.length === 0
+        ? resolveFn(source, args, contextValue, info)
+        : getWrappedResolver(fieldMiddleware, resolveFn)(
+            source,
+            args,
+            contextValue,
+            info,
+          );
+
+    if (endField) {
+      return traceFieldValue(result, endField);
+    }
     return isPromise(result) ? result.then(undefined, asErrorInstance) : result;
   } catch (error) {
+    if (endField) {
+      endField();
+    }
     return asErrorInstance(error);
   }
 }
 
+/**
+ * Ends the trace of a field once its resolved value is available.
+ */
+function traceFieldValue(result: mixed, endField: () => void): mixed {
+  if (isPromise(result)) {
+    return result.then(
+      resolved => {
+        endField();
+        return resolved;
+      },
+      error => {
+        endField();
+        return asErrorInstance(error);
+      },
+    );
+  }
+  endField();
+  return result;
+}
+
+/**
+ * Returns the argument values of a field. When executing a plan, the values of
+ * arguments which do not use variables are coerced once, and every execution
+ * is given its own copy of them, so that resolvers may mutate them as usual.
+ */
+function getFieldArgumentValues(
+  exeContext: ExecutionContext,
+  fieldDef: GraphQLField<mixed, mixed>,
+  fieldNode: FieldNode,
+): { [argument: string]: mixed, ... } {
+  const { plan, variableValues } = exeContext;
+  if (!plan) {
+    return getArgumentValues(fieldDef, fieldNode, variableValues);
+  }
+
+  const { argumentValues } = getPlanCollectionContext(
+    exeContext,
+    plan,
+    variableValues,
+  );
+  let argumentValuesByField = argumentValues.get(fieldNode);
+  if (argumentValuesByField === undefined) {
+    let usesVariables = false;
+    visit(fieldNode, {
+      Directive: () => false,
+      SelectionSet: () => false,
+      Variable() {
+        usesVariables = true;
+        return BREAK;
+      },
+    });
+    argumentValuesByField = usesVariables ? null : new Map();
+    argumentValues.set(fieldNode, argumentValuesByField);
+  }
+
+  if (argumentValuesByField === null) {
+    return getArgumentValues(fieldDef, fieldNode, variableValues);
+  }
+
+  let args = argumentValuesByField.get(fieldDef);
+  if (args === undefined) {
+    args = getArgumentValues(fieldDef, fieldNode, variableValues);
+    argumentValuesByField.set(fieldDef, args);
+  }
+
+  const argsCopy = {};
+  for (const argDef of fieldDef.args) {
+    if (Object.prototype.hasOwnProperty.call(args, argDef.name)) {
+      argsCopy[argDef.name] = copyInputValue(args[argDef.name], argDef.type);
+    }
+  }
+  return argsCopy;
+}
+
+// Copies the lists and input objects of a coerced input value. The values of
+// custom scalars are left as they are.
+function copyInputValue(value: mixed, type: GraphQLInputType): mixed {
+  if (isNonNullType(type)) {
+    return copyInputValue(value, type.ofType);
+  }
+  if (isListType(type) && Array.isArray(value)) {
+    const itemType = type.ofType;
+    return value.map(itemValue => copyInputValue(itemValue, itemType));
+  }
+  if (isInputObjectType(type) && isObjectLike(value)) {
+    const copy = Object.create(null);
+    for (const field of objectValues(type.getFields())) {
+      if (Object.prototype.hasOwnProperty.call(value, field.name)) {
+        copy[field.name] = copyInputValue(value[field.name], field.type);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+// The resolvers wrapped with each list of middleware, so that the middleware
+// chain of a resolver is composed once per execution or compiled query.
+const wrappedResolvers: WeakMap<
+  $ReadOnlyArray<GraphQLFieldMiddleware>,
+  WeakMap<
+    GraphQLFieldResolver<mixed, mixed>,
+    GraphQLFieldResolver<mixed, mixed>,
+  >,
+> = new WeakMap();
+
+function getWrappedResolver(
+  fieldMiddleware: $ReadOnlyArray<GraphQLFieldMiddleware>,
+  resolveFn: GraphQLFieldResolver<mixed, mixed>,
+): GraphQLFieldResolver<mixed, mixed> {
+  let resolvers = wrappedResolvers.get(fieldMiddleware);
+  if (!resolvers) {
+    resolvers = new WeakMap();
+    wrappedResolvers.set(fieldMiddleware, resolvers);
+  }
+
+  let wrappedResolver = resolvers.get(resolveFn);
+  if (!wrappedResolver) {
+    wrappedResolver = applyFieldMiddleware(fieldMiddleware, 0, resolveFn);
+    resolvers.set(resolveFn, wrappedResolver);
+  }
+  return wrappedResolver;
+}
+
+/**
+ * Wraps the resolver with the middleware following the given index, the first
+ * one being the outermost.
+ */
+function applyFieldMiddleware(
+  fieldMiddleware: $ReadOnlyArray<GraphQLFieldMiddleware>,
+  index: number,
+  resolveFn: GraphQLFieldResolver<mixed, mixed>,
+): GraphQLFieldResolver<mixed, mixed> {
+  if (index === fieldMiddleware.length) {
+    return resolveFn;
+  }
+  const middleware = fieldMiddleware[index];
+  const next = applyFieldMiddleware(fieldMiddleware, index + 1, resolveFn);
+  return (source, args, contextValue, info) =>
+    middleware(next, source, args, contextValue, info);
+}
+
 // Sometimes a non-error is thrown, wrap it as an Error instance to ensure a
 // consistent Error interface.
 function asErrorInstance(error: mixed): Error {
@@ -766,13 +1788,15 @@ function handleFieldError(rawError, fieldNodes, path, returnType, exeContext) {
 
   // If the field type is non-nullable, then it is resolved without any
   // protection from errors, however it still properly locates the error.
-  if (isNonNullType(returnType)) {
+  // Unless error propagation is disabled, which protects every field.
+  if (isNonNullType(returnType) && exeContext.errorPropagation) {
     throw error;
   }
 
   // Otherwise, error protection is applied, logging the error and resolving
   // a null value for this field if one is encountered.
   exeContext.errors.push(error);
+  nullPath(exeContext, path);
   return null;
 }
 
@@ -834,8 +1858,14 @@ function completeValue(
     return null;
   }
 
-  // If field type is List, complete each item in the list with the inner type
+  // If field type is List, complete each item in the list with the inner type.
+  // Only the list of the field itself may be streamed: the path of a nested
+  // list ends with the index of the item holding it.
   if (isListType(returnType)) {
+    const stream =
+      typeof path.key === 'string'
+        ? getStreamValues(exeContext, fieldNodes)
+        : undefined;
     return completeListValue(
       exeContext,
       returnType,
@@ -843,6 +1873,7 @@ function completeValue(
       info,
       path,
       result,
+      stream,
     );
   }
 
@@ -896,6 +1927,7 @@ function completeListValue(
   info: GraphQLResolveInfo,
   path: Path,
   result: mixed,
+  stream: void | {| initialCount: number, label: ?string |},
 ): PromiseOrValue<$ReadOnlyArray<mixed>> {
   if (!isCollection(result)) {
     throw new GraphQLError(
@@ -908,10 +1940,31 @@ function completeListValue(
   const itemType = returnType.ofType;
   let containsPromise = false;
   const completedResults = [];
+  let previousItemState;
   forEach((result: any), (item, index) => {
+    // Throwing stops walking the remaining items of the list.
+    assertNotAborted(exeContext);
+
     // No need to modify the info object containing the path,
     // since from here on it is not ever accessed by resolver functions.
     const fieldPath = addPath(path, index);
+
+    // Items past the initial count of a streamed list are delivered in
+    // subsequent payloads.
+    if (stream && index >= stream.initialCount) {
+      previousItemState = addStreamedItem(
+        exeContext,
+        stream.label,
+        fieldPath,
+        itemType,
+        fieldNodes,
+        info,
+        item,
+        previousItemState,
+      );
+      return;
+    }
+
     const completedItem = completeValueCatchingError(
       exeContext,
       itemType,
@@ -1095,8 +2148,32 @@ function collectAndExecuteSubfields(
   result: mixed,
 ): PromiseOrValue<ObjMap<mixed>> {
   // Collect sub-fields to execute to complete this value.
-  const subFieldNodes = collectSubfields(exeContext, returnType, fieldNodes);
-  return executeFields(exeContext, returnType, result, path, subFieldNodes);
+  const { fields: subFieldNodes, patches } = collectSubfields(
+    getCollectionContext(exeContext),
+    returnType,
+    fieldNodes,
+  );
+
+  const subFields = executeFields(
+    exeContext,
+    returnType,
+    result,
+    path,
+    subFieldNodes,
+  );
+
+  for (const patch of patches) {
+    addDeferredFragment(
+      exeContext,
+      patch.label,
+      path,
+      returnType,
+      result,
+      patch.fields,
+    );
+  }
+
+  return subFields;
 }
 
 /**
@@ -1109,9 +2186,10 @@ function _collectSubfields(
   exeContext: ExecutionContext,
   returnType: GraphQLObjectType,
   fieldNodes: $ReadOnlyArray<FieldNode>,
-): ObjMap<Array<FieldNode>> {
+): FieldsAndPatches {
   let subFieldNodes = Object.create(null);
   const visitedFragmentNames = Object.create(null);
+  const patches = [];
   for (const node of fieldNodes) {
     if (node.selectionSet) {
       subFieldNodes = collectFields(
@@ -1120,10 +2198,180 @@ function _collectSubfields(
         node.selectionSet,
         subFieldNodes,
         visitedFragmentNames,
+        patches,
       );
     }
   }
-  return subFieldNodes;
+  return { fields: subFieldNodes, patches };
+}
+
+/**
+ * Executes the fields of a deferred fragment and registers the result as a
+ * subsequent payload. Execution starts once the current synchronous pass has
+ * finished, so that it never delays the initial payload.
+ */
+function addDeferredFragment(
+  exeContext: ExecutionContext,
+  label: ?string,
+  path: Path | void,
+  parentType: GraphQLObjectType,
+  sourceValue: mixed,
+  fields: ObjMap<Array<FieldNode>>,
+): void {
+  const state = addPayloadState(exeContext, path);
+  if (!state) {
+    return;
+  }
+
+  const errors = [];
+  const patchContext = { ...exeContext, errors, payload: state };
+  const data = Promise.resolve()
+    .then(() =>
+      executeFields(patchContext, parentType, sourceValue, path, fields),
+    )
+    .then(undefined, error => {
+      // Non-null errors propagate up to the deferred fragment itself.
+      errors.push(error);
+      nullPath(patchContext, path);
+      return null;
+    });
+
+  exeContext.subsequentPayloads.push({
+    state,
+    promise: data.then(resolved => ({
+      errors,
+      data: resolved,
+      path: state.path,
+      label,
+    })),
+  });
+}
+
+/**
+ * Completes a single item of a streamed list and registers the result as a
+ * subsequent payload, delivered after the one of the previous item.
+ */
+function addStreamedItem(
+  exeContext: ExecutionContext,
+  label: ?string,
+  path: Path,
+  itemType: GraphQLOutputType,
+  fieldNodes: $ReadOnlyArray<FieldNode>,
+  info: GraphQLResolveInfo,
+  item: mixed,
+  previous: ?PayloadState,
+): PayloadState | void {
+  const state = addPayloadState(exeContext, path, previous);
+  if (!state) {
+    return;
+  }
+
+  const errors = [];
+  const patchContext = { ...exeContext, errors, payload: state };
+  const data = Promise.resolve()
+    .then(() =>
+      completeValueCatchingError(
+        patchContext,
+        itemType,
+        fieldNodes,
+        info,
+        path,
+        item,
+      ),
+    )
+    .then(undefined, error => {
+      // Non-null errors propagate up to the streamed item itself.
+      errors.push(error);
+      nullPath(patchContext, path);
+      return null;
+    });
+
+  exeContext.subsequentPayloads.push({
+    state,
+    promise: data.then(resolved => ({
+      errors,
+      data: resolved,
+      path: state.path,
+      label,
+    })),
+  });
+  return state;
+}
+
+// The initial payload, which has no parent, is always delivered first.
+function createPayloadState(
+  parent: ?PayloadState,
+  previous: ?PayloadState,
+  path: $ReadOnlyArray<string | number>,
+): PayloadState {
+  return {
+    parent,
+    previous,
+    path,
+    nulledPaths: [],
+    isDropped: false,
+    isDelivered: !parent,
+  };
+}
+
+/**
+ * Returns the state of a subsequent payload registered at the given path by
+ * the payload being executed, or undefined if the data at that path was
+ * already nulled.
+ */
+function addPayloadState(
+  exeContext: ExecutionContext,
+  path: Path | void,
+  previous?: ?PayloadState,
+): PayloadState | void {
+  const state = createPayloadState(
+    exeContext.payload,
+    previous,
+    pathToArray(path),
+  );
+  if (!isPayloadDropped(state)) {
+    return state;
+  }
+}
+
+/**
+ * Records that the data at the given path of the payload being executed was
+ * nulled by an error, and drops the subsequent payloads which belong to it.
+ */
+function nullPath(exeContext: ExecutionContext, path: Path | void): void {
+  exeContext.payload.nulledPaths.push(pathToArray(path));
+
+  const { subsequentPayloads } = exeContext;
+  for (let i = subsequentPayloads.length - 1; i >= 0; i--) {
+    if (isPayloadDropped(subsequentPayloads[i].state)) {
+      subsequentPayloads.splice(i, 1);
+    }
+  }
+}
+
+function isPayloadDropped(state: PayloadState): boolean {
+  const { parent } = state;
+  if (!state.isDropped && parent) {
+    state.isDropped =
+      isPayloadDropped(parent) ||
+      parent.nulledPaths.some(nulledPath =>
+        nulledPath.every((key, index) => state.path[index] === key),
+      );
+  }
+  return state.isDropped;
+}
+
+/**
+ * Returns whether a subsequent payload may be delivered: the payload which
+ * registered it and the previous item of a streamed list were delivered, or
+ * the previous item was dropped.
+ */
+function isPayloadReady(state: PayloadState): boolean {
+  const { parent, previous } = state;
+  return (
+    (!parent || parent.isDelivered) &&
+    (!previous || previous.isDelivered || isPayloadDropped(previous))
+  );
 }
 
 /**
@@ -6,6 +6,24 @@ export {
   defaultTypeResolver,
   ExecutionArgs,
   ExecutionResult,
+  ExecutionPatchResult,
+  AsyncExecutionResult,
+  GraphQLFieldMiddleware,
 } from './execute';
 
 export { getDirectiveValues } from './values';
+
+export {
+  compileQuery,
+  CompileQueryOptions,
+  CompiledQuery,
+  CompiledQueryRunOptions,
+} from './compileQuery';
+
+export {
+  ExecutionTracer,
+  ExecutionTracerOptions,
+  ExecutionTrace,
+  TraceTiming,
+  TracePhase,
+} from './ExecutionTracer';
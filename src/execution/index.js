@@ -3,6 +3,27 @@
 export { pathToArray as responsePathAsArray } from '../jsutils/Path';
 
 export { execute, defaultFieldResolver, defaultTypeResolver } from './execute';
-export type { ExecutionArgs, ExecutionResult } from './execute';
+export type {
+  ExecutionArgs,
+  ExecutionResult,
+  ExecutionPatchResult,
+  AsyncExecutionResult,
+  GraphQLFieldMiddleware,
+} from './execute';
 
 export { getDirectiveValues } from './values';
+
+export { compileQuery } from './compileQuery';
+export type {
+  CompileQueryOptions,
+  CompiledQuery,
+  CompiledQueryRunOptions,
+} from './compileQuery';
+
+export { ExecutionTracer } from './ExecutionTracer';
+export type {
+  ExecutionTracerOptions,
+  ExecutionTrace,
+  TraceTiming,
+  TracePhase,
+} from './ExecutionTracer';
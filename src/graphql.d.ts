@@ -1,11 +1,16 @@
 import Maybe from './tsutils/Maybe';
+import { AbortSignalLike } from './jsutils/AbortSignalLike';
 import { Source } from './language/source';
 import { GraphQLSchema } from './type/schema';
 import { GraphQLFieldResolver, GraphQLTypeResolver } from './type/definition';
+import { DocumentCache } from './utilities/DocumentCache';
 import {
   ExecutionResult,
   ExecutionResultDataDefault,
+  AsyncExecutionResult,
+  GraphQLFieldMiddleware,
 } from './execution/execute';
+import { ExecutionTracer } from './execution/ExecutionTracer';
 
 /**
  * This is the primary entry point function for fulfilling GraphQL operations
@@ -41,6 +46,29 @@ import {
  *    A resolver function to use when one is not provided by the schema.
  *    If not provided, the default field resolver is used (which looks for a
  *    value or method on the source value with the field's name).
+ * signal:
+ *    An AbortSignal which, once aborted, stops resolving any remaining fields
+ *    and settles the result with an error. It is also provided to resolver
+ *    functions through the resolve info, so they can cancel their own work.
+ * fieldMiddleware:
+ *    A list of middleware wrapping the resolution of every field, the first
+ *    one being the outermost. See `GraphQLFieldMiddleware`.
+ * tracer:
+ *    An ExecutionTracer recording the duration of parsing, validation and
+ *    execution and the timing of every field, which is included as
+ *    `extensions.tracing` in the result. Parsing and validation are not
+ *    recorded when a documentCache is provided.
+ * errorPropagation:
+ *    When false, a field which raised an error resolves to null even if it is
+ *    non-nullable, instead of the error propagating to the nearest nullable
+ *    parent field.
+ * documentCache:
+ *    A DocumentCache holding previously parsed and validated documents. When
+ *    provided, repeated requests for the same source against the same schema
+ *    skip parsing and validation.
+ *
+ * If the operation uses `@defer` or `@stream`, the Promise resolves to an
+ * AsyncIterator of AsyncExecutionResult instead of a single ExecutionResult.
  */
 export interface GraphQLArgs {
   schema: GraphQLSchema;
@@ -51,11 +79,18 @@ export interface GraphQLArgs {
   operationName?: Maybe<string>;
   fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>;
   typeResolver?: Maybe<GraphQLTypeResolver<any, any>>;
+  signal?: Maybe<AbortSignalLike>;
+  fieldMiddleware?: Maybe<ReadonlyArray<GraphQLFieldMiddleware>>;
+  tracer?: Maybe<ExecutionTracer>;
+  errorPropagation?: Maybe<boolean>;
+  documentCache?: Maybe<DocumentCache>;
 }
 
 export function graphql<TData = ExecutionResultDataDefault>(
   args: GraphQLArgs,
-): Promise<ExecutionResult<TData>>;
+): Promise<
+  ExecutionResult<TData> | AsyncIterableIterator<AsyncExecutionResult<TData>>
+>;
 export function graphql<TData = ExecutionResultDataDefault>(
   schema: GraphQLSchema,
   source: Source | string,
@@ -65,7 +100,9 @@ export function graphql<TData = ExecutionResultDataDefault>(
   operationName?: Maybe<string>,
   fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>,
   typeResolver?: Maybe<GraphQLTypeResolver<any, any>>,
-): Promise<ExecutionResult<TData>>;
+): Promise<
+  ExecutionResult<TData> | AsyncIterableIterator<AsyncExecutionResult<TData>>
+>;
 
 /**
  * The graphqlSync function also fulfills GraphQL operations by parsing,
@@ -1,7 +1,10 @@
 // @flow strict
 
+import { isAsyncIterable } from 'iterall';
+
 import isPromise from './jsutils/isPromise';
 import { type PromiseOrValue } from './jsutils/PromiseOrValue';
+import { type AbortSignalLike } from './jsutils/AbortSignalLike';
 
 import { parse } from './language/parser';
 import { type Source } from './language/source';
@@ -15,7 +18,15 @@ import {
   type GraphQLTypeResolver,
 } from './type/definition';
 
-import { type ExecutionResult, execute } from './execution/execute';
+import { type DocumentCache } from './utilities/DocumentCache';
+
+import {
+  type ExecutionResult,
+  type AsyncExecutionResult,
+  type GraphQLFieldMiddleware,
+  execute,
+} from './execution/execute';
+import { type ExecutionTracer } from './execution/ExecutionTracer';
 
 /**
  * This is the primary entry point function for fulfilling GraphQL operations
@@ -55,6 +66,29 @@ import { type ExecutionResult, execute } from './execution/execute';
  *    A type resolver function to use when none is provided by the schema.
  *    If not provided, the default type resolver is used (which looks for a
  *    `__typename` field or alternatively calls the `isTypeOf` method).
+ * signal:
+ *    An AbortSignal which, once aborted, stops resolving any remaining fields
+ *    and settles the result with an error. It is also provided to resolver
+ *    functions through the resolve info, so they can cancel their own work.
+ * fieldMiddleware:
+ *    A list of middleware wrapping the resolution of every field, the first
+ *    one being the outermost. See `GraphQLFieldMiddleware`.
+ * tracer:
+ *    An ExecutionTracer recording the duration of parsing, validation and
+ *    execution and the timing of every field, which is included as
+ *    `extensions.tracing` in the result. Parsing and validation are not
+ *    recorded when a documentCache is provided.
+ * errorPropagation:
+ *    When false, a field which raised an error resolves to null even if it is
+ *    non-nullable, instead of the error propagating to the nearest nullable
+ *    parent field.
+ * documentCache:
+ *    A DocumentCache holding previously parsed and validated documents. When
+ *    provided, repeated requests for the same source against the same schema
+ *    skip parsing and validation.
+ *
+ * If the operation uses `@defer` or `@stream`, the Promise resolves to an
+ * AsyncIterator of AsyncExecutionResult instead of a single ExecutionResult.
  */
 export type GraphQLArgs = {|
   schema: GraphQLSchema,
@@ -65,8 +99,16 @@ export type GraphQLArgs = {|
   operationName?: ?string,
   fieldResolver?: ?GraphQLFieldResolver<any, any>,
   typeResolver?: ?GraphQLTypeResolver<any, any>,
+  signal?: ?AbortSignalLike,
+  fieldMiddleware?: ?$ReadOnlyArray<GraphQLFieldMiddleware>,
+  tracer?: ?ExecutionTracer,
+  errorPropagation?: ?boolean,
+  documentCache?: ?DocumentCache,
 |};
-declare function graphql(GraphQLArgs, ..._: []): Promise<ExecutionResult>;
+declare function graphql(
+  GraphQLArgs,
+  ..._: []
+): Promise<ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>>;
 /* eslint-disable no-redeclare */
 declare function graphql(
   schema: GraphQLSchema,
@@ -77,7 +119,7 @@ declare function graphql(
   operationName?: ?string,
   fieldResolver?: ?GraphQLFieldResolver<any, any>,
   typeResolver?: ?GraphQLTypeResolver<any, any>,
-): Promise<ExecutionResult>;
+): Promise<ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>>;
 export function graphql(
   argsOrSchema,
   source,
@@ -154,14 +196,19 @@ export function graphqlSync(
         });
 
   // Assert that the execution was synchronous.
-  if (isPromise(result)) {
+  if (isPromise(result) || isAsyncIterable(result)) {
     throw new Error('GraphQL execution failed to complete synchronously.');
   }
 
-  return result;
+  // Note: Flow can't refine isAsyncIterable, so an explicit cast is used.
+  return ((result: any): ExecutionResult);
 }
 
-function graphqlImpl(args: GraphQLArgs): PromiseOrValue<ExecutionResult> {
+function graphqlImpl(
+  args: GraphQLArgs,
+): PromiseOrValue<
+  ExecutionResult | AsyncGenerator<AsyncExecutionResult, void, void>,
+> {
   const {
     schema,
     source,
@@ -171,6 +218,11 @@ function graphqlImpl(args: GraphQLArgs): PromiseOrValue<ExecutionResult> {
     operationName,
     fieldResolver,
     typeResolver,
+    signal,
+    fieldMiddleware,
+    tracer,
+    errorPropagation,
+    documentCache,
   } = args;
 
   // Validate Schema
@@ -179,18 +231,35 @@ function graphqlImpl(args: GraphQLArgs): PromiseOrValue<ExecutionResult> {
     return { errors: schemaValidationErrors };
   }
 
-  // Parse
   let document;
-  try {
-    document = parse(source);
-  } catch (syntaxError) {
-    return { errors: [syntaxError] };
-  }
+  if (documentCache) {
+    // Parse and validate, unless the document was previously cached
+    const documentOrErrors = documentCache.parseAndValidate(schema, source);
+    if (Array.isArray(documentOrErrors)) {
+      return { errors: documentOrErrors };
+    }
+    document = documentOrErrors;
+  } else {
+    // Parse
+    const endParsing = tracer ? tracer.startPhase('parsing') : undefined;
+    try {
+      document = parse(source);
+    } catch (syntaxError) {
+      return { errors: [syntaxError] };
+    }
+    if (endParsing) {
+      endParsing();
+    }
 
-  // Validate
-  const validationErrors = validate(schema, document);
-  if (validationErrors.length > 0) {
-    return { errors: validationErrors };
+    // Validate
+    const endValidation = tracer ? tracer.startPhase('validation') : undefined;
+    const validationErrors = validate(schema, document);
+    if (endValidation) {
+      endValidation();
+    }
+    if (validationErrors.length > 0) {
+      return { errors: validationErrors };
+    }
   }
 
   // Execute
@@ -203,5 +272,9 @@ function graphqlImpl(args: GraphQLArgs): PromiseOrValue<ExecutionResult> {
     operationName,
     fieldResolver,
     typeResolver,
+    signal,
+    fieldMiddleware,
+    tracer,
+    errorPropagation,
   });
 }
@@ -55,6 +55,13 @@ export {
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
+  // Experimental Directives for incremental delivery
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  // Experimental Directive for null propagation
+  GraphQLDisableErrorPropagationDirective,
   // "Enum" of Type Kinds
   TypeKind,
   // Constant Deprecation Reason
@@ -139,6 +146,7 @@ export {
   Thunk,
   GraphQLSchemaConfig,
   GraphQLDirectiveConfig,
+  GraphQLAppliedDirective,
   GraphQLArgument,
   GraphQLArgumentConfig,
   GraphQLEnumTypeConfig,
@@ -183,6 +191,7 @@ export {
   parse,
   parseValue,
   parseType,
+  parseSchemaCoordinate,
   // Print
   print,
   // Visit
@@ -233,6 +242,10 @@ export {
   SelectionNode,
   FieldNode,
   ArgumentNode,
+  NullabilityAssertionNode,
+  ListNullabilityOperatorNode,
+  NonNullAssertionNode,
+  ErrorBoundaryNode,
   FragmentSpreadNode,
   InlineFragmentNode,
   FragmentDefinitionNode,
@@ -274,6 +287,7 @@ export {
   UnionTypeExtensionNode,
   EnumTypeExtensionNode,
   InputObjectTypeExtensionNode,
+  SchemaCoordinateNode,
 } from './language';
 
 // Execute GraphQL queries.
@@ -283,14 +297,32 @@ export {
   defaultTypeResolver,
   responsePathAsArray,
   getDirectiveValues,
+  compileQuery,
+  ExecutionTracer,
   ExecutionArgs,
   ExecutionResult,
+  ExecutionPatchResult,
+  AsyncExecutionResult,
+  GraphQLFieldMiddleware,
+  CompileQueryOptions,
+  CompiledQuery,
+  CompiledQueryRunOptions,
+  ExecutionTracerOptions,
+  ExecutionTrace,
+  TraceTiming,
+  TracePhase,
 } from './execution';
 
 export {
   subscribe,
   createSourceEventStream,
+  PubSub,
   SubscriptionArgs,
+  SubscriptionHooks,
+  SubscriptionEvent,
+  PubSubOptions,
+  PubSubSubscribeOptions,
+  PubSubOverflowPolicy,
 } from './subscription';
 
 // Validate GraphQL documents.
@@ -300,6 +332,8 @@ export {
   // All validation rules in the GraphQL Specification.
   specifiedRules,
   // Individual validation rules.
+  DeferStreamDirectiveLabelRule,
+  DeferStreamDirectiveOnValidOperationsRule,
   FieldsOnCorrectTypeRule,
   FragmentsOnCompositeTypesRule,
   KnownArgumentNamesRule,
@@ -311,11 +345,13 @@ export {
   NoUndefinedVariablesRule,
   NoUnusedFragmentsRule,
   NoUnusedVariablesRule,
+  NullabilityAssertionListDepthRule,
   OverlappingFieldsCanBeMergedRule,
   PossibleFragmentSpreadsRule,
   ProvidedRequiredArgumentsRule,
   ScalarLeafsRule,
   SingleFieldSubscriptionsRule,
+  StreamDirectiveOnListFieldRule,
   UniqueArgumentNamesRule,
   UniqueDirectivesPerLocationRule,
   UniqueFragmentNamesRule,
@@ -325,7 +361,12 @@ export {
   ValuesOfCorrectTypeRule,
   VariablesAreInputTypesRule,
   VariablesInAllowedPositionRule,
+  // Limits on operation size.
+  createMaxDepthRule,
+  createMaxAliasesRule,
+  createMaxCostRule,
   ValidationRule,
+  MaxCostOptions,
 } from './validation';
 
 // Create, format, and print GraphQL errors.
@@ -363,6 +404,14 @@ export {
   extendSchema,
   // Sort a GraphQLSchema.
   lexicographicSortSchema,
+  // Rebuilds a GraphQLSchema with mapped types, fields and directives.
+  mapSchema,
+  // Removes schema elements and everything left unreachable by their removal.
+  filterSchema,
+  pruneSchema,
+  // Merges several SDL documents or GraphQLSchemas into one.
+  mergeTypeDefs,
+  mergeSchemas,
   // Print a GraphQLSchema to GraphQL Schema language.
   printSchema,
   // Print a GraphQLType to GraphQL Schema language.
@@ -372,6 +421,8 @@ export {
   printIntrospectionSchema,
   // Create a GraphQLType from a GraphQL language AST.
   typeFromAST,
+  // Apply a client controlled nullability assertion to the type of a field.
+  applyNullabilityAssertion,
   // Create a JavaScript value from a GraphQL language AST with a Type.
   valueFromAST,
   // Create a JavaScript value from a GraphQL language AST without a Type.
@@ -382,6 +433,8 @@ export {
   // the GraphQL type system.
   TypeInfo,
   visitWithTypeInfo,
+  // A cache of parsed and validated documents.
+  DocumentCache,
   // Coerces a JavaScript value to a GraphQL type, or produces errors.
   coerceInputValue,
   // Concatenates multiple AST together.
@@ -404,8 +457,16 @@ export {
   DangerousChangeType,
   findBreakingChanges,
   findDangerousChanges,
+  findBreakingChangesForOperations,
+  // Reports every change between two GraphQLSchemas.
+  SchemaChangeType,
+  SchemaChangeCriticality,
+  diffSchemas,
   // Report all deprecated usage within a GraphQL document.
   findDeprecatedUsages,
+  // Resolves the schema element named by a schema coordinate.
+  resolveSchemaCoordinate,
+  resolveASTSchemaCoordinate,
 } from './utilities';
 
 export {
@@ -432,6 +493,17 @@ export {
   IntrospectionEnumValue,
   IntrospectionDirective,
   BuildSchemaOptions,
+  SchemaMapper,
+  SchemaElementPredicate,
+  MergeTypeDefsOptions,
+  MergeSchemasOptions,
   BreakingChange,
   DangerousChange,
+  OperationBreakingChange,
+  AffectedOperation,
+  SchemaChange,
+  DocumentCacheEntry,
+  DocumentCacheStore,
+  DocumentCacheOptions,
+  ResolvedSchemaElement,
 } from './utilities';
@@ -56,6 +56,13 @@ export {
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
+  // Experimental Directives for incremental delivery
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  // Experimental Directive for null propagation
+  GraphQLDisableErrorPropagationDirective,
   // "Enum" of Type Kinds
   TypeKind,
   // Constant Deprecation Reason
@@ -140,6 +147,7 @@ export type {
   Thunk,
   GraphQLSchemaConfig,
   GraphQLDirectiveConfig,
+  GraphQLAppliedDirective,
   GraphQLArgument,
   GraphQLArgumentConfig,
   GraphQLEnumTypeConfig,
@@ -184,6 +192,7 @@ export {
   parse,
   parseValue,
   parseType,
+  parseSchemaCoordinate,
   // Print
   print,
   // Visit
@@ -234,6 +243,10 @@ export type {
   SelectionNode,
   FieldNode,
   ArgumentNode,
+  NullabilityAssertionNode,
+  ListNullabilityOperatorNode,
+  NonNullAssertionNode,
+  ErrorBoundaryNode,
   FragmentSpreadNode,
   InlineFragmentNode,
   FragmentDefinitionNode,
@@ -275,6 +288,7 @@ export type {
   UnionTypeExtensionNode,
   EnumTypeExtensionNode,
   InputObjectTypeExtensionNode,
+  SchemaCoordinateNode,
 } from './language';
 
 // Execute GraphQL queries.
@@ -284,12 +298,34 @@ export {
   defaultTypeResolver,
   responsePathAsArray,
   getDirectiveValues,
+  compileQuery,
+  ExecutionTracer,
 } from './execution';
 
-export type { ExecutionArgs, ExecutionResult } from './execution';
+export type {
+  ExecutionArgs,
+  ExecutionResult,
+  ExecutionPatchResult,
+  AsyncExecutionResult,
+  GraphQLFieldMiddleware,
+  CompileQueryOptions,
+  CompiledQuery,
+  CompiledQueryRunOptions,
+  ExecutionTracerOptions,
+  ExecutionTrace,
+  TraceTiming,
+  TracePhase,
+} from './execution';
 
-export { subscribe, createSourceEventStream } from './subscription';
-export type { SubscriptionArgs } from './subscription';
+export { subscribe, createSourceEventStream, PubSub } from './subscription';
+export type {
+  SubscriptionArgs,
+  SubscriptionHooks,
+  SubscriptionEvent,
+  PubSubOptions,
+  PubSubSubscribeOptions,
+  PubSubOverflowPolicy,
+} from './subscription';
 
 // Validate GraphQL documents.
 export {
@@ -298,6 +334,8 @@ export {
   // All validation rules in the GraphQL Specification.
   specifiedRules,
   // Individual validation rules.
+  DeferStreamDirectiveLabelRule,
+  DeferStreamDirectiveOnValidOperationsRule,
   FieldsOnCorrectTypeRule,
   FragmentsOnCompositeTypesRule,
   KnownArgumentNamesRule,
@@ -309,11 +347,13 @@ export {
   NoUndefinedVariablesRule,
   NoUnusedFragmentsRule,
   NoUnusedVariablesRule,
+  NullabilityAssertionListDepthRule,
   OverlappingFieldsCanBeMergedRule,
   PossibleFragmentSpreadsRule,
   ProvidedRequiredArgumentsRule,
   ScalarLeafsRule,
   SingleFieldSubscriptionsRule,
+  StreamDirectiveOnListFieldRule,
   UniqueArgumentNamesRule,
   UniqueDirectivesPerLocationRule,
   UniqueFragmentNamesRule,
@@ -323,9 +363,13 @@ export {
   ValuesOfCorrectTypeRule,
   VariablesAreInputTypesRule,
   VariablesInAllowedPositionRule,
+  // Limits on operation size.
+  createMaxDepthRule,
+  createMaxAliasesRule,
+  createMaxCostRule,
 } from './validation';
 
-export type { ValidationRule } from './validation';
+export type { ValidationRule, MaxCostOptions } from './validation';
 
 // Create, format, and print GraphQL errors.
 export {
@@ -363,6 +407,14 @@ export {
   extendSchema,
   // Sort a GraphQLSchema.
   lexicographicSortSchema,
+  // Rebuilds a GraphQLSchema with mapped types, fields and directives.
+  mapSchema,
+  // Removes schema elements and everything left unreachable by their removal.
+  filterSchema,
+  pruneSchema,
+  // Merges several SDL documents or GraphQLSchemas into one.
+  mergeTypeDefs,
+  mergeSchemas,
   // Print a GraphQLSchema to GraphQL Schema language.
   printSchema,
   // Print a GraphQLType to GraphQL Schema language.
@@ -372,6 +424,8 @@ export {
   printIntrospectionSchema,
   // Create a GraphQLType from a GraphQL language AST.
   typeFromAST,
+  // Apply a client controlled nullability assertion to the type of a field.
+  applyNullabilityAssertion,
   // Create a JavaScript value from a GraphQL language AST with a Type.
   valueFromAST,
   // Create a JavaScript value from a GraphQL language AST without a Type.
@@ -382,6 +436,8 @@ export {
   // the GraphQL type system.
   TypeInfo,
   visitWithTypeInfo,
+  // A cache of parsed and validated documents.
+  DocumentCache,
   // Coerces a JavaScript value to a GraphQL type, or produces errors.
   coerceInputValue,
   // Concatenates multiple AST together.
@@ -404,8 +460,16 @@ export {
   DangerousChangeType,
   findBreakingChanges,
   findDangerousChanges,
+  findBreakingChangesForOperations,
+  // Reports every change between two GraphQLSchemas.
+  SchemaChangeType,
+  SchemaChangeCriticality,
+  diffSchemas,
   // Report all deprecated usage within a GraphQL document.
   findDeprecatedUsages,
+  // Resolves the schema element named by a schema coordinate.
+  resolveSchemaCoordinate,
+  resolveASTSchemaCoordinate,
 } from './utilities';
 
 export type {
@@ -432,6 +496,17 @@ export type {
   IntrospectionEnumValue,
   IntrospectionDirective,
   BuildSchemaOptions,
+  SchemaMapper,
+  SchemaElementPredicate,
+  MergeTypeDefsOptions,
+  MergeSchemasOptions,
   BreakingChange,
   DangerousChange,
+  OperationBreakingChange,
+  AffectedOperation,
+  SchemaChange,
+  DocumentCacheEntry,
+  DocumentCacheStore,
+  DocumentCacheOptions,
+  ResolvedSchemaElement,
 } from './utilities';
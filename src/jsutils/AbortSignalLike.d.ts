@@ -0,0 +1,9 @@
+/**
+ * The subset of the `AbortSignal` interface used to cancel execution, so any
+ * compatible implementation or polyfill can be provided.
+ */
+export interface AbortSignalLike {
+  readonly aborted: boolean;
+  addEventListener(type: 'abort', listener: () => any): any;
+  removeEventListener(type: 'abort', listener: () => any): any;
+}
@@ -0,0 +1,12 @@
+// @flow strict
+
+/**
+ * The subset of the `AbortSignal` interface used to cancel execution, so any
+ * compatible implementation or polyfill can be provided.
+ */
+export type AbortSignalLike = {
+  +aborted: boolean,
+  addEventListener(type: 'abort', listener: () => mixed): mixed,
+  removeEventListener(type: 'abort', listener: () => mixed): mixed,
+  ...
+};
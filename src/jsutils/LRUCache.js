@@ -0,0 +1,36 @@
+// @flow strict
+
+/**
+ * A map holding at most `maxSize` entries, which evicts the least recently
+ * used entry once it is full.
+ */
+export default class LRUCache<K, V> {
+  _maxSize: number;
+  _map: Map<K, V>;
+
+  constructor(maxSize: number): void {
+    this._maxSize = maxSize;
+    this._map = new Map();
+  }
+
+  get(key: K): V | void {
+    const value = this._map.get(key);
+    if (value !== undefined) {
+      // Maps iterate in insertion order, so re-inserting the entry marks it
+      // as the most recently used one.
+      this._map.delete(key);
+      this._map.set(key, value);
+    }
+    return value;
+  }
+
+  set(key: K, value: V): void {
+    this._map.delete(key);
+    this._map.set(key, value);
+    if (this._map.size > this._maxSize) {
+      // The first key in iteration order is the least recently used one.
+      const oldestKey = ((this._map.keys().next().value: any): K);
+      this._map.delete(oldestKey);
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import LRUCache from '../LRUCache';
+
+describe('LRUCache', () => {
+  it('stores and retrieves values', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+
+    expect(cache.get('a')).to.equal(1);
+    expect(cache.get('b')).to.equal(undefined);
+  });
+
+  it('evicts the least recently used entry once full', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('a')).to.equal(1);
+    expect(cache.get('b')).to.equal(undefined);
+    expect(cache.get('c')).to.equal(3);
+  });
+
+  it('replaces values of existing keys without evicting', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 3);
+
+    expect(cache.get('a')).to.equal(3);
+    expect(cache.get('b')).to.equal(2);
+  });
+});
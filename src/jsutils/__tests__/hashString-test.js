@@ -0,0 +1,19 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import hashString from '../hashString';
+
+describe('hashString', () => {
+  it('computes 32-bit FNV-1a hashes', () => {
+    expect(hashString('')).to.equal('811c9dc5');
+    expect(hashString('a')).to.equal('e40c292c');
+    expect(hashString('foobar')).to.equal('bf9cf968');
+  });
+
+  it('handles multi-byte characters', () => {
+    expect(hashString('\u{1F600}')).to.match(/^[0-9a-f]{8}$/);
+    expect(hashString('\u{1F600}')).to.not.equal(hashString('\u{1F601}'));
+  });
+});
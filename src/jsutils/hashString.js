@@ -0,0 +1,15 @@
+// @flow strict
+
+/**
+ * Computes a stable, non-cryptographic hash of the provided string, using the
+ * 32-bit FNV-1a algorithm, as a hexadecimal string.
+ */
+export default function hashString(str: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; ++i) {
+    hash ^= str.charCodeAt(i);
+    hash +=
+      (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+  }
+  return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+}
@@ -12,7 +12,7 @@ import { GraphQLError } from '../../error/GraphQLError';
 
 import { Source } from '../source';
 import { TokenKind } from '../tokenKind';
-import { Lexer, isPunctuatorTokenKind } from '../lexer';
+import { Lexer, SchemaCoordinateLexer, isPunctuatorTokenKind } from '../lexer';
 
 function lexOne(str) {
   const lexer = new Lexer(new Source(str));
@@ -730,6 +730,23 @@ describe('Lexer', () => {
     });
   });
 
+  it('lexes question marks only with client controlled nullability', () => {
+    const lexer = new Lexer(new Source('?'), {
+      experimentalClientControlledNullability: true,
+    });
+    expect(lexer.advance()).to.contain({
+      kind: TokenKind.QUESTION_MARK,
+      start: 0,
+      end: 1,
+      value: undefined,
+    });
+
+    expectSyntaxError('?').to.deep.equal({
+      message: 'Syntax Error: Cannot parse the unexpected character "?".',
+      locations: [{ line: 1, column: 1 }],
+    });
+  });
+
   it('lexes punctuation', () => {
     expect(lexOne('!')).to.contain({
       kind: TokenKind.BANG,
@@ -925,6 +942,7 @@ describe('isPunctuatorTokenKind', () => {
     expect(isPunctuatorToken('{')).to.equal(true);
     expect(isPunctuatorToken('|')).to.equal(true);
     expect(isPunctuatorToken('}')).to.equal(true);
+    expect(isPunctuatorTokenKind(TokenKind.DOT)).to.equal(true);
   });
 
   it('returns false for non-punctuator tokens', () => {
@@ -936,3 +954,42 @@ describe('isPunctuatorTokenKind', () => {
     expect(isPunctuatorToken('"""str"""')).to.equal(false);
   });
 });
+
+describe('SchemaCoordinateLexer', () => {
+  function lexAll(str) {
+    const lexer = new SchemaCoordinateLexer(new Source(str));
+    const tokens = [];
+    do {
+      tokens.push(lexer.advance());
+    } while (lexer.token.kind !== TokenKind.EOF);
+    return tokens.map(({ kind, value }) => ({ kind, value }));
+  }
+
+  it('lexes schema coordinates', () => {
+    expect(lexAll('Type.field(arg:)')).to.deep.equal([
+      { kind: TokenKind.NAME, value: 'Type' },
+      { kind: TokenKind.DOT, value: undefined },
+      { kind: TokenKind.NAME, value: 'field' },
+      { kind: TokenKind.PAREN_L, value: undefined },
+      { kind: TokenKind.NAME, value: 'arg' },
+      { kind: TokenKind.COLON, value: undefined },
+      { kind: TokenKind.PAREN_R, value: undefined },
+      { kind: TokenKind.EOF, value: undefined },
+    ]);
+
+    expect(lexAll('@directive')).to.deep.equal([
+      { kind: TokenKind.AT, value: undefined },
+      { kind: TokenKind.NAME, value: 'directive' },
+      { kind: TokenKind.EOF, value: undefined },
+    ]);
+  });
+
+  it('does not skip ignored tokens', () => {
+    expect(() => lexAll('Type, field'))
+      .to.throw()
+      .to.deep.include({
+        message: 'Syntax Error: Cannot parse the unexpected character ",".',
+        locations: [{ line: 1, column: 5 }],
+      });
+  });
+});
@@ -11,7 +11,7 @@ import inspect from '../../jsutils/inspect';
 import { Kind } from '../kinds';
 import { Source } from '../source';
 import { TokenKind } from '../tokenKind';
-import { parse, parseValue, parseType } from '../parser';
+import { parse, parseValue, parseType, parseSchemaCoordinate } from '../parser';
 
 import { kitchenSinkQuery } from '../../__fixtures__';
 import toJSONDeep from './toJSONDeep';
@@ -376,6 +376,71 @@ describe('Parser', () => {
     expect(result.loc).to.equal(undefined);
   });
 
+  it('limits the maximum number of tokens', () => {
+    expect(() => parse('{ foo }', { maxTokens: 3 })).to.not.throw();
+    expect(() => parse('{ foo }', { maxTokens: 2 })).to.throw(
+      'Syntax Error: Document contains more than 2 tokens. Parsing aborted.',
+    );
+
+    expect(() => parse('{ foo(bar: "baz") }', { maxTokens: 8 })).to.not.throw();
+    expect(() => parse('{ foo(bar: "baz") }', { maxTokens: 7 })).to.throw(
+      'Syntax Error: Document contains more than 7 tokens. Parsing aborted.',
+    );
+  });
+
+  it('aborts before tokenizing the rest of the document', () => {
+    let caughtError;
+    try {
+      parse('{ a b c d e f g h i j @ invalid', { maxTokens: 5 });
+    } catch (error) {
+      caughtError = error;
+    }
+
+    expect(caughtError).to.deep.contain({
+      message:
+        'Syntax Error: Document contains more than 5 tokens. Parsing aborted.',
+      locations: [{ line: 1, column: 11 }],
+    });
+  });
+
+  it('limits the maximum nesting depth', () => {
+    const document = '{ a { b { c } } }';
+    expect(() => parse(document, { maxDepth: 3 })).to.not.throw();
+
+    let caughtError;
+    try {
+      parse(document, { maxDepth: 2 });
+    } catch (error) {
+      caughtError = error;
+    }
+
+    expect(caughtError).to.deep.contain({
+      message:
+        'Syntax Error: Document exceeds the maximum nesting depth of 2. Parsing aborted.',
+      locations: [{ line: 1, column: 9 }],
+    });
+  });
+
+  it('counts nested values and list types towards the nesting depth', () => {
+    const valueDocument = '{ a(arg: { list: [[1]] }) }';
+    expect(() => parse(valueDocument, { maxDepth: 4 })).to.not.throw();
+    expect(() => parse(valueDocument, { maxDepth: 3 })).to.throw(
+      'Syntax Error: Document exceeds the maximum nesting depth of 3. Parsing aborted.',
+    );
+
+    const typeDocument = 'query ($a: [[Int]]) { a }';
+    expect(() => parse(typeDocument, { maxDepth: 2 })).to.not.throw();
+    expect(() => parse(typeDocument, { maxDepth: 1 })).to.throw(
+      'Syntax Error: Document exceeds the maximum nesting depth of 1. Parsing aborted.',
+    );
+  });
+
+  it('does not limit sibling selection sets', () => {
+    expect(() =>
+      parse('{ a { b } c { d } e { f } }', { maxDepth: 2 }),
+    ).to.not.throw();
+  });
+
   it('Experimental: allows parsing fragment defined variables', () => {
     const document = 'fragment a($v: Boolean = false) on t { f(v: $v) }';
 
@@ -385,6 +450,98 @@ describe('Parser', () => {
     expect(() => parse(document)).to.throw('Syntax Error');
   });
 
+  it('Experimental: allows parsing fragment spread arguments', () => {
+    const document = '{ ...a(v: $v, w: [1]) @skip(if: false) }';
+
+    expect(() =>
+      parse(document, { experimentalFragmentVariables: true }),
+    ).to.not.throw();
+    expect(() => parse(document)).to.throw('Syntax Error');
+  });
+
+  it('Experimental: creates ast for fragment spread arguments', () => {
+    const result = parse('{ ...a(v: 1) }', {
+      experimentalFragmentVariables: true,
+    });
+
+    expect(toJSONDeep(result)).to.deep.nested.include({
+      'definitions[0].selectionSet.selections[0]': {
+        kind: Kind.FRAGMENT_SPREAD,
+        loc: { start: 2, end: 12 },
+        name: {
+          kind: Kind.NAME,
+          loc: { start: 5, end: 6 },
+          value: 'a',
+        },
+        arguments: [
+          {
+            kind: Kind.ARGUMENT,
+            loc: { start: 7, end: 11 },
+            name: {
+              kind: Kind.NAME,
+              loc: { start: 7, end: 8 },
+              value: 'v',
+            },
+            value: {
+              kind: Kind.INT,
+              loc: { start: 10, end: 11 },
+              value: '1',
+            },
+          },
+        ],
+        directives: [],
+      },
+    });
+  });
+
+  it('Experimental: allows parsing client controlled nullability', () => {
+    const document = '{ a! b? c[!] d[[?]]! e(x: 1)[]? @skip(if: true) }';
+
+    expect(() =>
+      parse(document, { experimentalClientControlledNullability: true }),
+    ).to.not.throw();
+    expect(() => parse(document)).to.throw('Syntax Error');
+  });
+
+  it('Experimental: creates ast for client controlled nullability', () => {
+    const result = parse('{ a[!]? }', {
+      experimentalClientControlledNullability: true,
+    });
+
+    expect(toJSONDeep(result)).to.deep.nested.include({
+      'definitions[0].selectionSet.selections[0].nullabilityAssertion': {
+        kind: Kind.ERROR_BOUNDARY,
+        loc: { start: 3, end: 7 },
+        nullabilityAssertion: {
+          kind: Kind.LIST_NULLABILITY_OPERATOR,
+          loc: { start: 3, end: 6 },
+          nullabilityAssertion: {
+            kind: Kind.NON_NULL_ASSERTION,
+            loc: { start: 4, end: 5 },
+            nullabilityAssertion: undefined,
+          },
+        },
+      },
+    });
+  });
+
+  it('Experimental: rejects unbalanced list nullability operators', () => {
+    const options = { experimentalClientControlledNullability: true };
+
+    expect(() => parse('{ a[! }', options))
+      .to.throw()
+      .to.deep.include({
+        message: 'Syntax Error: Expected "]", found "}".',
+        locations: [{ line: 1, column: 7 }],
+      });
+    expect(() => parse('{ a]! }', options))
+      .to.throw()
+      .to.deep.include({
+        message: 'Syntax Error: Expected Name, found "]".',
+        locations: [{ line: 1, column: 4 }],
+      });
+  });
+
   it('contains location information that only stringifies start/end', () => {
     const result = parse('{ id }');
 
@@ -545,4 +702,148 @@ describe('Parser', () => {
       });
     });
   });
+
+  describe('parseSchemaCoordinate', () => {
+    it('parses Name', () => {
+      const result = parseSchemaCoordinate('MyType');
+      expect(toJSONDeep(result)).to.deep.equal({
+        kind: Kind.SCHEMA_COORDINATE,
+        loc: { start: 0, end: 6 },
+        ofDirective: false,
+        name: {
+          kind: Kind.NAME,
+          loc: { start: 0, end: 6 },
+          value: 'MyType',
+        },
+        memberName: undefined,
+        argumentName: undefined,
+      });
+    });
+
+    it('parses Name . Name', () => {
+      const result = parseSchemaCoordinate('MyType.field');
+      expect(toJSONDeep(result)).to.deep.equal({
+        kind: Kind.SCHEMA_COORDINATE,
+        loc: { start: 0, end: 12 },
+        ofDirective: false,
+        name: {
+          kind: Kind.NAME,
+          loc: { start: 0, end: 6 },
+          value: 'MyType',
+        },
+        memberName: {
+          kind: Kind.NAME,
+          loc: { start: 7, end: 12 },
+          value: 'field',
+        },
+        argumentName: undefined,
+      });
+    });
+
+    it('parses Name . Name ( Name : )', () => {
+      const result = parseSchemaCoordinate('MyType.field(arg:)');
+      expect(toJSONDeep(result)).to.deep.equal({
+        kind: Kind.SCHEMA_COORDINATE,
+        loc: { start: 0, end: 18 },
+        ofDirective: false,
+        name: {
+          kind: Kind.NAME,
+          loc: { start: 0, end: 6 },
+          value: 'MyType',
+        },
+        memberName: {
+          kind: Kind.NAME,
+          loc: { start: 7, end: 12 },
+          value: 'field',
+        },
+        argumentName: {
+          kind: Kind.NAME,
+          loc: { start: 13, end: 16 },
+          value: 'arg',
+        },
+      });
+    });
+
+    it('parses @ Name', () => {
+      const result = parseSchemaCoordinate('@myDirective');
+      expect(toJSONDeep(result)).to.deep.equal({
+        kind: Kind.SCHEMA_COORDINATE,
+        loc: { start: 0, end: 12 },
+        ofDirective: true,
+        name: {
+          kind: Kind.NAME,
+          loc: { start: 1, end: 12 },
+          value: 'myDirective',
+        },
+        memberName: undefined,
+        argumentName: undefined,
+      });
+    });
+
+    it('parses @ Name ( Name : )', () => {
+      const result = parseSchemaCoordinate('@myDirective(arg:)');
+      expect(toJSONDeep(result)).to.deep.equal({
+        kind: Kind.SCHEMA_COORDINATE,
+        loc: { start: 0, end: 18 },
+        ofDirective: true,
+        name: {
+          kind: Kind.NAME,
+          loc: { start: 1, end: 12 },
+          value: 'myDirective',
+        },
+        memberName: undefined,
+        argumentName: {
+          kind: Kind.NAME,
+          loc: { start: 13, end: 16 },
+          value: 'arg',
+        },
+      });
+    });
+
+    it('rejects invalid schema coordinates', () => {
+      expect(() => parseSchemaCoordinate('MyType.field.deep'))
+        .to.throw()
+        .to.deep.include({
+          message: 'Syntax Error: Expected <EOF>, found ".".',
+          locations: [{ line: 1, column: 13 }],
+        });
+
+      expect(() => parseSchemaCoordinate('MyType(arg:)'))
+        .to.throw()
+        .to.deep.include({
+          message: 'Syntax Error: Expected <EOF>, found "(".',
+          locations: [{ line: 1, column: 7 }],
+        });
+
+      expect(() => parseSchemaCoordinate('@myDirective.field'))
+        .to.throw()
+        .to.deep.include({
+          message: 'Syntax Error: Expected <EOF>, found ".".',
+          locations: [{ line: 1, column: 13 }],
+        });
+
+      expect(() => parseSchemaCoordinate('MyType.field(arg)'))
+        .to.throw()
+        .to.deep.include({
+          message: 'Syntax Error: Expected ":", found ")".',
+          locations: [{ line: 1, column: 17 }],
+        });
+    });
+
+    it('rejects ignored tokens within schema coordinates', () => {
+      expect(() => parseSchemaCoordinate('MyType. field'))
+        .to.throw()
+        .to.deep.include({
+          message: 'Syntax Error: Cannot parse the unexpected character " ".',
+          locations: [{ line: 1, column: 8 }],
+        });
+
+      expect(() => parseSchemaCoordinate(' MyType'))
+        .to.throw()
+        .to.deep.include({
+          message: 'Syntax Error: Cannot parse the unexpected character " ".',
+          locations: [{ line: 1, column: 1 }],
+        });
+    });
+  });
 });
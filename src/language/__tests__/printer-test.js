@@ -5,7 +5,7 @@ import { describe, it } from 'mocha';
 
 import dedent from '../../jsutils/dedent';
 
-import { parse } from '../parser';
+import { parse, parseSchemaCoordinate } from '../parser';
 import { print } from '../printer';
 
 import { kitchenSinkQuery } from '../../__fixtures__';
@@ -110,6 +110,50 @@ describe('Printer: Query document', () => {
     `);
   });
 
+  it('Experimental: correctly prints fragment spread arguments', () => {
+    const spreadWithArguments = parse(
+      `
+        {
+          ...Foo(a: {x: 1}, b: $b) @include(if: true)
+          ...Bar
+        }
+      `,
+      { experimentalFragmentVariables: true },
+    );
+    expect(print(spreadWithArguments)).to.equal(dedent`
+      {
+        ...Foo(a: {x: 1}, b: $b) @include(if: true)
+        ...Bar
+      }
+    `);
+  });
+
+  it('Experimental: correctly prints client controlled nullability', () => {
+    const document = parse(
+      `
+        {
+          a!
+          b?
+          c[!]
+          d(x: 1)[[?]!]? @skip(if: false) {
+            e[]
+          }
+        }
+      `,
+      { experimentalClientControlledNullability: true },
+    );
+    expect(print(document)).to.equal(dedent`
+      {
+        a!
+        b?
+        c[!]
+        d(x: 1)[[?]!]? @skip(if: false) {
+          e[]
+        }
+      }
+    `);
+  });
+
   it('prints kitchen sink', () => {
     const printed = print(parse(kitchenSinkQuery));
 
@@ -176,3 +220,18 @@ describe('Printer: Query document', () => {
     );
   });
 });
+
+describe('Printer: Schema coordinates', () => {
+  it('prints schema coordinates', () => {
+    const coordinates = [
+      'MyType',
+      'MyType.field',
+      'MyType.field(arg:)',
+      '@myDirective',
+      '@myDirective(arg:)',
+    ];
+    for (const coordinate of coordinates) {
+      expect(print(parseSchemaCoordinate(coordinate))).to.equal(coordinate);
+    }
+  });
+});
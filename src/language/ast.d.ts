@@ -105,6 +105,9 @@ export type ASTNode =
   | SelectionSetNode
   | FieldNode
   | ArgumentNode
+  | ListNullabilityOperatorNode
+  | NonNullAssertionNode
+  | ErrorBoundaryNode
   | FragmentSpreadNode
   | InlineFragmentNode
   | FragmentDefinitionNode
@@ -139,7 +142,8 @@ export type ASTNode =
   | InterfaceTypeExtensionNode
   | UnionTypeExtensionNode
   | EnumTypeExtensionNode
-  | InputObjectTypeExtensionNode;
+  | InputObjectTypeExtensionNode
+  | SchemaCoordinateNode;
 
 /**
  * Utility type listing all nodes indexed by their kind.
@@ -153,6 +157,9 @@ export interface ASTKindToNode {
   SelectionSet: SelectionSetNode;
   Field: FieldNode;
   Argument: ArgumentNode;
+  ListNullabilityOperator: ListNullabilityOperatorNode;
+  NonNullAssertion: NonNullAssertionNode;
+  ErrorBoundary: ErrorBoundaryNode;
   FragmentSpread: FragmentSpreadNode;
   InlineFragment: InlineFragmentNode;
   FragmentDefinition: FragmentDefinitionNode;
@@ -188,6 +195,7 @@ export interface ASTKindToNode {
   UnionTypeExtension: UnionTypeExtensionNode;
   EnumTypeExtension: EnumTypeExtensionNode;
   InputObjectTypeExtension: InputObjectTypeExtensionNode;
+  SchemaCoordinate: SchemaCoordinateNode;
 }
 
 // Name
@@ -256,10 +264,36 @@ export interface FieldNode {
   readonly alias?: NameNode;
   readonly name: NameNode;
   readonly arguments?: ReadonlyArray<ArgumentNode>;
+  // Note: Client controlled nullability is experimental and may be changed or
+  // removed in the future.
+  readonly nullabilityAssertion?: NullabilityAssertionNode;
   readonly directives?: ReadonlyArray<DirectiveNode>;
   readonly selectionSet?: SelectionSetNode;
 }
 
+export type NullabilityAssertionNode =
+  | NonNullAssertionNode
+  | ErrorBoundaryNode
+  | ListNullabilityOperatorNode;
+
+export interface ListNullabilityOperatorNode {
+  readonly kind: 'ListNullabilityOperator';
+  readonly loc?: Location;
+  readonly nullabilityAssertion?: NullabilityAssertionNode;
+}
+
+export interface NonNullAssertionNode {
+  readonly kind: 'NonNullAssertion';
+  readonly loc?: Location;
+  readonly nullabilityAssertion?: ListNullabilityOperatorNode;
+}
+
+export interface ErrorBoundaryNode {
+  readonly kind: 'ErrorBoundary';
+  readonly loc?: Location;
+  readonly nullabilityAssertion?: ListNullabilityOperatorNode;
+}
+
 export interface ArgumentNode {
   readonly kind: 'Argument';
   readonly loc?: Location;
@@ -273,6 +307,9 @@ export interface FragmentSpreadNode {
   readonly kind: 'FragmentSpread';
   readonly loc?: Location;
   readonly name: NameNode;
+  // Note: fragment arguments are experimental and may be changed or removed
+  // in the future.
+  readonly arguments?: ReadonlyArray<ArgumentNode>;
   readonly directives?: ReadonlyArray<DirectiveNode>;
 }
 
@@ -405,6 +442,7 @@ export type TypeSystemDefinitionNode =
 export interface SchemaDefinitionNode {
   readonly kind: 'SchemaDefinition';
   readonly loc?: Location;
+  readonly description?: StringValueNode;
   readonly directives?: ReadonlyArray<DirectiveNode>;
   readonly operationTypes: ReadonlyArray<OperationTypeDefinitionNode>;
 }
@@ -590,3 +628,14 @@ export interface InputObjectTypeExtensionNode {
   readonly directives?: ReadonlyArray<DirectiveNode>;
   readonly fields?: ReadonlyArray<InputValueDefinitionNode>;
 }
+
+// Schema Coordinates
+
+export interface SchemaCoordinateNode {
+  readonly kind: 'SchemaCoordinate';
+  readonly loc?: Location;
+  readonly ofDirective: boolean;
+  readonly name: NameNode;
+  readonly memberName?: NameNode;
+  readonly argumentName?: NameNode;
+}
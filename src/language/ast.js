@@ -141,6 +141,9 @@ export type ASTNode =
   | SelectionSetNode
   | FieldNode
   | ArgumentNode
+  | ListNullabilityOperatorNode
+  | NonNullAssertionNode
+  | ErrorBoundaryNode
   | FragmentSpreadNode
   | InlineFragmentNode
   | FragmentDefinitionNode
@@ -175,7 +178,8 @@ export type ASTNode =
   | InterfaceTypeExtensionNode
   | UnionTypeExtensionNode
   | EnumTypeExtensionNode
-  | InputObjectTypeExtensionNode;
+  | InputObjectTypeExtensionNode
+  | SchemaCoordinateNode;
 
 /**
  * Utility type listing all nodes indexed by their kind.
@@ -189,6 +193,9 @@ export type ASTKindToNode = {|
   SelectionSet: SelectionSetNode,
   Field: FieldNode,
   Argument: ArgumentNode,
+  ListNullabilityOperator: ListNullabilityOperatorNode,
+  NonNullAssertion: NonNullAssertionNode,
+  ErrorBoundary: ErrorBoundaryNode,
   FragmentSpread: FragmentSpreadNode,
   InlineFragment: InlineFragmentNode,
   FragmentDefinition: FragmentDefinitionNode,
@@ -224,6 +231,7 @@ export type ASTKindToNode = {|
   UnionTypeExtension: UnionTypeExtensionNode,
   EnumTypeExtension: EnumTypeExtensionNode,
   InputObjectTypeExtension: InputObjectTypeExtensionNode,
+  SchemaCoordinate: SchemaCoordinateNode,
 |};
 
 // Name
@@ -292,10 +300,36 @@ export type FieldNode = {|
   +alias?: NameNode,
   +name: NameNode,
   +arguments?: $ReadOnlyArray<ArgumentNode>,
+  // Note: Client controlled nullability is experimental and may be changed or
+  // removed in the future.
+  +nullabilityAssertion?: NullabilityAssertionNode,
   +directives?: $ReadOnlyArray<DirectiveNode>,
   +selectionSet?: SelectionSetNode,
 |};
 
+export type NullabilityAssertionNode =
+  | NonNullAssertionNode
+  | ErrorBoundaryNode
+  | ListNullabilityOperatorNode;
+
+export type ListNullabilityOperatorNode = {|
+  +kind: 'ListNullabilityOperator',
+  +loc?: Location,
+  +nullabilityAssertion?: NullabilityAssertionNode,
+|};
+
+export type NonNullAssertionNode = {|
+  +kind: 'NonNullAssertion',
+  +loc?: Location,
+  +nullabilityAssertion?: ListNullabilityOperatorNode,
+|};
+
+export type ErrorBoundaryNode = {|
+  +kind: 'ErrorBoundary',
+  +loc?: Location,
+  +nullabilityAssertion?: ListNullabilityOperatorNode,
+|};
+
 export type ArgumentNode = {|
   +kind: 'Argument',
   +loc?: Location,
@@ -309,6 +343,9 @@ export type FragmentSpreadNode = {|
   +kind: 'FragmentSpread',
   +loc?: Location,
   +name: NameNode,
+  // Note: fragment arguments are experimental and may be changed or removed
+  // in the future.
+  +arguments?: $ReadOnlyArray<ArgumentNode>,
   +directives?: $ReadOnlyArray<DirectiveNode>,
 |};
 
@@ -441,6 +478,7 @@ export type TypeSystemDefinitionNode =
 export type SchemaDefinitionNode = {|
   +kind: 'SchemaDefinition',
   +loc?: Location,
+  +description?: StringValueNode,
   +directives?: $ReadOnlyArray<DirectiveNode>,
   +operationTypes: $ReadOnlyArray<OperationTypeDefinitionNode>,
 |};
@@ -626,3 +664,14 @@ export type InputObjectTypeExtensionNode = {|
   +directives?: $ReadOnlyArray<DirectiveNode>,
   +fields?: $ReadOnlyArray<InputValueDefinitionNode>,
 |};
+
+// Schema Coordinates
+
+export type SchemaCoordinateNode = {|
+  +kind: 'SchemaCoordinate',
+  +loc?: Location,
+  +ofDirective: boolean,
+  +name: NameNode,
+  +memberName?: NameNode,
+  +argumentName?: NameNode,
+|};
@@ -6,7 +6,13 @@ export { printLocation, printSourceLocation } from './printLocation';
 export { Kind, KindEnum } from './kinds';
 export { TokenKind, TokenKindEnum } from './tokenKind';
 export { Lexer } from './lexer';
-export { parse, parseValue, parseType, ParseOptions } from './parser';
+export {
+  parse,
+  parseValue,
+  parseType,
+  parseSchemaCoordinate,
+  ParseOptions,
+} from './parser';
 export { print } from './printer';
 export {
   visit,
@@ -37,6 +43,10 @@ export {
   SelectionNode,
   FieldNode,
   ArgumentNode,
+  NullabilityAssertionNode,
+  ListNullabilityOperatorNode,
+  NonNullAssertionNode,
+  ErrorBoundaryNode,
   FragmentSpreadNode,
   InlineFragmentNode,
   FragmentDefinitionNode,
@@ -78,6 +88,7 @@ export {
   UnionTypeExtensionNode,
   EnumTypeExtensionNode,
   InputObjectTypeExtensionNode,
+  SchemaCoordinateNode,
 } from './ast';
 
 export {
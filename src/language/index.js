@@ -15,7 +15,7 @@ export type { TokenKindEnum } from './tokenKind';
 
 export { Lexer } from './lexer';
 
-export { parse, parseValue, parseType } from './parser';
+export { parse, parseValue, parseType, parseSchemaCoordinate } from './parser';
 export type { ParseOptions } from './parser';
 
 export { print } from './printer';
@@ -41,6 +41,10 @@ export type {
   SelectionNode,
   FieldNode,
   ArgumentNode,
+  NullabilityAssertionNode,
+  ListNullabilityOperatorNode,
+  NonNullAssertionNode,
+  ErrorBoundaryNode,
   FragmentSpreadNode,
   InlineFragmentNode,
   FragmentDefinitionNode,
@@ -82,6 +86,7 @@ export type {
   UnionTypeExtensionNode,
   EnumTypeExtensionNode,
   InputObjectTypeExtensionNode,
+  SchemaCoordinateNode,
 } from './ast';
 
 export {
@@ -18,6 +18,11 @@ type _Kind = {
   FIELD: 'Field';
   ARGUMENT: 'Argument';
 
+  // Nullability Modifiers
+  LIST_NULLABILITY_OPERATOR: 'ListNullabilityOperator';
+  NON_NULL_ASSERTION: 'NonNullAssertion';
+  ERROR_BOUNDARY: 'ErrorBoundary';
+
   // Fragments
   FRAGMENT_SPREAD: 'FragmentSpread';
   INLINE_FRAGMENT: 'InlineFragment';
@@ -71,6 +76,9 @@ type _Kind = {
   UNION_TYPE_EXTENSION: 'UnionTypeExtension';
   ENUM_TYPE_EXTENSION: 'EnumTypeExtension';
   INPUT_OBJECT_TYPE_EXTENSION: 'InputObjectTypeExtension';
+
+  // Schema Coordinates
+  SCHEMA_COORDINATE: 'SchemaCoordinate';
 };
 
 /**
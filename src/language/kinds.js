@@ -15,6 +15,11 @@ export const Kind = Object.freeze({
   FIELD: 'Field',
   ARGUMENT: 'Argument',
 
+  // Nullability Modifiers
+  LIST_NULLABILITY_OPERATOR: 'ListNullabilityOperator',
+  NON_NULL_ASSERTION: 'NonNullAssertion',
+  ERROR_BOUNDARY: 'ErrorBoundary',
+
   // Fragments
   FRAGMENT_SPREAD: 'FragmentSpread',
   INLINE_FRAGMENT: 'InlineFragment',
@@ -68,6 +73,9 @@ export const Kind = Object.freeze({
   UNION_TYPE_EXTENSION: 'UnionTypeExtension',
   ENUM_TYPE_EXTENSION: 'EnumTypeExtension',
   INPUT_OBJECT_TYPE_EXTENSION: 'InputObjectTypeExtension',
+
+  // Schema Coordinates
+  SCHEMA_COORDINATE: 'SchemaCoordinate',
 });
 
 /**
@@ -33,7 +33,16 @@ export class Lexer {
    */
   lineStart: number;
 
-  constructor(source: Source);
+  /**
+   * Whether `?` is lexed as a punctuator, which is only used by the
+   * experimental client controlled nullability syntax.
+   */
+  experimentalClientControlledNullability: boolean;
+
+  constructor(
+    source: Source,
+    options?: { experimentalClientControlledNullability?: boolean },
+  );
 
   /**
    * Advances the token stream to the next non-ignored token.
@@ -47,6 +56,15 @@ export class Lexer {
   lookahead(): Token;
 }
 
+/**
+ * A Lexer for schema coordinates (ex. `Type.field(arg:)`), which only emits
+ * names and the punctuators of schema coordinates. Unlike documents, schema
+ * coordinates may not contain any ignored tokens, such as whitespace.
+ *
+ * @internal
+ */
+export class SchemaCoordinateLexer extends Lexer {}
+
 /**
  * @internal
  */
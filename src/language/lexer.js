@@ -38,10 +38,22 @@ export class Lexer {
    */
   lineStart: number;
 
-  constructor(source: Source) {
+  /**
+   * Whether `?` is lexed as a punctuator, which is only used by the
+   * experimental client controlled nullability syntax.
+   */
+  experimentalClientControlledNullability: boolean;
+
+  constructor(
+    source: Source,
+    options?: {| experimentalClientControlledNullability?: boolean |},
+  ) {
     const startOfFileToken = new Token(TokenKind.SOF, 0, 0, 0, 0, null);
 
     this.source = source;
+    this.experimentalClientControlledNullability = Boolean(
+      options && options.experimentalClientControlledNullability,
+    );
     this.lastToken = startOfFileToken;
     this.token = startOfFileToken;
     this.line = 1;
@@ -73,17 +85,39 @@ export class Lexer {
   }
 }
 
+/**
+ * A Lexer for schema coordinates (ex. `Type.field(arg:)`), which only emits
+ * names and the punctuators of schema coordinates. Unlike documents, schema
+ * coordinates may not contain any ignored tokens, such as whitespace.
+ *
+ * @internal
+ */
+export class SchemaCoordinateLexer extends Lexer {
+  lookahead(): Token {
+    const token = this.token;
+    if (token.kind === TokenKind.EOF) {
+      return token;
+    }
+    // Note: next is only mutable during parsing, so we cast to allow this.
+    return (
+      token.next || ((token: any).next = readSchemaCoordinateToken(this, token))
+    );
+  }
+}
+
 /**
  * @internal
  */
 export function isPunctuatorTokenKind(kind: TokenKindEnum) {
   return (
     kind === TokenKind.BANG ||
+    kind === TokenKind.QUESTION_MARK ||
     kind === TokenKind.DOLLAR ||
     kind === TokenKind.AMP ||
     kind === TokenKind.PAREN_L ||
     kind === TokenKind.PAREN_R ||
     kind === TokenKind.SPREAD ||
+    kind === TokenKind.DOT ||
     kind === TokenKind.COLON ||
     kind === TokenKind.EQUALS ||
     kind === TokenKind.AT ||
@@ -162,6 +196,19 @@ function readToken(lexer: Lexer, prev: Token): Token {
     // =
     case 61:
       return new Token(TokenKind.EQUALS, pos, pos + 1, line, col, prev);
+    // ?
+    case 63:
+      if (lexer.experimentalClientControlledNullability) {
+        return new Token(
+          TokenKind.QUESTION_MARK,
+          pos,
+          pos + 1,
+          line,
+          col,
+          prev,
+        );
+      }
+      break;
     // @
     case 64:
       return new Token(TokenKind.AT, pos, pos + 1, line, col, prev);
@@ -657,6 +704,46 @@ function char2hex(a) {
     : -1;
 }
 
+/**
+ * Gets the next token of a schema coordinate from the source starting at the
+ * given position, without skipping over any ignored tokens.
+ */
+function readSchemaCoordinateToken(lexer: Lexer, prev: Token): Token {
+  const source = lexer.source;
+  const body = source.body;
+  const pos = prev.end;
+  const col = 1 + pos - lexer.lineStart;
+
+  if (pos >= body.length) {
+    return new Token(TokenKind.EOF, pos, pos, lexer.line, col, prev);
+  }
+
+  const code = body.charCodeAt(pos);
+  switch (code) {
+    // (
+    case 40:
+      return new Token(TokenKind.PAREN_L, pos, pos + 1, lexer.line, col, prev);
+    // )
+    case 41:
+      return new Token(TokenKind.PAREN_R, pos, pos + 1, lexer.line, col, prev);
+    // .
+    case 46:
+      return new Token(TokenKind.DOT, pos, pos + 1, lexer.line, col, prev);
+    // :
+    case 58:
+      return new Token(TokenKind.COLON, pos, pos + 1, lexer.line, col, prev);
+    // @
+    case 64:
+      return new Token(TokenKind.AT, pos, pos + 1, lexer.line, col, prev);
+  }
+
+  if (isNameStart(code)) {
+    return readName(source, pos, lexer.line, col, prev);
+  }
+
+  throw syntaxError(source, pos, unexpectedCharacterMessage(code));
+}
+
 /**
  * Reads an alphanumeric + underscore name from the source.
  *
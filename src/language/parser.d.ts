@@ -1,6 +1,12 @@
 import { Source } from './source';
 import { Lexer } from './lexer';
-import { NamedTypeNode, TypeNode, ValueNode, DocumentNode } from './ast';
+import {
+  NamedTypeNode,
+  TypeNode,
+  ValueNode,
+  DocumentNode,
+  SchemaCoordinateNode,
+} from './ast';
 
 /**
  * Configuration options to control parser behavior
@@ -37,19 +43,71 @@ export interface ParseOptions {
    * EXPERIMENTAL:
    *
    * If enabled, the parser will understand and parse variable definitions
-   * contained in a fragment definition. They'll be represented in the
-   * `variableDefinitions` field of the FragmentDefinitionNode.
+   * contained in a fragment definition and arguments passed to a fragment
+   * spread. They'll be represented in the `variableDefinitions` field of the
+   * FragmentDefinitionNode and the `arguments` field of the FragmentSpreadNode.
    *
-   * The syntax is identical to normal, query-defined variables. For example:
+   * The syntax is identical to normal, query-defined variables and to field
+   * arguments. For example:
    *
    *   fragment A($var: Boolean = false) on T  {
    *     ...
    *   }
    *
+   *   {
+   *     t {
+   *       ...A(var: true)
+   *     }
+   *   }
+   *
    * Note: this feature is experimental and may change or be removed in the
    * future.
    */
   experimentalFragmentVariables?: boolean;
+
+  /**
+   * EXPERIMENTAL:
+   *
+   * If enabled, the parser will understand and parse client controlled
+   * nullability modifiers following the arguments of a field. They'll be
+   * represented in the `nullabilityAssertion` field of the FieldNode.
+   *
+   * A field may be marked as required with `!` or as optional with `?`, and
+   * the items of a list field with `[!]`, `[?]` and so on for every level of
+   * the list. For example:
+   *
+   *   {
+   *     user(id: 4)! {
+   *       friends[?]! {
+   *         name
+   *       }
+   *     }
+   *   }
+   *
+   * Note: this feature is experimental and may change or be removed in the
+   * future.
+   */
+  experimentalClientControlledNullability?: boolean;
+
+  /**
+   * Parser CPU and memory usage is linear to the number of tokens in a
+   * document, however in extreme cases it becomes quadratic due to memory
+   * exhaustion. Parsing happens before validation, so even invalid queries
+   * can burn lots of CPU time and memory.
+   *
+   * To prevent this, you can set a maximum number of tokens allowed within
+   * a document. Parsing is aborted with a syntax error once the limit is
+   * exceeded.
+   */
+  maxTokens?: number;
+
+  /**
+   * Deeply nested documents can exhaust the call stack of the recursive
+   * descent parser. This sets the maximum allowed nesting of selection sets,
+   * list and object values, and list types within a document. Parsing is
+   * aborted with a syntax error once the limit is exceeded.
+   */
+  maxDepth?: number;
 }
 
 /**
@@ -87,3 +145,19 @@ export function parseType(
   source: string | Source,
   options?: ParseOptions,
 ): TypeNode;
+
+/**
+ * Given a string containing a GraphQL schema coordinate (ex. `Type.field`),
+ * parse the AST for that schema coordinate.
+ * Throws GraphQLError if a syntax error is encountered.
+ *
+ * Schema coordinates name elements of a schema, such as types, fields,
+ * arguments, enum values and directives, and may not contain whitespace.
+ *
+ * Consider providing the results to the utility function:
+ * resolveASTSchemaCoordinate().
+ */
+export function parseSchemaCoordinate(
+  source: string | Source,
+  options?: ParseOptions,
+): SchemaCoordinateNode;
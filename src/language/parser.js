@@ -10,7 +10,7 @@ import { Kind } from './kinds';
 import { Source } from './source';
 import { DirectiveLocation } from './directiveLocation';
 import { type TokenKindEnum, TokenKind } from './tokenKind';
-import { Lexer, isPunctuatorTokenKind } from './lexer';
+import { Lexer, SchemaCoordinateLexer, isPunctuatorTokenKind } from './lexer';
 import {
   Location,
   type Token,
@@ -25,6 +25,7 @@ import {
   type SelectionNode,
   type FieldNode,
   type ArgumentNode,
+  type NullabilityAssertionNode,
   type FragmentSpreadNode,
   type InlineFragmentNode,
   type FragmentDefinitionNode,
@@ -57,6 +58,7 @@ import {
   type UnionTypeExtensionNode,
   type EnumTypeExtensionNode,
   type InputObjectTypeExtensionNode,
+  type SchemaCoordinateNode,
 } from './ast';
 
 /**
@@ -94,19 +96,71 @@ export type ParseOptions = {|
    * EXPERIMENTAL:
    *
    * If enabled, the parser will understand and parse variable definitions
-   * contained in a fragment definition. They'll be represented in the
-   * `variableDefinitions` field of the FragmentDefinitionNode.
+   * contained in a fragment definition and arguments passed to a fragment
+   * spread. They'll be represented in the `variableDefinitions` field of the
+   * FragmentDefinitionNode and the `arguments` field of the FragmentSpreadNode.
    *
-   * The syntax is identical to normal, query-defined variables. For example:
+   * The syntax is identical to normal, query-defined variables and to field
+   * arguments. For example:
    *
    *   fragment A($var: Boolean = false) on T  {
    *     ...
    *   }
    *
+   *   {
+   *     t {
+   *       ...A(var: true)
+   *     }
+   *   }
+   *
    * Note: this feature is experimental and may change or be removed in the
    * future.
    */
   experimentalFragmentVariables?: boolean,
+
+  /**
+   * EXPERIMENTAL:
+   *
+   * If enabled, the parser will understand and parse client controlled
+   * nullability modifiers following the arguments of a field. They'll be
+   * represented in the `nullabilityAssertion` field of the FieldNode.
+   *
+   * A field may be marked as required with `!` or as optional with `?`, and
+   * the items of a list field with `[!]`, `[?]` and so on for every level of
+   * the list. For example:
+   *
+   *   {
+   *     user(id: 4)! {
+   *       friends[?]! {
+   *         name
+   *       }
+   *     }
+   *   }
+   *
+   * Note: this feature is experimental and may change or be removed in the
+   * future.
+   */
+  experimentalClientControlledNullability?: boolean,
+
+  /**
+   * Parser CPU and memory usage is linear to the number of tokens in a
+   * document, however in extreme cases it becomes quadratic due to memory
+   * exhaustion. Parsing happens before validation, so even invalid queries
+   * can burn lots of CPU time and memory.
+   *
+   * To prevent this, you can set a maximum number of tokens allowed within
+   * a document. Parsing is aborted with a syntax error once the limit is
+   * exceeded.
+   */
+  maxTokens?: number,
+
+  /**
+   * Deeply nested documents can exhaust the call stack of the recursive
+   * descent parser. This sets the maximum allowed nesting of selection sets,
+   * list and object values, and list types within a document. Parsing is
+   * aborted with a syntax error once the limit is exceeded.
+   */
+  maxDepth?: number,
 |};
 
 /**
@@ -163,24 +217,58 @@ export function parseType(
   return type;
 }
 
+/**
+ * Given a string containing a GraphQL schema coordinate (ex. `Type.field`),
+ * parse the AST for that schema coordinate.
+ * Throws GraphQLError if a syntax error is encountered.
+ *
+ * Schema coordinates name elements of a schema, such as types, fields,
+ * arguments, enum values and directives, and may not contain whitespace.
+ *
+ * Consider providing the results to the utility function:
+ * resolveASTSchemaCoordinate().
+ */
+export function parseSchemaCoordinate(
+  source: string | Source,
+  options?: ParseOptions,
+): SchemaCoordinateNode {
+  const parser = new Parser(source, options, SchemaCoordinateLexer);
+  parser.expectToken(TokenKind.SOF);
+  const coordinate = parser.parseSchemaCoordinate();
+  parser.expectToken(TokenKind.EOF);
+  return coordinate;
+}
+
 class Parser {
   _options: ParseOptions;
   _lexer: Lexer;
-
-  constructor(source: string | Source, options?: ParseOptions) {
+  _tokenCounter: number;
+  _depth: number;
+
+  constructor(
+    source: string | Source,
+    options?: ParseOptions,
+    LexerClass?: Class<Lexer> = Lexer,
+  ) {
     const sourceObj = typeof source === 'string' ? new Source(source) : source;
     devAssert(
       sourceObj instanceof Source,
       `Must provide Source. Received: ${inspect(sourceObj)}`,
     );
 
-    this._lexer = new Lexer(sourceObj);
+    this._lexer = new LexerClass(sourceObj, {
+      experimentalClientControlledNullability: Boolean(
+        options && options.experimentalClientControlledNullability,
+      ),
+    });
     this._options = options || {
       noLocation: false,
       allowLegacySDLEmptyFields: false,
       allowLegacySDLImplementsInterfaces: false,
       experimentalFragmentVariables: false,
     };
+    this._tokenCounter = 0;
+    this._depth = 0;
   }
 
   /**
@@ -352,13 +440,16 @@ class Parser {
    */
   parseSelectionSet(): SelectionSetNode {
     const start = this._lexer.token;
+    this.enterNesting(start);
+    const selections = this.many(
+      TokenKind.BRACE_L,
+      this.parseSelection,
+      TokenKind.BRACE_R,
+    );
+    this.leaveNesting();
     return {
       kind: Kind.SELECTION_SET,
-      selections: this.many(
-        TokenKind.BRACE_L,
-        this.parseSelection,
-        TokenKind.BRACE_R,
-      ),
+      selections,
       loc: this.loc(start),
     };
   }
@@ -393,6 +484,23 @@ class Parser {
       name = nameOrAlias;
     }
 
+    // Experimental support for client controlled nullability changes the
+    // grammar of Field:
+    //   - Alias? Name Arguments? NullabilityAssertion? Directives? SelectionSet?
+    if (this._options.experimentalClientControlledNullability) {
+      return {
+        kind: Kind.FIELD,
+        alias,
+        name,
+        arguments: this.parseArguments(false),
+        nullabilityAssertion: this.parseNullabilityAssertion(),
+        directives: this.parseDirectives(false),
+        selectionSet: this.peek(TokenKind.BRACE_L)
+          ? this.parseSelectionSet()
+          : undefined,
+        loc: this.loc(start),
+      };
+    }
     return {
       kind: Kind.FIELD,
       alias,
@@ -406,6 +514,47 @@ class Parser {
     };
   }
 
+  /**
+   * NullabilityAssertion :
+   *   - ListNullabilityOperator? !
+   *   - ListNullabilityOperator? ?
+   *   - ListNullabilityOperator
+   *
+   * ListNullabilityOperator : [ NullabilityAssertion? ]
+   */
+  parseNullabilityAssertion(): NullabilityAssertionNode | void {
+    const start = this._lexer.token;
+    let nullabilityAssertion;
+
+    if (this.expectOptionalToken(TokenKind.BRACKET_L)) {
+      this.enterNesting(start);
+      const innerAssertion = this.parseNullabilityAssertion();
+      this.expectToken(TokenKind.BRACKET_R);
+      this.leaveNesting();
+      nullabilityAssertion = {
+        kind: Kind.LIST_NULLABILITY_OPERATOR,
+        nullabilityAssertion: innerAssertion,
+        loc: this.loc(start),
+      };
+    }
+
+    if (this.expectOptionalToken(TokenKind.BANG)) {
+      return {
+        kind: Kind.NON_NULL_ASSERTION,
+        nullabilityAssertion,
+        loc: this.loc(start),
+      };
+    }
+    if (this.expectOptionalToken(TokenKind.QUESTION_MARK)) {
+      return {
+        kind: Kind.ERROR_BOUNDARY,
+        nullabilityAssertion,
+        loc: this.loc(start),
+      };
+    }
+    return nullabilityAssertion;
+  }
+
   /**
    * Arguments[Const] : ( Argument[?Const]+ )
    */
@@ -445,7 +594,7 @@ class Parser {
   /**
    * Corresponds to both FragmentSpread and InlineFragment in the spec.
    *
-   * FragmentSpread : ... FragmentName Directives?
+   * FragmentSpread : ... FragmentName Arguments? Directives?
    *
    * InlineFragment : ... TypeCondition? Directives? SelectionSet
    */
@@ -455,6 +604,16 @@ class Parser {
 
     const hasTypeCondition = this.expectOptionalKeyword('on');
     if (!hasTypeCondition && this.peek(TokenKind.NAME)) {
+      // Experimental support for passing arguments to fragment spreads.
+      if (this._options.experimentalFragmentVariables) {
+        return {
+          kind: Kind.FRAGMENT_SPREAD,
+          name: this.parseFragmentName(),
+          arguments: this.parseArguments(false),
+          directives: this.parseDirectives(false),
+          loc: this.loc(start),
+        };
+      }
       return {
         kind: Kind.FRAGMENT_SPREAD,
         name: this.parseFragmentName(),
@@ -542,14 +701,14 @@ class Parser {
       case TokenKind.BRACE_L:
         return this.parseObject(isConst);
       case TokenKind.INT:
-        this._lexer.advance();
+        this.advanceLexer();
         return {
           kind: Kind.INT,
           value: ((token.value: any): string),
           loc: this.loc(token),
         };
       case TokenKind.FLOAT:
-        this._lexer.advance();
+        this.advanceLexer();
         return {
           kind: Kind.FLOAT,
           value: ((token.value: any): string),
@@ -560,20 +719,20 @@ class Parser {
         return this.parseStringLiteral();
       case TokenKind.NAME:
         if (token.value === 'true' || token.value === 'false') {
-          this._lexer.advance();
+          this.advanceLexer();
           return {
             kind: Kind.BOOLEAN,
             value: token.value === 'true',
             loc: this.loc(token),
           };
         } else if (token.value === 'null') {
-          this._lexer.advance();
+          this.advanceLexer();
           return {
             kind: Kind.NULL,
             loc: this.loc(token),
           };
         }
-        this._lexer.advance();
+        this.advanceLexer();
         return {
           kind: Kind.ENUM,
           value: ((token.value: any): string),
@@ -590,7 +749,7 @@ class Parser {
 
   parseStringLiteral(): StringValueNode {
     const token = this._lexer.token;
-    this._lexer.advance();
+    this.advanceLexer();
     return {
       kind: Kind.STRING,
       value: ((token.value: any): string),
@@ -607,9 +766,12 @@ class Parser {
   parseList(isConst: boolean): ListValueNode {
     const start = this._lexer.token;
     const item = () => this.parseValueLiteral(isConst);
+    this.enterNesting(start);
+    const values = this.any(TokenKind.BRACKET_L, item, TokenKind.BRACKET_R);
+    this.leaveNesting();
     return {
       kind: Kind.LIST,
-      values: this.any(TokenKind.BRACKET_L, item, TokenKind.BRACKET_R),
+      values,
       loc: this.loc(start),
     };
   }
@@ -622,9 +784,12 @@ class Parser {
   parseObject(isConst: boolean): ObjectValueNode {
     const start = this._lexer.token;
     const item = () => this.parseObjectField(isConst);
+    this.enterNesting(start);
+    const fields = this.any(TokenKind.BRACE_L, item, TokenKind.BRACE_R);
+    this.leaveNesting();
     return {
       kind: Kind.OBJECT,
-      fields: this.any(TokenKind.BRACE_L, item, TokenKind.BRACE_R),
+      fields,
       loc: this.loc(start),
     };
   }
@@ -684,8 +849,10 @@ class Parser {
     const start = this._lexer.token;
     let type;
     if (this.expectOptionalToken(TokenKind.BRACKET_L)) {
+      this.enterNesting(start);
       type = this.parseTypeReference();
       this.expectToken(TokenKind.BRACKET_R);
+      this.leaveNesting();
       type = {
         kind: Kind.LIST_TYPE,
         type,
@@ -777,10 +944,11 @@ class Parser {
   }
 
   /**
-   * SchemaDefinition : schema Directives[Const]? { OperationTypeDefinition+ }
+   * SchemaDefinition : Description? schema Directives[Const]? { OperationTypeDefinition+ }
    */
   parseSchemaDefinition(): SchemaDefinitionNode {
     const start = this._lexer.token;
+    const description = this.parseDescription();
     this.expectKeyword('schema');
     const directives = this.parseDirectives(true);
     const operationTypes = this.many(
@@ -790,6 +958,7 @@ class Parser {
     );
     return {
       kind: Kind.SCHEMA_DEFINITION,
+      description,
       directives,
       operationTypes,
       loc: this.loc(start),
@@ -886,8 +1055,8 @@ class Parser {
       this.peek(TokenKind.BRACE_L) &&
       this._lexer.lookahead().kind === TokenKind.BRACE_R
     ) {
-      this._lexer.advance();
-      this._lexer.advance();
+      this.advanceLexer();
+      this.advanceLexer();
       return [];
     }
     return this.optionalMany(
@@ -1396,6 +1565,43 @@ class Parser {
     throw this.unexpected(start);
   }
 
+  // Implements the parsing rules in the Schema Coordinates section.
+
+  /**
+   * SchemaCoordinate :
+   *   - Name
+   *   - Name . Name
+   *   - Name . Name ( Name : )
+   *   - @ Name
+   *   - @ Name ( Name : )
+   */
+  parseSchemaCoordinate(): SchemaCoordinateNode {
+    const start = this._lexer.token;
+    const ofDirective = Boolean(this.expectOptionalToken(TokenKind.AT));
+    const name = this.parseName();
+    let memberName;
+    if (!ofDirective && this.expectOptionalToken(TokenKind.DOT)) {
+      memberName = this.parseName();
+    }
+    let argumentName;
+    if (
+      (ofDirective || memberName) &&
+      this.expectOptionalToken(TokenKind.PAREN_L)
+    ) {
+      argumentName = this.parseName();
+      this.expectToken(TokenKind.COLON);
+      this.expectToken(TokenKind.PAREN_R);
+    }
+    return {
+      kind: Kind.SCHEMA_COORDINATE,
+      ofDirective,
+      name,
+      memberName,
+      argumentName,
+      loc: this.loc(start),
+    };
+  }
+
   // Core parsing utility functions
 
   /**
@@ -1412,6 +1618,48 @@ class Parser {
     }
   }
 
+  /**
+   * Advances the lexer to the next token, aborting parsing once the document
+   * exceeds the `maxTokens` option.
+   */
+  advanceLexer(): void {
+    const token = this._lexer.advance();
+    const maxTokens = this._options.maxTokens;
+    if (maxTokens != null && token.kind !== TokenKind.EOF) {
+      ++this._tokenCounter;
+      if (this._tokenCounter > maxTokens) {
+        throw syntaxError(
+          this._lexer.source,
+          token.start,
+          `Document contains more than ${maxTokens} tokens. Parsing aborted.`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Enters a nested construct starting at the given token, aborting parsing
+   * once the document exceeds the `maxDepth` option.
+   */
+  enterNesting(token: Token): void {
+    const maxDepth = this._options.maxDepth;
+    ++this._depth;
+    if (maxDepth != null && this._depth > maxDepth) {
+      throw syntaxError(
+        this._lexer.source,
+        token.start,
+        `Document exceeds the maximum nesting depth of ${maxDepth}. Parsing aborted.`,
+      );
+    }
+  }
+
+  /**
+   * Leaves a nested construct entered with `enterNesting`.
+   */
+  leaveNesting(): void {
+    --this._depth;
+  }
+
   /**
    * Determines if the next token is of a given kind
    */
@@ -1426,7 +1674,7 @@ class Parser {
   expectToken(kind: TokenKindEnum): Token {
     const token = this._lexer.token;
     if (token.kind === kind) {
-      this._lexer.advance();
+      this.advanceLexer();
       return token;
     }
 
@@ -1444,7 +1692,7 @@ class Parser {
   expectOptionalToken(kind: TokenKindEnum): ?Token {
     const token = this._lexer.token;
     if (token.kind === kind) {
-      this._lexer.advance();
+      this.advanceLexer();
       return token;
     }
     return undefined;
@@ -1457,7 +1705,7 @@ class Parser {
   expectKeyword(value: string) {
     const token = this._lexer.token;
     if (token.kind === TokenKind.NAME && token.value === value) {
-      this._lexer.advance();
+      this.advanceLexer();
     } else {
       throw syntaxError(
         this._lexer.source,
@@ -1474,7 +1722,7 @@ class Parser {
   expectOptionalKeyword(value: string): boolean {
     const token = this._lexer.token;
     if (token.kind === TokenKind.NAME && token.value === value) {
-      this._lexer.advance();
+      this.advanceLexer();
       return true;
     }
     return false;
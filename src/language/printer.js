@@ -42,10 +42,20 @@ const printDocASTReducer: any = {
     wrap(' ', join(directives, ' ')),
   SelectionSet: ({ selections }) => block(selections),
 
-  Field: ({ alias, name, arguments: args, directives, selectionSet }) =>
+  Field: ({
+    alias,
+    name,
+    arguments: args,
+    nullabilityAssertion,
+    directives,
+    selectionSet,
+  }) =>
     join(
       [
-        wrap('', alias, ': ') + name + wrap('(', join(args, ', '), ')'),
+        wrap('', alias, ': ') +
+          name +
+          wrap('(', join(args, ', '), ')') +
+          wrap('', nullabilityAssertion),
         join(directives, ' '),
         selectionSet,
       ],
@@ -54,10 +64,26 @@ const printDocASTReducer: any = {
 
   Argument: ({ name, value }) => name + ': ' + value,
 
+  // Nullability Modifiers
+
+  ListNullabilityOperator: ({ nullabilityAssertion }) =>
+    '[' + wrap('', nullabilityAssertion) + ']',
+
+  NonNullAssertion: ({ nullabilityAssertion }) =>
+    wrap('', nullabilityAssertion) + '!',
+
+  ErrorBoundary: ({ nullabilityAssertion }) =>
+    wrap('', nullabilityAssertion) + '?',
+
   // Fragments
 
-  FragmentSpread: ({ name, directives }) =>
-    '...' + name + wrap(' ', join(directives, ' ')),
+  FragmentSpread: ({ name, arguments: args, directives }) =>
+    // Note: fragment arguments are experimental and may be changed or removed
+    // in the future.
+    '...' +
+    name +
+    wrap('(', join(args, ', '), ')') +
+    wrap(' ', join(directives, ' ')),
 
   InlineFragment: ({ typeCondition, directives, selectionSet }) =>
     join(
@@ -106,8 +132,9 @@ const printDocASTReducer: any = {
 
   // Type System Definitions
 
-  SchemaDefinition: ({ directives, operationTypes }) =>
+  SchemaDefinition: addDescription(({ directives, operationTypes }) =>
     join(['schema', join(directives, ' '), block(operationTypes)], ' '),
+  ),
 
   OperationTypeDefinition: ({ operation, type }) => operation + ': ' + type,
 
@@ -244,6 +271,14 @@ const printDocASTReducer: any = {
 
   InputObjectTypeExtension: ({ name, directives, fields }) =>
     join(['extend input', name, join(directives, ' '), block(fields)], ' '),
+
+  // Schema Coordinates
+
+  SchemaCoordinate: ({ ofDirective, name, memberName, argumentName }) =>
+    (ofDirective ? '@' : '') +
+    name +
+    wrap('.', memberName) +
+    wrap('(', argumentName, ':)'),
 };
 
 function addDescription(cb) {
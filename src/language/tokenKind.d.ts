@@ -8,11 +8,13 @@ type _TokenKind = {
   SOF: '<SOF>';
   EOF: '<EOF>';
   BANG: '!';
+  QUESTION_MARK: '?';
   DOLLAR: '$';
   AMP: '&';
   PAREN_L: '(';
   PAREN_R: ')';
   SPREAD: '...';
+  DOT: '.';
   COLON: ':';
   EQUALS: '=';
   AT: '@';
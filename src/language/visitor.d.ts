@@ -68,10 +68,20 @@ export const QueryDocumentKeys: {
   VariableDefinition: ['variable', 'type', 'defaultValue', 'directives'];
   Variable: ['name'];
   SelectionSet: ['selections'];
-  Field: ['alias', 'name', 'arguments', 'directives', 'selectionSet'];
+  Field: [
+    'alias',
+    'name',
+    'arguments',
+    'nullabilityAssertion',
+    'directives',
+    'selectionSet',
+  ];
+  ListNullabilityOperator: ['nullabilityAssertion'];
+  NonNullAssertion: ['nullabilityAssertion'];
+  ErrorBoundary: ['nullabilityAssertion'];
   Argument: ['name', 'value'];
 
-  FragmentSpread: ['name', 'directives'];
+  FragmentSpread: ['name', 'arguments', 'directives'];
   InlineFragment: ['typeCondition', 'directives', 'selectionSet'];
   // prettier-ignore
   FragmentDefinition: [
@@ -100,7 +110,7 @@ export const QueryDocumentKeys: {
   ListType: ['type'];
   NonNullType: ['type'];
 
-  SchemaDefinition: ['directives', 'operationTypes'];
+  SchemaDefinition: ['description', 'directives', 'operationTypes'];
   OperationTypeDefinition: ['type'];
 
   ScalarTypeDefinition: ['description', 'name', 'directives'];
@@ -144,6 +154,8 @@ export const QueryDocumentKeys: {
   UnionTypeExtension: ['name', 'directives', 'types'];
   EnumTypeExtension: ['name', 'directives', 'values'];
   InputObjectTypeExtension: ['name', 'directives', 'fields'];
+
+  SchemaCoordinate: ['name', 'memberName', 'argumentName'];
 };
 
 export const BREAK: any;
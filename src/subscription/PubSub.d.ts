@@ -0,0 +1,76 @@
+/**
+ * What a subscription does once its buffer is full and another payload is
+ * published:
+ *
+ *   - `dropOldest` drops the oldest buffered payload.
+ *   - `dropNewest` drops the published payload.
+ *   - `error` ends the subscription with an error once the buffered payloads
+ *     are consumed.
+ */
+export type PubSubOverflowPolicy = 'dropOldest' | 'dropNewest' | 'error';
+
+export interface PubSubOptions {
+  /**
+   * The maximum number of payloads buffered by a subscription which are not
+   * consumed yet. Defaults to no limit.
+   */
+  bufferSize?: number;
+
+  /**
+   * What a subscription does once its buffer is full. Defaults to
+   * `dropOldest`.
+   */
+  overflow?: PubSubOverflowPolicy;
+}
+
+export interface PubSubSubscribeOptions {
+  /**
+   * Only payloads for which the filter returns true are delivered to the
+   * subscription. If the filter throws, the subscription ends with its error.
+   */
+  filter?: (payload: any, topic: string) => boolean;
+
+  /**
+   * Overrides the buffer size of the PubSub for this subscription.
+   */
+  bufferSize?: number;
+
+  /**
+   * Overrides the overflow policy of the PubSub for this subscription.
+   */
+  overflow?: PubSubOverflowPolicy;
+}
+
+/**
+ * An in-memory publish/subscribe system, delivering published payloads to
+ * AsyncIterators which may be returned by the `subscribe` resolver of a
+ * subscription field.
+ *
+ * Subscriptions only hold onto the PubSub until they are closed with
+ * `return()` or `throw()`, which `subscribe()` does once the client
+ * unsubscribes.
+ */
+export class PubSub {
+  constructor(options?: PubSubOptions);
+
+  /**
+   * Publishes a payload to every subscription of the topic.
+   *
+   * Returns true if the payload was delivered to any subscription.
+   */
+  publish(topic: string, payload: any): boolean;
+
+  /**
+   * Returns the number of open subscriptions of the topic.
+   */
+  subscriberCount(topic: string): number;
+
+  /**
+   * Returns an AsyncIterator of the payloads published to the topics from
+   * now on, until it is closed.
+   */
+  subscribe(
+    topics: string | ReadonlyArray<string>,
+    options?: PubSubSubscribeOptions,
+  ): AsyncIterableIterator<any>;
+}
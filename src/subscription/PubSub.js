@@ -0,0 +1,263 @@
+// @flow strict
+
+import { $$asyncIterator } from 'iterall';
+
+import { GraphQLError } from '../error/GraphQLError';
+
+/**
+ * What a subscription does once its buffer is full and another payload is
+ * published:
+ *
+ *   - `dropOldest` drops the oldest buffered payload.
+ *   - `dropNewest` drops the published payload.
+ *   - `error` ends the subscription with an error once the buffered payloads
+ *     are consumed.
+ */
+export type PubSubOverflowPolicy = 'dropOldest' | 'dropNewest' | 'error';
+
+export type PubSubOptions = {|
+  /**
+   * The maximum number of payloads buffered by a subscription which are not
+   * consumed yet. Defaults to no limit.
+   */
+  bufferSize?: number,
+
+  /**
+   * What a subscription does once its buffer is full. Defaults to
+   * `dropOldest`.
+   */
+  overflow?: PubSubOverflowPolicy,
+|};
+
+export type PubSubSubscribeOptions = {|
+  /**
+   * Only payloads for which the filter returns true are delivered to the
+   * subscription. If the filter throws, the subscription ends with its error.
+   */
+  filter?: (payload: mixed, topic: string) => boolean,
+
+  /**
+   * Overrides the buffer size of the PubSub for this subscription.
+   */
+  bufferSize?: number,
+
+  /**
+   * Overrides the overflow policy of the PubSub for this subscription.
+   */
+  overflow?: PubSubOverflowPolicy,
+|};
+
+type Subscriber = (payload: mixed, topic: string) => boolean;
+
+/**
+ * An in-memory publish/subscribe system, delivering published payloads to
+ * AsyncIterators which may be returned by the `subscribe` resolver of a
+ * subscription field.
+ *
+ * Example:
+ *
+ *     const pubsub = new PubSub({ bufferSize: 100 });
+ *
+ *     const Subscription = new GraphQLObjectType({
+ *       name: 'Subscription',
+ *       fields: {
+ *         messageAdded: {
+ *           type: Message,
+ *           args: { channel: { type: GraphQLString } },
+ *           subscribe: (_source, { channel }) =>
+ *             pubsub.subscribe('messageAdded', {
+ *               filter: message => message.channel === channel,
+ *             }),
+ *           resolve: message => message,
+ *         },
+ *       },
+ *     });
+ *
+ *     pubsub.publish('messageAdded', { channel: 'general', text: 'Hello' });
+ *
+ * Subscriptions only hold onto the PubSub until they are closed with
+ * `return()` or `throw()`, which `subscribe()` does once the client
+ * unsubscribes.
+ */
+export class PubSub {
+  _bufferSize: number;
+  _overflow: PubSubOverflowPolicy;
+  _subscribers: Map<string, Set<Subscriber>>;
+
+  constructor(options?: PubSubOptions): void {
+    this._bufferSize =
+      options && options.bufferSize != null ? options.bufferSize : Infinity;
+    this._overflow = (options && options.overflow) || 'dropOldest';
+    this._subscribers = new Map();
+  }
+
+  /**
+   * Publishes a payload to every subscription of the topic.
+   *
+   * Returns true if the payload was delivered to any subscription.
+   */
+  publish(topic: string, payload: mixed): boolean {
+    const subscribers = this._subscribers.get(topic);
+    if (!subscribers) {
+      return false;
+    }
+    let delivered = false;
+    // Subscribers may unsubscribe while the payload is delivered.
+    for (const subscriber of Array.from(subscribers)) {
+      if (subscriber(payload, topic)) {
+        delivered = true;
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * Returns the number of open subscriptions of the topic.
+   */
+  subscriberCount(topic: string): number {
+    const subscribers = this._subscribers.get(topic);
+    return subscribers ? subscribers.size : 0;
+  }
+
+  /**
+   * Returns an AsyncIterator of the payloads published to the topics from
+   * now on, until it is closed.
+   */
+  subscribe(
+    topics: string | $ReadOnlyArray<string>,
+    options?: PubSubSubscribeOptions,
+  ): AsyncGenerator<mixed, void, void> {
+    const topicList = typeof topics === 'string' ? [topics] : topics;
+    const filter = options && options.filter;
+    const bufferSize =
+      options && options.bufferSize != null
+        ? options.bufferSize
+        : this._bufferSize;
+    const overflow = (options && options.overflow) || this._overflow;
+
+    const pullQueue = [];
+    const pushQueue = [];
+    let error;
+    let listening = true;
+
+    const subscriber = (payload, topic) => {
+      if (filter) {
+        try {
+          if (!filter(payload, topic)) {
+            return false;
+          }
+        } catch (filterError) {
+          fail(filterError);
+          return false;
+        }
+      }
+
+      if (pullQueue.length !== 0) {
+        pullQueue.shift().resolve({ value: payload, done: false });
+        return true;
+      }
+      if (pushQueue.length < bufferSize) {
+        pushQueue.push(payload);
+        return true;
+      }
+      switch (overflow) {
+        case 'dropOldest':
+          pushQueue.shift();
+          if (pushQueue.length < bufferSize) {
+            pushQueue.push(payload);
+            return true;
+          }
+          return false;
+        case 'dropNewest':
+          return false;
+        default:
+          fail(
+            new GraphQLError(
+              `Subscription buffer overflowed, exceeding ${bufferSize} payloads.`,
+            ),
+          );
+          return false;
+      }
+    };
+
+    const unsubscribe = () => {
+      if (listening) {
+        listening = false;
+        for (const topic of topicList) {
+          const subscribers = this._subscribers.get(topic);
+          if (subscribers) {
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) {
+              this._subscribers.delete(topic);
+            }
+          }
+        }
+      }
+    };
+
+    // Stops listening, while the payloads buffered so far are still consumed
+    // before the error is thrown. Pending pulls only happen with an empty
+    // buffer, so the first one is rejected right away and the others end.
+    function fail(failure) {
+      unsubscribe();
+      if (pullQueue.length === 0) {
+        error = failure;
+        return;
+      }
+      pullQueue.shift().reject(failure);
+      for (const { resolve } of pullQueue.splice(0)) {
+        resolve({ value: undefined, done: true });
+      }
+    }
+
+    function close() {
+      unsubscribe();
+      error = undefined;
+      pushQueue.length = 0;
+      for (const { resolve } of pullQueue.splice(0)) {
+        resolve({ value: undefined, done: true });
+      }
+    }
+
+    for (const topic of topicList) {
+      let subscribers = this._subscribers.get(topic);
+      if (!subscribers) {
+        subscribers = new Set();
+        this._subscribers.set(topic, subscribers);
+      }
+      subscribers.add(subscriber);
+    }
+
+    /* TODO: Flow doesn't support symbols as keys:
+       https://github.com/facebook/flow/issues/3258 */
+    return ({
+      next() {
+        if (pushQueue.length !== 0) {
+          return Promise.resolve({ value: pushQueue.shift(), done: false });
+        }
+        if (error !== undefined) {
+          const failure = error;
+          error = undefined;
+          return Promise.reject(failure);
+        }
+        if (!listening) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+          pullQueue.push({ resolve, reject });
+        });
+      },
+      return() {
+        close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      throw(thrownError) {
+        close();
+        return Promise.reject(thrownError);
+      },
+      [$$asyncIterator]() {
+        return this;
+      },
+    }: any);
+  }
+}
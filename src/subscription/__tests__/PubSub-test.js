@@ -0,0 +1,235 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString } from '../../type/scalars';
+import { GraphQLObjectType } from '../../type/definition';
+
+import { PubSub } from '../PubSub';
+import { subscribe } from '../subscribe';
+import mapAsyncIterator from '../mapAsyncIterator';
+
+describe('PubSub', () => {
+  it('delivers published payloads in order', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.subscribe('topic');
+
+    expect(pubsub.publish('topic', 'a')).to.equal(true);
+    expect(pubsub.publish('topic', 'b')).to.equal(true);
+    expect(pubsub.publish('other', 'c')).to.equal(false);
+
+    expect(await iterator.next()).to.deep.equal({ value: 'a', done: false });
+    expect(await iterator.next()).to.deep.equal({ value: 'b', done: false });
+
+    const pending = iterator.next();
+    pubsub.publish('topic', 'd');
+    expect(await pending).to.deep.equal({ value: 'd', done: false });
+  });
+
+  it('delivers payloads to every subscription of a topic', async () => {
+    const pubsub = new PubSub();
+    const first = pubsub.subscribe('topic');
+    const second = pubsub.subscribe(['topic', 'other']);
+
+    pubsub.publish('topic', 'a');
+    pubsub.publish('other', 'b');
+
+    expect(await first.next()).to.deep.equal({ value: 'a', done: false });
+    expect(await second.next()).to.deep.equal({ value: 'a', done: false });
+    expect(await second.next()).to.deep.equal({ value: 'b', done: false });
+  });
+
+  it('only delivers payloads passing the filter', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.subscribe(['a', 'b'], {
+      filter: (payload, topic) => topic === 'b' || payload === 'kept',
+    });
+
+    expect(pubsub.publish('a', 'dropped')).to.equal(false);
+    expect(pubsub.publish('a', 'kept')).to.equal(true);
+    expect(pubsub.publish('b', 'any')).to.equal(true);
+
+    expect(await iterator.next()).to.deep.equal({ value: 'kept', done: false });
+    expect(await iterator.next()).to.deep.equal({ value: 'any', done: false });
+  });
+
+  it('ends the subscription with the error of the filter', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.subscribe('topic', {
+      filter() {
+        throw new Error('Bad filter');
+      },
+    });
+
+    const pending = iterator.next();
+    expect(pubsub.publish('topic', 'a')).to.equal(false);
+    expect(pubsub.subscriberCount('topic')).to.equal(0);
+
+    let caughtError;
+    try {
+      await pending;
+    } catch (error) {
+      caughtError = error;
+    }
+    expect(caughtError).to.have.property('message', 'Bad filter');
+    expect(await iterator.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  it('drops the oldest payloads once the buffer is full', async () => {
+    const pubsub = new PubSub({ bufferSize: 2 });
+    const iterator = pubsub.subscribe('topic');
+
+    pubsub.publish('topic', 'a');
+    pubsub.publish('topic', 'b');
+    expect(pubsub.publish('topic', 'c')).to.equal(true);
+
+    expect(await iterator.next()).to.deep.equal({ value: 'b', done: false });
+    expect(await iterator.next()).to.deep.equal({ value: 'c', done: false });
+  });
+
+  it('drops the newest payloads once the buffer is full', async () => {
+    const pubsub = new PubSub({ bufferSize: 2, overflow: 'dropOldest' });
+    const iterator = pubsub.subscribe('topic', { overflow: 'dropNewest' });
+
+    pubsub.publish('topic', 'a');
+    pubsub.publish('topic', 'b');
+    expect(pubsub.publish('topic', 'c')).to.equal(false);
+
+    expect(await iterator.next()).to.deep.equal({ value: 'a', done: false });
+    expect(await iterator.next()).to.deep.equal({ value: 'b', done: false });
+  });
+
+  it('ends the subscription once the buffer overflows', async () => {
+    const pubsub = new PubSub({ overflow: 'error' });
+    const iterator = pubsub.subscribe('topic', { bufferSize: 1 });
+
+    pubsub.publish('topic', 'a');
+    expect(pubsub.publish('topic', 'b')).to.equal(false);
+    expect(pubsub.subscriberCount('topic')).to.equal(0);
+
+    expect(await iterator.next()).to.deep.equal({ value: 'a', done: false });
+
+    let caughtError;
+    try {
+      await iterator.next();
+    } catch (error) {
+      caughtError = error;
+    }
+    expect(caughtError).to.have.property(
+      'message',
+      'Subscription buffer overflowed, exceeding 1 payloads.',
+    );
+    expect(await iterator.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  it('unsubscribes and ends pending pulls when returned', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.subscribe(['a', 'b']);
+    expect(pubsub.subscriberCount('a')).to.equal(1);
+
+    pubsub.publish('a', 'buffered');
+    expect(await iterator.next()).to.deep.equal({
+      value: 'buffered',
+      done: false,
+    });
+
+    const pending = iterator.next();
+    expect(await iterator.return()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+    expect(await pending).to.deep.equal({ value: undefined, done: true });
+
+    expect(pubsub.subscriberCount('a')).to.equal(0);
+    expect(pubsub.subscriberCount('b')).to.equal(0);
+    expect(pubsub.publish('a', 'ignored')).to.equal(false);
+    expect(await iterator.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  it('unsubscribes and rejects with the error when thrown', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.subscribe('topic');
+    pubsub.publish('topic', 'discarded');
+
+    let caughtError;
+    try {
+      await iterator.throw(new Error('ouch'));
+    } catch (error) {
+      caughtError = error;
+    }
+    expect(caughtError).to.have.property('message', 'ouch');
+    expect(pubsub.subscriberCount('topic')).to.equal(0);
+    expect(await iterator.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  it('can be mapped with mapAsyncIterator', async () => {
+    const pubsub = new PubSub();
+    const iterator = mapAsyncIterator(
+      pubsub.subscribe('topic'),
+      (x: any) => x + x,
+    );
+
+    pubsub.publish('topic', 'a');
+    expect(await iterator.next()).to.deep.equal({ value: 'aa', done: false });
+
+    await iterator.return();
+    expect(pubsub.subscriberCount('topic')).to.equal(0);
+  });
+
+  it('can be used as the source event stream of a subscription', async () => {
+    const pubsub = new PubSub();
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { dummy: { type: GraphQLString } },
+      }),
+      subscription: new GraphQLObjectType({
+        name: 'Subscription',
+        fields: {
+          messageAdded: {
+            type: GraphQLString,
+            args: { channel: { type: GraphQLString } },
+            subscribe: (_source, { channel }) =>
+              pubsub.subscribe('messageAdded', {
+                filter: (message: any) => message.channel === channel,
+              }),
+            resolve: message => message.text,
+          },
+        },
+      }),
+    });
+
+    const subscription = await subscribe({
+      schema,
+      document: parse('subscription { messageAdded(channel: "general") }'),
+    });
+
+    pubsub.publish('messageAdded', { channel: 'random', text: 'Hi' });
+    pubsub.publish('messageAdded', { channel: 'general', text: 'Hello' });
+
+    // $FlowFixMe
+    expect(await subscription.next()).to.deep.equal({
+      value: { data: { messageAdded: 'Hello' } },
+      done: false,
+    });
+
+    await subscription.return();
+    expect(pubsub.subscriberCount('messageAdded')).to.equal(0);
+  });
+});
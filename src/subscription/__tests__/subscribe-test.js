@@ -18,6 +18,8 @@ import { GraphQLInt, GraphQLString, GraphQLBoolean } from '../../type/scalars';
 
 import { createSourceEventStream, subscribe } from '../subscribe';
 
+import abortController from '../../execution/__tests__/abortController';
+
 import eventEmitterAsyncIterator from './eventEmitterAsyncIterator';
 
 const EmailType = new GraphQLObjectType({
@@ -792,6 +794,106 @@ describe('Subscription Publish Phase', () => {
     });
   });
 
+  it('should close the subscription when the signal is aborted', async () => {
+    const pubsub = new EventEmitter();
+    const { signal, abort } = abortController();
+    let resolverSignal;
+    const schema = emailSchemaWithResolvers(
+      () => eventEmitterAsyncIterator(pubsub, 'importantEmail'),
+      (event, _args, _context, info) => {
+        resolverSignal = info.signal;
+        return event;
+      },
+    );
+
+    const subscription = await subscribe({
+      schema,
+      document: parse(`
+        subscription {
+          importantEmail {
+            email {
+              from
+            }
+          }
+        }
+      `),
+      signal,
+    });
+    // $FlowFixMe
+    const payload = subscription.next();
+
+    expect(
+      pubsub.emit('importantEmail', {
+        email: { from: 'yuzhi@graphql.org' },
+      }),
+    ).to.equal(true);
+
+    expect(await payload).to.deep.equal({
+      done: false,
+      value: {
+        data: { importantEmail: { email: { from: 'yuzhi@graphql.org' } } },
+      },
+    });
+    expect(resolverSignal).to.equal(signal);
+
+    abort();
+
+    // The source event stream is closed as well.
+    expect(
+      pubsub.emit('importantEmail', {
+        email: { from: 'yuzhi@graphql.org' },
+      }),
+    ).to.equal(false);
+
+    expect(await subscription.next()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+  });
+
+  it('stops listening to the signal once the subscription completes', async () => {
+    const { signal, listenerCount } = abortController();
+    const schema = emailSchemaWithResolvers(
+      async function*() {
+        yield { email: { from: 'yuzhi@graphql.org' } };
+      },
+      event => event,
+    );
+    const document = parse(`
+      subscription {
+        importantEmail {
+          email {
+            from
+          }
+        }
+      }
+    `);
+
+    const returned = await subscribe({ schema, document, signal });
+    expect(listenerCount()).to.equal(1);
+    // $FlowFixMe
+    expect(await returned.return()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+    expect(listenerCount()).to.equal(0);
+
+    const ended = await subscribe({ schema, document, signal });
+    expect(listenerCount()).to.equal(1);
+    // $FlowFixMe
+    expect(await ended.next()).to.deep.equal({
+      done: false,
+      value: {
+        data: { importantEmail: { email: { from: 'yuzhi@graphql.org' } } },
+      },
+    });
+    expect(await ended.next()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+    expect(listenerCount()).to.equal(0);
+  });
+
   it('event order is correct for multiple publishes', async () => {
     const pubsub = new EventEmitter();
     const { sendImportantEmail, subscription } = await createSubscription(
@@ -1046,3 +1148,286 @@ describe('Subscription Publish Phase', () => {
     });
   });
 });
+
+describe('Subscription Lifecycle Hooks', () => {
+  const document = parse(`
+    subscription {
+      importantEmail {
+        email {
+          subject
+        }
+      }
+    }
+  `);
+
+  function subjectsSchema(subjects) {
+    return emailSchemaWithResolvers(
+      async function*() {
+        for (const subject of subjects) {
+          yield { email: { subject } };
+        }
+      },
+      email => email,
+    );
+  }
+
+  function subjectResult(subject) {
+    return {
+      done: false,
+      value: { data: { importantEmail: { email: { subject } } } },
+    };
+  }
+
+  it('calls onSubscribe and onComplete once', async () => {
+    const calls = [];
+    const contextValue = {};
+    const subscription = await subscribe({
+      schema: subjectsSchema(['Hello']),
+      document,
+      contextValue,
+      hooks: {
+        onSubscribe(context) {
+          expect(context).to.equal(contextValue);
+          calls.push('onSubscribe');
+        },
+        onComplete(context) {
+          expect(context).to.equal(contextValue);
+          calls.push('onComplete');
+        },
+      },
+    });
+    expect(calls).to.deep.equal(['onSubscribe']);
+
+    // $FlowFixMe
+    expect(await subscription.next()).to.deep.equal(subjectResult('Hello'));
+    expect(await subscription.next()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+    expect(await subscription.return()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+    expect(calls).to.deep.equal(['onSubscribe', 'onComplete']);
+  });
+
+  it('ignores errors of onComplete when the signal is aborted', async () => {
+    const { signal, abort } = abortController();
+    const unhandledRejections = [];
+    const onUnhandledRejection = reason => unhandledRejections.push(reason);
+    process.on('unhandledRejection', onUnhandledRejection);
+
+    try {
+      const subscription = await subscribe({
+        schema: subjectsSchema(['Hello']),
+        document,
+        signal,
+        hooks: {
+          onComplete() {
+            throw new Error('Release failed');
+          },
+        },
+      });
+
+      abort();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(unhandledRejections).to.deep.equal([]);
+      // $FlowFixMe
+      expect(await subscription.next()).to.deep.equal({
+        done: true,
+        value: undefined,
+      });
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandledRejection);
+    }
+  });
+
+  it('closes the source when onSubscribe fails', async () => {
+    const pubsub = new EventEmitter();
+    const schema = emailSchemaWithResolvers(() =>
+      eventEmitterAsyncIterator(pubsub, 'importantEmail'),
+    );
+
+    const result = await subscribe({
+      schema,
+      document,
+      hooks: {
+        onSubscribe() {
+          throw new GraphQLError('Not allowed');
+        },
+      },
+    });
+    expect(result).to.deep.equal({ errors: [{ message: 'Not allowed' }] });
+    expect(pubsub.listenerCount('importantEmail')).to.equal(0);
+  });
+
+  it('executes every event with the context built by onEvent', async () => {
+    const contextValues = [];
+    const completedEvents = [];
+    const schema = emailSchemaWithResolvers(
+      async function*() {
+        yield { email: { subject: 'Hello' } };
+        yield { email: { subject: 'Goodbye' } };
+      },
+      (email, _args, context) => {
+        contextValues.push(context);
+        return email;
+      },
+    );
+
+    const subscription = await subscribe({
+      schema,
+      document,
+      contextValue: { connection: 'shared' },
+      hooks: {
+        onEvent(payload, context) {
+          return {
+            rootValue: payload,
+            contextValue: { ...context, connection: 'event' },
+          };
+        },
+        onEventComplete(event) {
+          completedEvents.push(event);
+        },
+      },
+    });
+
+    // $FlowFixMe
+    expect(await subscription.next()).to.deep.equal(subjectResult('Hello'));
+    expect(await subscription.next()).to.deep.equal(subjectResult('Goodbye'));
+
+    expect(contextValues).to.deep.equal([
+      { connection: 'event' },
+      { connection: 'event' },
+    ]);
+    expect(contextValues[0]).to.not.equal(contextValues[1]);
+    expect(completedEvents.map(event => event.contextValue)).to.deep.equal(
+      contextValues,
+    );
+  });
+
+  it('skips the events for which onEvent returns null', async () => {
+    const subscription = await subscribe({
+      schema: subjectsSchema(['Hello', 'Spam', 'Goodbye']),
+      document,
+      hooks: {
+        onEvent: (payload: any) =>
+          payload.email.subject === 'Spam'
+            ? null
+            : { rootValue: payload, contextValue: undefined },
+      },
+    });
+
+    // $FlowFixMe
+    expect(await subscription.next()).to.deep.equal(subjectResult('Hello'));
+    expect(await subscription.next()).to.deep.equal(subjectResult('Goodbye'));
+    expect(await subscription.next()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+  });
+
+  it('batches events by skipping them until a batch is complete', async () => {
+    const batch = [];
+    const subscription = await subscribe({
+      schema: subjectsSchema(['a', 'b', 'c', 'd']),
+      document,
+      hooks: {
+        onEvent(payload: any) {
+          batch.push(payload.email.subject);
+          if (batch.length < 2) {
+            return null;
+          }
+          const subject = batch.splice(0).join(', ');
+          return { rootValue: { email: { subject } }, contextValue: undefined };
+        },
+      },
+    });
+
+    // $FlowFixMe
+    expect(await subscription.next()).to.deep.equal(subjectResult('a, b'));
+    expect(await subscription.next()).to.deep.equal(subjectResult('c, d'));
+  });
+
+  it('closes the source and ignores pending events once returned', async () => {
+    const pubsub = new EventEmitter();
+    const calls = [];
+    const schema = emailSchemaWithResolvers(
+      () => eventEmitterAsyncIterator(pubsub, 'importantEmail'),
+      email => email,
+    );
+
+    const subscription = await subscribe({
+      schema,
+      document,
+      hooks: {
+        onEvent(payload) {
+          calls.push('onEvent');
+          return { rootValue: payload, contextValue: undefined };
+        },
+        onComplete() {
+          calls.push('onComplete');
+        },
+      },
+    });
+
+    // $FlowFixMe
+    const payload = subscription.next();
+    expect(await subscription.return()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+    expect(pubsub.emit('importantEmail', { email: {} })).to.equal(false);
+    expect(await payload).to.deep.equal({ done: true, value: undefined });
+    expect(calls).to.deep.equal(['onComplete']);
+  });
+
+  it('calls onEventComplete and onComplete when execution fails', async () => {
+    const calls = [];
+    const subscription = await subscribe({
+      schema: subjectsSchema(['Hello']),
+      document,
+      hooks: {
+        onEvent: payload => ({ rootValue: payload, contextValue: undefined }),
+        onEventComplete() {
+          calls.push('onEventComplete');
+          throw new Error('Release failed');
+        },
+        onComplete() {
+          calls.push('onComplete');
+        },
+      },
+    });
+
+    await expectPromiseToThrow(
+      // $FlowFixMe
+      () => subscription.next(),
+      'Release failed',
+    );
+    expect(calls).to.deep.equal(['onEventComplete', 'onComplete']);
+    expect(await subscription.next()).to.deep.equal({
+      done: true,
+      value: undefined,
+    });
+  });
+
+  it('wraps the fields executed for every event with fieldMiddleware', async () => {
+    const fieldNames = [];
+    const subscription = await subscribe({
+      schema: subjectsSchema(['Hello']),
+      document,
+      fieldMiddleware: [
+        (resolve, source, args, context, info) => {
+          fieldNames.push(info.fieldName);
+          return resolve(source, args, context, info);
+        },
+      ],
+    });
+    expect(fieldNames).to.deep.equal([]);
+
+    // $FlowFixMe
+    expect(await subscription.next()).to.deep.equal(subjectResult('Hello'));
+    expect(fieldNames).to.deep.equal(['importantEmail', 'email', 'subject']);
+  });
+});
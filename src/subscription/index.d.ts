@@ -2,4 +2,13 @@ export {
   subscribe,
   createSourceEventStream,
   SubscriptionArgs,
+  SubscriptionHooks,
+  SubscriptionEvent,
 } from './subscribe';
+
+export {
+  PubSub,
+  PubSubOptions,
+  PubSubSubscribeOptions,
+  PubSubOverflowPolicy,
+} from './PubSub';
@@ -1,4 +1,15 @@
 // @flow strict
 
 export { subscribe, createSourceEventStream } from './subscribe';
-export type { SubscriptionArgs } from './subscribe';
+export type {
+  SubscriptionArgs,
+  SubscriptionHooks,
+  SubscriptionEvent,
+} from './subscribe';
+
+export { PubSub } from './PubSub';
+export type {
+  PubSubOptions,
+  PubSubSubscribeOptions,
+  PubSubOverflowPolicy,
+} from './PubSub';
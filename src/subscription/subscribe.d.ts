@@ -1,8 +1,11 @@
 import Maybe from '../tsutils/Maybe';
+import { PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { AbortSignalLike } from '../jsutils/AbortSignalLike';
 import { DocumentNode } from '../language/ast';
 import {
   ExecutionResult,
   ExecutionResultDataDefault,
+  GraphQLFieldMiddleware,
 } from '../execution/execute';
 import { GraphQLSchema } from '../type/schema';
 import { GraphQLFieldResolver } from '../type/definition';
@@ -16,6 +19,42 @@ export interface SubscriptionArgs {
   operationName?: Maybe<string>;
   fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>;
   subscribeFieldResolver?: Maybe<GraphQLFieldResolver<any, any>>;
+  signal?: Maybe<AbortSignalLike>;
+  fieldMiddleware?: Maybe<ReadonlyArray<GraphQLFieldMiddleware>>;
+  errorPropagation?: Maybe<boolean>;
+  hooks?: Maybe<SubscriptionHooks>;
+}
+
+/**
+ * Hooks into the lifecycle of a subscription, see `subscribe`.
+ *
+ *   - `onSubscribe` is called once the source event stream is created, before
+ *     any event is executed.
+ *   - `onEvent` is called for every source event and returns the root value
+ *     and context value used to execute it, or null to skip the event. This
+ *     allows building a fresh context for every event, filtering events, or
+ *     batching several events by skipping them until the batch is complete.
+ *   - `onEventComplete` is called once an event was executed, whether or not
+ *     its execution succeeded, allowing to release its context.
+ *   - `onComplete` is called once the response stream is closed, whether the
+ *     source event stream ended, failed, or the client unsubscribed.
+ */
+export interface SubscriptionHooks {
+  onSubscribe?: (contextValue: any) => PromiseOrValue<void>;
+  onEvent?: (
+    payload: any,
+    contextValue: any,
+  ) => PromiseOrValue<SubscriptionEvent | null>;
+  onEventComplete?: (event: SubscriptionEvent) => PromiseOrValue<void>;
+  onComplete?: (contextValue: any) => PromiseOrValue<void>;
+}
+
+/**
+ * The values used to execute a source event of a subscription.
+ */
+export interface SubscriptionEvent {
+  rootValue: any;
+  contextValue: any;
 }
 
 /**
@@ -36,6 +75,18 @@ export interface SubscriptionArgs {
  * If the operation succeeded, the promise resolves to an AsyncIterator, which
  * yields a stream of ExecutionResults representing the response stream.
  *
+ * If a `signal` is provided, aborting it closes the response stream (and with
+ * it the source event stream) and stops the execution of in-flight events.
+ *
+ * If `hooks` are provided, they are called over the lifecycle of the
+ * subscription, see `SubscriptionHooks`.
+ *
+ * If `fieldMiddleware` is provided, it wraps the resolution of every field
+ * executed for an event, see `GraphQLFieldMiddleware`.
+ *
+ * If `errorPropagation` is false, errors of the fields executed for an event
+ * do not propagate to their parents, see `execute`.
+ *
  * Accepts either an object with named arguments, or individual arguments.
  */
 export function subscribe<TData = ExecutionResultDataDefault>(
@@ -83,4 +134,5 @@ export function createSourceEventStream<TData = ExecutionResultDataDefault>(
   variableValues?: { [key: string]: any },
   operationName?: Maybe<string>,
   fieldResolver?: Maybe<GraphQLFieldResolver<any, any>>,
+  signal?: Maybe<AbortSignalLike>,
 ): Promise<AsyncIterable<any> | ExecutionResult<TData>>;
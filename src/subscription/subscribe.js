@@ -1,9 +1,11 @@
 // @flow strict
 
-import { isAsyncIterable } from 'iterall';
+import { $$asyncIterator, getAsyncIterator, isAsyncIterable } from 'iterall';
 
 import inspect from '../jsutils/inspect';
 import { addPath, pathToArray } from '../jsutils/Path';
+import { type PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { type AbortSignalLike } from '../jsutils/AbortSignalLike';
 
 import { GraphQLError } from '../error/GraphQLError';
 import { locatedError } from '../error/locatedError';
@@ -12,6 +14,7 @@ import { type DocumentNode } from '../language/ast';
 
 import {
   type ExecutionResult,
+  type GraphQLFieldMiddleware,
   assertValidExecutionArguments,
   buildExecutionContext,
   buildResolveInfo,
@@ -26,8 +29,6 @@ import { type GraphQLFieldResolver } from '../type/definition';
 
 import { getOperationRootType } from '../utilities/getOperationRootType';
 
-import mapAsyncIterator from './mapAsyncIterator';
-
 export type SubscriptionArgs = {|
   schema: GraphQLSchema,
   document: DocumentNode,
@@ -37,6 +38,42 @@ export type SubscriptionArgs = {|
   operationName?: ?string,
   fieldResolver?: ?GraphQLFieldResolver<any, any>,
   subscribeFieldResolver?: ?GraphQLFieldResolver<any, any>,
+  signal?: ?AbortSignalLike,
+  fieldMiddleware?: ?$ReadOnlyArray<GraphQLFieldMiddleware>,
+  errorPropagation?: ?boolean,
+  hooks?: ?SubscriptionHooks,
+|};
+
+/**
+ * Hooks into the lifecycle of a subscription, see `subscribe`.
+ *
+ *   - `onSubscribe` is called once the source event stream is created, before
+ *     any event is executed.
+ *   - `onEvent` is called for every source event and returns the root value
+ *     and context value used to execute it, or null to skip the event. This
+ *     allows building a fresh context for every event, filtering events, or
+ *     batching several events by skipping them until the batch is complete.
+ *   - `onEventComplete` is called once an event was executed, whether or not
+ *     its execution succeeded, allowing to release its context.
+ *   - `onComplete` is called once the response stream is closed, whether the
+ *     source event stream ended, failed, or the client unsubscribed.
+ */
+export type SubscriptionHooks = {|
+  onSubscribe?: (contextValue: mixed) => PromiseOrValue<void>,
+  onEvent?: (
+    payload: mixed,
+    contextValue: mixed,
+  ) => PromiseOrValue<SubscriptionEvent | null>,
+  onEventComplete?: (event: SubscriptionEvent) => PromiseOrValue<void>,
+  onComplete?: (contextValue: mixed) => PromiseOrValue<void>,
+|};
+
+/**
+ * The values used to execute a source event of a subscription.
+ */
+export type SubscriptionEvent = {|
+  rootValue: mixed,
+  contextValue: mixed,
 |};
 
 /**
@@ -58,6 +95,18 @@ export type SubscriptionArgs = {|
  * If the operation succeeded, the promise resolves to an AsyncIterator, which
  * yields a stream of ExecutionResults representing the response stream.
  *
+ * If a `signal` is provided, aborting it closes the response stream (and with
+ * it the source event stream) and stops the execution of in-flight events.
+ *
+ * If `hooks` are provided, they are called over the lifecycle of the
+ * subscription, see `SubscriptionHooks`.
+ *
+ * If `fieldMiddleware` is provided, it wraps the resolution of every field
+ * executed for an event, see `GraphQLFieldMiddleware`.
+ *
+ * If `errorPropagation` is false, errors of the fields executed for an event
+ * do not propagate to their parents, see `execute`.
+ *
  * Accepts either an object with named arguments, or individual arguments.
  */
 declare function subscribe(
@@ -125,6 +174,10 @@ function subscribeImpl(
     operationName,
     fieldResolver,
     subscribeFieldResolver,
+    signal,
+    fieldMiddleware,
+    errorPropagation,
+    hooks,
   } = args;
 
   const sourcePromise = createSourceEventStream(
@@ -135,6 +188,7 @@ function subscribeImpl(
     variableValues,
     operationName,
     subscribeFieldResolver,
+    signal,
   );
 
   // For each payload yielded from a subscription, map it over the normal
@@ -143,29 +197,189 @@ function subscribeImpl(
   // the GraphQL specification. The `execute` function provides the
   // "ExecuteSubscriptionEvent" algorithm, as it is nearly identical to the
   // "ExecuteQuery" algorithm, for which `execute` is also used.
-  const mapSourceToResponse = payload =>
-    execute(
+  //
+  // Note: `@defer` and `@stream` are ignored when executing subscriptions, so
+  // each event always results in a single ExecutionResult.
+  const executeEvent = (event: SubscriptionEvent) =>
+    ((execute({
       schema,
       document,
-      payload,
-      contextValue,
+      rootValue: event.rootValue,
+      contextValue: event.contextValue,
       variableValues,
       operationName,
       fieldResolver,
-    );
+      signal,
+      fieldMiddleware,
+      errorPropagation,
+    }): any): PromiseOrValue<ExecutionResult>);
 
   // Resolve the Source Stream, then map every source value to a
   // ExecutionResult value as described above.
-  return sourcePromise.then(resultOrStream =>
+  return sourcePromise.then(resultOrStream => {
     // Note: Flow can't refine isAsyncIterable, so explicit casts are used.
-    isAsyncIterable(resultOrStream)
-      ? mapAsyncIterator(
-          ((resultOrStream: any): AsyncIterable<mixed>),
-          mapSourceToResponse,
-          reportGraphQLError,
-        )
-      : ((resultOrStream: any): ExecutionResult),
-  );
+    if (!isAsyncIterable(resultOrStream)) {
+      return ((resultOrStream: any): ExecutionResult);
+    }
+
+    const responseStream = mapSourceToResponseStream(
+      ((resultOrStream: any): AsyncIterable<mixed>),
+      contextValue,
+      hooks,
+      signal,
+      executeEvent,
+    );
+
+    const onSubscribe = hooks && hooks.onSubscribe;
+    return new Promise(resolve =>
+      resolve(onSubscribe && onSubscribe(contextValue)),
+    ).then(
+      () => responseStream,
+      // If the subscription cannot start, the source event stream is closed.
+      error => responseStream.return().then(() => reportGraphQLError(error)),
+    );
+  });
+}
+
+/**
+ * Returns the response stream of a subscription, which executes every event
+ * of the source event stream as described by the hooks.
+ *
+ * Once the response stream is closed by the client, or the signal is aborted,
+ * the source event stream is closed as well and any event it still yields is
+ * ignored.
+ */
+function mapSourceToResponseStream(
+  sourceStream: AsyncIterable<mixed>,
+  contextValue: mixed,
+  hooks: ?SubscriptionHooks,
+  signal: ?AbortSignalLike,
+  executeEvent: SubscriptionEvent => PromiseOrValue<ExecutionResult>,
+): AsyncGenerator<ExecutionResult, void, void> {
+  const iterator = getAsyncIterator(sourceStream);
+  const onEvent = hooks && hooks.onEvent;
+  const onEventComplete = hooks && hooks.onEventComplete;
+  const onComplete = hooks && hooks.onComplete;
+  let completion;
+
+  function callOnComplete(): Promise<void> {
+    return new Promise(resolve =>
+      resolve(onComplete ? onComplete(contextValue) : undefined),
+    );
+  }
+
+  // Completes the response stream, closing the source event stream unless it
+  // has already ended. Only the first call has any effect.
+  function complete(closeSource: boolean): Promise<void> {
+    if (!completion) {
+      if (signal) {
+        signal.removeEventListener('abort', done);
+      }
+      // $FlowFixMe(>=0.68.0)
+      const $return = closeSource ? iterator.return : undefined;
+      completion = new Promise(resolve =>
+        resolve(typeof $return === 'function' && $return.call(iterator)),
+      ).then(callOnComplete, error =>
+        callOnComplete().then(() => Promise.reject(error)),
+      );
+    }
+    return completion;
+  }
+
+  // Once completed, the response stream only yields done results, while any
+  // error of its completion is reported by the call completing it.
+  function done(): Promise<IteratorResult<ExecutionResult, void>> {
+    return complete(true).then(doneResult, doneResult);
+  }
+
+  function mapEvent(payload: mixed): Promise<ExecutionResult | null> {
+    return new Promise(resolve =>
+      resolve(
+        onEvent
+          ? onEvent(payload, contextValue)
+          : { rootValue: payload, contextValue },
+      ),
+    ).then(event => {
+      if (event == null || completion) {
+        return null;
+      }
+      const result = new Promise(resolve => resolve(executeEvent(event)));
+      if (!onEventComplete) {
+        return result;
+      }
+      return result.then(
+        value => Promise.resolve(onEventComplete(event)).then(() => value),
+        error =>
+          Promise.resolve(onEventComplete(event)).then(() =>
+            Promise.reject(error),
+          ),
+      );
+    });
+  }
+
+  function next(): Promise<IteratorResult<ExecutionResult, void>> {
+    if (completion) {
+      return done();
+    }
+    return iterator.next().then(
+      result => {
+        if (completion) {
+          return done();
+        }
+        if (result.done) {
+          return complete(false).then(doneResult);
+        }
+        return mapEvent(result.value).then(
+          response => {
+            if (completion) {
+              return done();
+            }
+            // Skipped events do not produce a response.
+            return response === null
+              ? next()
+              : { value: response, done: false };
+          },
+          error => complete(true).then(() => Promise.reject(error)),
+        );
+      },
+      // Errors of the source event stream are reported as a response when
+      // they are GraphQLErrors, and end the response stream.
+      error =>
+        complete(false).then(() => ({
+          value: reportGraphQLError(error),
+          done: false,
+        })),
+    );
+  }
+
+  // Aborting the signal closes the response stream. Since `done` never
+  // rejects, an error of the completion is not left unhandled.
+  if (signal) {
+    if (signal.aborted) {
+      done();
+    } else {
+      signal.addEventListener('abort', done);
+    }
+  }
+
+  /* TODO: Flow doesn't support symbols as keys:
+     https://github.com/facebook/flow/issues/3258 */
+  return ({
+    next,
+    return() {
+      return complete(true).then(doneResult);
+    },
+    throw(error) {
+      return complete(true).then(() => Promise.reject(error));
+    },
+    [$$asyncIterator]() {
+      return this;
+    },
+  }: any);
+}
+
+function doneResult(): IteratorResult<ExecutionResult, void> {
+  return { value: undefined, done: true };
 }
 
 /**
@@ -204,6 +418,7 @@ export function createSourceEventStream(
   variableValues?: ?{ +[variable: string]: mixed, ... },
   operationName?: ?string,
   fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  signal?: ?AbortSignalLike,
 ): Promise<AsyncIterable<mixed> | ExecutionResult> {
   // If arguments are missing or incorrectly typed, this is an internal
   // developer mistake which should throw an early error.
@@ -220,6 +435,8 @@ export function createSourceEventStream(
       variableValues,
       operationName,
       fieldResolver,
+      undefined,
+      signal,
     );
 
     // Return early errors if execution context failed.
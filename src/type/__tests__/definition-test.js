@@ -55,6 +55,16 @@ describe('Type System: Scalars', () => {
     ).not.to.throw();
   });
 
+  it('accepts a Scalar type defining specifiedByUrl', () => {
+    expect(
+      () =>
+        new GraphQLScalarType({
+          name: 'SomeScalar',
+          specifiedByUrl: 'https://example.com/foo_spec',
+        }),
+    ).not.to.throw();
+  });
+
   it('provides default methods if omitted', () => {
     const scalar = new GraphQLScalarType({ name: 'Foo' });
 
@@ -92,6 +102,19 @@ describe('Type System: Scalars', () => {
     );
   });
 
+  it('rejects a Scalar type defining specifiedByUrl with an incorrect type', () => {
+    expect(
+      () =>
+        new GraphQLScalarType({
+          name: 'SomeScalar',
+          // $DisableFlowOnNegativeTest
+          specifiedByUrl: {},
+        }),
+    ).to.throw(
+      'SomeScalar must provide "specifiedByUrl" as a string, but got: {}.',
+    );
+  });
+
   it('rejects a Scalar type defining parseLiteral but not parseValue', () => {
     expect(
       () =>
@@ -221,6 +244,7 @@ describe('Type System: Objects', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
     });
@@ -249,7 +273,10 @@ describe('Type System: Objects', () => {
             description: undefined,
             type: ScalarType,
             defaultValue: undefined,
+            isDeprecated: false,
+            deprecationReason: undefined,
             extensions: undefined,
+            appliedDirectives: [],
             astNode: undefined,
           },
         ],
@@ -258,6 +285,7 @@ describe('Type System: Objects', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
     });
@@ -603,6 +631,7 @@ describe('Type System: Enums', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
       {
@@ -612,6 +641,7 @@ describe('Type System: Enums', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
       {
@@ -621,6 +651,7 @@ describe('Type System: Enums', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
     ]);
@@ -718,7 +749,10 @@ describe('Type System: Input Objects', () => {
           description: undefined,
           type: ScalarType,
           defaultValue: undefined,
+          isDeprecated: false,
+          deprecationReason: undefined,
           extensions: undefined,
+          appliedDirectives: [],
           astNode: undefined,
         },
       });
@@ -737,7 +771,10 @@ describe('Type System: Input Objects', () => {
           description: undefined,
           type: ScalarType,
           defaultValue: undefined,
+          isDeprecated: false,
+          deprecationReason: undefined,
           extensions: undefined,
+          appliedDirectives: [],
           astNode: undefined,
         },
       });
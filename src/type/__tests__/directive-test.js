@@ -39,7 +39,10 @@ describe('Type System: Directive', () => {
           description: undefined,
           type: GraphQLString,
           defaultValue: undefined,
+          isDeprecated: false,
+          deprecationReason: undefined,
           extensions: undefined,
+          appliedDirectives: [],
           astNode: undefined,
         },
         {
@@ -47,7 +50,10 @@ describe('Type System: Directive', () => {
           description: undefined,
           type: GraphQLInt,
           defaultValue: undefined,
+          isDeprecated: false,
+          deprecationReason: undefined,
           extensions: undefined,
+          appliedDirectives: [],
           astNode: undefined,
         },
       ],
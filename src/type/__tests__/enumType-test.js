@@ -348,6 +348,7 @@ describe('Type System: Enum Values', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
       {
@@ -357,6 +358,7 @@ describe('Type System: Enum Values', () => {
         isDeprecated: false,
         deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
     ]);
@@ -11,9 +11,11 @@ import { graphqlSync } from '../../graphql';
 import { getIntrospectionQuery } from '../../utilities/getIntrospectionQuery';
 
 import { GraphQLSchema } from '../schema';
-import { GraphQLString } from '../scalars';
+import { GraphQLDirective } from '../directives';
+import { GraphQLString, GraphQLInt } from '../scalars';
 import {
   GraphQLList,
+  GraphQLScalarType,
   GraphQLObjectType,
   GraphQLInputObjectType,
   GraphQLEnumType,
@@ -75,6 +77,17 @@ describe('Introspection', () => {
               kind: 'OBJECT',
               name: '__Schema',
               fields: [
+                {
+                  name: 'description',
+                  args: [],
+                  type: {
+                    kind: 'SCALAR',
+                    name: 'String',
+                    ofType: null,
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
                 {
                   name: 'types',
                   args: [],
@@ -205,6 +218,17 @@ describe('Introspection', () => {
                   isDeprecated: false,
                   deprecationReason: null,
                 },
+                {
+                  name: 'specifiedByUrl',
+                  args: [],
+                  type: {
+                    kind: 'SCALAR',
+                    name: 'String',
+                    ofType: null,
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
                 {
                   name: 'fields',
                   args: [
@@ -303,7 +327,17 @@ describe('Introspection', () => {
                 },
                 {
                   name: 'inputFields',
-                  args: [],
+                  args: [
+                    {
+                      name: 'includeDeprecated',
+                      type: {
+                        kind: 'SCALAR',
+                        name: 'Boolean',
+                        ofType: null,
+                      },
+                      defaultValue: 'false',
+                    },
+                  ],
                   type: {
                     kind: 'LIST',
                     name: null,
@@ -331,6 +365,17 @@ describe('Introspection', () => {
                   isDeprecated: false,
                   deprecationReason: null,
                 },
+                {
+                  name: 'isOneOf',
+                  args: [],
+                  type: {
+                    kind: 'SCALAR',
+                    name: 'Boolean',
+                    ofType: null,
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
               ],
               inputFields: null,
               interfaces: [],
@@ -428,7 +473,17 @@ describe('Introspection', () => {
                 },
                 {
                   name: 'args',
-                  args: [],
+                  args: [
+                    {
+                      name: 'includeDeprecated',
+                      type: {
+                        kind: 'SCALAR',
+                        name: 'Boolean',
+                        ofType: null,
+                      },
+                      defaultValue: 'false',
+                    },
+                  ],
                   type: {
                     kind: 'NON_NULL',
                     name: null,
@@ -552,6 +607,32 @@ describe('Introspection', () => {
                   isDeprecated: false,
                   deprecationReason: null,
                 },
+                {
+                  name: 'isDeprecated',
+                  args: [],
+                  type: {
+                    kind: 'NON_NULL',
+                    name: null,
+                    ofType: {
+                      kind: 'SCALAR',
+                      name: 'Boolean',
+                      ofType: null,
+                    },
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
+                {
+                  name: 'deprecationReason',
+                  args: [],
+                  type: {
+                    kind: 'SCALAR',
+                    name: 'String',
+                    ofType: null,
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
               ],
               inputFields: null,
               interfaces: [],
@@ -650,6 +731,21 @@ describe('Introspection', () => {
                   isDeprecated: false,
                   deprecationReason: null,
                 },
+                {
+                  name: 'isRepeatable',
+                  args: [],
+                  type: {
+                    kind: 'NON_NULL',
+                    name: null,
+                    ofType: {
+                      kind: 'SCALAR',
+                      name: 'Boolean',
+                      ofType: null,
+                    },
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
                 {
                   name: 'locations',
                   args: [],
@@ -675,7 +771,17 @@ describe('Introspection', () => {
                 },
                 {
                   name: 'args',
-                  args: [],
+                  args: [
+                    {
+                      name: 'includeDeprecated',
+                      type: {
+                        kind: 'SCALAR',
+                        name: 'Boolean',
+                        ofType: null,
+                      },
+                      defaultValue: 'false',
+                    },
+                  ],
                   type: {
                     kind: 'NON_NULL',
                     name: null,
@@ -849,7 +955,12 @@ describe('Introspection', () => {
             },
             {
               name: 'deprecated',
-              locations: ['FIELD_DEFINITION', 'ENUM_VALUE'],
+              locations: [
+                'FIELD_DEFINITION',
+                'ARGUMENT_DEFINITION',
+                'INPUT_FIELD_DEFINITION',
+                'ENUM_VALUE',
+              ],
               args: [
                 {
                   defaultValue: '"No longer supported"',
@@ -862,6 +973,30 @@ describe('Introspection', () => {
                 },
               ],
             },
+            {
+              name: 'specifiedBy',
+              locations: ['SCALAR'],
+              args: [
+                {
+                  defaultValue: null,
+                  name: 'url',
+                  type: {
+                    kind: 'NON_NULL',
+                    name: null,
+                    ofType: {
+                      kind: 'SCALAR',
+                      name: 'String',
+                      ofType: null,
+                    },
+                  },
+                },
+              ],
+            },
+            {
+              name: 'oneOf',
+              locations: ['INPUT_OBJECT'],
+              args: [],
+            },
           ],
         },
       },
@@ -963,6 +1098,144 @@ describe('Introspection', () => {
     });
   });
 
+  it('introspects specifiedByUrl of scalars', () => {
+    const UUID = new GraphQLScalarType({
+      name: 'UUID',
+      specifiedByUrl: 'https://tools.ietf.org/html/rfc4122',
+    });
+
+    const TestType = new GraphQLObjectType({
+      name: 'TestType',
+      fields: {
+        id: { type: UUID },
+        name: { type: GraphQLString },
+      },
+    });
+
+    const schema = new GraphQLSchema({ query: TestType });
+    const request = `
+      {
+        uuid: __type(name: "UUID") {
+          specifiedByUrl
+        }
+        string: __type(name: "String") {
+          specifiedByUrl
+        }
+      }
+    `;
+
+    expect(graphqlSync(schema, request)).to.deep.equal({
+      data: {
+        uuid: { specifiedByUrl: 'https://tools.ietf.org/html/rfc4122' },
+        string: { specifiedByUrl: null },
+      },
+    });
+  });
+
+  it('identifies OneOf input objects', () => {
+    const OneOfInput = new GraphQLInputObjectType({
+      name: 'OneOfInput',
+      isOneOf: true,
+      fields: {
+        a: { type: GraphQLString },
+        b: { type: GraphQLInt },
+      },
+    });
+
+    const TestType = new GraphQLObjectType({
+      name: 'TestType',
+      fields: {
+        field: {
+          type: GraphQLString,
+          args: { input: { type: OneOfInput } },
+        },
+      },
+    });
+
+    const schema = new GraphQLSchema({ query: TestType });
+    const request = `
+      {
+        oneOfInput: __type(name: "OneOfInput") {
+          isOneOf
+        }
+        testType: __type(name: "TestType") {
+          isOneOf
+        }
+      }
+    `;
+
+    expect(graphqlSync(schema, request)).to.deep.equal({
+      data: {
+        oneOfInput: { isOneOf: true },
+        testType: { isOneOf: null },
+      },
+    });
+  });
+
+  it('introspects the schema description', () => {
+    const schema = new GraphQLSchema({
+      description: 'Sample schema',
+      query: new GraphQLObjectType({
+        name: 'QueryRoot',
+        fields: { onlyField: { type: GraphQLString } },
+      }),
+    });
+    const request = `
+      {
+        __schema {
+          description
+        }
+      }
+    `;
+
+    expect(graphqlSync(schema, request)).to.deep.equal({
+      data: {
+        __schema: { description: 'Sample schema' },
+      },
+    });
+  });
+
+  it('identifies repeatable directives', () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'QueryRoot',
+        fields: { onlyField: { type: GraphQLString } },
+      }),
+      directives: [
+        new GraphQLDirective({
+          name: 'nonRepeatable',
+          locations: ['FIELD'],
+        }),
+        new GraphQLDirective({
+          name: 'repeatable',
+          isRepeatable: true,
+          locations: ['FIELD'],
+        }),
+      ],
+    });
+    const request = `
+      {
+        __schema {
+          directives {
+            name
+            isRepeatable
+          }
+        }
+      }
+    `;
+
+    expect(graphqlSync(schema, request)).to.deep.equal({
+      data: {
+        __schema: {
+          directives: [
+            { name: 'nonRepeatable', isRepeatable: false },
+            { name: 'repeatable', isRepeatable: true },
+          ],
+        },
+      },
+    });
+  });
+
   it('supports the __type root field', () => {
     const TestType = new GraphQLObjectType({
       name: 'TestType',
@@ -1099,6 +1372,209 @@ describe('Introspection', () => {
     });
   });
 
+  it('identifies deprecated args and input fields', () => {
+    const TestInputObject = new GraphQLInputObjectType({
+      name: 'TestInputObject',
+      fields: {
+        nonDeprecated: { type: GraphQLString },
+        deprecated: {
+          type: GraphQLString,
+          deprecationReason: 'Removed in 1.0',
+        },
+      },
+    });
+    const TestType = new GraphQLObjectType({
+      name: 'TestType',
+      fields: {
+        someField: {
+          type: GraphQLString,
+          args: {
+            nonDeprecated: { type: GraphQLString },
+            deprecated: {
+              type: GraphQLString,
+              deprecationReason: 'Removed in 1.0',
+            },
+            input: { type: TestInputObject },
+          },
+        },
+      },
+    });
+
+    const schema = new GraphQLSchema({ query: TestType });
+    const request = `
+      {
+        testType: __type(name: "TestType") {
+          fields {
+            args(includeDeprecated: true) {
+              name
+              isDeprecated
+              deprecationReason
+            }
+          }
+        }
+        testInputObject: __type(name: "TestInputObject") {
+          inputFields(includeDeprecated: true) {
+            name
+            isDeprecated
+            deprecationReason
+          }
+        }
+      }
+    `;
+
+    expect(graphqlSync(schema, request)).to.deep.equal({
+      data: {
+        testType: {
+          fields: [
+            {
+              args: [
+                {
+                  name: 'nonDeprecated',
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
+                {
+                  name: 'deprecated',
+                  isDeprecated: true,
+                  deprecationReason: 'Removed in 1.0',
+                },
+                {
+                  name: 'input',
+                  isDeprecated: false,
+                  deprecationReason: null,
+                },
+              ],
+            },
+          ],
+        },
+        testInputObject: {
+          inputFields: [
+            {
+              name: 'nonDeprecated',
+              isDeprecated: false,
+              deprecationReason: null,
+            },
+            {
+              name: 'deprecated',
+              isDeprecated: true,
+              deprecationReason: 'Removed in 1.0',
+            },
+          ],
+        },
+      },
+    });
+  });
+
+  it('respects the includeDeprecated parameter for args and input fields', () => {
+    const args = {
+      nonDeprecated: { type: GraphQLString },
+      deprecated: {
+        type: GraphQLString,
+        deprecationReason: 'Removed in 1.0',
+      },
+    };
+    const TestInputObject = new GraphQLInputObjectType({
+      name: 'TestInputObject',
+      fields: args,
+    });
+    const TestType = new GraphQLObjectType({
+      name: 'TestType',
+      fields: {
+        someField: { type: GraphQLString, args },
+        someInput: {
+          type: GraphQLString,
+          args: { input: { type: TestInputObject } },
+        },
+      },
+    });
+    const TestDirective = new GraphQLDirective({
+      name: 'testDirective',
+      locations: ['FIELD'],
+      args,
+    });
+
+    const schema = new GraphQLSchema({
+      query: TestType,
+      directives: [TestDirective],
+    });
+    const request = `
+      {
+        __schema {
+          directives {
+            trueArgs: args(includeDeprecated: true) {
+              name
+            }
+            falseArgs: args(includeDeprecated: false) {
+              name
+            }
+            omittedArgs: args {
+              name
+            }
+          }
+        }
+        testType: __type(name: "TestType") {
+          fields {
+            trueArgs: args(includeDeprecated: true) {
+              name
+            }
+            falseArgs: args(includeDeprecated: false) {
+              name
+            }
+            omittedArgs: args {
+              name
+            }
+          }
+        }
+        testInputObject: __type(name: "TestInputObject") {
+          trueInputFields: inputFields(includeDeprecated: true) {
+            name
+          }
+          falseInputFields: inputFields(includeDeprecated: false) {
+            name
+          }
+          omittedInputFields: inputFields {
+            name
+          }
+        }
+      }
+    `;
+
+    const allArgs = [{ name: 'nonDeprecated' }, { name: 'deprecated' }];
+    const nonDeprecatedArgs = [{ name: 'nonDeprecated' }];
+    expect(graphqlSync(schema, request)).to.deep.equal({
+      data: {
+        __schema: {
+          directives: [
+            {
+              trueArgs: allArgs,
+              falseArgs: nonDeprecatedArgs,
+              omittedArgs: nonDeprecatedArgs,
+            },
+          ],
+        },
+        testType: {
+          fields: [
+            {
+              trueArgs: allArgs,
+              falseArgs: nonDeprecatedArgs,
+              omittedArgs: nonDeprecatedArgs,
+            },
+            {
+              trueArgs: [{ name: 'input' }],
+              falseArgs: [{ name: 'input' }],
+              omittedArgs: [{ name: 'input' }],
+            },
+          ],
+        },
+        testInputObject: {
+          trueInputFields: allArgs,
+          falseInputFields: nonDeprecatedArgs,
+          omittedInputFields: nonDeprecatedArgs,
+        },
+      },
+    });
+  });
+
   it('identifies deprecated enum values', () => {
     const TestEnum = new GraphQLEnumType({
       name: 'TestEnum',
@@ -1289,6 +1765,10 @@ describe('Introspection', () => {
           description:
             'A GraphQL Schema defines the capabilities of a GraphQL server. It exposes all available types and directives on the server, as well as the entry points for query, mutation, and subscription operations.',
           fields: [
+            {
+              name: 'description',
+              description: null,
+            },
             {
               name: 'types',
               description: 'A list of all types supported by this server.',
@@ -549,7 +549,10 @@ describe('Type predicates', () => {
         name: 'someArg',
         description: undefined,
         defaultValue: undefined,
+        isDeprecated: false,
+        deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
         ...config,
       };
@@ -593,7 +596,10 @@ describe('Type predicates', () => {
         name: 'someInputField',
         description: undefined,
         defaultValue: undefined,
+        isDeprecated: false,
+        deprecationReason: undefined,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
         ...config,
       };
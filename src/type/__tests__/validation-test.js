@@ -6,9 +6,11 @@ import { describe, it } from 'mocha';
 import inspect from '../../jsutils/inspect';
 
 import { parse } from '../../language/parser';
+import { DirectiveLocation } from '../../language/directiveLocation';
 
 import { GraphQLSchema } from '../../type/schema';
-import { GraphQLString } from '../../type/scalars';
+import { GraphQLDirective } from '../../type/directives';
+import { GraphQLInt, GraphQLString } from '../../type/scalars';
 import {
   type GraphQLNamedType,
   type GraphQLInputType,
@@ -393,6 +395,158 @@ describe('Type System: A Schema must have Object root types', () => {
   });
 });
 
+describe('Type System: Applied directives must be valid', () => {
+  const TagDirective = new GraphQLDirective({
+    name: 'tag',
+    locations: [DirectiveLocation.OBJECT, DirectiveLocation.FIELD_DEFINITION],
+    args: { name: { type: GraphQLString } },
+  });
+
+  const LimitDirective = new GraphQLDirective({
+    name: 'limit',
+    locations: [DirectiveLocation.FIELD_DEFINITION],
+    args: {
+      max: { type: GraphQLNonNull(GraphQLInt) },
+      steps: { type: GraphQLList(GraphQLInt) },
+    },
+  });
+
+  function schemaWithAppliedDirectives(appliedDirectives) {
+    return new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { foo: { type: GraphQLString, appliedDirectives } },
+      }),
+      directives: [TagDirective, LimitDirective],
+    });
+  }
+
+  it('accepts directives applied to allowed locations', () => {
+    const schema = schemaWithAppliedDirectives([
+      { name: 'tag', args: { name: 'foo' } },
+    ]);
+    expect(validateSchema(schema)).to.deep.equal([]);
+  });
+
+  it('accepts applied directives defined in SDL', () => {
+    const schema = buildSchema(`
+      directive @tag(name: String) on OBJECT | FIELD_DEFINITION
+
+      type Query @tag(name: "query") {
+        foo: String @tag
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([]);
+  });
+
+  it('rejects unknown applied directives', () => {
+    const schema = schemaWithAppliedDirectives([{ name: 'unknown' }]);
+    expect(validateSchema(schema)).to.deep.equal([
+      { message: 'Unknown directive "@unknown" applied to Query.foo.' },
+    ]);
+  });
+
+  it('rejects directives applied to disallowed locations', () => {
+    const schema = new GraphQLSchema({
+      query: SomeObjectType,
+      directives: [TagDirective],
+      appliedDirectives: [{ name: 'tag' }],
+    });
+    expect(validateSchema(schema)).to.deep.equal([
+      { message: 'Directive "@tag" may not be applied to the schema.' },
+    ]);
+  });
+
+  it('rejects non-repeatable directives applied more than once', () => {
+    const schema = schemaWithAppliedDirectives([
+      { name: 'tag', args: { name: 'first' } },
+      { name: 'tag', args: { name: 'second' } },
+    ]);
+    expect(validateSchema(schema)).to.deep.equal([
+      { message: 'Directive "@tag" may only be applied once to Query.foo.' },
+    ]);
+  });
+
+  it('rejects unknown arguments of applied directives', () => {
+    const schema = schemaWithAppliedDirectives([
+      { name: 'tag', args: { name: 'foo', unknown: 'bar' } },
+    ]);
+    expect(validateSchema(schema)).to.deep.equal([
+      {
+        message:
+          'Unknown argument "unknown" of directive "@tag" applied to Query.foo.',
+      },
+    ]);
+  });
+
+  it('rejects applied directives missing required arguments', () => {
+    const schema = schemaWithAppliedDirectives([
+      { name: 'limit', args: { steps: [1] } },
+    ]);
+    expect(validateSchema(schema)).to.deep.equal([
+      {
+        message:
+          'Argument "max" of directive "@limit" applied to Query.foo is required, but it was not provided.',
+      },
+    ]);
+  });
+
+  it('rejects invalid values of applied directive arguments', () => {
+    const schema = buildSchema(`
+      directive @limit(max: Int!, steps: [Int]) on FIELD_DEFINITION
+
+      type Query {
+        foo: String @limit(max: null, steps: [1, "two"])
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([
+      {
+        message:
+          'Invalid value null for argument "max" of directive "@limit" applied to Query.foo: Expected non-nullable type "Int!" not to be null.',
+        locations: [{ line: 5, column: 9 }],
+      },
+      {
+        message:
+          'Invalid value "two" at "value[1]" for argument "steps" of directive "@limit" applied to Query.foo: Int cannot represent non-integer value: "two"',
+        locations: [{ line: 5, column: 9 }],
+      },
+    ]);
+  });
+
+  it('validates applied directive arguments as external input values', () => {
+    const ColorType = new GraphQLEnumType({
+      name: 'Color',
+      values: { RED: { value: 0 }, BLUE: { value: 1 } },
+    });
+    const PaintDirective = new GraphQLDirective({
+      name: 'paint',
+      locations: [DirectiveLocation.FIELD_DEFINITION],
+      args: { colors: { type: GraphQLList(ColorType) } },
+    });
+    const schemaWithColors = colors =>
+      new GraphQLSchema({
+        query: new GraphQLObjectType({
+          name: 'Query',
+          fields: {
+            foo: {
+              type: GraphQLString,
+              appliedDirectives: [{ name: 'paint', args: { colors } }],
+            },
+          },
+        }),
+        directives: [PaintDirective],
+      });
+
+    expect(validateSchema(schemaWithColors(['RED', 'BLUE']))).to.deep.equal([]);
+    expect(validateSchema(schemaWithColors([0]))).to.deep.equal([
+      {
+        message:
+          'Invalid value 0 at "value[0]" for argument "colors" of directive "@paint" applied to Query.foo: Expected type "Color".',
+      },
+    ]);
+  });
+});
+
 describe('Type System: Objects must have fields', () => {
   it('accepts an Object type with fields object', () => {
     const schema = buildSchema(`
@@ -1574,6 +1728,129 @@ describe('Type System: Input Object fields must have input types', () => {
   });
 });
 
+describe('Type System: OneOf Input Object fields must be valid', () => {
+  it('accepts a OneOf Input Object with nullable fields', () => {
+    const schema = buildSchema(`
+      type Query {
+        test(arg: SomeInputObject): String
+      }
+
+      input SomeInputObject @oneOf {
+        a: String
+        b: Int
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([]);
+  });
+
+  it('rejects non-nullable fields', () => {
+    const schema = buildSchema(`
+      type Query {
+        test(arg: SomeInputObject): String
+      }
+
+      input SomeInputObject @oneOf {
+        a: String
+        b: Int!
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([
+      {
+        message: 'OneOf input field SomeInputObject.b must be nullable.',
+        locations: [{ line: 8, column: 12 }],
+      },
+    ]);
+  });
+
+  it('rejects fields with default values', () => {
+    const schema = buildSchema(`
+      type Query {
+        test(arg: SomeInputObject): String
+      }
+
+      input SomeInputObject @oneOf {
+        a: String
+        b: Int = 3
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([
+      {
+        message:
+          'OneOf input field SomeInputObject.b cannot have a default value.',
+        locations: [{ line: 8, column: 9 }],
+      },
+    ]);
+  });
+});
+
+describe('Type System: Arguments and input fields can only be deprecated if optional', () => {
+  it('accepts deprecated optional arguments and input fields', () => {
+    const schema = buildSchema(`
+      directive @testDirective(
+        optional: String @deprecated
+        withDefault: Int! = 1 @deprecated
+      ) on FIELD
+
+      type Query {
+        test(
+          optional: String @deprecated
+          withDefault: Int! = 1 @deprecated
+          input: SomeInputObject
+        ): String
+      }
+
+      input SomeInputObject {
+        optional: String @deprecated
+        withDefault: Int! = 1 @deprecated
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([]);
+  });
+
+  it('rejects deprecated required arguments and input fields', () => {
+    const schema = buildSchema(`
+      directive @testDirective(required: String! @deprecated) on FIELD
+
+      type Query {
+        test(
+          required: String! @deprecated(reason: "Use something else")
+          input: SomeInputObject
+        ): String
+      }
+
+      input SomeInputObject {
+        required: Int! @deprecated
+      }
+    `);
+    expect(validateSchema(schema)).to.deep.equal([
+      {
+        message:
+          'Required argument @testDirective(required:) cannot be deprecated.',
+        locations: [
+          { line: 2, column: 50 },
+          { line: 2, column: 42 },
+        ],
+      },
+      {
+        message:
+          'Required argument Query.test(required:) cannot be deprecated.',
+        locations: [
+          { line: 6, column: 29 },
+          { line: 6, column: 21 },
+        ],
+      },
+      {
+        message:
+          'Required input field SomeInputObject.required cannot be deprecated.',
+        locations: [
+          { line: 12, column: 24 },
+          { line: 12, column: 19 },
+        ],
+      },
+    ]);
+  });
+});
+
 describe('Objects must adhere to Interface they implement', () => {
   it('accepts an Object which implements an Interface', () => {
     const schema = buildSchema(`
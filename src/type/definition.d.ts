@@ -1,6 +1,7 @@
 import Maybe from '../tsutils/Maybe';
 import { PromiseOrValue } from '../jsutils/PromiseOrValue';
 import { Path } from '../jsutils/Path';
+import { AbortSignalLike } from '../jsutils/AbortSignalLike';
 import {
   ScalarTypeDefinitionNode,
   ObjectTypeDefinitionNode,
@@ -23,6 +24,7 @@ import {
   InputObjectTypeExtensionNode,
 } from '../language/ast';
 import { GraphQLSchema } from './schema';
+import { GraphQLAppliedDirective } from './directives';
 
 /**
  * These are all of the possible kinds of types.
@@ -281,14 +283,19 @@ export type Thunk<T> = (() => T) | T;
  *       }
  *     });
  *
+ * A custom scalar may link to a human-readable specification of its data
+ * format, serialization and coercion rules via `specifiedByUrl`.
+ *
  */
 export class GraphQLScalarType {
   name: string;
   description: Maybe<string>;
+  specifiedByUrl: Maybe<string>;
   serialize: GraphQLScalarSerializer<any>;
   parseValue: GraphQLScalarValueParser<any>;
   parseLiteral: GraphQLScalarLiteralParser<any>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<ScalarTypeDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<ScalarTypeExtensionNode>>;
 
@@ -299,6 +306,7 @@ export class GraphQLScalarType {
     parseValue: GraphQLScalarValueParser<any>;
     parseLiteral: GraphQLScalarLiteralParser<any>;
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<ScalarTypeExtensionNode>;
   };
 
@@ -321,6 +329,7 @@ export type GraphQLScalarLiteralParser<TInternal> = (
 export interface GraphQLScalarTypeConfig<TInternal, TExternal> {
   name: string;
   description?: Maybe<string>;
+  specifiedByUrl?: Maybe<string>;
   // Serializes an internal value to include in a response.
   serialize: GraphQLScalarSerializer<TExternal>;
   // Parses an externally provided value to use as an input.
@@ -328,6 +337,7 @@ export interface GraphQLScalarTypeConfig<TInternal, TExternal> {
   // Parses an externally provided literal value to use as an input.
   parseLiteral?: GraphQLScalarLiteralParser<TInternal>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<ScalarTypeDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<ScalarTypeExtensionNode>>;
 }
@@ -378,6 +388,7 @@ export class GraphQLObjectType<
   description: Maybe<string>;
   isTypeOf: Maybe<GraphQLIsTypeOfFn<TSource, TContext>>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<ObjectTypeDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<ObjectTypeExtensionNode>>;
 
@@ -389,6 +400,7 @@ export class GraphQLObjectType<
     interfaces: GraphQLInterfaceType[];
     fields: GraphQLFieldConfigMap<any, any>;
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<ObjectTypeExtensionNode>;
   };
 
@@ -413,6 +425,7 @@ export interface GraphQLObjectTypeConfig<
   fields: Thunk<GraphQLFieldConfigMap<TSource, TContext, TArgs>>;
   isTypeOf?: Maybe<GraphQLIsTypeOfFn<TSource, TContext>>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<ObjectTypeDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<ObjectTypeExtensionNode>>;
 }
@@ -459,6 +472,9 @@ export interface GraphQLResolveInfo {
   readonly rootValue: any;
   readonly operation: OperationDefinitionNode;
   readonly variableValues: { [variableName: string]: any };
+  readonly signal: Maybe<AbortSignalLike>;
+  // The extensions of the ExecutionResult, which resolvers may add to.
+  readonly resultExtensions: { [key: string]: any };
 }
 
 export interface GraphQLFieldConfig<
@@ -473,6 +489,7 @@ export interface GraphQLFieldConfig<
   subscribe?: GraphQLFieldResolver<TSource, TContext, TArgs>;
   deprecationReason?: Maybe<string>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<FieldDefinitionNode>;
 }
 
@@ -484,7 +501,9 @@ export interface GraphQLArgumentConfig {
   description?: Maybe<string>;
   type: GraphQLInputType;
   defaultValue?: any;
+  deprecationReason?: Maybe<string>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<InputValueDefinitionNode>;
 }
 
@@ -511,6 +530,7 @@ export interface GraphQLField<
   isDeprecated?: boolean;
   deprecationReason?: Maybe<string>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode?: Maybe<FieldDefinitionNode>;
 }
 
@@ -519,7 +539,10 @@ export interface GraphQLArgument {
   description: Maybe<string>;
   type: GraphQLInputType;
   defaultValue: any;
+  isDeprecated: boolean;
+  deprecationReason: Maybe<string>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<InputValueDefinitionNode>;
 }
 
@@ -557,6 +580,7 @@ export class GraphQLInterfaceType {
   description: Maybe<string>;
   resolveType: Maybe<GraphQLTypeResolver<any, any>>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode?: Maybe<InterfaceTypeDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<InterfaceTypeExtensionNode>>;
 
@@ -568,6 +592,7 @@ export class GraphQLInterfaceType {
     interfaces: GraphQLInterfaceType[];
     fields: GraphQLFieldConfigMap<any, any>;
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<InterfaceTypeExtensionNode>;
   };
 
@@ -593,6 +618,7 @@ export interface GraphQLInterfaceTypeConfig<
    */
   resolveType?: Maybe<GraphQLTypeResolver<TSource, TContext, TArgs>>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<InterfaceTypeDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<InterfaceTypeExtensionNode>>;
 }
@@ -625,6 +651,7 @@ export class GraphQLUnionType {
   description: Maybe<string>;
   resolveType: Maybe<GraphQLTypeResolver<any, any>>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<UnionTypeDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<UnionTypeExtensionNode>>;
 
@@ -634,6 +661,7 @@ export class GraphQLUnionType {
   toConfig(): GraphQLUnionTypeConfig<any, any> & {
     types: GraphQLObjectType[];
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<UnionTypeExtensionNode>;
   };
 
@@ -653,6 +681,7 @@ export interface GraphQLUnionTypeConfig<TSource, TContext> {
    */
   resolveType?: Maybe<GraphQLTypeResolver<TSource, TContext>>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<UnionTypeDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<UnionTypeExtensionNode>>;
 }
@@ -682,6 +711,7 @@ export class GraphQLEnumType {
   name: string;
   description: Maybe<string>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<EnumTypeDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<EnumTypeExtensionNode>>;
 
@@ -697,6 +727,7 @@ export class GraphQLEnumType {
 
   toConfig(): GraphQLEnumTypeConfig & {
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<EnumTypeExtensionNode>;
   };
 
@@ -710,6 +741,7 @@ export interface GraphQLEnumTypeConfig {
   description?: Maybe<string>;
   values: GraphQLEnumValueConfigMap;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<EnumTypeDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<EnumTypeExtensionNode>>;
 }
@@ -723,6 +755,7 @@ export interface GraphQLEnumValueConfig {
   value?: any;
   deprecationReason?: Maybe<string>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<EnumValueDefinitionNode>;
 }
 
@@ -733,6 +766,7 @@ export interface GraphQLEnumValue {
   isDeprecated?: boolean;
   deprecationReason: Maybe<string>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode?: Maybe<EnumValueDefinitionNode>;
 }
 
@@ -755,11 +789,28 @@ export interface GraphQLEnumValue {
  *       }
  *     });
  *
+ * When `isOneOf` is set, exactly one of the fields must be provided and its
+ * value must not be null. All fields of a OneOf Input Object must be nullable
+ * and must not have a default value.
+ *
+ * Example:
+ *
+ *     const PetInput = new GraphQLInputObjectType({
+ *       name: 'PetInput',
+ *       isOneOf: true,
+ *       fields: {
+ *         cat: { type: CatInput },
+ *         dog: { type: DogInput },
+ *       }
+ *     });
+ *
  */
 export class GraphQLInputObjectType {
   name: string;
   description: Maybe<string>;
+  isOneOf: boolean;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<InputObjectTypeDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<InputObjectTypeExtensionNode>>;
 
@@ -768,7 +819,9 @@ export class GraphQLInputObjectType {
 
   toConfig(): GraphQLInputObjectTypeConfig & {
     fields: GraphQLInputFieldConfigMap;
+    isOneOf: boolean;
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<InputObjectTypeExtensionNode>;
   };
 
@@ -781,7 +834,9 @@ export interface GraphQLInputObjectTypeConfig {
   name: string;
   description?: Maybe<string>;
   fields: Thunk<GraphQLInputFieldConfigMap>;
+  isOneOf?: Maybe<boolean>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<InputObjectTypeDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<InputObjectTypeExtensionNode>>;
 }
@@ -790,7 +845,9 @@ export interface GraphQLInputFieldConfig {
   description?: Maybe<string>;
   type: GraphQLInputType;
   defaultValue?: any;
+  deprecationReason?: Maybe<string>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<InputValueDefinitionNode>;
 }
 
@@ -803,7 +860,10 @@ export interface GraphQLInputField {
   description?: Maybe<string>;
   type: GraphQLInputType;
   defaultValue?: any;
+  isDeprecated: boolean;
+  deprecationReason: Maybe<string>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode?: Maybe<InputValueDefinitionNode>;
 }
 
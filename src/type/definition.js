@@ -15,6 +15,7 @@ import identityFunc from '../jsutils/identityFunc';
 import defineToJSON from '../jsutils/defineToJSON';
 import defineToStringTag from '../jsutils/defineToStringTag';
 import { type PromiseOrValue } from '../jsutils/PromiseOrValue';
+import { type AbortSignalLike } from '../jsutils/AbortSignalLike';
 import {
   type ObjMap,
   type ReadOnlyObjMap,
@@ -47,6 +48,7 @@ import {
 import { valueFromASTUntyped } from '../utilities/valueFromASTUntyped';
 
 import { type GraphQLSchema } from './schema';
+import { type GraphQLAppliedDirective } from './directives';
 
 // Predicates & Assertions
 
@@ -510,7 +512,7 @@ export function getNamedType(type) {
  */
 export type Thunk<+T> = (() => T) | T;
 
-function resolveThunk<+T>(thunk: Thunk<T>): T {
+export function resolveThunk<+T>(thunk: Thunk<T>): T {
   // $FlowFixMe(>=0.90.0)
   return typeof thunk === 'function' ? thunk() : thunk;
 }
@@ -542,14 +544,19 @@ function undefineIfEmpty<T>(arr: ?$ReadOnlyArray<T>): ?$ReadOnlyArray<T> {
  *       }
  *     });
  *
+ * A custom scalar may link to a human-readable specification of its data
+ * format, serialization and coercion rules via `specifiedByUrl`.
+ *
  */
 export class GraphQLScalarType {
   name: string;
   description: ?string;
+  specifiedByUrl: ?string;
   serialize: GraphQLScalarSerializer<*>;
   parseValue: GraphQLScalarValueParser<*>;
   parseLiteral: GraphQLScalarLiteralParser<*>;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?ScalarTypeDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<ScalarTypeExtensionNode>;
 
@@ -557,15 +564,23 @@ export class GraphQLScalarType {
     const parseValue = config.parseValue || identityFunc;
     this.name = config.name;
     this.description = config.description;
+    this.specifiedByUrl = config.specifiedByUrl;
     this.serialize = config.serialize || identityFunc;
     this.parseValue = parseValue;
     this.parseLiteral =
       config.parseLiteral || (node => parseValue(valueFromASTUntyped(node)));
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = undefineIfEmpty(config.extensionASTNodes);
 
     devAssert(typeof config.name === 'string', 'Must provide name.');
+    devAssert(
+      config.specifiedByUrl == null ||
+        typeof config.specifiedByUrl === 'string',
+      `${this.name} must provide "specifiedByUrl" as a string, ` +
+        `but got: ${inspect(config.specifiedByUrl)}.`,
+    );
     devAssert(
       config.serialize == null || typeof config.serialize === 'function',
       `${this.name} must provide "serialize" function. If this custom Scalar is also used as an input type, ensure "parseValue" and "parseLiteral" functions are also provided.`,
@@ -586,15 +601,18 @@ export class GraphQLScalarType {
     parseValue: GraphQLScalarValueParser<*>,
     parseLiteral: GraphQLScalarLiteralParser<*>,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<ScalarTypeExtensionNode>,
   |} {
     return {
       name: this.name,
       description: this.description,
+      specifiedByUrl: this.specifiedByUrl,
       serialize: this.serialize,
       parseValue: this.parseValue,
       parseLiteral: this.parseLiteral,
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
     };
@@ -619,6 +637,7 @@ export type GraphQLScalarLiteralParser<TInternal> = (
 export type GraphQLScalarTypeConfig<TInternal, TExternal> = {|
   name: string,
   description?: ?string,
+  specifiedByUrl?: ?string,
   // Serializes an internal value to include in a response.
   serialize?: GraphQLScalarSerializer<TExternal>,
   // Parses an externally provided value to use as an input.
@@ -626,6 +645,7 @@ export type GraphQLScalarTypeConfig<TInternal, TExternal> = {|
   // Parses an externally provided literal value to use as an input.
   parseLiteral?: GraphQLScalarLiteralParser<TInternal>,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?ScalarTypeDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<ScalarTypeExtensionNode>,
 |};
@@ -672,6 +692,7 @@ export class GraphQLObjectType {
   description: ?string;
   isTypeOf: ?GraphQLIsTypeOfFn<*, *>;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?ObjectTypeDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<ObjectTypeExtensionNode>;
 
@@ -683,6 +704,7 @@ export class GraphQLObjectType {
     this.description = config.description;
     this.isTypeOf = config.isTypeOf;
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = undefineIfEmpty(config.extensionASTNodes);
 
@@ -715,6 +737,7 @@ export class GraphQLObjectType {
     interfaces: Array<GraphQLInterfaceType>,
     fields: GraphQLFieldConfigMap<*, *>,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<ObjectTypeExtensionNode>,
   |} {
     return {
@@ -724,6 +747,7 @@ export class GraphQLObjectType {
       fields: fieldsToFieldsConfig(this.getFields()),
       isTypeOf: this.isTypeOf,
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
     };
@@ -788,7 +812,10 @@ function defineFieldMap<TSource, TContext>(
       description: argConfig.description,
       type: argConfig.type,
       defaultValue: argConfig.defaultValue,
+      isDeprecated: argConfig.deprecationReason != null,
+      deprecationReason: argConfig.deprecationReason,
       extensions: argConfig.extensions && toObjMap(argConfig.extensions),
+      appliedDirectives: argConfig.appliedDirectives || [],
       astNode: argConfig.astNode,
     }));
 
@@ -802,6 +829,7 @@ function defineFieldMap<TSource, TContext>(
       isDeprecated: fieldConfig.deprecationReason != null,
       deprecationReason: fieldConfig.deprecationReason,
       extensions: fieldConfig.extensions && toObjMap(fieldConfig.extensions),
+      appliedDirectives: fieldConfig.appliedDirectives || [],
       astNode: fieldConfig.astNode,
     };
   });
@@ -820,6 +848,7 @@ function fieldsToFieldsConfig(fields) {
     subscribe: field.subscribe,
     deprecationReason: field.deprecationReason,
     extensions: field.extensions,
+    appliedDirectives: field.appliedDirectives,
     astNode: field.astNode,
   }));
 }
@@ -837,7 +866,9 @@ export function argsToArgsConfig(
       description: arg.description,
       type: arg.type,
       defaultValue: arg.defaultValue,
+      deprecationReason: arg.deprecationReason,
       extensions: arg.extensions,
+      appliedDirectives: arg.appliedDirectives,
       astNode: arg.astNode,
     }),
   );
@@ -850,6 +881,7 @@ export type GraphQLObjectTypeConfig<TSource, TContext> = {|
   fields: Thunk<GraphQLFieldConfigMap<TSource, TContext>>,
   isTypeOf?: ?GraphQLIsTypeOfFn<TSource, TContext>,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?ObjectTypeDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<ObjectTypeExtensionNode>,
 |};
@@ -889,6 +921,9 @@ export type GraphQLResolveInfo = {|
   +rootValue: mixed,
   +operation: OperationDefinitionNode,
   +variableValues: { [variable: string]: mixed, ... },
+  +signal: ?AbortSignalLike,
+  // The extensions of the ExecutionResult, which resolvers may add to.
+  +resultExtensions: ObjMap<mixed>,
 |};
 
 export type GraphQLFieldConfig<
@@ -903,6 +938,7 @@ export type GraphQLFieldConfig<
   subscribe?: GraphQLFieldResolver<TSource, TContext, TArgs>,
   deprecationReason?: ?string,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?FieldDefinitionNode,
 |};
 
@@ -912,7 +948,9 @@ export type GraphQLArgumentConfig = {|
   description?: ?string,
   type: GraphQLInputType,
   defaultValue?: mixed,
+  deprecationReason?: ?string,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?InputValueDefinitionNode,
 |};
 
@@ -934,6 +972,7 @@ export type GraphQLField<
   isDeprecated?: boolean,
   deprecationReason: ?string,
   extensions: ?ReadOnlyObjMap<mixed>,
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
   astNode: ?FieldDefinitionNode,
 |};
 
@@ -942,7 +981,10 @@ export type GraphQLArgument = {|
   description: ?string,
   type: GraphQLInputType,
   defaultValue: mixed,
+  isDeprecated: boolean,
+  deprecationReason: ?string,
   extensions: ?ReadOnlyObjMap<mixed>,
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
   astNode: ?InputValueDefinitionNode,
 |};
 
@@ -977,6 +1019,7 @@ export class GraphQLInterfaceType {
   description: ?string;
   resolveType: ?GraphQLTypeResolver<*, *>;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?InterfaceTypeDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<InterfaceTypeExtensionNode>;
 
@@ -988,6 +1031,7 @@ export class GraphQLInterfaceType {
     this.description = config.description;
     this.resolveType = config.resolveType;
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = undefineIfEmpty(config.extensionASTNodes);
 
@@ -1020,6 +1064,7 @@ export class GraphQLInterfaceType {
     interfaces: Array<GraphQLInterfaceType>,
     fields: GraphQLFieldConfigMap<*, *>,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<InterfaceTypeExtensionNode>,
   |} {
     return {
@@ -1029,6 +1074,7 @@ export class GraphQLInterfaceType {
       fields: fieldsToFieldsConfig(this.getFields()),
       resolveType: this.resolveType,
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
     };
@@ -1055,6 +1101,7 @@ export type GraphQLInterfaceTypeConfig<TSource, TContext> = {|
    */
   resolveType?: ?GraphQLTypeResolver<TSource, TContext>,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?InterfaceTypeDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<InterfaceTypeExtensionNode>,
 |};
@@ -1087,6 +1134,7 @@ export class GraphQLUnionType {
   description: ?string;
   resolveType: ?GraphQLTypeResolver<*, *>;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?UnionTypeDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<UnionTypeExtensionNode>;
 
@@ -1097,6 +1145,7 @@ export class GraphQLUnionType {
     this.description = config.description;
     this.resolveType = config.resolveType;
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = undefineIfEmpty(config.extensionASTNodes);
 
@@ -1120,6 +1169,7 @@ export class GraphQLUnionType {
     ...GraphQLUnionTypeConfig<*, *>,
     types: Array<GraphQLObjectType>,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<UnionTypeExtensionNode>,
   |} {
     return {
@@ -1128,6 +1178,7 @@ export class GraphQLUnionType {
       types: this.getTypes(),
       resolveType: this.resolveType,
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
     };
@@ -1164,6 +1215,7 @@ export type GraphQLUnionTypeConfig<TSource, TContext> = {|
    */
   resolveType?: ?GraphQLTypeResolver<TSource, TContext>,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?UnionTypeDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<UnionTypeExtensionNode>,
 |};
@@ -1193,6 +1245,7 @@ export class GraphQLEnumType /* <T> */ {
   name: string;
   description: ?string;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?EnumTypeDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<EnumTypeExtensionNode>;
 
@@ -1204,6 +1257,7 @@ export class GraphQLEnumType /* <T> */ {
     this.name = config.name;
     this.description = config.description;
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = undefineIfEmpty(config.extensionASTNodes);
 
@@ -1253,6 +1307,7 @@ export class GraphQLEnumType /* <T> */ {
   toConfig(): {|
     ...GraphQLEnumTypeConfig,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<EnumTypeExtensionNode>,
   |} {
     const values = keyValMap(
@@ -1263,6 +1318,7 @@ export class GraphQLEnumType /* <T> */ {
         value: value.value,
         deprecationReason: value.deprecationReason,
         extensions: value.extensions,
+        appliedDirectives: value.appliedDirectives,
         astNode: value.astNode,
       }),
     );
@@ -1272,6 +1328,7 @@ export class GraphQLEnumType /* <T> */ {
       description: this.description,
       values,
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
     };
@@ -1311,6 +1368,7 @@ function defineEnumValues(
       isDeprecated: valueConfig.deprecationReason != null,
       deprecationReason: valueConfig.deprecationReason,
       extensions: valueConfig.extensions && toObjMap(valueConfig.extensions),
+      appliedDirectives: valueConfig.appliedDirectives || [],
       astNode: valueConfig.astNode,
     };
   });
@@ -1321,6 +1379,7 @@ export type GraphQLEnumTypeConfig /* <T> */ = {|
   description?: ?string,
   values: GraphQLEnumValueConfigMap /* <T> */,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?EnumTypeDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<EnumTypeExtensionNode>,
 |};
@@ -1332,6 +1391,7 @@ export type GraphQLEnumValueConfig /* <T> */ = {|
   value?: any /* T */,
   deprecationReason?: ?string,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?EnumValueDefinitionNode,
 |};
 
@@ -1342,6 +1402,7 @@ export type GraphQLEnumValue /* <T> */ = {|
   isDeprecated: boolean,
   deprecationReason: ?string,
   extensions: ?ReadOnlyObjMap<mixed>,
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
   astNode: ?EnumValueDefinitionNode,
 |};
 
@@ -1364,11 +1425,28 @@ export type GraphQLEnumValue /* <T> */ = {|
  *       }
  *     });
  *
+ * When `isOneOf` is set, exactly one of the fields must be provided and its
+ * value must not be null. All fields of a OneOf Input Object must be nullable
+ * and must not have a default value.
+ *
+ * Example:
+ *
+ *     const PetInput = new GraphQLInputObjectType({
+ *       name: 'PetInput',
+ *       isOneOf: true,
+ *       fields: {
+ *         cat: { type: CatInput },
+ *         dog: { type: DogInput },
+ *       }
+ *     });
+ *
  */
 export class GraphQLInputObjectType {
   name: string;
   description: ?string;
+  isOneOf: boolean;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?InputObjectTypeDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<InputObjectTypeExtensionNode>;
 
@@ -1377,7 +1455,9 @@ export class GraphQLInputObjectType {
   constructor(config: GraphQLInputObjectTypeConfig): void {
     this.name = config.name;
     this.description = config.description;
+    this.isOneOf = config.isOneOf != null && config.isOneOf;
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = undefineIfEmpty(config.extensionASTNodes);
 
@@ -1395,14 +1475,18 @@ export class GraphQLInputObjectType {
   toConfig(): {|
     ...GraphQLInputObjectTypeConfig,
     fields: GraphQLInputFieldConfigMap,
+    isOneOf: boolean,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<InputObjectTypeExtensionNode>,
   |} {
     const fields = mapValue(this.getFields(), field => ({
       description: field.description,
       type: field.type,
       defaultValue: field.defaultValue,
+      deprecationReason: field.deprecationReason,
       extensions: field.extensions,
+      appliedDirectives: field.appliedDirectives,
       astNode: field.astNode,
     }));
 
@@ -1410,7 +1494,9 @@ export class GraphQLInputObjectType {
       name: this.name,
       description: this.description,
       fields,
+      isOneOf: this.isOneOf,
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
     };
@@ -1444,7 +1530,10 @@ function defineInputFieldMap(
       description: fieldConfig.description,
       type: fieldConfig.type,
       defaultValue: fieldConfig.defaultValue,
+      isDeprecated: fieldConfig.deprecationReason != null,
+      deprecationReason: fieldConfig.deprecationReason,
       extensions: fieldConfig.extensions && toObjMap(fieldConfig.extensions),
+      appliedDirectives: fieldConfig.appliedDirectives || [],
       astNode: fieldConfig.astNode,
     };
   });
@@ -1454,7 +1543,9 @@ export type GraphQLInputObjectTypeConfig = {|
   name: string,
   description?: ?string,
   fields: Thunk<GraphQLInputFieldConfigMap>,
+  isOneOf?: ?boolean,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?InputObjectTypeDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<InputObjectTypeExtensionNode>,
 |};
@@ -1463,7 +1554,9 @@ export type GraphQLInputFieldConfig = {|
   description?: ?string,
   type: GraphQLInputType,
   defaultValue?: mixed,
+  deprecationReason?: ?string,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?InputValueDefinitionNode,
 |};
 
@@ -1474,7 +1567,10 @@ export type GraphQLInputField = {|
   description: ?string,
   type: GraphQLInputType,
   defaultValue: mixed,
+  isDeprecated: boolean,
+  deprecationReason: ?string,
   extensions: ?ReadOnlyObjMap<mixed>,
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
   astNode: ?InputValueDefinitionNode,
 |};
 
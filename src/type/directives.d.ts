@@ -44,6 +44,19 @@ export interface GraphQLDirectiveConfig {
   astNode?: Maybe<DirectiveDefinitionNode>;
 }
 
+/**
+ * A directive applied to a schema element, such as `@key(fields: "id")` in
+ * `type User @key(fields: "id")`, along with the values of its arguments.
+ *
+ * Argument values are external input values, as produced by
+ * `valueFromASTUntyped`: enum values are given by name and custom scalars by
+ * the value their `parseValue` accepts.
+ */
+export interface GraphQLAppliedDirective {
+  readonly name: string;
+  readonly args?: Maybe<Readonly<Record<string, any>>>;
+}
+
 /**
  * Used to conditionally include fields or fragments.
  */
@@ -54,6 +67,21 @@ export const GraphQLIncludeDirective: GraphQLDirective;
  */
 export const GraphQLSkipDirective: GraphQLDirective;
 
+/**
+ * Used to conditionally defer fragments.
+ */
+export const GraphQLDeferDirective: GraphQLDirective;
+
+/**
+ * Used to conditionally stream list fields.
+ */
+export const GraphQLStreamDirective: GraphQLDirective;
+
+/**
+ * Used to stop errors of non-null fields from propagating to their parents.
+ */
+export const GraphQLDisableErrorPropagationDirective: GraphQLDirective;
+
 /**
  * Constant string used for default reason for a deprecation.
  */
@@ -64,6 +92,16 @@ export const DEFAULT_DEPRECATION_REASON: 'No longer supported';
  */
 export const GraphQLDeprecatedDirective: GraphQLDirective;
 
+/**
+ * Used to provide a URL for specifying the behaviour of custom scalar definitions.
+ */
+export const GraphQLSpecifiedByDirective: GraphQLDirective;
+
+/**
+ * Used to declare an Input Object as a OneOf Input Object.
+ */
+export const GraphQLOneOfDirective: GraphQLDirective;
+
 /**
  * The full list of specified directives.
  */
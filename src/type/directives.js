@@ -20,7 +20,7 @@ import {
   type DirectiveLocationEnum,
 } from '../language/directiveLocation';
 
-import { GraphQLString, GraphQLBoolean } from './scalars';
+import { GraphQLString, GraphQLBoolean, GraphQLInt } from './scalars';
 import {
   type GraphQLFieldConfigArgumentMap,
   type GraphQLArgument,
@@ -86,7 +86,10 @@ export class GraphQLDirective {
       description: argConfig.description,
       type: argConfig.type,
       defaultValue: argConfig.defaultValue,
+      isDeprecated: argConfig.deprecationReason != null,
+      deprecationReason: argConfig.deprecationReason,
       extensions: argConfig.extensions && toObjMap(argConfig.extensions),
+      appliedDirectives: argConfig.appliedDirectives || [],
       astNode: argConfig.astNode,
     }));
   }
@@ -127,6 +130,19 @@ export type GraphQLDirectiveConfig = {|
   astNode?: ?DirectiveDefinitionNode,
 |};
 
+/**
+ * A directive applied to a schema element, such as `@key(fields: "id")` in
+ * `type User @key(fields: "id")`, along with the values of its arguments.
+ *
+ * Argument values are external input values, as produced by
+ * `valueFromASTUntyped`: enum values are given by name and custom scalars by
+ * the value their `parseValue` accepts.
+ */
+export type GraphQLAppliedDirective = {|
+  +name: string,
+  +args?: ?ReadOnlyObjMapLike<mixed>,
+|};
+
 /**
  * Used to conditionally include fields or fragments.
  */
@@ -167,6 +183,77 @@ export const GraphQLSkipDirective = new GraphQLDirective({
   },
 });
 
+/**
+ * Used to conditionally defer fragments.
+ *
+ * This directive is experimental and is not part of `specifiedDirectives`,
+ * a schema has to explicitly include it to enable incremental delivery.
+ */
+export const GraphQLDeferDirective = new GraphQLDirective({
+  name: 'defer',
+  description:
+    'Directs the executor to defer this fragment when the `if` argument is true or undefined.',
+  locations: [
+    DirectiveLocation.FRAGMENT_SPREAD,
+    DirectiveLocation.INLINE_FRAGMENT,
+  ],
+  args: {
+    if: {
+      type: GraphQLBoolean,
+      description: 'Deferred when true or undefined.',
+    },
+    label: {
+      type: GraphQLString,
+      description: 'Unique name',
+    },
+  },
+});
+
+/**
+ * Used to conditionally stream list fields.
+ *
+ * This directive is experimental and is not part of `specifiedDirectives`,
+ * a schema has to explicitly include it to enable incremental delivery.
+ */
+export const GraphQLStreamDirective = new GraphQLDirective({
+  name: 'stream',
+  description:
+    'Directs the executor to stream plural fields when the `if` argument is true or undefined.',
+  locations: [DirectiveLocation.FIELD],
+  args: {
+    if: {
+      type: GraphQLBoolean,
+      description: 'Stream when true or undefined.',
+    },
+    label: {
+      type: GraphQLString,
+      description: 'Unique name',
+    },
+    initialCount: {
+      defaultValue: 0,
+      type: GraphQLInt,
+      description: 'Number of items to return immediately',
+    },
+  },
+});
+
+/**
+ * Used to stop errors of non-null fields from propagating to their parents.
+ *
+ * This directive is experimental and is not part of `specifiedDirectives`,
+ * a schema has to explicitly include it to let clients disable propagation.
+ */
+export const GraphQLDisableErrorPropagationDirective = new GraphQLDirective({
+  name: 'experimental_disableErrorPropagation',
+  description:
+    'Directs the executor to resolve fields which raised an error to null, even if they are non-nullable, instead of propagating the error to their parents.',
+  locations: [
+    DirectiveLocation.QUERY,
+    DirectiveLocation.MUTATION,
+    DirectiveLocation.SUBSCRIPTION,
+  ],
+});
+
 /**
  * Constant string used for default reason for a deprecation.
  */
@@ -178,7 +265,12 @@ export const DEFAULT_DEPRECATION_REASON = 'No longer supported';
 export const GraphQLDeprecatedDirective = new GraphQLDirective({
   name: 'deprecated',
   description: 'Marks an element of a GraphQL schema as no longer supported.',
-  locations: [DirectiveLocation.FIELD_DEFINITION, DirectiveLocation.ENUM_VALUE],
+  locations: [
+    DirectiveLocation.FIELD_DEFINITION,
+    DirectiveLocation.ARGUMENT_DEFINITION,
+    DirectiveLocation.INPUT_FIELD_DEFINITION,
+    DirectiveLocation.ENUM_VALUE,
+  ],
   args: {
     reason: {
       type: GraphQLString,
@@ -189,6 +281,32 @@ export const GraphQLDeprecatedDirective = new GraphQLDirective({
   },
 });
 
+/**
+ * Used to provide a URL for specifying the behaviour of custom scalar definitions.
+ */
+export const GraphQLSpecifiedByDirective = new GraphQLDirective({
+  name: 'specifiedBy',
+  description: 'Exposes a URL that specifies the behaviour of this scalar.',
+  locations: [DirectiveLocation.SCALAR],
+  args: {
+    url: {
+      type: GraphQLNonNull(GraphQLString),
+      description: 'The URL that specifies the behaviour of this scalar.',
+    },
+  },
+});
+
+/**
+ * Used to declare an Input Object as a OneOf Input Object.
+ */
+export const GraphQLOneOfDirective = new GraphQLDirective({
+  name: 'oneOf',
+  description:
+    'Indicates that exactly one field must be supplied and this field must not be `null`.',
+  locations: [DirectiveLocation.INPUT_OBJECT],
+  args: {},
+});
+
 /**
  * The full list of specified directives.
  */
@@ -196,6 +314,8 @@ export const specifiedDirectives = Object.freeze([
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
 ]);
 
 export function isSpecifiedDirective(
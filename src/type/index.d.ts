@@ -115,10 +115,18 @@ export {
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
+  // Experimental Directives for incremental delivery
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  // Experimental Directive for null propagation
+  GraphQLDisableErrorPropagationDirective,
   // Constant Deprecation Reason
   DEFAULT_DEPRECATION_REASON,
   // type
   GraphQLDirectiveConfig,
+  GraphQLAppliedDirective,
 } from './directives';
 
 // Common built-in scalar instances.
@@ -79,11 +79,21 @@ export {
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
+  // Experimental Directives for incremental delivery
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  // Experimental Directive for null propagation
+  GraphQLDisableErrorPropagationDirective,
   // Constant Deprecation Reason
   DEFAULT_DEPRECATION_REASON,
 } from './directives';
 
-export type { GraphQLDirectiveConfig } from './directives';
+export type {
+  GraphQLDirectiveConfig,
+  GraphQLAppliedDirective,
+} from './directives';
 
 // Common built-in scalar instances.
 export {
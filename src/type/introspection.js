@@ -40,6 +40,10 @@ export const __Schema = new GraphQLObjectType({
     'A GraphQL Schema defines the capabilities of a GraphQL server. It exposes all available types and directives on the server, as well as the entry points for query, mutation, and subscription operations.',
   fields: () =>
     ({
+      description: {
+        type: GraphQLString,
+        resolve: schema => schema.description,
+      },
       types: {
         description: 'A list of all types supported by this server.',
         type: GraphQLNonNull(GraphQLList(GraphQLNonNull(__Type))),
@@ -86,13 +90,24 @@ export const __Directive = new GraphQLObjectType({
         type: GraphQLString,
         resolve: obj => obj.description,
       },
+      isRepeatable: {
+        type: GraphQLNonNull(GraphQLBoolean),
+        resolve: obj => obj.isRepeatable,
+      },
       locations: {
         type: GraphQLNonNull(GraphQLList(GraphQLNonNull(__DirectiveLocation))),
         resolve: obj => obj.locations,
       },
       args: {
         type: GraphQLNonNull(GraphQLList(GraphQLNonNull(__InputValue))),
-        resolve: directive => directive.args,
+        args: {
+          includeDeprecated: { type: GraphQLBoolean, defaultValue: false },
+        },
+        resolve(directive, { includeDeprecated }) {
+          return includeDeprecated
+            ? directive.args
+            : directive.args.filter(arg => !arg.deprecationReason);
+        },
       },
     }: GraphQLFieldConfigMap<GraphQLDirective, mixed>),
 });
@@ -221,6 +236,11 @@ export const __Type = new GraphQLObjectType({
         resolve: obj =>
           obj.description !== undefined ? obj.description : undefined,
       },
+      specifiedByUrl: {
+        type: GraphQLString,
+        resolve: obj =>
+          obj.specifiedByUrl !== undefined ? obj.specifiedByUrl : undefined,
+      },
       fields: {
         type: GraphQLList(GraphQLNonNull(__Field)),
         args: {
@@ -270,9 +290,16 @@ export const __Type = new GraphQLObjectType({
       },
       inputFields: {
         type: GraphQLList(GraphQLNonNull(__InputValue)),
-        resolve(type) {
+        args: {
+          includeDeprecated: { type: GraphQLBoolean, defaultValue: false },
+        },
+        resolve(type, { includeDeprecated }) {
           if (isInputObjectType(type)) {
-            return objectValues(type.getFields());
+            let fields = objectValues(type.getFields());
+            if (!includeDeprecated) {
+              fields = fields.filter(field => !field.deprecationReason);
+            }
+            return fields;
           }
         },
       },
@@ -280,6 +307,14 @@ export const __Type = new GraphQLObjectType({
         type: __Type,
         resolve: obj => (obj.ofType !== undefined ? obj.ofType : undefined),
       },
+      isOneOf: {
+        type: GraphQLBoolean,
+        resolve(type) {
+          if (isInputObjectType(type)) {
+            return type.isOneOf;
+          }
+        },
+      },
     }: GraphQLFieldConfigMap<GraphQLType, mixed>),
 });
 
@@ -299,7 +334,14 @@ export const __Field = new GraphQLObjectType({
       },
       args: {
         type: GraphQLNonNull(GraphQLList(GraphQLNonNull(__InputValue))),
-        resolve: field => field.args,
+        args: {
+          includeDeprecated: { type: GraphQLBoolean, defaultValue: false },
+        },
+        resolve(field, { includeDeprecated }) {
+          return includeDeprecated
+            ? field.args
+            : field.args.filter(arg => !arg.deprecationReason);
+        },
       },
       type: {
         type: GraphQLNonNull(__Type),
@@ -343,6 +385,14 @@ export const __InputValue = new GraphQLObjectType({
           return valueAST ? print(valueAST) : null;
         },
       },
+      isDeprecated: {
+        type: GraphQLNonNull(GraphQLBoolean),
+        resolve: obj => obj.isDeprecated,
+      },
+      deprecationReason: {
+        type: GraphQLString,
+        resolve: obj => obj.deprecationReason,
+      },
     }: GraphQLFieldConfigMap<GraphQLInputField, mixed>),
 });
 
@@ -440,6 +490,7 @@ export const SchemaMetaFieldDef: GraphQLField<mixed, mixed> = {
   resolve: (_source, _args, _context, { schema }) => schema,
   deprecationReason: undefined,
   extensions: undefined,
+  appliedDirectives: [],
   astNode: undefined,
 };
 
@@ -453,13 +504,17 @@ export const TypeMetaFieldDef: GraphQLField<mixed, mixed> = {
       description: undefined,
       type: GraphQLNonNull(GraphQLString),
       defaultValue: undefined,
+      isDeprecated: false,
+      deprecationReason: undefined,
       extensions: undefined,
+      appliedDirectives: [],
       astNode: undefined,
     },
   ],
   resolve: (_source, { name }, _context, { schema }) => schema.getType(name),
   deprecationReason: undefined,
   extensions: undefined,
+  appliedDirectives: [],
   astNode: undefined,
 };
 
@@ -471,6 +526,7 @@ export const TypeNameMetaFieldDef: GraphQLField<mixed, mixed> = {
   resolve: (_source, _args, _context, { parentType }) => parentType.name,
   deprecationReason: undefined,
   extensions: undefined,
+  appliedDirectives: [],
   astNode: undefined,
 };
 
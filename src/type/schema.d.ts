@@ -1,6 +1,6 @@
 import Maybe from '../tsutils/Maybe';
 import { SchemaDefinitionNode, SchemaExtensionNode } from '../language/ast';
-import { GraphQLDirective } from './directives';
+import { GraphQLDirective, GraphQLAppliedDirective } from './directives';
 import {
   GraphQLType,
   GraphQLNamedType,
@@ -42,7 +42,9 @@ export function assertSchema(schema: any): GraphQLSchema;
  *
  */
 export class GraphQLSchema {
+  description: Maybe<string>;
   extensions: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
   astNode: Maybe<SchemaDefinitionNode>;
   extensionASTNodes: Maybe<ReadonlyArray<SchemaExtensionNode>>;
 
@@ -79,6 +81,7 @@ export class GraphQLSchema {
     types: GraphQLNamedType[];
     directives: GraphQLDirective[];
     extensions: Maybe<Readonly<Record<string, any>>>;
+    appliedDirectives: ReadonlyArray<GraphQLAppliedDirective>;
     extensionASTNodes: ReadonlyArray<SchemaExtensionNode>;
     assumeValid: boolean;
   };
@@ -103,12 +106,14 @@ export interface GraphQLSchemaValidationOptions {
 }
 
 export interface GraphQLSchemaConfig extends GraphQLSchemaValidationOptions {
+  description?: Maybe<string>;
   query: Maybe<GraphQLObjectType>;
   mutation?: Maybe<GraphQLObjectType>;
   subscription?: Maybe<GraphQLObjectType>;
   types?: Maybe<GraphQLNamedType[]>;
   directives?: Maybe<GraphQLDirective[]>;
   extensions?: Maybe<Readonly<Record<string, any>>>;
+  appliedDirectives?: Maybe<ReadonlyArray<GraphQLAppliedDirective>>;
   astNode?: Maybe<SchemaDefinitionNode>;
   extensionASTNodes?: Maybe<ReadonlyArray<SchemaExtensionNode>>;
 }
@@ -23,6 +23,7 @@ import {
 
 import { __Schema } from './introspection';
 import {
+  type GraphQLAppliedDirective,
   GraphQLDirective,
   isDirective,
   specifiedDirectives,
@@ -121,7 +122,9 @@ export function assertSchema(schema: mixed): GraphQLSchema {
  *
  */
 export class GraphQLSchema {
+  description: ?string;
   extensions: ?ReadOnlyObjMap<mixed>;
+  appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>;
   astNode: ?SchemaDefinitionNode;
   extensionASTNodes: ?$ReadOnlyArray<SchemaExtensionNode>;
 
@@ -157,7 +160,9 @@ export class GraphQLSchema {
       );
     }
 
+    this.description = config.description;
     this.extensions = config.extensions && toObjMap(config.extensions);
+    this.appliedDirectives = config.appliedDirectives || [];
     this.astNode = config.astNode;
     this.extensionASTNodes = config.extensionASTNodes;
 
@@ -275,16 +280,19 @@ export class GraphQLSchema {
     types: Array<GraphQLNamedType>,
     directives: Array<GraphQLDirective>,
     extensions: ?ReadOnlyObjMap<mixed>,
+    appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
     extensionASTNodes: ?$ReadOnlyArray<SchemaExtensionNode>,
     assumeValid: boolean,
   |} {
     return {
+      description: this.description,
       query: this.getQueryType(),
       mutation: this.getMutationType(),
       subscription: this.getSubscriptionType(),
       types: objectValues(this.getTypeMap()),
       directives: this.getDirectives().slice(),
       extensions: this.extensions,
+      appliedDirectives: this.appliedDirectives,
       astNode: this.astNode,
       extensionASTNodes: this.extensionASTNodes,
       assumeValid: this.__validationErrors !== undefined,
@@ -314,12 +322,14 @@ export type GraphQLSchemaValidationOptions = {|
 |};
 
 export type GraphQLSchemaConfig = {|
+  description?: ?string,
   query?: ?GraphQLObjectType,
   mutation?: ?GraphQLObjectType,
   subscription?: ?GraphQLObjectType,
   types?: ?Array<GraphQLNamedType>,
   directives?: ?Array<GraphQLDirective>,
   extensions?: ?ReadOnlyObjMapLike<mixed>,
+  appliedDirectives?: ?$ReadOnlyArray<GraphQLAppliedDirective>,
   astNode?: ?SchemaDefinitionNode,
   extensionASTNodes?: ?$ReadOnlyArray<SchemaExtensionNode>,
   ...GraphQLSchemaValidationOptions,
@@ -5,15 +5,32 @@ import flatMap from '../polyfills/flatMap';
 import objectValues from '../polyfills/objectValues';
 
 import inspect from '../jsutils/inspect';
+import printPathArray from '../jsutils/printPathArray';
+import { type ReadOnlyObjMapLike } from '../jsutils/ObjMap';
 
 import { GraphQLError } from '../error/GraphQLError';
 
-import { type ASTNode, type NamedTypeNode } from '../language/ast';
+import {
+  type ASTNode,
+  type NamedTypeNode,
+  type DirectiveNode,
+  type InputValueDefinitionNode,
+} from '../language/ast';
+import {
+  DirectiveLocation,
+  type DirectiveLocationEnum,
+} from '../language/directiveLocation';
 
 import { isValidNameError } from '../utilities/assertValidName';
+import { coerceInputValue } from '../utilities/coerceInputValue';
 import { isEqualType, isTypeSubTypeOf } from '../utilities/typeComparators';
 
-import { isDirective } from './directives';
+import {
+  type GraphQLDirective,
+  type GraphQLAppliedDirective,
+  GraphQLDeprecatedDirective,
+  isDirective,
+} from './directives';
 import { isIntrospectionType } from './introspection';
 import { type GraphQLSchema, assertSchema } from './schema';
 import {
@@ -22,6 +39,8 @@ import {
   type GraphQLUnionType,
   type GraphQLEnumType,
   type GraphQLInputObjectType,
+  type GraphQLInputField,
+  isScalarType,
   isObjectType,
   isInterfaceType,
   isUnionType,
@@ -32,6 +51,7 @@ import {
   isInputType,
   isOutputType,
   isRequiredArgument,
+  isRequiredInputField,
 } from './definition';
 
 /**
@@ -57,6 +77,7 @@ export function validateSchema(
   validateRootTypes(context);
   validateDirectives(context);
   validateTypes(context);
+  validateAppliedDirectives(context);
 
   // Persist the results of validation before returning to ensure validation
   // does not run multiple times for this schema.
@@ -195,6 +216,16 @@ function validateDirectives(context: SchemaValidationContext): void {
           arg.astNode,
         );
       }
+
+      if (isRequiredArgument(arg) && arg.deprecationReason != null) {
+        context.reportError(
+          `Required argument @${directive.name}(${argName}:) cannot be deprecated.`,
+          [
+            getDeprecatedDirectiveNode(arg.astNode),
+            arg.astNode && arg.astNode.type,
+          ],
+        );
+      }
     }
   }
 }
@@ -258,6 +289,200 @@ function validateTypes(context: SchemaValidationContext): void {
   }
 }
 
+function validateAppliedDirectives(context: SchemaValidationContext): void {
+  const schema = context.schema;
+  validateAppliedDirectivesOf(
+    context,
+    schema,
+    'the schema',
+    DirectiveLocation.SCHEMA,
+  );
+
+  for (const type of objectValues(schema.getTypeMap())) {
+    if (isScalarType(type)) {
+      validateAppliedDirectivesOf(
+        context,
+        type,
+        type.name,
+        DirectiveLocation.SCALAR,
+      );
+    } else if (isObjectType(type) || isInterfaceType(type)) {
+      validateAppliedDirectivesOf(
+        context,
+        type,
+        type.name,
+        isObjectType(type)
+          ? DirectiveLocation.OBJECT
+          : DirectiveLocation.INTERFACE,
+      );
+      for (const field of objectValues(type.getFields())) {
+        const fieldCoordinate = `${type.name}.${field.name}`;
+        validateAppliedDirectivesOf(
+          context,
+          field,
+          fieldCoordinate,
+          DirectiveLocation.FIELD_DEFINITION,
+        );
+        for (const arg of field.args) {
+          validateAppliedDirectivesOf(
+            context,
+            arg,
+            `${fieldCoordinate}(${arg.name}:)`,
+            DirectiveLocation.ARGUMENT_DEFINITION,
+          );
+        }
+      }
+    } else if (isUnionType(type)) {
+      validateAppliedDirectivesOf(
+        context,
+        type,
+        type.name,
+        DirectiveLocation.UNION,
+      );
+    } else if (isEnumType(type)) {
+      validateAppliedDirectivesOf(
+        context,
+        type,
+        type.name,
+        DirectiveLocation.ENUM,
+      );
+      for (const value of type.getValues()) {
+        validateAppliedDirectivesOf(
+          context,
+          value,
+          `${type.name}.${value.name}`,
+          DirectiveLocation.ENUM_VALUE,
+        );
+      }
+    } else if (isInputObjectType(type)) {
+      validateAppliedDirectivesOf(
+        context,
+        type,
+        type.name,
+        DirectiveLocation.INPUT_OBJECT,
+      );
+      for (const field of objectValues(type.getFields())) {
+        validateAppliedDirectivesOf(
+          context,
+          field,
+          `${type.name}.${field.name}`,
+          DirectiveLocation.INPUT_FIELD_DEFINITION,
+        );
+      }
+    }
+  }
+
+  for (const directive of schema.getDirectives()) {
+    if (isDirective(directive)) {
+      for (const arg of directive.args) {
+        validateAppliedDirectivesOf(
+          context,
+          arg,
+          `@${directive.name}(${arg.name}:)`,
+          DirectiveLocation.ARGUMENT_DEFINITION,
+        );
+      }
+    }
+  }
+}
+
+function validateAppliedDirectivesOf(
+  context: SchemaValidationContext,
+  element: {
+    +appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
+    +astNode: ?ASTNode,
+    ...
+  },
+  coordinate: string,
+  location: DirectiveLocationEnum,
+): void {
+  const appliedNames = Object.create(null);
+  for (const { name, args } of element.appliedDirectives) {
+    const directive = context.schema.getDirective(name);
+
+    // Ensure the applied directives are defined.
+    if (!directive) {
+      context.reportError(
+        `Unknown directive "@${name}" applied to ${coordinate}.`,
+        element.astNode,
+      );
+      continue;
+    }
+
+    // Ensure they may be applied to this location.
+    if (directive.locations.indexOf(location) === -1) {
+      context.reportError(
+        `Directive "@${name}" may not be applied to ${coordinate}.`,
+        element.astNode,
+      );
+    }
+
+    // Ensure non-repeatable directives are applied only once.
+    if (appliedNames[name] && !directive.isRepeatable) {
+      context.reportError(
+        `Directive "@${name}" may only be applied once to ${coordinate}.`,
+        element.astNode,
+      );
+    }
+    appliedNames[name] = true;
+
+    validateAppliedDirectiveArgs(
+      context,
+      element,
+      coordinate,
+      directive,
+      args || {},
+    );
+  }
+}
+
+function validateAppliedDirectiveArgs(
+  context: SchemaValidationContext,
+  element: { +astNode: ?ASTNode, ... },
+  coordinate: string,
+  directive: GraphQLDirective,
+  args: ReadOnlyObjMapLike<mixed>,
+): void {
+  const applied = `directive "@${directive.name}" applied to ${coordinate}`;
+
+  // Ensure the arguments are defined.
+  for (const argName of Object.keys(args)) {
+    if (!find(directive.args, arg => arg.name === argName)) {
+      context.reportError(
+        `Unknown argument "${argName}" of ${applied}.`,
+        element.astNode,
+      );
+    }
+  }
+
+  for (const arg of directive.args) {
+    const value = args[arg.name];
+
+    // Ensure required arguments are provided.
+    if (value === undefined) {
+      if (isRequiredArgument(arg)) {
+        context.reportError(
+          `Argument "${arg.name}" of ${applied} is required, but it was not provided.`,
+          element.astNode,
+        );
+      }
+      continue;
+    }
+
+    // Ensure the values of the arguments are valid external input values.
+    coerceInputValue(value, arg.type, (path, invalidValue, error) => {
+      let message = `Invalid value ${inspect(invalidValue)}`;
+      if (path.length > 0) {
+        message += ` at "value${printPathArray(path)}"`;
+      }
+      context.reportError(
+        `${message} for argument "${arg.name}" of ${applied}: ${error.message}`,
+        element.astNode,
+      );
+    });
+  }
+}
+
 function validateFields(
   context: SchemaValidationContext,
   type: GraphQLObjectType | GraphQLInterfaceType,
@@ -312,6 +537,16 @@ function validateFields(
           arg.astNode && arg.astNode.type,
         );
       }
+
+      if (isRequiredArgument(arg) && arg.deprecationReason != null) {
+        context.reportError(
+          `Required argument ${type.name}.${field.name}(${argName}:) cannot be deprecated.`,
+          [
+            getDeprecatedDirectiveNode(arg.astNode),
+            arg.astNode && arg.astNode.type,
+          ],
+        );
+      }
     }
   }
 }
@@ -543,6 +778,40 @@ function validateInputFields(
         field.astNode && field.astNode.type,
       );
     }
+
+    if (isRequiredInputField(field) && field.deprecationReason != null) {
+      context.reportError(
+        `Required input field ${inputObj.name}.${field.name} cannot be deprecated.`,
+        [
+          getDeprecatedDirectiveNode(field.astNode),
+          field.astNode && field.astNode.type,
+        ],
+      );
+    }
+
+    if (inputObj.isOneOf) {
+      validateOneOfInputObjectField(inputObj, field, context);
+    }
+  }
+}
+
+function validateOneOfInputObjectField(
+  type: GraphQLInputObjectType,
+  field: GraphQLInputField,
+  context: SchemaValidationContext,
+): void {
+  if (isNonNullType(field.type)) {
+    context.reportError(
+      `OneOf input field ${type.name}.${field.name} must be nullable.`,
+      field.astNode && field.astNode.type,
+    );
+  }
+
+  if (field.defaultValue !== undefined) {
+    context.reportError(
+      `OneOf input field ${type.name}.${field.name} cannot have a default value.`,
+      field.astNode,
+    );
   }
 }
 
@@ -639,3 +908,16 @@ function getUnionMemberTypeNodes(
     typeNode => typeNode.name.value === typeName,
   );
 }
+
+function getDeprecatedDirectiveNode(
+  definitionNode: ?InputValueDefinitionNode,
+): ?DirectiveNode {
+  return (
+    definitionNode &&
+    definitionNode.directives &&
+    find(
+      definitionNode.directives,
+      node => node.name.value === GraphQLDeprecatedDirective.name,
+    )
+  );
+}
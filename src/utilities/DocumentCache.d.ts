@@ -0,0 +1,78 @@
+import { GraphQLError } from '../error/GraphQLError';
+import { DocumentNode } from '../language/ast';
+import { Source } from '../language/source';
+import { ParseOptions } from '../language/parser';
+import { GraphQLSchema } from '../type/schema';
+import { ValidationRule } from '../validation/ValidationContext';
+
+/**
+ * The result of parsing and validating a document: either the valid document
+ * or the errors it produced.
+ */
+export interface DocumentCacheEntry {
+  readonly source: string;
+  readonly schema: GraphQLSchema;
+  readonly result: DocumentNode | ReadonlyArray<GraphQLError>;
+}
+
+/**
+ * The storage used by a DocumentCache. A `Map` may be used as an unbounded
+ * store, or any other object implementing `get` and `set`.
+ */
+export interface DocumentCacheStore {
+  get(key: string): DocumentCacheEntry | undefined;
+  set(key: string, entry: DocumentCacheEntry): any;
+}
+
+export interface DocumentCacheOptions {
+  /**
+   * The store holding cached documents. Defaults to an in-memory store for
+   * each schema, evicting the least recently used documents. A provided store
+   * is shared by every schema, and only holds the result of a source for the
+   * schema it was last validated against.
+   */
+  store?: DocumentCacheStore;
+
+  /**
+   * The maximum number of documents held by the default store of each
+   * schema. Defaults to 1000.
+   */
+  maxSize?: number;
+
+  /**
+   * Options provided to `parse()` for every document.
+   */
+  parseOptions?: ParseOptions;
+
+  /**
+   * The validation rules used to validate every document. Defaults to the
+   * rules of the GraphQL specification.
+   */
+  rules?: ReadonlyArray<ValidationRule>;
+}
+
+/**
+ * A cache of parsed and validated documents, keyed by a hash of their source.
+ *
+ * Repeated requests for the same document against the same schema skip
+ * `parse()` and `validate()` entirely. Cached results are only reused for the
+ * GraphQLSchema instance they were validated against, and the documents of
+ * each schema are cached separately unless a store is provided.
+ */
+export class DocumentCache {
+  constructor(options?: DocumentCacheOptions);
+
+  /**
+   * Computes the stable hash used as the cache key of a document.
+   */
+  hash(source: string | Source | DocumentNode): string;
+
+  /**
+   * Returns the document parsed from the provided source once validated
+   * against the schema, or the syntax or validation errors it produced.
+   */
+  parseAndValidate(
+    schema: GraphQLSchema,
+    source: string | Source | DocumentNode,
+  ): DocumentNode | ReadonlyArray<GraphQLError>;
+}
@@ -0,0 +1,165 @@
+// @flow strict
+
+import hashString from '../jsutils/hashString';
+import LRUCache from '../jsutils/LRUCache';
+
+import { type GraphQLError } from '../error/GraphQLError';
+
+import { type DocumentNode } from '../language/ast';
+import { Source } from '../language/source';
+import { print } from '../language/printer';
+import { type ParseOptions, parse } from '../language/parser';
+
+import { type GraphQLSchema } from '../type/schema';
+
+import { validate } from '../validation/validate';
+import { type ValidationRule } from '../validation/ValidationContext';
+
+/**
+ * The result of parsing and validating a document: either the valid document
+ * or the errors it produced.
+ */
+export type DocumentCacheEntry = {|
+  +source: string,
+  +schema: GraphQLSchema,
+  +result: DocumentNode | $ReadOnlyArray<GraphQLError>,
+|};
+
+/**
+ * The storage used by a DocumentCache. A `Map` may be used as an unbounded
+ * store, or any other object implementing `get` and `set`.
+ */
+export type DocumentCacheStore = {
+  get(key: string): DocumentCacheEntry | void,
+  set(key: string, entry: DocumentCacheEntry): mixed,
+  ...
+};
+
+export type DocumentCacheOptions = {|
+  /**
+   * The store holding cached documents. Defaults to an in-memory store for
+   * each schema, evicting the least recently used documents. A provided store
+   * is shared by every schema, and only holds the result of a source for the
+   * schema it was last validated against.
+   */
+  store?: DocumentCacheStore,
+
+  /**
+   * The maximum number of documents held by the default store of each
+   * schema. Defaults to 1000.
+   */
+  maxSize?: number,
+
+  /**
+   * Options provided to `parse()` for every document.
+   */
+  parseOptions?: ParseOptions,
+
+  /**
+   * The validation rules used to validate every document. Defaults to the
+   * rules of the GraphQL specification.
+   */
+  rules?: $ReadOnlyArray<ValidationRule>,
+|};
+
+/**
+ * A cache of parsed and validated documents, keyed by a hash of their source.
+ *
+ * Repeated requests for the same document against the same schema skip
+ * `parse()` and `validate()` entirely. Cached results are only reused for the
+ * GraphQLSchema instance they were validated against, and the documents of
+ * each schema are cached separately unless a store is provided.
+ *
+ * Example:
+ *
+ *     const documentCache = new DocumentCache({ maxSize: 100 });
+ *
+ *     graphql({ schema, source, documentCache });
+ *
+ */
+export class DocumentCache {
+  _store: DocumentCacheStore | void;
+  _schemaStores: WeakMap<GraphQLSchema, DocumentCacheStore>;
+  _maxSize: number;
+  _parseOptions: ParseOptions | void;
+  _rules: $ReadOnlyArray<ValidationRule> | void;
+
+  constructor(options?: DocumentCacheOptions): void {
+    this._store = options && options.store;
+    this._schemaStores = new WeakMap();
+    this._maxSize = options && options.maxSize != null ? options.maxSize : 1000;
+    this._parseOptions = options && options.parseOptions;
+    this._rules = options && options.rules;
+  }
+
+  /**
+   * Computes the stable hash used as the cache key of a document.
+   */
+  hash(source: string | Source | DocumentNode): string {
+    return hashString(getSourceBody(source));
+  }
+
+  /**
+   * Returns the document parsed from the provided source once validated
+   * against the schema, or the syntax or validation errors it produced.
+   */
+  parseAndValidate(
+    schema: GraphQLSchema,
+    source: string | Source | DocumentNode,
+  ): DocumentNode | $ReadOnlyArray<GraphQLError> {
+    const body = getSourceBody(source);
+    const key = hashString(body);
+
+    // Hashes may collide, so the source is compared as well.
+    const store = this._getStore(schema);
+    const entry = store.get(key);
+    if (entry && entry.schema === schema && entry.source === body) {
+      return entry.result;
+    }
+
+    const result = this._parseAndValidate(schema, source);
+    store.set(key, { source: body, schema, result });
+    return result;
+  }
+
+  _getStore(schema: GraphQLSchema): DocumentCacheStore {
+    if (this._store) {
+      return this._store;
+    }
+    let store = this._schemaStores.get(schema);
+    if (!store) {
+      store = new LRUCache(this._maxSize);
+      this._schemaStores.set(schema, store);
+    }
+    return store;
+  }
+
+  _parseAndValidate(
+    schema: GraphQLSchema,
+    source: string | Source | DocumentNode,
+  ): DocumentNode | $ReadOnlyArray<GraphQLError> {
+    let document;
+    if (typeof source === 'string' || source instanceof Source) {
+      try {
+        document = parse(source, this._parseOptions);
+      } catch (syntaxError) {
+        return [syntaxError];
+      }
+    } else {
+      document = source;
+    }
+
+    const validationErrors = validate(schema, document, this._rules);
+    return validationErrors.length > 0 ? validationErrors : document;
+  }
+}
+
+function getSourceBody(source: string | Source | DocumentNode): string {
+  if (typeof source === 'string') {
+    return source;
+  }
+  if (source instanceof Source) {
+    return source.body;
+  }
+  return source.loc ? source.loc.source.body : print(source);
+}
@@ -2,12 +2,15 @@
 
 import find from '../polyfills/find';
 
+import { type ObjMap } from '../jsutils/ObjMap';
+
 import { Kind } from '../language/kinds';
 import { type Visitor, getVisitFn } from '../language/visitor';
 import {
   type ASTNode,
   type ASTKindToNode,
   type FieldNode,
+  type FragmentDefinitionNode,
   isNode,
 } from '../language/ast';
 
@@ -40,6 +43,7 @@ import {
 } from '../type/introspection';
 
 import { typeFromAST } from './typeFromAST';
+import { valueFromAST } from './valueFromAST';
 
 /**
  * TypeInfo is a utility class which, given a GraphQL schema, can keep track
@@ -56,6 +60,8 @@ export class TypeInfo {
   _directive: ?GraphQLDirective;
   _argument: ?GraphQLArgument;
   _enumValue: ?GraphQLEnumValue;
+  _fragments: ObjMap<FragmentDefinitionNode>;
+  _fragmentSpread: ?FragmentDefinitionNode;
   _getFieldDef: typeof getFieldDef;
 
   constructor(
@@ -77,6 +83,8 @@ export class TypeInfo {
     this._directive = null;
     this._argument = null;
     this._enumValue = null;
+    this._fragments = Object.create(null);
+    this._fragmentSpread = null;
     this._getFieldDef = getFieldDefFn || getFieldDef;
     if (initialType) {
       if (isInputType(initialType)) {
@@ -146,6 +154,15 @@ export class TypeInfo {
     // checked before continuing since TypeInfo is used as part of validation
     // which occurs before guarantees of schema and document validity.
     switch (node.kind) {
+      case Kind.DOCUMENT: {
+        this._fragments = Object.create(null);
+        for (const definition of node.definitions) {
+          if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+            this._fragments[definition.name.value] = definition;
+          }
+        }
+        break;
+      }
       case Kind.SELECTION_SET: {
         const namedType: mixed = getNamedType(this.getType());
         this._parentTypeStack.push(
@@ -170,6 +187,9 @@ export class TypeInfo {
       case Kind.DIRECTIVE:
         this._directive = schema.getDirective(node.name.value);
         break;
+      case Kind.FRAGMENT_SPREAD:
+        this._fragmentSpread = this._fragments[node.name.value];
+        break;
       case Kind.OPERATION_DEFINITION: {
         let type: mixed;
         if (node.operation === 'query') {
@@ -201,18 +221,37 @@ export class TypeInfo {
       case Kind.ARGUMENT: {
         let argDef;
         let argType: mixed;
-        const fieldOrDirective = this.getDirective() || this.getFieldDef();
-        if (fieldOrDirective) {
-          argDef = find(
-            fieldOrDirective.args,
-            arg => arg.name === node.name.value,
+        let defaultValue;
+        const fragmentSpread = this._fragmentSpread;
+        const directive = this.getDirective();
+        if (!directive && fragmentSpread) {
+          // Experimental: the arguments of a fragment spread are typed by the
+          // variable definitions of the fragment.
+          const varDef = find(
+            fragmentSpread.variableDefinitions || [],
+            def => def.variable.name.value === node.name.value,
           );
-          if (argDef) {
-            argType = argDef.type;
+          if (varDef) {
+            argType = typeFromAST(schema, varDef.type);
+            if (varDef.defaultValue && isInputType(argType)) {
+              defaultValue = valueFromAST(varDef.defaultValue, argType);
+            }
+          }
+        } else {
+          const fieldOrDirective = directive || this.getFieldDef();
+          if (fieldOrDirective) {
+            argDef = find(
+              fieldOrDirective.args,
+              arg => arg.name === node.name.value,
+            );
+            if (argDef) {
+              argType = argDef.type;
+              defaultValue = argDef.defaultValue;
+            }
           }
         }
         this._argument = argDef;
-        this._defaultValueStack.push(argDef ? argDef.defaultValue : undefined);
+        this._defaultValueStack.push(defaultValue);
         this._inputTypeStack.push(isInputType(argType) ? argType : undefined);
         break;
       }
@@ -268,6 +307,9 @@ export class TypeInfo {
       case Kind.DIRECTIVE:
         this._directive = null;
         break;
+      case Kind.FRAGMENT_SPREAD:
+        this._fragmentSpread = null;
+        break;
       case Kind.OPERATION_DEFINITION:
       case Kind.INLINE_FRAGMENT:
       case Kind.FRAGMENT_DEFINITION:
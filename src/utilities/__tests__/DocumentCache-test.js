@@ -0,0 +1,166 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { graphqlSync } from '../../graphql';
+
+import { parse } from '../../language/parser';
+import { Source } from '../../language/source';
+
+import { createMaxDepthRule } from '../../validation/rules/MaxDepth';
+
+import { buildSchema } from '../buildASTSchema';
+import { DocumentCache } from '../DocumentCache';
+
+const schema = buildSchema(`
+  type Query {
+    hello: String
+    nested: Query
+  }
+`);
+
+describe('DocumentCache', () => {
+  it('returns the same document for repeated sources', () => {
+    const cache = new DocumentCache();
+
+    const document = cache.parseAndValidate(schema, '{ hello }');
+    expect(document).to.deep.include({ kind: 'Document' });
+    expect(cache.parseAndValidate(schema, '{ hello }')).to.equal(document);
+    expect(cache.parseAndValidate(schema, new Source('{ hello }'))).to.equal(
+      document,
+    );
+  });
+
+  it('caches syntax and validation errors', () => {
+    const cache = new DocumentCache();
+
+    const syntaxErrors = cache.parseAndValidate(schema, '{');
+    expect(syntaxErrors).to.be.an('array');
+    expect(syntaxErrors).to.have.nested.property(
+      '[0].message',
+      'Syntax Error: Expected Name, found <EOF>.',
+    );
+    expect(cache.parseAndValidate(schema, '{')).to.equal(syntaxErrors);
+
+    const validationErrors = cache.parseAndValidate(schema, '{ unknown }');
+    expect(validationErrors).to.have.nested.property(
+      '[0].message',
+      'Cannot query field "unknown" on type "Query".',
+    );
+    expect(cache.parseAndValidate(schema, '{ unknown }')).to.equal(
+      validationErrors,
+    );
+  });
+
+  it('accepts parsed documents', () => {
+    const cache = new DocumentCache();
+    const document = parse('{ hello }');
+
+    expect(cache.parseAndValidate(schema, document)).to.equal(document);
+    expect(cache.parseAndValidate(schema, '{ hello }')).to.equal(document);
+    expect(cache.hash(document)).to.equal(cache.hash('{ hello }'));
+
+    const documentWithoutLocation = parse('{ hello }', { noLocation: true });
+    expect(cache.hash(documentWithoutLocation)).to.equal(
+      cache.hash('{\n  hello\n}\n'),
+    );
+  });
+
+  it('produces stable hashes', () => {
+    const cache = new DocumentCache();
+
+    expect(cache.hash('{ hello }')).to.equal(
+      new DocumentCache().hash('{ hello }'),
+    );
+    expect(cache.hash('{ hello }')).to.not.equal(cache.hash('{ nested }'));
+  });
+
+  it('caches the documents of each schema separately', () => {
+    const cache = new DocumentCache();
+    const otherSchema = buildSchema('type Query { goodbye: String }');
+
+    const document = cache.parseAndValidate(schema, '{ hello }');
+    const errors = cache.parseAndValidate(otherSchema, '{ hello }');
+    expect(errors).to.have.nested.property(
+      '[0].message',
+      'Cannot query field "hello" on type "Query".',
+    );
+    expect(cache.parseAndValidate(schema, '{ hello }')).to.equal(document);
+    expect(cache.parseAndValidate(otherSchema, '{ hello }')).to.equal(errors);
+  });
+
+  it('invalidates documents of the provided store when the schema changes', () => {
+    const cache = new DocumentCache({ store: new Map() });
+    const otherSchema = buildSchema('type Query { goodbye: String }');
+
+    const document = cache.parseAndValidate(schema, '{ hello }');
+    cache.parseAndValidate(otherSchema, '{ hello }');
+    expect(cache.parseAndValidate(schema, '{ hello }')).to.not.equal(document);
+  });
+
+  it('uses the provided store', () => {
+    const store = new Map();
+    const cache = new DocumentCache({ store });
+
+    const document = cache.parseAndValidate(schema, '{ hello }');
+    expect(store.get(cache.hash('{ hello }'))).to.deep.equal({
+      source: '{ hello }',
+      schema,
+      result: document,
+    });
+  });
+
+  it('evicts the least recently used documents', () => {
+    const cache = new DocumentCache({ maxSize: 1 });
+
+    const document = cache.parseAndValidate(schema, '{ hello }');
+    cache.parseAndValidate(schema, '{ nested { hello } }');
+    expect(cache.parseAndValidate(schema, '{ hello }')).to.not.equal(document);
+  });
+
+  it('uses the provided parse options and validation rules', () => {
+    const cache = new DocumentCache({
+      parseOptions: { maxTokens: 10 },
+      rules: [createMaxDepthRule(1)],
+    });
+
+    expect(
+      cache.parseAndValidate(schema, '{ a b c d e f g h i j k }'),
+    ).to.have.nested.property(
+      '[0].message',
+      'Syntax Error: Document contains more than 10 tokens. Parsing aborted.',
+    );
+    expect(
+      cache.parseAndValidate(schema, '{ nested { hello } }'),
+    ).to.have.nested.property(
+      '[0].message',
+      'Anonymous operation has a depth of 2, which exceeds the maximum allowed depth of 1.',
+    );
+  });
+
+  it('is used by graphql() to skip parsing and validation', () => {
+    const documentCache = new DocumentCache();
+    const store = new Map();
+    const cacheWithStore = new DocumentCache({ store });
+    const rootValue = { hello: 'world' };
+
+    expect(
+      graphqlSync({ schema, source: '{ hello }', rootValue, documentCache }),
+    ).to.deep.equal({ data: { hello: 'world' } });
+    expect(
+      graphqlSync({ schema, source: '{ hello }', rootValue, documentCache }),
+    ).to.deep.equal({ data: { hello: 'world' } });
+
+    const result = graphqlSync({
+      schema,
+      source: '{ unknown }',
+      documentCache: cacheWithStore,
+    });
+    expect(result).to.have.nested.property(
+      'errors[0].message',
+      'Cannot query field "unknown" on type "Query".',
+    );
+    expect(store.size).to.equal(1);
+  });
+});
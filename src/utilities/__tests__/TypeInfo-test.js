@@ -131,6 +131,46 @@ describe('visitWithTypeInfo', () => {
     ]);
   });
 
+  it('Experimental: types fragment spread arguments by fragment variables', () => {
+    const typeInfo = new TypeInfo(testSchema);
+    const ast = parse(
+      `
+        {
+          human(id: 4) {
+            ...Frag(surname: true, unknown: 1) @include(if: true)
+          }
+        }
+        fragment Frag($surname: Boolean = false) on Human {
+          name(surname: $surname)
+        }
+      `,
+      { experimentalFragmentVariables: true },
+    );
+
+    const visited = [];
+    visit(
+      ast,
+      visitWithTypeInfo(typeInfo, {
+        Argument(node) {
+          const inputType = typeInfo.getInputType();
+          visited.push([
+            node.name.value,
+            inputType ? String(inputType) : null,
+            typeInfo.getDefaultValue(),
+          ]);
+        },
+      }),
+    );
+
+    expect(visited).to.deep.equal([
+      ['id', 'ID', undefined],
+      ['surname', 'Boolean', false],
+      ['unknown', null, undefined],
+      ['if', 'Boolean!', undefined],
+      ['surname', 'Boolean', undefined],
+    ]);
+  });
+
   it('maintains type info during edit', () => {
     const visited = [];
     const typeInfo = new TypeInfo(testSchema);
@@ -16,6 +16,8 @@ import {
   GraphQLSkipDirective,
   GraphQLIncludeDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
 } from '../../type/directives';
 import {
   GraphQLID,
@@ -156,6 +158,23 @@ describe('Schema Builder', () => {
     expect(cycleSDL(sdl)).to.equal(sdl);
   });
 
+  it('Supports schema description', () => {
+    const sdl = dedent`
+      """This is a schema description"""
+      schema {
+        query: Query
+      }
+
+      type Query {
+        str: String
+      }
+    `;
+    expect(cycleSDL(sdl)).to.equal(sdl);
+    expect(buildSchema(sdl).description).to.equal(
+      'This is a schema description',
+    );
+  });
+
   it('Supports option for comment descriptions', () => {
     const sdl = dedent`
       # This is a directive
@@ -185,12 +204,16 @@ describe('Schema Builder', () => {
   it('Maintains @skip & @include', () => {
     const schema = buildSchema('type Query');
 
-    expect(schema.getDirectives()).to.have.lengthOf(3);
+    expect(schema.getDirectives()).to.have.lengthOf(5);
     expect(schema.getDirective('skip')).to.equal(GraphQLSkipDirective);
     expect(schema.getDirective('include')).to.equal(GraphQLIncludeDirective);
     expect(schema.getDirective('deprecated')).to.equal(
       GraphQLDeprecatedDirective,
     );
+    expect(schema.getDirective('specifiedBy')).to.equal(
+      GraphQLSpecifiedByDirective,
+    );
+    expect(schema.getDirective('oneOf')).to.equal(GraphQLOneOfDirective);
   });
 
   it('Overriding directives excludes specified', () => {
@@ -198,9 +221,11 @@ describe('Schema Builder', () => {
       directive @skip on FIELD
       directive @include on FIELD
       directive @deprecated on FIELD_DEFINITION
+      directive @specifiedBy on FIELD_DEFINITION
+      directive @oneOf on OBJECT
     `);
 
-    expect(schema.getDirectives()).to.have.lengthOf(3);
+    expect(schema.getDirectives()).to.have.lengthOf(5);
     expect(schema.getDirective('skip')).to.not.equal(GraphQLSkipDirective);
     expect(schema.getDirective('include')).to.not.equal(
       GraphQLIncludeDirective,
@@ -208,6 +233,10 @@ describe('Schema Builder', () => {
     expect(schema.getDirective('deprecated')).to.not.equal(
       GraphQLDeprecatedDirective,
     );
+    expect(schema.getDirective('specifiedBy')).to.not.equal(
+      GraphQLSpecifiedByDirective,
+    );
+    expect(schema.getDirective('oneOf')).to.not.equal(GraphQLOneOfDirective);
   });
 
   it('Adding directives maintains @skip & @include', () => {
@@ -215,10 +244,12 @@ describe('Schema Builder', () => {
       directive @foo(arg: Int) on FIELD
     `);
 
-    expect(schema.getDirectives()).to.have.lengthOf(4);
+    expect(schema.getDirectives()).to.have.lengthOf(6);
     expect(schema.getDirective('skip')).to.not.equal(undefined);
     expect(schema.getDirective('include')).to.not.equal(undefined);
     expect(schema.getDirective('deprecated')).to.not.equal(undefined);
+    expect(schema.getDirective('specifiedBy')).to.not.equal(undefined);
+    expect(schema.getDirective('oneOf')).to.not.equal(undefined);
   });
 
   it('Type modifiers', () => {
@@ -562,6 +593,23 @@ describe('Schema Builder', () => {
     expect(cycleSDL(sdl)).to.equal(sdl);
   });
 
+  it('Custom Scalar with specifiedBy URL', () => {
+    const sdl = dedent`
+      scalar CustomScalar @specifiedBy(url: "https://example.com/foo_spec")
+
+      type Query {
+        customScalar: CustomScalar
+      }
+    `;
+    expect(cycleSDL(sdl)).to.equal(sdl);
+
+    const schema = buildSchema(sdl);
+    const customScalar = assertScalarType(schema.getType('CustomScalar'));
+    expect(customScalar.specifiedByUrl).to.equal(
+      'https://example.com/foo_spec',
+    );
+  });
+
   it('Empty Input Object', () => {
     const sdl = dedent`
       input EmptyInputObject
@@ -582,6 +630,25 @@ describe('Schema Builder', () => {
     expect(cycleSDL(sdl)).to.equal(sdl);
   });
 
+  it('OneOf Input Object', () => {
+    const sdl = dedent`
+      input Input @oneOf {
+        int: Int
+        str: String
+      }
+
+      type Query {
+        field(in: Input): String
+      }
+    `;
+    expect(cycleSDL(sdl)).to.equal(sdl);
+
+    const schema = buildSchema(sdl);
+    expect(assertInputObjectType(schema.getType('Input')).isOneOf).to.equal(
+      true,
+    );
+  });
+
   it('Simple argument field with default', () => {
     const sdl = dedent`
       type Query {
@@ -699,10 +766,19 @@ describe('Schema Builder', () => {
         OTHER_VALUE @deprecated(reason: "Terrible reasons")
       }
 
+      input MyInput {
+        oldInput: String @deprecated
+        otherInput: String @deprecated(reason: "Use newInput")
+        newInput: String
+      }
+
       type Query {
         field1: String @deprecated
         field2: Int @deprecated(reason: "Because I said so")
         enum: MyEnum
+        field3(oldArg: String @deprecated, arg: String): String
+        field4(oldArg: String @deprecated(reason: "Why not?"), arg: String): String
+        field5(arg: MyInput): String
       }
     `;
     expect(cycleSDL(sdl)).to.equal(sdl);
@@ -735,6 +811,77 @@ describe('Schema Builder', () => {
       isDeprecated: true,
       deprecationReason: 'Because I said so',
     });
+
+    const [field3OldArg, field3Arg] = rootFields.field3.args;
+    expect(field3OldArg).to.include({
+      isDeprecated: true,
+      deprecationReason: 'No longer supported',
+    });
+    expect(field3Arg).to.include({ isDeprecated: false });
+
+    expect(rootFields.field4.args[0]).to.include({
+      isDeprecated: true,
+      deprecationReason: 'Why not?',
+    });
+
+    const inputFields = assertInputObjectType(
+      schema.getType('MyInput'),
+    ).getFields();
+    expect(inputFields.oldInput).to.include({
+      isDeprecated: true,
+      deprecationReason: 'No longer supported',
+    });
+    expect(inputFields.otherInput).to.include({
+      isDeprecated: true,
+      deprecationReason: 'Use newInput',
+    });
+    expect(inputFields.newInput).to.include({ isDeprecated: false });
+  });
+
+  it('Supports applied directives', () => {
+    const schema = buildSchema(`
+      directive @tag(name: String!, weight: Int) repeatable on SCHEMA | OBJECT | FIELD_DEFINITION | ARGUMENT_DEFINITION | ENUM_VALUE
+
+      schema @tag(name: "schema") {
+        query: Query
+      }
+
+      enum Size {
+        SMALL @tag(name: "small", weight: 1)
+        LARGE @deprecated
+      }
+
+      type Query @tag(name: "first") @tag(name: "second") {
+        field(size: Size @tag(name: "size")): String @deprecated @tag(name: "field")
+      }
+    `);
+
+    expect(schema.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'schema' } },
+    ]);
+
+    const queryType = assertObjectType(schema.getType('Query'));
+    expect(queryType.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'first' } },
+      { name: 'tag', args: { name: 'second' } },
+    ]);
+
+    // Specified directives are exposed through dedicated properties.
+    const field = queryType.getFields().field;
+    expect(field.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'field' } },
+    ]);
+    expect(field.args[0].appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'size' } },
+    ]);
+
+    const sizeType = assertEnumType(schema.getType('Size'));
+    expect(sizeType.getValue('SMALL')).to.deep.include({
+      appliedDirectives: [{ name: 'tag', args: { name: 'small', weight: 1 } }],
+    });
+    expect(sizeType.getValue('LARGE')).to.deep.include({
+      appliedDirectives: [],
+    });
   });
 
   it('Correctly assign AST nodes', () => {
@@ -10,6 +10,7 @@ import { graphqlSync } from '../../graphql';
 import { GraphQLSchema } from '../../type/schema';
 import {
   assertEnumType,
+  assertInputObjectType,
   GraphQLObjectType,
   GraphQLEnumType,
 } from '../../type/definition';
@@ -25,6 +26,7 @@ import { printSchema } from '../schemaPrinter';
 import { buildSchema } from '../buildASTSchema';
 import { buildClientSchema } from '../buildClientSchema';
 import { introspectionFromSchema } from '../introspectionFromSchema';
+import { getIntrospectionQuery } from '../getIntrospectionQuery';
 
 /**
  * This function does a full cycle of going from a string with the contents of
@@ -386,6 +388,7 @@ describe('Type System: build schema from introspection', () => {
         isDeprecated: false,
         deprecationReason: null,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
       {
@@ -395,6 +398,7 @@ describe('Type System: build schema from introspection', () => {
         isDeprecated: false,
         deprecationReason: null,
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
       {
@@ -404,6 +408,7 @@ describe('Type System: build schema from introspection', () => {
         isDeprecated: true,
         deprecationReason: 'Too fatty',
         extensions: undefined,
+        appliedDirectives: [],
         astNode: undefined,
       },
     ]);
@@ -435,6 +440,50 @@ describe('Type System: build schema from introspection', () => {
     expect(cycleIntrospection(sdl)).to.equal(sdl);
   });
 
+  it('builds a schema with specifiedBy URLs on custom scalars', () => {
+    const sdl = dedent`
+      scalar Foo @specifiedBy(url: "https://example.com/foo_spec")
+
+      type Query {
+        foo: Foo
+      }
+    `;
+
+    expect(cycleIntrospection(sdl)).to.equal(sdl);
+  });
+
+  it('builds a schema with a OneOf input object', () => {
+    const sdl = dedent`
+      type Query {
+        search(by: SearchBy): String
+      }
+
+      input SearchBy @oneOf {
+        id: ID
+        name: String
+      }
+    `;
+
+    expect(cycleIntrospection(sdl)).to.equal(sdl);
+  });
+
+  it('omits isOneOf unless requested by the introspection query', () => {
+    const schema = buildSchema(`
+      input SearchBy @oneOf {
+        id: ID
+      }
+
+      type Query {
+        search(by: SearchBy): String
+      }
+    `);
+    const introspection = introspectionFromSchema(schema, { oneOf: false });
+    const clientSchema = buildClientSchema(introspection);
+    const searchBy = assertInputObjectType(clientSchema.getType('SearchBy'));
+
+    expect(searchBy.isOneOf).to.equal(false);
+  });
+
   it('builds a schema with field arguments with default values', () => {
     const sdl = dedent`
       input Geo {
@@ -467,6 +516,57 @@ describe('Type System: build schema from introspection', () => {
     expect(cycleIntrospection(sdl)).to.equal(sdl);
   });
 
+  it('builds a schema with repeatable directives', () => {
+    const sdl = dedent`
+      directive @customDirective repeatable on FIELD
+
+      type Query {
+        string: String
+      }
+    `;
+
+    expect(cycleIntrospection(sdl)).to.equal(sdl);
+  });
+
+  it('builds a schema with a description', () => {
+    const sdl = dedent`
+      """This is a schema description"""
+      schema {
+        query: Query
+      }
+
+      type Query {
+        string: String
+      }
+    `;
+
+    expect(cycleIntrospection(sdl)).to.equal(sdl);
+  });
+
+  it('omits isRepeatable and schema description unless requested', () => {
+    const schema = buildSchema(`
+      """This is a schema description"""
+      schema {
+        query: Query
+      }
+
+      directive @customDirective repeatable on FIELD
+
+      type Query {
+        string: String
+      }
+    `);
+    const introspection = introspectionFromSchema(schema, {
+      directiveIsRepeatable: false,
+      schemaDescription: false,
+    });
+    const clientSchema = buildClientSchema(introspection);
+    const customDirective = clientSchema.getDirective('customDirective');
+
+    expect(clientSchema.description).to.equal(undefined);
+    expect(customDirective).to.include({ isRepeatable: false });
+  });
+
   it('builds a schema without directives', () => {
     const sdl = dedent`
       type Query {
@@ -503,6 +603,11 @@ describe('Type System: build schema from introspection', () => {
         MAUVE @deprecated(reason: "No longer in fashion")
       }
 
+      input ColorFilter {
+        name: String @deprecated
+        color: Color
+      }
+
       type Query {
         """This is a shiny string field"""
         shinyString: String
@@ -510,12 +615,59 @@ describe('Type System: build schema from introspection', () => {
         """This is a deprecated string field"""
         deprecatedString: String @deprecated(reason: "Use shinyString")
         color: Color
+        colors(old: Color @deprecated(reason: "Use filter"), filter: ColorFilter): [Color]
       }
     `;
 
     expect(cycleIntrospection(sdl)).to.equal(sdl);
   });
 
+  it('keeps deprecated args and input fields when the query includes them', () => {
+    const schema = buildSchema(`
+      input ColorFilter {
+        name: String @deprecated
+        hex: String
+      }
+
+      directive @paint(old: String @deprecated, color: String) on FIELD
+
+      type Query {
+        colors(old: String @deprecated, filter: ColorFilter): [String]
+      }
+    `);
+    function introspect(options) {
+      const result = graphqlSync(schema, getIntrospectionQuery(options));
+      // $FlowFixMe
+      return buildClientSchema(result.data);
+    }
+
+    const clientSchema = introspect({ inputValueDeprecation: true });
+    expect(printSchema(clientSchema)).to.equal(dedent`
+      directive @paint(old: String @deprecated, color: String) on FIELD
+
+      input ColorFilter {
+        name: String @deprecated
+        hex: String
+      }
+
+      type Query {
+        colors(old: String @deprecated, filter: ColorFilter): [String]
+      }
+    `);
+
+    expect(printSchema(introspect())).to.equal(dedent`
+      directive @paint(color: String) on FIELD
+
+      input ColorFilter {
+        hex: String
+      }
+
+      type Query {
+        colors(filter: ColorFilter): [String]
+      }
+    `);
+  });
+
   it('builds a schema with empty deprecation reasons', () => {
     const sdl = dedent`
       type Query {
@@ -0,0 +1,470 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { buildSchema } from '../buildASTSchema';
+import {
+  SchemaChangeType,
+  SchemaChangeCriticality,
+  diffSchemas,
+} from '../diffSchemas';
+
+const { BREAKING, DANGEROUS, SAFE } = SchemaChangeCriticality;
+
+describe('diffSchemas', () => {
+  it('reports no changes for identical schemas', () => {
+    const schema = buildSchema(`
+      "Query root"
+      type Query {
+        field(arg: String = "default"): String @deprecated
+      }
+
+      directive @dir(arg: Int) repeatable on FIELD
+    `);
+
+    expect(diffSchemas(schema, schema)).to.deep.equal([]);
+  });
+
+  it('reports added types and fields as safe', () => {
+    const oldSchema = buildSchema(`
+      type Query {
+        a: String
+      }
+    `);
+
+    const newSchema = buildSchema(`
+      type Query {
+        a: String
+        b: NewType
+      }
+
+      type NewType {
+        c: String
+      }
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.TYPE_ADDED,
+        criticality: SAFE,
+        coordinate: 'NewType',
+        description: 'NewType was added.',
+      },
+      {
+        type: SchemaChangeType.FIELD_ADDED,
+        criticality: SAFE,
+        coordinate: 'Query.b',
+        description: 'Query.b was added.',
+      },
+    ]);
+  });
+
+  it('reports changes of root operation types', () => {
+    const oldSchema = buildSchema(`
+      schema {
+        query: Query
+        mutation: Mutation
+      }
+
+      type Query
+      type Mutation
+      type OtherQuery
+    `);
+
+    const newSchema = buildSchema(`
+      schema {
+        query: OtherQuery
+        subscription: Subscription
+      }
+
+      type Query
+      type Mutation
+      type OtherQuery
+      type Subscription
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.include.members([
+      {
+        type: SchemaChangeType.ROOT_OPERATION_TYPE_CHANGED,
+        criticality: BREAKING,
+        coordinate: 'OtherQuery',
+        description: 'The query root type changed from Query to OtherQuery.',
+      },
+      {
+        type: SchemaChangeType.ROOT_OPERATION_TYPE_REMOVED,
+        criticality: BREAKING,
+        coordinate: 'Mutation',
+        description: 'Mutation was removed as the mutation root type.',
+      },
+      {
+        type: SchemaChangeType.ROOT_OPERATION_TYPE_ADDED,
+        criticality: SAFE,
+        coordinate: 'Subscription',
+        description: 'Subscription was added as the subscription root type.',
+      },
+    ]);
+  });
+
+  it('reports field type changes with their criticality', () => {
+    const oldSchema = buildSchema(`
+      type Query {
+        safe: String
+        breaking: String
+        field(safeArg: Int!, breakingArg: Int): String
+      }
+
+      input Input {
+        safe: Int!
+        breaking: Int
+      }
+    `);
+
+    const newSchema = buildSchema(`
+      type Query {
+        safe: String!
+        breaking: Int
+        field(safeArg: Int, breakingArg: Int!): String
+      }
+
+      input Input {
+        safe: Int
+        breaking: Int!
+      }
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.FIELD_CHANGED_KIND,
+        criticality: SAFE,
+        coordinate: 'Query.safe',
+        description: 'Query.safe changed type from String to String!.',
+      },
+      {
+        type: SchemaChangeType.FIELD_CHANGED_KIND,
+        criticality: BREAKING,
+        coordinate: 'Query.breaking',
+        description: 'Query.breaking changed type from String to Int.',
+      },
+      {
+        type: SchemaChangeType.ARG_CHANGED_KIND,
+        criticality: SAFE,
+        coordinate: 'Query.field(safeArg:)',
+        description:
+          'Query.field arg safeArg has changed type from Int! to Int.',
+      },
+      {
+        type: SchemaChangeType.ARG_CHANGED_KIND,
+        criticality: BREAKING,
+        coordinate: 'Query.field(breakingArg:)',
+        description:
+          'Query.field arg breakingArg has changed type from Int to Int!.',
+      },
+      {
+        type: SchemaChangeType.FIELD_CHANGED_KIND,
+        criticality: SAFE,
+        coordinate: 'Input.safe',
+        description: 'Input.safe changed type from Int! to Int.',
+      },
+      {
+        type: SchemaChangeType.FIELD_CHANGED_KIND,
+        criticality: BREAKING,
+        coordinate: 'Input.breaking',
+        description: 'Input.breaking changed type from Int to Int!.',
+      },
+    ]);
+  });
+
+  it('reports changes of default values', () => {
+    const oldSchema = buildSchema(`
+      type Query {
+        field(added: Int, changed: Int = 1, removed: Int = 2): String
+      }
+
+      input Input {
+        changed: String = "old"
+      }
+
+      directive @dir(arg: Boolean = true) on FIELD
+    `);
+
+    const newSchema = buildSchema(`
+      type Query {
+        field(added: Int = 0, changed: Int = 3, removed: Int): String
+      }
+
+      input Input {
+        changed: String = "new"
+      }
+
+      directive @dir(arg: Boolean = false) on FIELD
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.ARG_DEFAULT_VALUE_CHANGE,
+        criticality: SAFE,
+        coordinate: 'Query.field(added:)',
+        description: 'Query.field arg added defaultValue was added as 0.',
+      },
+      {
+        type: SchemaChangeType.ARG_DEFAULT_VALUE_CHANGE,
+        criticality: DANGEROUS,
+        coordinate: 'Query.field(changed:)',
+        description:
+          'Query.field arg changed has changed defaultValue from 1 to 3.',
+      },
+      {
+        type: SchemaChangeType.ARG_DEFAULT_VALUE_CHANGE,
+        criticality: DANGEROUS,
+        coordinate: 'Query.field(removed:)',
+        description: 'Query.field arg removed defaultValue was removed.',
+      },
+      {
+        type: SchemaChangeType.INPUT_FIELD_DEFAULT_VALUE_CHANGE,
+        criticality: DANGEROUS,
+        coordinate: 'Input.changed',
+        description:
+          'Input.changed has changed defaultValue from "old" to "new".',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_ARG_DEFAULT_VALUE_CHANGE,
+        criticality: DANGEROUS,
+        coordinate: '@dir(arg:)',
+        description: 'dir arg arg has changed defaultValue from true to false.',
+      },
+    ]);
+  });
+
+  it('reports changes of descriptions', () => {
+    const oldSchema = buildSchema(`
+      type Query {
+        "Old description"
+        changed: String
+        "Removed description"
+        removed: String
+        added(arg: Int): String
+      }
+    `);
+
+    const newSchema = buildSchema(`
+      type Query {
+        "New description"
+        changed: String
+        removed: String
+        added("Added description" arg: Int): String
+      }
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.DESCRIPTION_CHANGED,
+        criticality: SAFE,
+        coordinate: 'Query.changed',
+        description: 'Description of Query.changed was changed.',
+      },
+      {
+        type: SchemaChangeType.DESCRIPTION_REMOVED,
+        criticality: SAFE,
+        coordinate: 'Query.removed',
+        description: 'Description of Query.removed was removed.',
+      },
+      {
+        type: SchemaChangeType.DESCRIPTION_ADDED,
+        criticality: SAFE,
+        coordinate: 'Query.added(arg:)',
+        description: 'Description of Query.added(arg:) was added.',
+      },
+    ]);
+  });
+
+  it('reports changes of deprecations', () => {
+    const oldSchema = buildSchema(`
+      type Query {
+        added: String
+        removed: String @deprecated
+        changed: String @deprecated(reason: "Old reason")
+        enum: Enum
+      }
+
+      enum Enum {
+        VALUE
+      }
+    `);
+
+    const newSchema = buildSchema(`
+      type Query {
+        added: String @deprecated(reason: "Use something else")
+        removed: String
+        changed: String @deprecated(reason: "New reason")
+        enum: Enum
+      }
+
+      enum Enum {
+        VALUE @deprecated
+      }
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.DEPRECATION_ADDED,
+        criticality: SAFE,
+        coordinate: 'Query.added',
+        description:
+          'Query.added was deprecated with reason "Use something else".',
+      },
+      {
+        type: SchemaChangeType.DEPRECATION_REMOVED,
+        criticality: SAFE,
+        coordinate: 'Query.removed',
+        description: 'Query.removed is no longer deprecated.',
+      },
+      {
+        type: SchemaChangeType.DEPRECATION_REASON_CHANGED,
+        criticality: SAFE,
+        coordinate: 'Query.changed',
+        description:
+          'Deprecation reason of Query.changed changed from "Old reason" to "New reason".',
+      },
+      {
+        type: SchemaChangeType.DEPRECATION_ADDED,
+        criticality: SAFE,
+        coordinate: 'Enum.VALUE',
+        description:
+          'Enum.VALUE was deprecated with reason "No longer supported".',
+      },
+    ]);
+  });
+
+  it('reports changes of deprecations of args and input fields', () => {
+    const oldSchema = buildSchema(`
+      directive @dir(arg: String) on FIELD
+
+      type Query {
+        field(arg: String @deprecated, input: Input): String
+      }
+
+      input Input {
+        field: String
+      }
+    `);
+
+    const newSchema = buildSchema(`
+      directive @dir(arg: String @deprecated) on FIELD
+
+      type Query {
+        field(arg: String, input: Input): String
+      }
+
+      input Input {
+        field: String @deprecated(reason: "Unused")
+      }
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.DEPRECATION_REMOVED,
+        criticality: SAFE,
+        coordinate: 'Query.field(arg:)',
+        description: 'Query.field(arg:) is no longer deprecated.',
+      },
+      {
+        type: SchemaChangeType.DEPRECATION_ADDED,
+        criticality: SAFE,
+        coordinate: 'Input.field',
+        description: 'Input.field was deprecated with reason "Unused".',
+      },
+      {
+        type: SchemaChangeType.DEPRECATION_ADDED,
+        criticality: SAFE,
+        coordinate: '@dir(arg:)',
+        description:
+          '@dir(arg:) was deprecated with reason "No longer supported".',
+      },
+    ]);
+  });
+
+  it('reports changes of directives', () => {
+    const oldSchema = buildSchema(`
+      directive @removed on FIELD
+      directive @changed(removedArg: Int, arg: Int) repeatable on FIELD | QUERY
+    `);
+
+    const newSchema = buildSchema(`
+      directive @added on FIELD
+      directive @changed(arg: Int!, optionalArg: Int) on FIELD | MUTATION
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.DIRECTIVE_ADDED,
+        criticality: SAFE,
+        coordinate: '@added',
+        description: 'added was added.',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_REMOVED,
+        criticality: BREAKING,
+        coordinate: '@removed',
+        description: 'removed was removed.',
+      },
+      {
+        type: SchemaChangeType.OPTIONAL_DIRECTIVE_ARG_ADDED,
+        criticality: SAFE,
+        coordinate: '@changed(optionalArg:)',
+        description:
+          'An optional arg optionalArg on directive changed was added.',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_ARG_REMOVED,
+        criticality: BREAKING,
+        coordinate: '@changed(removedArg:)',
+        description: 'removedArg was removed from changed.',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_ARG_CHANGED_KIND,
+        criticality: BREAKING,
+        coordinate: '@changed(arg:)',
+        description: 'changed arg arg has changed type from Int to Int!.',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_LOCATION_ADDED,
+        criticality: SAFE,
+        coordinate: '@changed',
+        description: 'MUTATION was added to changed.',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_LOCATION_REMOVED,
+        criticality: BREAKING,
+        coordinate: '@changed',
+        description: 'QUERY was removed from changed.',
+      },
+      {
+        type: SchemaChangeType.DIRECTIVE_REPEATABLE_REMOVED,
+        criticality: BREAKING,
+        coordinate: '@changed',
+        description: 'changed is no longer repeatable.',
+      },
+    ]);
+  });
+
+  it('reports changes of specifiedByUrl as dangerous', () => {
+    const oldSchema = buildSchema(`
+      scalar Custom @specifiedBy(url: "https://example.com/old")
+    `);
+
+    const newSchema = buildSchema(`
+      scalar Custom @specifiedBy(url: "https://example.com/new")
+    `);
+
+    expect(diffSchemas(oldSchema, newSchema)).to.deep.equal([
+      {
+        type: SchemaChangeType.SPECIFIED_BY_URL_CHANGED,
+        criticality: DANGEROUS,
+        coordinate: 'Custom',
+        description:
+          'Custom changed specifiedByUrl from "https://example.com/old" to "https://example.com/new".',
+      },
+    ]);
+  });
+});
@@ -318,6 +318,22 @@ describe('extendSchema', () => {
     expect(fooDirective.args[0].type).to.equal(someInputType);
   });
 
+  it('extends inputs by marking them as OneOf', () => {
+    const extendedSchema = extendTestSchema(`
+      extend input SomeInput @oneOf
+    `);
+    expect(printTestSchemaChanges(extendedSchema)).to.equal(dedent`
+      input SomeInput @oneOf {
+        fooArg: String
+      }
+    `);
+
+    const someInput = assertInputObjectType(
+      extendedSchema.getType('SomeInput'),
+    );
+    expect(someInput.isOneOf).to.equal(true);
+  });
+
   it('extends scalars by adding new directives', () => {
     const extendedSchema = extendTestSchema(`
       extend scalar SomeScalar @foo
@@ -330,6 +346,18 @@ describe('extendSchema', () => {
     ]);
   });
 
+  it('extends scalars by adding specifiedBy directive', () => {
+    const extendedSchema = extendTestSchema(`
+      extend scalar SomeScalar @specifiedBy(url: "https://example.com/foo_spec")
+    `);
+
+    const someScalar = assertScalarType(extendedSchema.getType('SomeScalar'));
+    expect(someScalar.specifiedByUrl).to.equal('https://example.com/foo_spec');
+    expect(printTestSchemaChanges(extendedSchema)).to.equal(dedent`
+      scalar SomeScalar @specifiedBy(url: "https://example.com/foo_spec")
+    `);
+  });
+
   it('correctly assign AST nodes to new and extended types', () => {
     const extendedSchema = extendTestSchema(`
       extend type Query {
@@ -605,6 +633,21 @@ describe('extendSchema', () => {
     `);
   });
 
+  it('adds new unused OneOf input object type', () => {
+    const extendedSchema = extendTestSchema(`
+      input UnusedInput @oneOf {
+        someInput: String
+        anotherInput: Int
+      }
+    `);
+    expect(printTestSchemaChanges(extendedSchema)).to.equal(dedent`
+      input UnusedInput @oneOf {
+        someInput: String
+        anotherInput: Int
+      }
+    `);
+  });
+
   it('adds new union using new object type', () => {
     const extendedSchema = extendTestSchema(`
       type DummyUnionMember {
@@ -1035,6 +1078,38 @@ describe('extendSchema', () => {
     `);
   });
 
+  it('adds the applied directives of extensions', () => {
+    const schema = buildSchema(`
+      directive @tag(name: String) repeatable on SCHEMA | OBJECT | FIELD_DEFINITION
+
+      type Query @tag(name: "query") {
+        foo: String
+      }
+    `);
+    const extendedSchema = extendSchema(
+      schema,
+      parse(`
+        extend schema @tag(name: "schema")
+
+        extend type Query @tag(name: "extension") {
+          bar: String @tag(name: "bar")
+        }
+      `),
+    );
+
+    expect(extendedSchema.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'schema' } },
+    ]);
+    const queryType = assertObjectType(extendedSchema.getType('Query'));
+    expect(queryType.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'query' } },
+      { name: 'tag', args: { name: 'extension' } },
+    ]);
+    expect(queryType.getFields().bar.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'bar' } },
+    ]);
+  });
+
   it('may extend directives with new simple directive', () => {
     const extendedSchema = extendTestSchema(`
       directive @neat on QUERY
@@ -1156,6 +1231,19 @@ describe('extendSchema', () => {
       expect(printASTNode(schema)).to.equal(extensionSDL);
     });
 
+    it('adds schema description from a schema definition', () => {
+      const schema = extendSchema(
+        buildSchema('type Foo'),
+        parse(`
+          """Extended schema"""
+          schema {
+            query: Foo
+          }
+        `),
+      );
+      expect(schema.description).to.equal('Extended schema');
+    });
+
     it('adds new root types via schema extension', () => {
       const schema = extendTestSchema(`
         extend schema {
@@ -0,0 +1,166 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import dedent from '../../jsutils/dedent';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString } from '../../type/scalars';
+import { GraphQLObjectType } from '../../type/definition';
+
+import { printSchema } from '../schemaPrinter';
+import { buildSchema } from '../buildASTSchema';
+import { filterSchema } from '../filterSchema';
+
+function isPublic(_coordinate, config) {
+  const { astNode } = config;
+  return !(
+    astNode &&
+    Array.isArray(astNode.directives) &&
+    astNode.directives.some(directive => directive.name.value === 'internal')
+  );
+}
+
+describe('filterSchema', () => {
+  it('removes elements tagged with a directive in SDL', () => {
+    const schema = buildSchema(`
+      directive @internal on FIELD_DEFINITION | ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION | ENUM_VALUE | OBJECT
+
+      type Query {
+        user(id: ID, debug: Boolean @internal): User
+        audit: AuditLog @internal
+        search(filter: Filter): [User]
+      }
+
+      type User {
+        name: String
+        role: Role
+        secret: String @internal
+      }
+
+      type AuditLog @internal {
+        entries: [String]
+      }
+
+      enum Role {
+        ADMIN
+        ROOT @internal
+      }
+
+      input Filter {
+        name: String
+        token: String @internal
+      }
+    `);
+
+    expect(printSchema(filterSchema(schema, isPublic))).to.equal(dedent`
+      directive @internal on FIELD_DEFINITION | ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION | ENUM_VALUE | OBJECT
+
+      input Filter {
+        name: String
+      }
+
+      type Query {
+        user(id: ID): User
+        search(filter: Filter): [User]
+      }
+
+      enum Role {
+        ADMIN
+      }
+
+      type User {
+        name: String
+        role: Role
+      }
+    `);
+  });
+
+  it('passes the schema coordinates of elements', () => {
+    const schema = buildSchema(`
+      directive @dir(arg: String) on FIELD
+
+      type Query {
+        foo(arg: String): Foo
+        bar: String
+      }
+
+      type Foo {
+        value: String
+      }
+    `);
+
+    const coordinates = [];
+    const filteredSchema = filterSchema(schema, coordinate => {
+      coordinates.push(coordinate);
+      return coordinate !== 'Query.foo' && coordinate !== '@dir';
+    });
+
+    expect(coordinates).to.include.members([
+      '@dir',
+      '@skip(if:)',
+      'Query',
+      'Query.foo',
+      'Query.bar',
+      'Foo',
+      'Foo.value',
+    ]);
+    expect(coordinates).to.not.include('String');
+    expect(printSchema(filteredSchema)).to.equal(dedent`
+      type Query {
+        bar: String
+      }
+    `);
+  });
+
+  it('removes elements tagged in extensions', () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          public: { type: GraphQLString },
+          internal: {
+            type: new GraphQLObjectType({
+              name: 'Internal',
+              fields: { value: { type: GraphQLString } },
+            }),
+            extensions: { internal: true },
+          },
+        },
+      }),
+    });
+
+    const filteredSchema = filterSchema(
+      schema,
+      (_coordinate, { extensions }) =>
+        !(extensions && extensions.internal === true),
+    );
+
+    expect(filteredSchema.getType('Internal')).to.equal(undefined);
+    expect(filteredSchema.getType('String')).to.equal(GraphQLString);
+    expect(printSchema(filteredSchema)).to.equal(dedent`
+      type Query {
+        public: String
+      }
+    `);
+  });
+
+  it('keeps the scalars used by introspection when removing every directive', () => {
+    const schema = buildSchema('type Query { a: Int }');
+
+    const filteredSchema = filterSchema(
+      schema,
+      coordinate => !coordinate.startsWith('@'),
+    );
+
+    expect(filteredSchema.getDirectives()).to.deep.equal([]);
+    expect(filteredSchema.getType('String')).to.equal(GraphQLString);
+    expect(filteredSchema.getType('Boolean')).to.not.equal(undefined);
+    expect(printSchema(filteredSchema)).to.equal(dedent`
+      type Query {
+        a: Int
+      }
+    `);
+  });
+});
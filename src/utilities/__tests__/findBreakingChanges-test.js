@@ -3,19 +3,25 @@
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
 
+import { parse } from '../../language/parser';
+
 import { GraphQLSchema } from '../../type/schema';
 import {
   GraphQLSkipDirective,
   GraphQLIncludeDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
 } from '../../type/directives';
 
 import { buildSchema } from '../buildASTSchema';
+import { SchemaChangeType } from '../diffSchemas';
 import {
   BreakingChangeType,
   DangerousChangeType,
   findBreakingChanges,
   findDangerousChanges,
+  findBreakingChangesForOperations,
 } from '../findBreakingChanges';
 
 describe('findBreakingChanges', () => {
@@ -798,6 +804,14 @@ describe('findBreakingChanges', () => {
         type: BreakingChangeType.DIRECTIVE_REMOVED,
         description: `${GraphQLDeprecatedDirective.name} was removed.`,
       },
+      {
+        type: BreakingChangeType.DIRECTIVE_REMOVED,
+        description: `${GraphQLSpecifiedByDirective.name} was removed.`,
+      },
+      {
+        type: BreakingChangeType.DIRECTIVE_REMOVED,
+        description: `${GraphQLOneOfDirective.name} was removed.`,
+      },
     ]);
   });
 
@@ -1199,3 +1213,299 @@ describe('findDangerousChanges', () => {
     ]);
   });
 });
+
+describe('findBreakingChangesForOperations', () => {
+  const oldSchema = buildSchema(`
+    type Query {
+      used: String
+      unused: String
+      viaFragment: String
+      search(input: SearchInput, sort: Sort): [String]
+    }
+
+    input SearchInput {
+      text: String
+      limit: Int
+    }
+
+    enum Sort {
+      ASC
+      DESC
+    }
+  `);
+
+  function findChanges(newSDL, ...documents) {
+    return findBreakingChangesForOperations(
+      oldSchema,
+      buildSchema(newSDL),
+      documents.map(source => parse(source)),
+    );
+  }
+
+  it('should ignore breaking changes of unused schema elements', () => {
+    const changes = findChanges(
+      `
+        type Query {
+          used: String
+          viaFragment: String
+          search(input: SearchInput, sort: Sort): [String]
+        }
+
+        input SearchInput {
+          text: String
+          limit: Int
+        }
+
+        enum Sort {
+          ASC
+          DESC
+        }
+      `,
+      '{ used }',
+    );
+
+    expect(changes).to.deep.equal([]);
+  });
+
+  it('should report the operations using a changed schema element', () => {
+    const document = parse(`
+      query UsesField {
+        used
+      }
+
+      query UsesFragment {
+        ...Fragment
+      }
+
+      query Unaffected {
+        unused
+      }
+
+      fragment Fragment on Query {
+        viaFragment
+        used
+      }
+    `);
+    const [usesField, usesFragment] = document.definitions;
+
+    const changes = findBreakingChangesForOperations(
+      oldSchema,
+      buildSchema(`
+        type Query {
+          used: Int
+          unused: String
+          search(input: SearchInput, sort: Sort): [String]
+        }
+
+        input SearchInput {
+          text: String
+          limit: Int
+        }
+
+        enum Sort {
+          ASC
+          DESC
+        }
+      `),
+      [document],
+    );
+
+    expect(changes).to.deep.equal([
+      {
+        type: BreakingChangeType.FIELD_REMOVED,
+        criticality: 'BREAKING',
+        coordinate: 'Query.viaFragment',
+        description: 'Query.viaFragment was removed.',
+        operations: [
+          {
+            operation: usesFragment,
+            nodes: [changes[0].operations[0].nodes[0]],
+            locations: [{ line: 15, column: 9 }],
+          },
+        ],
+      },
+      {
+        type: BreakingChangeType.FIELD_CHANGED_KIND,
+        criticality: 'BREAKING',
+        coordinate: 'Query.used',
+        description: 'Query.used changed type from String to Int.',
+        operations: [
+          {
+            operation: usesField,
+            nodes: [changes[1].operations[0].nodes[0]],
+            locations: [{ line: 3, column: 9 }],
+          },
+          {
+            operation: usesFragment,
+            nodes: [changes[1].operations[1].nodes[0]],
+            locations: [{ line: 16, column: 9 }],
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('should report uses of fields gaining a required argument', () => {
+    const changes = findChanges(
+      `
+        type Query {
+          used(required: Int!): String
+          unused: String
+          viaFragment: String
+          search(input: SearchInput, sort: Sort): [String]
+        }
+
+        input SearchInput {
+          text: String
+          limit: Int
+        }
+
+        enum Sort {
+          ASC
+          DESC
+        }
+      `,
+      '{ used alias: used }',
+    );
+
+    expect(changes).to.have.lengthOf(1);
+    expect(changes[0]).to.include({
+      type: BreakingChangeType.REQUIRED_ARG_ADDED,
+      coordinate: 'Query.used(required:)',
+    });
+    expect(changes[0].operations[0].locations).to.deep.equal([
+      { line: 1, column: 3 },
+      { line: 1, column: 8 },
+    ]);
+  });
+
+  it('should report uses omitting arguments and input fields made required', () => {
+    const changes = findChanges(
+      `
+        type Query {
+          used: String
+          unused: String
+          viaFragment: String
+          search(input: SearchInput!, sort: Sort): [String]
+        }
+
+        input SearchInput {
+          text: String
+          limit: Int!
+        }
+
+        enum Sort {
+          ASC
+          DESC
+        }
+      `,
+      '{ search }',
+      '{ search(input: { text: "a" }) }',
+    );
+
+    expect(
+      changes.map(({ coordinate, operations }) => [
+        coordinate,
+        operations.map(({ locations }) => locations),
+      ]),
+    ).to.deep.equal([
+      [
+        'Query.search(input:)',
+        [[{ line: 1, column: 3 }], [{ line: 1, column: 3 }]],
+      ],
+      ['SearchInput.limit', [[{ line: 1, column: 17 }]]],
+    ]);
+  });
+
+  it('should report input fields and enum values used by literals and variables', () => {
+    const newSDL = `
+      type Query {
+        used: String
+        unused: String
+        viaFragment: String
+        search(input: SearchInput, sort: Sort): [String]
+        count: Int
+      }
+
+      input SearchInput {
+        text: String
+      }
+
+      enum Sort {
+        ASC
+      }
+    `;
+
+    const literalChanges = findChanges(
+      newSDL,
+      '{ search(input: { text: "a" }, sort: ASC) }',
+      '{ search(input: { limit: 1 }, sort: DESC) }',
+    );
+    expect(
+      literalChanges.map(({ coordinate, operations }) => [
+        coordinate,
+        operations.map(({ locations }) => locations),
+      ]),
+    ).to.deep.equal([
+      ['SearchInput.limit', [[{ line: 1, column: 19 }]]],
+      ['Sort.DESC', [[{ line: 1, column: 37 }]]],
+    ]);
+
+    const variableChanges = findChanges(
+      newSDL,
+      `query ($input: SearchInput, $sort: Sort) {
+        search(input: $input, sort: $sort)
+      }`,
+    );
+    expect(
+      variableChanges.map(({ coordinate, operations }) => [
+        coordinate,
+        operations.map(({ locations }) => locations),
+      ]),
+    ).to.deep.equal([
+      ['SearchInput.limit', [[{ line: 1, column: 8 }]]],
+      ['Sort.DESC', [[{ line: 1, column: 29 }]]],
+    ]);
+  });
+
+  it('should report the operations using a changed root operation type', () => {
+    const changes = findChanges(
+      `
+        schema {
+          query: OtherQuery
+        }
+
+        type Query {
+          used: String
+          unused: String
+          viaFragment: String
+          search(input: SearchInput, sort: Sort): [String]
+        }
+
+        type OtherQuery {
+          used: String
+        }
+
+        input SearchInput {
+          text: String
+          limit: Int
+        }
+
+        enum Sort {
+          ASC
+          DESC
+        }
+      `,
+      '{ used }',
+    );
+
+    expect(changes).to.have.lengthOf(1);
+    expect(changes[0]).to.include({
+      type: SchemaChangeType.ROOT_OPERATION_TYPE_CHANGED,
+      coordinate: 'OtherQuery',
+    });
+    expect(changes[0].operations[0].locations).to.deep.equal([
+      { line: 1, column: 1 },
+    ]);
+  });
+});
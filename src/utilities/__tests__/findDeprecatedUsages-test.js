@@ -15,9 +15,24 @@ describe('findDeprecatedUsages', () => {
       TWO @deprecated(reason: "Some enum reason.")
     }
 
+    input InputType {
+      normalField: String
+      deprecatedField: String @deprecated(reason: "Some input field reason.")
+    }
+
+    directive @someDirective(
+      normalArg: String
+      deprecatedArg: String @deprecated(reason: "Some directive arg reason.")
+    ) on FIELD
+
     type Query {
       normalField(enumArg: EnumType): String
       deprecatedField: String @deprecated(reason: "Some field reason.")
+      fieldWithArgs(
+        normalArg: String
+        deprecatedArg: String @deprecated(reason: "Some arg reason.")
+        inputArg: [InputType]
+      ): String
     }
   `);
 
@@ -55,4 +70,40 @@ describe('findDeprecatedUsages', () => {
       'The enum value "EnumType.TWO" is deprecated. Some enum reason.',
     ]);
   });
+
+  it('should report usage of deprecated args', () => {
+    const errors = findDeprecatedUsages(
+      schema,
+      parse(`
+        {
+          fieldWithArgs(normalArg: "", deprecatedArg: "")
+            @someDirective(normalArg: "", deprecatedArg: "")
+        }
+      `),
+    );
+
+    const errorMessages = errors.map(err => err.message);
+
+    expect(errorMessages).to.deep.equal([
+      'The argument "Query.fieldWithArgs(deprecatedArg:)" is deprecated. Some arg reason.',
+      'The argument "@someDirective(deprecatedArg:)" is deprecated. Some directive arg reason.',
+    ]);
+  });
+
+  it('should report usage of deprecated input fields', () => {
+    const errors = findDeprecatedUsages(
+      schema,
+      parse(`
+        {
+          fieldWithArgs(inputArg: [{ normalField: "", deprecatedField: "" }])
+        }
+      `),
+    );
+
+    const errorMessages = errors.map(err => err.message);
+
+    expect(errorMessages).to.deep.equal([
+      'The input field "InputType.deprecatedField" is deprecated. Some input field reason.',
+    ]);
+  });
 });
@@ -358,4 +358,27 @@ describe('lexicographicSortSchema', () => {
       }
     `);
   });
+
+  it('keeps applied directives', () => {
+    const sorted = printSchema(
+      lexicographicSortSchema(
+        buildSchema(`
+          directive @tag(name: String) repeatable on OBJECT | FIELD_DEFINITION
+
+          type Query @tag(name: "b") @tag(name: "a") {
+            foo: String @tag(name: "foo")
+          }
+        `),
+      ),
+      { appliedDirectives: true },
+    );
+
+    expect(sorted).to.equal(dedent`
+      directive @tag(name: String) repeatable on FIELD_DEFINITION | OBJECT
+
+      type Query @tag(name: "b") @tag(name: "a") {
+        foo: String @tag(name: "foo")
+      }
+    `);
+  });
 });
@@ -0,0 +1,288 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import dedent from '../../jsutils/dedent';
+
+import { graphqlSync } from '../../graphql';
+import { defaultFieldResolver } from '../../execution/execute';
+
+import { printSchema } from '../schemaPrinter';
+import { buildSchema } from '../buildASTSchema';
+import { mapSchema } from '../mapSchema';
+
+const schema = buildSchema(`
+  directive @dir(arg: Int, other: String) on FIELD
+
+  interface Node {
+    id: ID!
+  }
+
+  type User implements Node {
+    id: ID!
+    name(format: Format, style: Style): String
+  }
+
+  type Group implements Node {
+    id: ID!
+    members(filter: Filter): [User!]
+  }
+
+  union Entity = User | Group
+
+  enum Format {
+    SHORT
+    LONG
+  }
+
+  enum Style {
+    PLAIN
+  }
+
+  input Filter {
+    name: String
+    format: Format
+  }
+
+  type Query {
+    user: User
+    entities: [Entity]
+  }
+`);
+
+describe('mapSchema', () => {
+  it('rebuilds an identical schema without mapping functions', () => {
+    const mappedSchema = mapSchema(schema, {});
+
+    expect(mappedSchema).to.not.equal(schema);
+    expect(mappedSchema.getType('User')).to.not.equal(schema.getType('User'));
+    expect(printSchema(mappedSchema)).to.equal(printSchema(schema));
+  });
+
+  it('keeps scalar types unless their config is changed', () => {
+    const scalarSchema = buildSchema(`
+      scalar Date
+      scalar Time
+
+      type Query {
+        date: Date
+        time: Time
+        id: ID
+      }
+    `);
+
+    const mappedSchema = mapSchema(scalarSchema, {
+      mapScalarType: config =>
+        config.name === 'Time'
+          ? { ...config, description: 'A time of day.' }
+          : config,
+    });
+
+    expect(mappedSchema.getType('Date')).to.equal(scalarSchema.getType('Date'));
+    expect(mappedSchema.getType('ID')).to.equal(scalarSchema.getType('ID'));
+    expect(mappedSchema.getType('Time')).to.not.equal(
+      scalarSchema.getType('Time'),
+    );
+    expect(mappedSchema.getType('Time')).to.include({
+      description: 'A time of day.',
+    });
+  });
+
+  it('never maps specified scalar types', () => {
+    const mappedScalars = [];
+    const mappedSchema = mapSchema(schema, {
+      mapScalarType: config => {
+        mappedScalars.push(config.name);
+        return { ...config, description: 'Mapped.' };
+      },
+    });
+
+    expect(mappedScalars).to.deep.equal([]);
+    expect(mappedSchema.getType('String')).to.equal(schema.getType('String'));
+    expect(mappedSchema.getType('ID')).to.equal(schema.getType('ID'));
+  });
+
+  it('passes the names and parent coordinates of elements', () => {
+    const coordinates = [];
+    mapSchema(schema, {
+      mapField(config, fieldName, parentCoordinate) {
+        coordinates.push(`${parentCoordinate}.${fieldName}`);
+        return config;
+      },
+      mapArgument(config, argName, parentCoordinate) {
+        coordinates.push(`${parentCoordinate}(${argName}:)`);
+        return config;
+      },
+      mapInputField(config, fieldName, parentCoordinate) {
+        coordinates.push(`${parentCoordinate}.${fieldName}`);
+        return config;
+      },
+      mapEnumValue(config, valueName, parentCoordinate) {
+        coordinates.push(`${parentCoordinate}.${valueName}`);
+        return config;
+      },
+    });
+
+    expect(coordinates).to.include.members([
+      '@dir(arg:)',
+      'User.name',
+      'User.name(format:)',
+      'Group.members(filter:)',
+      'Format.LONG',
+      'Filter.format',
+      'Query.entities',
+    ]);
+  });
+
+  it('rewires references to renamed types', () => {
+    const mappedSchema = mapSchema(schema, {
+      mapObjectType: config => ({ ...config, name: `My${config.name}` }),
+      mapInterfaceType: config => ({ ...config, name: `My${config.name}` }),
+      mapEnumType: config => ({ ...config, name: `My${config.name}` }),
+    });
+
+    expect(printSchema(mappedSchema)).to.equal(dedent`
+      schema {
+        query: MyQuery
+      }
+
+      directive @dir(arg: Int, other: String) on FIELD
+
+      union Entity = MyUser | MyGroup
+
+      input Filter {
+        name: String
+        format: MyFormat
+      }
+
+      enum MyFormat {
+        SHORT
+        LONG
+      }
+
+      type MyGroup implements MyNode {
+        id: ID!
+        members(filter: Filter): [MyUser!]
+      }
+
+      interface MyNode {
+        id: ID!
+      }
+
+      type MyQuery {
+        user: MyUser
+        entities: [Entity]
+      }
+
+      enum MyStyle {
+        PLAIN
+      }
+
+      type MyUser implements MyNode {
+        id: ID!
+        name(format: MyFormat, style: MyStyle): String
+      }
+    `);
+  });
+
+  it('removes elements for which null is returned', () => {
+    const mappedSchema = mapSchema(schema, {
+      mapField: (config, fieldName) => (fieldName === 'user' ? null : config),
+      mapArgument: (config, argName) => (argName === 'style' ? null : config),
+      mapInputField: (config, fieldName) =>
+        fieldName === 'name' ? null : config,
+      mapEnumValue: (config, valueName) =>
+        valueName === 'LONG' ? null : config,
+      mapDirective: config => (config.name === 'dir' ? null : config),
+    });
+
+    expect(mappedSchema.getDirective('dir')).to.equal(undefined);
+    expect(printSchema(mappedSchema)).to.equal(dedent`
+      union Entity = User | Group
+
+      input Filter {
+        format: Format
+      }
+
+      enum Format {
+        SHORT
+      }
+
+      type Group implements Node {
+        id: ID!
+        members(filter: Filter): [User!]
+      }
+
+      interface Node {
+        id: ID!
+      }
+
+      type Query {
+        entities: [Entity]
+      }
+
+      enum Style {
+        PLAIN
+      }
+
+      type User implements Node {
+        id: ID!
+        name(format: Format): String
+      }
+    `);
+  });
+
+  it('removes references to removed types', () => {
+    const mappedSchema = mapSchema(schema, {
+      mapObjectType: config => (config.name === 'User' ? null : config),
+      mapInterfaceType: () => null,
+      mapEnumType: config => (config.name === 'Format' ? null : config),
+    });
+
+    expect(printSchema(mappedSchema)).to.equal(dedent`
+      directive @dir(arg: Int, other: String) on FIELD
+
+      union Entity = Group
+
+      input Filter {
+        name: String
+      }
+
+      type Group {
+        id: ID!
+      }
+
+      type Query {
+        entities: [Entity]
+      }
+
+      enum Style {
+        PLAIN
+      }
+    `);
+  });
+
+  it('maps the resolvers of fields', () => {
+    const upperCaseSchema = mapSchema(
+      buildSchema('type Query { hello: String }'),
+      {
+        mapField: config => {
+          const resolve = config.resolve || defaultFieldResolver;
+          return {
+            ...config,
+            resolve: (source, args, context, info) =>
+              String(resolve(source, args, context, info)).toUpperCase(),
+          };
+        },
+      },
+    );
+
+    const result = graphqlSync({
+      schema: upperCaseSchema,
+      source: '{ hello }',
+      rootValue: { hello: 'world' },
+    });
+    expect(result).to.deep.equal({ data: { hello: 'WORLD' } });
+  });
+});
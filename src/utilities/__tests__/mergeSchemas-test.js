@@ -0,0 +1,436 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import dedent from '../../jsutils/dedent';
+
+import { parse } from '../../language/parser';
+import { print } from '../../language/printer';
+
+import { graphqlSync } from '../../graphql';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLString } from '../../type/scalars';
+import {
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLScalarType,
+} from '../../type/definition';
+
+import { printSchema } from '../schemaPrinter';
+import { buildSchema } from '../buildASTSchema';
+import { mergeTypeDefs, mergeSchemas } from '../mergeSchemas';
+
+function mergeSDL(sdls, options) {
+  return print(
+    mergeTypeDefs(
+      sdls.map(sdl => parse(sdl)),
+      options,
+    ),
+  );
+}
+
+function expectConflict(sdls) {
+  return expect(() => mergeTypeDefs(sdls.map(sdl => parse(sdl)))).to.throw();
+}
+
+describe('mergeTypeDefs', () => {
+  it('merges definitions and extensions of the same type', () => {
+    const merged = mergeSDL([
+      `
+        interface Node {
+          id: ID!
+        }
+
+        type User implements Node {
+          id: ID!
+        }
+
+        type Query {
+          user: User
+        }
+      `,
+      `
+        type Post implements Node {
+          id: ID!
+        }
+
+        extend type Query {
+          post: Post
+        }
+
+        union Entity = User
+      `,
+      `
+        extend type User @cache {
+          name: String
+        }
+
+        type Query {
+          entities: [Entity]
+        }
+
+        union Entity = Post
+
+        directive @cache on OBJECT
+      `,
+    ]);
+
+    expect(merged).to.equal(dedent`
+      interface Node {
+        id: ID!
+      }
+
+      type User implements Node @cache {
+        id: ID!
+        name: String
+      }
+
+      type Query {
+        user: User
+        post: Post
+        entities: [Entity]
+      }
+
+      type Post implements Node {
+        id: ID!
+      }
+
+      union Entity = User | Post
+
+      directive @cache on OBJECT
+    `);
+  });
+
+  it('merges enum values, interfaces and input fields', () => {
+    const merged = mergeSDL([
+      `
+        enum Role {
+          ADMIN
+        }
+
+        type User implements Node {
+          id: ID!
+        }
+
+        input UserFilter {
+          role: Role
+        }
+      `,
+      `
+        extend enum Role {
+          """Regular user"""
+          USER
+          ADMIN @deprecated
+        }
+
+        type User implements Node & Named {
+          id: ID!
+          name: String
+        }
+
+        input UserFilter {
+          name: String
+        }
+      `,
+    ]);
+
+    expect(merged).to.equal(dedent`
+      enum Role {
+        ADMIN @deprecated
+        """Regular user"""
+        USER
+      }
+
+      type User implements Node & Named {
+        id: ID!
+        name: String
+      }
+
+      input UserFilter {
+        role: Role
+        name: String
+      }
+    `);
+  });
+
+  it('merges directive definitions and root operation types', () => {
+    const merged = mergeSDL([
+      `
+        schema {
+          query: RootQuery
+        }
+
+        directive @tag(name: String) on FIELD_DEFINITION
+      `,
+      `
+        extend schema {
+          mutation: RootMutation
+        }
+
+        directive @tag(name: String, weight: Int) on OBJECT | FIELD_DEFINITION
+      `,
+    ]);
+
+    expect(merged).to.equal(dedent`
+      schema {
+        query: RootQuery
+        mutation: RootMutation
+      }
+
+      directive @tag(name: String, weight: Int) on FIELD_DEFINITION | OBJECT
+    `);
+  });
+
+  it('merges extensions of undefined types into an extension', () => {
+    const merged = mergeSDL([
+      'extend type Query { foo: String }',
+      'extend type Query { bar: String }',
+    ]);
+
+    expect(merged).to.equal(dedent`
+      extend type Query {
+        foo: String
+        bar: String
+      }
+    `);
+  });
+
+  it('accepts schemas', () => {
+    const merged = mergeTypeDefs([
+      buildSchema('type Query { foo: String }'),
+      parse('extend type Query { bar: String }'),
+    ]);
+
+    expect(print(merged)).to.equal(dedent`
+      type Query {
+        foo: String
+        bar: String
+      }
+    `);
+  });
+
+  it('throws on conflicting definitions located on both nodes', () => {
+    const sdl1 = 'type Query { foo: String }';
+    const sdl2 = 'type Query { foo: Int }';
+
+    let caughtError;
+    try {
+      mergeTypeDefs([parse(sdl1), parse(sdl2)]);
+    } catch (error) {
+      caughtError = error;
+    }
+
+    expect(caughtError).to.include({
+      message:
+        'Field "Query.foo" is defined with both type "String" and type "Int".',
+    });
+    expect(caughtError && caughtError.nodes).to.have.lengthOf(2);
+    expect(caughtError && caughtError.locations).to.deep.equal([
+      { line: 1, column: 14 },
+      { line: 1, column: 14 },
+    ]);
+  });
+
+  it('throws on every kind of conflict', () => {
+    expectConflict(['type Foo { a: Int }', 'enum Foo { A }']).to.include({
+      message: '"Foo" is defined both as an object type and as an enum type.',
+    });
+    expectConflict([
+      'type Query { foo(arg: Int): String }',
+      'type Query { foo(arg: Int!): String }',
+    ]).to.include({
+      message:
+        '"Query.foo(arg:)" is defined with both type "Int" and type "Int!".',
+    });
+    expectConflict([
+      'input Filter { limit: Int = 10 }',
+      'input Filter { limit: Int }',
+    ]).to.include({
+      message:
+        '"Filter.limit" is defined with both 10 and no default value as default value.',
+    });
+    expectConflict([
+      'directive @tag repeatable on FIELD',
+      'directive @tag on FIELD',
+    ]).to.include({
+      message:
+        'Directive "@tag" is defined both as repeatable and as non-repeatable.',
+    });
+    expectConflict([
+      'schema { query: Query }',
+      'schema { query: RootQuery }',
+    ]).to.include({
+      message:
+        'Root operation type "query" is defined as both "Query" and "RootQuery".',
+    });
+  });
+
+  it('throws on differing descriptions and deprecations', () => {
+    expectConflict([
+      '"First" type Query { foo: String }',
+      '"Second" type Query { foo: String }',
+    ]).to.include({
+      message: '"Query" is defined with two different descriptions.',
+    });
+    expectConflict([
+      'type Query { "First" foo: String }',
+      'type Query { "Second" foo: String }',
+    ]).to.include({
+      message: '"Query.foo" is defined with two different descriptions.',
+    });
+    expectConflict([
+      'type Query { foo: String @deprecated(reason: "Use bar") }',
+      'type Query { foo: String @deprecated }',
+    ]).to.include({
+      message:
+        '"Query.foo" is deprecated with both reason "Use bar" and reason "No longer supported".',
+    });
+    expectConflict([
+      'enum Role { ADMIN @deprecated(reason: "First") }',
+      'enum Role { ADMIN @deprecated(reason: "Second") }',
+    ]).to.include({
+      message:
+        '"Role.ADMIN" is deprecated with both reason "First" and reason "Second".',
+    });
+  });
+
+  it('resolves differing descriptions and deprecations', () => {
+    const sdls = [
+      `
+        type Query {
+          "First"
+          foo: String @deprecated
+          bar(arg: Int @deprecated(reason: "Unused")): String
+        }
+      `,
+      `
+        type Query {
+          "Second"
+          foo: String @deprecated(reason: "No longer supported")
+          bar(arg: Int @deprecated(reason: "Use baz")): String
+        }
+      `,
+    ];
+
+    expect(mergeSDL(sdls, { onConflict: 'first' })).to.equal(dedent`
+      type Query {
+        "First"
+        foo: String @deprecated
+        bar(arg: Int @deprecated(reason: "Unused")): String
+      }
+    `);
+    expect(mergeSDL(sdls, { onConflict: 'last' })).to.equal(dedent`
+      type Query {
+        "Second"
+        foo: String @deprecated
+        bar(arg: Int @deprecated(reason: "Use baz")): String
+      }
+    `);
+  });
+
+  it('resolves conflicts with the first or the last definition', () => {
+    const sdls = [
+      'type Query { foo: String, bar: Int }',
+      'type Query { foo: Int, baz: Int }',
+    ];
+
+    expect(mergeSDL(sdls, { onConflict: 'first' })).to.equal(dedent`
+      type Query {
+        foo: String
+        bar: Int
+        baz: Int
+      }
+    `);
+    expect(mergeSDL(sdls, { onConflict: 'last' })).to.equal(dedent`
+      type Query {
+        foo: Int
+        bar: Int
+        baz: Int
+      }
+    `);
+  });
+});
+
+describe('mergeSchemas', () => {
+  it('builds a schema from modular SDL documents', () => {
+    const schema = mergeSchemas([
+      parse('type Query { foo: String }'),
+      parse('extend type Query { bar: String }'),
+      parse('type Query { foo: String, baz: String }'),
+    ]);
+
+    expect(printSchema(schema)).to.equal(dedent`
+      type Query {
+        foo: String
+        bar: String
+        baz: String
+      }
+    `);
+  });
+
+  it('keeps the runtime behavior of the merged schemas', () => {
+    const Color = new GraphQLEnumType({
+      name: 'Color',
+      values: { RED: { value: '#f00' } },
+    });
+    const Upper = new GraphQLScalarType({
+      name: 'Upper',
+      serialize: value => String(value).toUpperCase(),
+    });
+    const colorSchema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          color: { type: Color, resolve: () => '#f00' },
+        },
+      }),
+    });
+    const greetingSchema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          greeting: { type: Upper, resolve: () => 'hello' },
+          name: { type: GraphQLString, resolve: () => 'first' },
+        },
+      }),
+    });
+    const nameSchema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          name: { type: GraphQLString, resolve: () => 'last' },
+        },
+      }),
+    });
+
+    const schemas = [colorSchema, greetingSchema, nameSchema];
+    const source = '{ color greeting name }';
+
+    expect(
+      graphqlSync({ schema: mergeSchemas(schemas), source }),
+    ).to.deep.equal({
+      data: { color: 'RED', greeting: 'HELLO', name: 'first' },
+    });
+    expect(
+      graphqlSync({
+        schema: mergeSchemas(schemas, { onConflict: 'last' }),
+        source,
+      }),
+    ).to.deep.equal({
+      data: { color: 'RED', greeting: 'HELLO', name: 'last' },
+    });
+  });
+
+  it('throws on conflicting definitions', () => {
+    expect(() =>
+      mergeSchemas([
+        buildSchema('type Query { foo: String }'),
+        buildSchema('type Query { foo: [String] }'),
+      ]),
+    ).to.throw(
+      'Field "Query.foo" is defined with both type "String" and type "[String]".',
+    );
+  });
+});
@@ -0,0 +1,191 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import dedent from '../../jsutils/dedent';
+
+import { printSchema } from '../schemaPrinter';
+import { buildSchema } from '../buildASTSchema';
+import { pruneSchema } from '../pruneSchema';
+
+function pruneSDL(sdl) {
+  return printSchema(pruneSchema(buildSchema(sdl)));
+}
+
+describe('pruneSchema', () => {
+  it('returns the same schema when nothing can be pruned', () => {
+    const schema = buildSchema(`
+      type Query {
+        foo: String
+      }
+    `);
+
+    expect(pruneSchema(schema)).to.equal(schema);
+  });
+
+  it('removes unreachable types', () => {
+    const sdl = pruneSDL(`
+      directive @dir(arg: DirectiveInput) on FIELD
+
+      input DirectiveInput {
+        value: String
+      }
+
+      type Query {
+        foo: Foo
+      }
+
+      type Foo {
+        bar: String
+      }
+
+      type Unreachable {
+        foo: Foo
+      }
+
+      enum UnreachableEnum {
+        VALUE
+      }
+    `);
+
+    expect(sdl).to.equal(dedent`
+      directive @dir(arg: DirectiveInput) on FIELD
+
+      input DirectiveInput {
+        value: String
+      }
+
+      type Foo {
+        bar: String
+      }
+
+      type Query {
+        foo: Foo
+      }
+    `);
+  });
+
+  it('keeps the implementations of reachable interfaces', () => {
+    const sdl = pruneSDL(`
+      type Query {
+        node: Node
+      }
+
+      interface Node {
+        id: ID
+      }
+
+      interface Resource implements Node {
+        id: ID
+      }
+
+      type User implements Node {
+        id: ID
+      }
+
+      type File implements Resource & Node {
+        id: ID
+      }
+
+      interface Unused {
+        id: ID
+      }
+
+      type Other implements Unused {
+        id: ID
+      }
+    `);
+
+    expect(sdl).to.equal(dedent`
+      type File implements Resource & Node {
+        id: ID
+      }
+
+      interface Node {
+        id: ID
+      }
+
+      type Query {
+        node: Node
+      }
+
+      interface Resource implements Node {
+        id: ID
+      }
+
+      type User implements Node {
+        id: ID
+      }
+    `);
+  });
+
+  it('removes empty types along with their references', () => {
+    const schema = buildSchema(`
+      type Query {
+        wrapper: Wrapper
+        list(arg: [EmptyInput]): [String]
+        foo: String
+      }
+
+      type Wrapper {
+        union: EmptyUnion
+      }
+
+      union EmptyUnion
+
+      input EmptyInput
+    `);
+
+    expect(printSchema(pruneSchema(schema))).to.equal(dedent`
+      type Query {
+        list: [String]
+        foo: String
+      }
+    `);
+  });
+
+  it('removes dangling interface implementations', () => {
+    const sdl = pruneSDL(`
+      type Query {
+        node: Node
+        user: User
+      }
+
+      interface Node {
+        id: ID
+        name: String
+      }
+
+      type User implements Node {
+        id: ID
+      }
+
+      type Group implements Node {
+        id: ID
+        name: String
+      }
+    `);
+
+    expect(sdl).to.equal(dedent`
+      type Group implements Node {
+        id: ID
+        name: String
+      }
+
+      interface Node {
+        id: ID
+        name: String
+      }
+
+      type Query {
+        node: Node
+        user: User
+      }
+
+      type User {
+        id: ID
+      }
+    `);
+  });
+});
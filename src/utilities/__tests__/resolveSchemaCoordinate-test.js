@@ -0,0 +1,176 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parseSchemaCoordinate } from '../../language/parser';
+
+import { buildSchema } from '../buildASTSchema';
+import {
+  resolveSchemaCoordinate,
+  resolveASTSchemaCoordinate,
+} from '../resolveSchemaCoordinate';
+
+const schema = buildSchema(`
+  type Query {
+    searchBusiness(criteria: SearchCriteria!): [Business]
+  }
+
+  input SearchCriteria {
+    name: String
+    filter: SearchFilter
+  }
+
+  enum SearchFilter {
+    OPEN_NOW
+    DELIVERS_TAKEOUT
+    VEGETARIAN_MENU
+  }
+
+  type Business {
+    id: ID
+    name: String
+    email: String @private(scope: "loggedIn")
+  }
+
+  directive @private(scope: String!) on FIELD_DEFINITION
+`);
+
+describe('resolveSchemaCoordinate', () => {
+  it('resolves a Named Type', () => {
+    expect(resolveSchemaCoordinate(schema, 'Business')).to.deep.equal({
+      kind: 'NamedType',
+      type: schema.getType('Business'),
+    });
+
+    expect(resolveSchemaCoordinate(schema, 'String')).to.deep.equal({
+      kind: 'NamedType',
+      type: schema.getType('String'),
+    });
+
+    expect(resolveSchemaCoordinate(schema, 'private')).to.equal(undefined);
+    expect(resolveSchemaCoordinate(schema, 'Unknown')).to.equal(undefined);
+  });
+
+  it('resolves a Field', () => {
+    const type: any = schema.getType('Business');
+    const field = type.getFields().name;
+    expect(resolveSchemaCoordinate(schema, 'Business.name')).to.deep.equal({
+      kind: 'Field',
+      type,
+      field,
+    });
+
+    expect(resolveSchemaCoordinate(schema, 'Business.unknown')).to.equal(
+      undefined,
+    );
+    expect(resolveSchemaCoordinate(schema, 'Unknown.field')).to.equal(
+      undefined,
+    );
+    expect(resolveSchemaCoordinate(schema, 'String.field')).to.equal(undefined);
+  });
+
+  it('resolves an Input Field', () => {
+    const type: any = schema.getType('SearchCriteria');
+    const inputField = type.getFields().filter;
+    expect(
+      resolveSchemaCoordinate(schema, 'SearchCriteria.filter'),
+    ).to.deep.equal({
+      kind: 'InputField',
+      type,
+      inputField,
+    });
+
+    expect(resolveSchemaCoordinate(schema, 'SearchCriteria.unknown')).to.equal(
+      undefined,
+    );
+  });
+
+  it('resolves an Enum Value', () => {
+    const type: any = schema.getType('SearchFilter');
+    const enumValue = type.getValue('OPEN_NOW');
+    expect(
+      resolveSchemaCoordinate(schema, 'SearchFilter.OPEN_NOW'),
+    ).to.deep.equal({
+      kind: 'EnumValue',
+      type,
+      enumValue,
+    });
+
+    expect(resolveSchemaCoordinate(schema, 'SearchFilter.UNKNOWN')).to.equal(
+      undefined,
+    );
+  });
+
+  it('resolves a Field Argument', () => {
+    const type: any = schema.getType('Query');
+    const field = type.getFields().searchBusiness;
+    const fieldArgument = field.args[0];
+    expect(
+      resolveSchemaCoordinate(schema, 'Query.searchBusiness(criteria:)'),
+    ).to.deep.equal({
+      kind: 'FieldArgument',
+      type,
+      field,
+      fieldArgument,
+    });
+
+    expect(
+      resolveSchemaCoordinate(schema, 'Query.searchBusiness(unknown:)'),
+    ).to.equal(undefined);
+    expect(resolveSchemaCoordinate(schema, 'Query.unknown(arg:)')).to.equal(
+      undefined,
+    );
+    expect(
+      resolveSchemaCoordinate(schema, 'SearchCriteria.name(arg:)'),
+    ).to.equal(undefined);
+    expect(
+      resolveSchemaCoordinate(schema, 'SearchFilter.OPEN_NOW(arg:)'),
+    ).to.equal(undefined);
+  });
+
+  it('resolves a Directive', () => {
+    expect(resolveSchemaCoordinate(schema, '@private')).to.deep.equal({
+      kind: 'Directive',
+      directive: schema.getDirective('private'),
+    });
+
+    expect(resolveSchemaCoordinate(schema, '@deprecated')).to.deep.equal({
+      kind: 'Directive',
+      directive: schema.getDirective('deprecated'),
+    });
+
+    expect(resolveSchemaCoordinate(schema, '@unknown')).to.equal(undefined);
+    expect(resolveSchemaCoordinate(schema, '@Business')).to.equal(undefined);
+  });
+
+  it('resolves a Directive Argument', () => {
+    const directive: any = schema.getDirective('private');
+    const directiveArgument = directive.args[0];
+    expect(resolveSchemaCoordinate(schema, '@private(scope:)')).to.deep.equal({
+      kind: 'DirectiveArgument',
+      directive,
+      directiveArgument,
+    });
+
+    expect(resolveSchemaCoordinate(schema, '@private(unknown:)')).to.equal(
+      undefined,
+    );
+    expect(resolveSchemaCoordinate(schema, '@unknown(arg:)')).to.equal(
+      undefined,
+    );
+  });
+
+  it('throws on invalid schema coordinates', () => {
+    expect(() => resolveSchemaCoordinate(schema, 'Business.')).to.throw(
+      'Syntax Error: Expected Name, found <EOF>.',
+    );
+  });
+
+  it('resolves a schema coordinate AST', () => {
+    const coordinate = parseSchemaCoordinate('Business.id');
+    expect(resolveASTSchemaCoordinate(schema, coordinate)).to.deep.equal(
+      resolveSchemaCoordinate(schema, 'Business.id'),
+    );
+  });
+});
@@ -23,7 +23,11 @@ import {
 } from '../../type/definition';
 
 import { buildSchema } from '../buildASTSchema';
-import { printSchema, printIntrospectionSchema } from '../schemaPrinter';
+import {
+  printSchema,
+  printIntrospectionSchema,
+  printType,
+} from '../schemaPrinter';
 
 function printForTest(schema) {
   const schemaText = printSchema(schema);
@@ -454,6 +458,26 @@ describe('Type System Printer', () => {
     `);
   });
 
+  it('Print OneOf Input Type', () => {
+    const InputType = new GraphQLInputObjectType({
+      name: 'InputType',
+      isOneOf: true,
+      fields: {
+        int: { type: GraphQLInt },
+        str: { type: GraphQLString },
+      },
+    });
+
+    const Schema = new GraphQLSchema({ types: [InputType] });
+    const output = printForTest(Schema);
+    expect(output).to.equal(dedent`
+      input InputType @oneOf {
+        int: Int
+        str: String
+      }
+    `);
+  });
+
   it('Custom Scalar', () => {
     const OddType = new GraphQLScalarType({ name: 'Odd' });
 
@@ -464,6 +488,155 @@ describe('Type System Printer', () => {
     `);
   });
 
+  it('Custom Scalar with specifiedByUrl', () => {
+    const FooType = new GraphQLScalarType({
+      name: 'Foo',
+      specifiedByUrl: 'https://example.com/foo_spec',
+    });
+
+    const Schema = new GraphQLSchema({ types: [FooType] });
+    const output = printForTest(Schema);
+    expect(output).to.equal(dedent`
+      scalar Foo @specifiedBy(url: "https://example.com/foo_spec")
+    `);
+  });
+
+  it('Prints applied directives when asked to', () => {
+    const TagDirective = new GraphQLDirective({
+      name: 'tag',
+      isRepeatable: true,
+      locations: [
+        DirectiveLocation.SCHEMA,
+        DirectiveLocation.OBJECT,
+        DirectiveLocation.FIELD_DEFINITION,
+        DirectiveLocation.ARGUMENT_DEFINITION,
+        DirectiveLocation.ENUM,
+        DirectiveLocation.ENUM_VALUE,
+      ],
+      args: {
+        name: { type: GraphQLString },
+        size: {
+          type: new GraphQLEnumType({ name: 'TagSize', values: { BIG: {} } }),
+        },
+      },
+    });
+    const ColorType = new GraphQLEnumType({
+      name: 'Color',
+      values: {
+        RED: { appliedDirectives: [{ name: 'tag', args: { size: 'BIG' } }] },
+      },
+      appliedDirectives: [{ name: 'tag' }],
+    });
+    const Query = new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        color: {
+          type: ColorType,
+          args: {
+            name: {
+              type: GraphQLString,
+              appliedDirectives: [{ name: 'tag', args: { name: 'arg' } }],
+            },
+          },
+          deprecationReason: 'Use shade',
+          appliedDirectives: [{ name: 'tag', args: { name: 'field' } }],
+        },
+      },
+      appliedDirectives: [
+        { name: 'tag', args: { name: 'first' } },
+        { name: 'tag', args: { name: 'second' } },
+      ],
+    });
+    const Schema = new GraphQLSchema({
+      query: Query,
+      directives: [TagDirective],
+      appliedDirectives: [{ name: 'tag', args: { name: 'schema' } }],
+    });
+
+    const output = printSchema(Schema, { appliedDirectives: true });
+    expect(output).to.equal(dedent`
+      schema @tag(name: "schema") {
+        query: Query
+      }
+
+      directive @tag(name: String, size: TagSize) repeatable on SCHEMA | OBJECT | FIELD_DEFINITION | ARGUMENT_DEFINITION | ENUM | ENUM_VALUE
+
+      enum Color @tag {
+        RED @tag(size: BIG)
+      }
+
+      type Query @tag(name: "first") @tag(name: "second") {
+        color(name: String @tag(name: "arg")): Color @deprecated(reason: "Use shade") @tag(name: "field")
+      }
+
+      enum TagSize {
+        BIG
+      }
+    `);
+    expect(
+      printSchema(buildSchema(output), { appliedDirectives: true }),
+    ).to.equal(output);
+
+    expect(printSchema(Schema)).to.not.include('@tag(name: "first")');
+  });
+
+  it('Prints applied directive arguments as external input values', () => {
+    const ColorType = new GraphQLEnumType({
+      name: 'Color',
+      values: { RED: { value: 0 }, BLUE: { value: 1 } },
+    });
+    const PaintDirective = new GraphQLDirective({
+      name: 'paint',
+      locations: [DirectiveLocation.OBJECT],
+      args: {
+        color: { type: ColorType },
+        colors: { type: GraphQLList(ColorType) },
+      },
+    });
+    const Query = new GraphQLObjectType({
+      name: 'Query',
+      fields: { foo: { type: GraphQLString } },
+      appliedDirectives: [
+        { name: 'paint', args: { color: 'RED', colors: ['BLUE', 'RED'] } },
+      ],
+    });
+    const Schema = new GraphQLSchema({
+      query: Query,
+      directives: [PaintDirective],
+    });
+
+    const output = printSchema(Schema, { appliedDirectives: true });
+    expect(output).to.equal(dedent`
+      directive @paint(color: Color, colors: [Color]) on OBJECT
+
+      enum Color {
+        RED
+        BLUE
+      }
+
+      type Query @paint(color: RED, colors: [BLUE, RED]) {
+        foo: String
+      }
+    `);
+    expect(
+      printSchema(buildSchema(output), { appliedDirectives: true }),
+    ).to.equal(output);
+  });
+
+  it('Prints applied directives without the schema', () => {
+    const FooType = new GraphQLObjectType({
+      name: 'Foo',
+      fields: { bar: { type: GraphQLString } },
+      appliedDirectives: [
+        { name: 'key', args: { fields: 'bar', weight: 1.5, tags: ['a'] } },
+      ],
+    });
+
+    expect(printType(FooType, { appliedDirectives: true })).to.equal(
+      'type Foo @key(fields: "bar", weight: 1.5, tags: ["a"]) {\n  bar: String\n}',
+    );
+  });
+
   it('Enum', () => {
     const RGBType = new GraphQLEnumType({
       name: 'RGB',
@@ -596,7 +769,18 @@ describe('Type System Printer', () => {
         Explains why this element was deprecated, usually also including a suggestion for how to access supported similar data. Formatted using the Markdown syntax (as specified by [CommonMark](https://commonmark.org/).
         """
         reason: String = "No longer supported"
-      ) on FIELD_DEFINITION | ENUM_VALUE
+      ) on FIELD_DEFINITION | ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION | ENUM_VALUE
+
+      """Exposes a URL that specifies the behaviour of this scalar."""
+      directive @specifiedBy(
+        """The URL that specifies the behaviour of this scalar."""
+        url: String!
+      ) on SCALAR
+
+      """
+      Indicates that exactly one field must be supplied and this field must not be \`null\`.
+      """
+      directive @oneOf on INPUT_OBJECT
 
       """
       A Directive provides a way to describe alternate runtime execution and type validation behavior in a GraphQL document.
@@ -606,8 +790,9 @@ describe('Type System Printer', () => {
       type __Directive {
         name: String!
         description: String
+        isRepeatable: Boolean!
         locations: [__DirectiveLocation!]!
-        args: [__InputValue!]!
+        args(includeDeprecated: Boolean = false): [__InputValue!]!
       }
 
       """
@@ -688,7 +873,7 @@ describe('Type System Printer', () => {
       type __Field {
         name: String!
         description: String
-        args: [__InputValue!]!
+        args(includeDeprecated: Boolean = false): [__InputValue!]!
         type: __Type!
         isDeprecated: Boolean!
         deprecationReason: String
@@ -706,12 +891,16 @@ describe('Type System Printer', () => {
         A GraphQL-formatted string representing the default value for this input value.
         """
         defaultValue: String
+        isDeprecated: Boolean!
+        deprecationReason: String
       }
 
       """
       A GraphQL Schema defines the capabilities of a GraphQL server. It exposes all available types and directives on the server, as well as the entry points for query, mutation, and subscription operations.
       """
       type __Schema {
+        description: String
+
         """A list of all types supported by this server."""
         types: [__Type!]!
 
@@ -741,12 +930,14 @@ describe('Type System Printer', () => {
         kind: __TypeKind!
         name: String
         description: String
+        specifiedByUrl: String
         fields(includeDeprecated: Boolean = false): [__Field!]
         interfaces: [__Type!]
         possibleTypes: [__Type!]
         enumValues(includeDeprecated: Boolean = false): [__EnumValue!]
-        inputFields: [__InputValue!]
+        inputFields(includeDeprecated: Boolean = false): [__InputValue!]
         ofType: __Type
+        isOneOf: Boolean
       }
 
       """An enum describing what kind of type a given \`__Type\` is."""
@@ -807,7 +998,16 @@ describe('Type System Printer', () => {
       directive @deprecated(
         # Explains why this element was deprecated, usually also including a suggestion for how to access supported similar data. Formatted using the Markdown syntax (as specified by [CommonMark](https://commonmark.org/).
         reason: String = "No longer supported"
-      ) on FIELD_DEFINITION | ENUM_VALUE
+      ) on FIELD_DEFINITION | ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION | ENUM_VALUE
+
+      # Exposes a URL that specifies the behaviour of this scalar.
+      directive @specifiedBy(
+        # The URL that specifies the behaviour of this scalar.
+        url: String!
+      ) on SCALAR
+
+      # Indicates that exactly one field must be supplied and this field must not be \`null\`.
+      directive @oneOf on INPUT_OBJECT
 
       # A Directive provides a way to describe alternate runtime execution and type validation behavior in a GraphQL document.
       #
@@ -815,8 +1015,9 @@ describe('Type System Printer', () => {
       type __Directive {
         name: String!
         description: String
+        isRepeatable: Boolean!
         locations: [__DirectiveLocation!]!
-        args: [__InputValue!]!
+        args(includeDeprecated: Boolean = false): [__InputValue!]!
       }
 
       # A Directive can be adjacent to many parts of the GraphQL language, a __DirectiveLocation describes one such possible adjacencies.
@@ -891,7 +1092,7 @@ describe('Type System Printer', () => {
       type __Field {
         name: String!
         description: String
-        args: [__InputValue!]!
+        args(includeDeprecated: Boolean = false): [__InputValue!]!
         type: __Type!
         isDeprecated: Boolean!
         deprecationReason: String
@@ -905,10 +1106,14 @@ describe('Type System Printer', () => {
 
         # A GraphQL-formatted string representing the default value for this input value.
         defaultValue: String
+        isDeprecated: Boolean!
+        deprecationReason: String
       }
 
       # A GraphQL Schema defines the capabilities of a GraphQL server. It exposes all available types and directives on the server, as well as the entry points for query, mutation, and subscription operations.
       type __Schema {
+        description: String
+
         # A list of all types supported by this server.
         types: [__Type!]!
 
@@ -932,12 +1137,14 @@ describe('Type System Printer', () => {
         kind: __TypeKind!
         name: String
         description: String
+        specifiedByUrl: String
         fields(includeDeprecated: Boolean = false): [__Field!]
         interfaces: [__Type!]
         possibleTypes: [__Type!]
         enumValues(includeDeprecated: Boolean = false): [__EnumValue!]
-        inputFields: [__InputValue!]
+        inputFields(includeDeprecated: Boolean = false): [__InputValue!]
         ofType: __Type
+        isOneOf: Boolean
       }
 
       # An enum describing what kind of type a given \`__Type\` is.
@@ -160,6 +160,33 @@ describe('valueFromAST', () => {
     testCase(testInputObj, '{ bool: true }', undefined);
   });
 
+  const testOneOfInputObj = new GraphQLInputObjectType({
+    name: 'TestOneOfInput',
+    isOneOf: true,
+    fields: {
+      a: { type: GraphQLString },
+      b: { type: GraphQLString },
+    },
+  });
+
+  it('coerces OneOf input objects according to input coercion rules', () => {
+    testCase(testOneOfInputObj, '{ a: "abc" }', { a: 'abc' });
+    testCase(testOneOfInputObj, '{ b: "def" }', { b: 'def' });
+    testCase(testOneOfInputObj, '{ a: "abc", b: null }', undefined);
+    testCase(testOneOfInputObj, '{ a: null }', undefined);
+    testCase(testOneOfInputObj, '{ a: 1 }', undefined);
+    testCase(testOneOfInputObj, '{ a: "abc", b: "def" }', undefined);
+    testCase(testOneOfInputObj, '{}', undefined);
+    testCase(testOneOfInputObj, '{ c: "abc" }', undefined);
+  });
+
+  it('omits OneOf input object fields for unprovided variables', () => {
+    testCaseWithVars({}, testOneOfInputObj, '{ a: $foo }', undefined);
+    testCaseWithVars({}, testOneOfInputObj, '{ a: $foo, b: "def" }', {
+      b: 'def',
+    });
+  });
+
   it('accepts variable values assuming already coerced', () => {
     testCaseWithVars({}, GraphQLBoolean, '$var', undefined);
     testCaseWithVars({ var: true }, GraphQLBoolean, '$var', true);
@@ -0,0 +1,28 @@
+import Maybe from '../tsutils/Maybe';
+import { NullabilityAssertionNode } from '../language/ast';
+import { GraphQLOutputType } from '../type/definition';
+
+/**
+ * Given the type of a field and the client controlled nullability assertion of
+ * a field node, returns the type of the field expected by the client. For
+ * example, the assertion `[?]!` turns the type `[String!]` into `[String]!`.
+ *
+ * An assertion without list nullability operators only applies to the field
+ * itself. List nullability operators nested deeper than the list type are
+ * ignored, since such documents are invalid.
+ *
+ * Note: client controlled nullability is experimental and may be changed or
+ * removed in the future.
+ */
+export function applyNullabilityAssertion(
+  type: GraphQLOutputType,
+  nullabilityAssertion: Maybe<NullabilityAssertionNode>,
+): GraphQLOutputType;
+
+/**
+ * Returns the number of list nullability operators nested in a nullability
+ * assertion.
+ */
+export function getNullabilityAssertionListDepth(
+  nullabilityAssertion: Maybe<NullabilityAssertionNode>,
+): number;
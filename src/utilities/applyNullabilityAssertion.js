@@ -0,0 +1,77 @@
+// @flow strict
+
+import { Kind } from '../language/kinds';
+import { type NullabilityAssertionNode } from '../language/ast';
+
+import {
+  type GraphQLOutputType,
+  GraphQLList,
+  GraphQLNonNull,
+  isListType,
+  isNonNullType,
+  getNullableType,
+} from '../type/definition';
+
+/**
+ * Given the type of a field and the client controlled nullability assertion of
+ * a field node, returns the type of the field expected by the client. For
+ * example, the assertion `[?]!` turns the type `[String!]` into `[String]!`.
+ *
+ * An assertion without list nullability operators only applies to the field
+ * itself. List nullability operators nested deeper than the list type are
+ * ignored, since such documents are invalid.
+ *
+ * Note: client controlled nullability is experimental and may be changed or
+ * removed in the future.
+ */
+export function applyNullabilityAssertion(
+  type: GraphQLOutputType,
+  nullabilityAssertion: ?NullabilityAssertionNode,
+): GraphQLOutputType {
+  if (!nullabilityAssertion) {
+    return type;
+  }
+
+  const listAssertion =
+    nullabilityAssertion.kind === Kind.LIST_NULLABILITY_OPERATOR
+      ? nullabilityAssertion
+      : nullabilityAssertion.nullabilityAssertion;
+
+  let nullableType = getNullableType(type);
+  if (listAssertion && isListType(nullableType)) {
+    nullableType = GraphQLList(
+      applyNullabilityAssertion(
+        nullableType.ofType,
+        listAssertion.nullabilityAssertion,
+      ),
+    );
+  }
+
+  switch (nullabilityAssertion.kind) {
+    case Kind.NON_NULL_ASSERTION:
+      return GraphQLNonNull(nullableType);
+    case Kind.ERROR_BOUNDARY:
+      return nullableType;
+    default:
+      // A list nullability operator keeps the nullability of the field.
+      return isNonNullType(type) ? GraphQLNonNull(nullableType) : nullableType;
+  }
+}
+
+/**
+ * Returns the number of list nullability operators nested in a nullability
+ * assertion.
+ */
+export function getNullabilityAssertionListDepth(
+  nullabilityAssertion: ?NullabilityAssertionNode,
+): number {
+  let depth = 0;
+  let assertion = nullabilityAssertion;
+  while (assertion) {
+    if (assertion.kind === Kind.LIST_NULLABILITY_OPERATOR) {
+      ++depth;
+    }
+    assertion = assertion.nullabilityAssertion;
+  }
+  return depth;
+}
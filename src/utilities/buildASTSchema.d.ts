@@ -1,6 +1,7 @@
 import Maybe from '../tsutils/Maybe';
 import {
   DocumentNode,
+  DirectiveNode,
   Location,
   StringValueNode,
   TypeDefinitionNode,
@@ -9,6 +10,10 @@ import {
   FieldDefinitionNode,
   InputValueDefinitionNode,
   EnumValueDefinitionNode,
+  InputObjectTypeDefinitionNode,
+  InputObjectTypeExtensionNode,
+  ScalarTypeDefinitionNode,
+  ScalarTypeExtensionNode,
   TypeNode,
 } from '../language/ast';
 import {
@@ -20,7 +25,7 @@ import {
   GraphQLArgumentConfig,
   GraphQLInputFieldConfig,
 } from '../type/definition';
-import { GraphQLDirective } from '../type/directives';
+import { GraphQLDirective, GraphQLAppliedDirective } from '../type/directives';
 import { Source } from '../language/source';
 import { GraphQLSchema, GraphQLSchemaValidationOptions } from '../type/schema';
 import { ParseOptions } from '../language/parser';
@@ -89,6 +94,29 @@ export class ASTDefinitionBuilder {
   buildType(node: NamedTypeNode | TypeDefinitionNode): GraphQLNamedType;
 }
 
+/**
+ * Given a scalar node, returns the string value for the specifiedByUrl.
+ */
+export function getSpecifiedByUrl(
+  node: ScalarTypeDefinitionNode | ScalarTypeExtensionNode,
+): Maybe<string>;
+
+/**
+ * Given an input object node, returns if it is marked with `@oneOf`.
+ */
+export function isOneOf(
+  node: InputObjectTypeDefinitionNode | InputObjectTypeExtensionNode,
+): boolean;
+
+/**
+ * Given an ast node, returns the directives applied to it, except for the
+ * specified directives which are represented otherwise, such as `@deprecated`
+ * by the deprecation reason.
+ */
+export function getAppliedDirectives(node: {
+  readonly directives?: ReadonlyArray<DirectiveNode>;
+}): Array<GraphQLAppliedDirective>;
+
 /**
  * Given an ast node, returns its string description.
  * @deprecated: provided to ease adoption and will be removed in v16.
@@ -3,6 +3,7 @@
 import objectValues from '../polyfills/objectValues';
 
 import keyMap from '../jsutils/keyMap';
+import keyValMap from '../jsutils/keyValMap';
 import inspect from '../jsutils/inspect';
 import invariant from '../jsutils/invariant';
 import devAssert from '../jsutils/devAssert';
@@ -18,12 +19,15 @@ import { type DirectiveLocationEnum } from '../language/directiveLocation';
 import {
   type Location,
   type StringValueNode,
+  type DirectiveNode,
   type DocumentNode,
   type TypeNode,
   type NamedTypeNode,
   type SchemaDefinitionNode,
   type SchemaExtensionNode,
   type TypeDefinitionNode,
+  type ScalarTypeDefinitionNode,
+  type ScalarTypeExtensionNode,
   type InterfaceTypeDefinitionNode,
   type InterfaceTypeExtensionNode,
   type ObjectTypeDefinitionNode,
@@ -51,10 +55,14 @@ import {
   GraphQLSchema,
 } from '../type/schema';
 import {
+  type GraphQLAppliedDirective,
   GraphQLDirective,
   GraphQLSkipDirective,
   GraphQLIncludeDirective,
   GraphQLDeprecatedDirective,
+  GraphQLSpecifiedByDirective,
+  GraphQLOneOfDirective,
+  specifiedDirectives,
 } from '../type/directives';
 import {
   type GraphQLType,
@@ -74,6 +82,7 @@ import {
 } from '../type/definition';
 
 import { valueFromAST } from './valueFromAST';
+import { valueFromASTUntyped } from './valueFromASTUntyped';
 
 export type BuildSchemaOptions = {|
   ...GraphQLSchemaValidationOptions,
@@ -174,10 +183,20 @@ export function buildASTSchema(
     directives.push(GraphQLDeprecatedDirective);
   }
 
+  if (!directives.some(directive => directive.name === 'specifiedBy')) {
+    directives.push(GraphQLSpecifiedByDirective);
+  }
+
+  if (!directives.some(directive => directive.name === 'oneOf')) {
+    directives.push(GraphQLOneOfDirective);
+  }
+
   return new GraphQLSchema({
+    description: schemaDef && getDescription(schemaDef, options),
     ...operationTypes,
     types: objectValues(typeMap),
     directives,
+    appliedDirectives: schemaDef && getAppliedDirectives(schemaDef),
     astNode: schemaDef,
     assumeValid: options && options.assumeValid,
   });
@@ -275,6 +294,7 @@ export class ASTDefinitionBuilder {
             description: getDescription(field, this._options),
             args: this.buildArgumentMap(field.arguments),
             deprecationReason: getDeprecationReason(field),
+            appliedDirectives: getAppliedDirectives(field),
             astNode: field,
           };
         }
@@ -298,6 +318,8 @@ export class ASTDefinitionBuilder {
           type,
           description: getDescription(arg, this._options),
           defaultValue: valueFromAST(arg.defaultValue, type),
+          deprecationReason: getDeprecationReason(arg),
+          appliedDirectives: getAppliedDirectives(arg),
           astNode: arg,
         };
       }
@@ -323,6 +345,8 @@ export class ASTDefinitionBuilder {
             type,
             description: getDescription(field, this._options),
             defaultValue: valueFromAST(field.defaultValue, type),
+            deprecationReason: getDeprecationReason(field),
+            appliedDirectives: getAppliedDirectives(field),
             astNode: field,
           };
         }
@@ -341,6 +365,7 @@ export class ASTDefinitionBuilder {
           enumValueMap[value.name.value] = {
             description: getDescription(value, this._options),
             deprecationReason: getDeprecationReason(value),
+            appliedDirectives: getAppliedDirectives(value),
             astNode: value,
           };
         }
@@ -404,6 +429,7 @@ export class ASTDefinitionBuilder {
   _buildType(astNode: TypeDefinitionNode): GraphQLNamedType {
     const name = astNode.name.value;
     const description = getDescription(astNode, this._options);
+    const appliedDirectives = getAppliedDirectives(astNode);
 
     switch (astNode.kind) {
       case Kind.OBJECT_TYPE_DEFINITION:
@@ -412,6 +438,7 @@ export class ASTDefinitionBuilder {
           description,
           interfaces: () => this.buildInterfaces([astNode]),
           fields: () => this.buildFieldMap([astNode]),
+          appliedDirectives,
           astNode,
         });
       case Kind.INTERFACE_TYPE_DEFINITION:
@@ -420,6 +447,7 @@ export class ASTDefinitionBuilder {
           description,
           interfaces: () => this.buildInterfaces([astNode]),
           fields: () => this.buildFieldMap([astNode]),
+          appliedDirectives,
           astNode,
         });
       case Kind.ENUM_TYPE_DEFINITION:
@@ -427,6 +455,7 @@ export class ASTDefinitionBuilder {
           name,
           description,
           values: this.buildEnumValueMap([astNode]),
+          appliedDirectives,
           astNode,
         });
       case Kind.UNION_TYPE_DEFINITION:
@@ -434,12 +463,15 @@ export class ASTDefinitionBuilder {
           name,
           description,
           types: () => this.buildUnionTypes([astNode]),
+          appliedDirectives,
           astNode,
         });
       case Kind.SCALAR_TYPE_DEFINITION:
         return new GraphQLScalarType({
           name,
           description,
+          specifiedByUrl: getSpecifiedByUrl(astNode),
+          appliedDirectives,
           astNode,
         });
       case Kind.INPUT_OBJECT_TYPE_DEFINITION:
@@ -447,6 +479,8 @@ export class ASTDefinitionBuilder {
           name,
           description,
           fields: () => this.buildInputFieldMap([astNode]),
+          isOneOf: isOneOf(astNode),
+          appliedDirectives,
           astNode,
         });
     }
@@ -460,16 +494,64 @@ export class ASTDefinitionBuilder {
 }
 
 /**
- * Given a field or enum value node, returns the string value for the
- * deprecation reason.
+ * Given a field, argument, input field or enum value node, returns the string
+ * value for the deprecation reason.
  */
 function getDeprecationReason(
-  node: EnumValueDefinitionNode | FieldDefinitionNode,
+  node:
+    | EnumValueDefinitionNode
+    | FieldDefinitionNode
+    | InputValueDefinitionNode,
 ): ?string {
   const deprecated = getDirectiveValues(GraphQLDeprecatedDirective, node);
   return deprecated && (deprecated.reason: any);
 }
 
+/**
+ * Given a scalar node, returns the string value for the specifiedByUrl.
+ */
+export function getSpecifiedByUrl(
+  node: ScalarTypeDefinitionNode | ScalarTypeExtensionNode,
+): ?string {
+  const specifiedBy = getDirectiveValues(GraphQLSpecifiedByDirective, node);
+  return specifiedBy && (specifiedBy.url: any);
+}
+
+/**
+ * Given an input object node, returns if it is marked with `@oneOf`.
+ */
+export function isOneOf(
+  node: InputObjectTypeDefinitionNode | InputObjectTypeExtensionNode,
+): boolean {
+  return Boolean(getDirectiveValues(GraphQLOneOfDirective, node));
+}
+
+/**
+ * Given an ast node, returns the directives applied to it, except for the
+ * specified directives which are represented otherwise, such as `@deprecated`
+ * by the deprecation reason.
+ */
+export function getAppliedDirectives(node: {
+  +directives?: $ReadOnlyArray<DirectiveNode>,
+  ...
+}): Array<GraphQLAppliedDirective> {
+  const appliedDirectives = [];
+  for (const directive of node.directives || []) {
+    const name = directive.name.value;
+    if (!specifiedDirectives.some(specified => specified.name === name)) {
+      appliedDirectives.push({
+        name,
+        args: keyValMap(
+          directive.arguments || [],
+          arg => arg.name.value,
+          arg => valueFromASTUntyped(arg.value),
+        ),
+      });
+    }
+  }
+  return appliedDirectives;
+}
+
 /**
  * Given an ast node, returns its string description.
  * @deprecated: provided to ease adoption and will be removed in v16.
@@ -117,6 +117,7 @@ export function buildClientSchema(
 
   // Then produce and return a Schema with these types.
   return new GraphQLSchema({
+    description: schemaIntrospection.description,
     query: queryType,
     mutation: mutationType,
     subscription: subscriptionType,
@@ -229,6 +230,7 @@ export function buildClientSchema(
     return new GraphQLScalarType({
       name: scalarIntrospection.name,
       description: scalarIntrospection.description,
+      specifiedByUrl: scalarIntrospection.specifiedByUrl,
     });
   }
 
@@ -330,6 +332,7 @@ export function buildClientSchema(
       name: inputObjectIntrospection.name,
       description: inputObjectIntrospection.description,
       fields: () => buildInputValueDefMap(inputObjectIntrospection.inputFields),
+      isOneOf: inputObjectIntrospection.isOneOf,
     });
   }
 
@@ -377,6 +380,7 @@ export function buildClientSchema(
       description: inputValueIntrospection.description,
       type,
       defaultValue,
+      deprecationReason: inputValueIntrospection.deprecationReason,
     };
   }
 
@@ -396,6 +400,7 @@ export function buildClientSchema(
     return new GraphQLDirective({
       name: directiveIntrospection.name,
       description: directiveIntrospection.description,
+      isRepeatable: directiveIntrospection.isRepeatable,
       locations: directiveIntrospection.locations.slice(),
       args: buildInputValueDefMap(directiveIntrospection.args),
     });
@@ -154,6 +154,29 @@ function coerceInputValueImpl(
         );
       }
     }
+
+    // Ensure exactly one non-null field is provided for OneOf Input Objects.
+    if (type.isOneOf) {
+      const keys = Object.keys(coercedValue);
+      if (keys.length !== 1) {
+        onError(
+          pathToArray(path),
+          inputValue,
+          new GraphQLError(
+            `Exactly one key must be specified for OneOf type "${type.name}".`,
+          ),
+        );
+      } else {
+        const key = keys[0];
+        if (coercedValue[key] === null) {
+          onError(
+            pathToArray(addPath(path, key)),
+            null,
+            new GraphQLError(`Field "${key}" must be non-null.`),
+          );
+        }
+      }
+    }
     return coercedValue;
   }
 
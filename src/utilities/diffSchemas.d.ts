@@ -0,0 +1,87 @@
+import { GraphQLSchema } from '../type/schema';
+
+export const SchemaChangeCriticality: _SchemaChangeCriticality;
+
+/**
+ * @internal
+ */
+type _SchemaChangeCriticality = {
+  BREAKING: 'BREAKING';
+  DANGEROUS: 'DANGEROUS';
+  SAFE: 'SAFE';
+};
+
+export const SchemaChangeType: _SchemaChangeType;
+
+/**
+ * @internal
+ */
+type _SchemaChangeType = {
+  ROOT_OPERATION_TYPE_ADDED: 'ROOT_OPERATION_TYPE_ADDED';
+  ROOT_OPERATION_TYPE_REMOVED: 'ROOT_OPERATION_TYPE_REMOVED';
+  ROOT_OPERATION_TYPE_CHANGED: 'ROOT_OPERATION_TYPE_CHANGED';
+  TYPE_ADDED: 'TYPE_ADDED';
+  TYPE_REMOVED: 'TYPE_REMOVED';
+  TYPE_CHANGED_KIND: 'TYPE_CHANGED_KIND';
+  SPECIFIED_BY_URL_CHANGED: 'SPECIFIED_BY_URL_CHANGED';
+  TYPE_ADDED_TO_UNION: 'TYPE_ADDED_TO_UNION';
+  TYPE_REMOVED_FROM_UNION: 'TYPE_REMOVED_FROM_UNION';
+  VALUE_ADDED_TO_ENUM: 'VALUE_ADDED_TO_ENUM';
+  VALUE_REMOVED_FROM_ENUM: 'VALUE_REMOVED_FROM_ENUM';
+  IMPLEMENTED_INTERFACE_ADDED: 'IMPLEMENTED_INTERFACE_ADDED';
+  IMPLEMENTED_INTERFACE_REMOVED: 'IMPLEMENTED_INTERFACE_REMOVED';
+  FIELD_ADDED: 'FIELD_ADDED';
+  FIELD_REMOVED: 'FIELD_REMOVED';
+  FIELD_CHANGED_KIND: 'FIELD_CHANGED_KIND';
+  REQUIRED_INPUT_FIELD_ADDED: 'REQUIRED_INPUT_FIELD_ADDED';
+  OPTIONAL_INPUT_FIELD_ADDED: 'OPTIONAL_INPUT_FIELD_ADDED';
+  INPUT_FIELD_DEFAULT_VALUE_CHANGE: 'INPUT_FIELD_DEFAULT_VALUE_CHANGE';
+  REQUIRED_ARG_ADDED: 'REQUIRED_ARG_ADDED';
+  OPTIONAL_ARG_ADDED: 'OPTIONAL_ARG_ADDED';
+  ARG_REMOVED: 'ARG_REMOVED';
+  ARG_CHANGED_KIND: 'ARG_CHANGED_KIND';
+  ARG_DEFAULT_VALUE_CHANGE: 'ARG_DEFAULT_VALUE_CHANGE';
+  DIRECTIVE_ADDED: 'DIRECTIVE_ADDED';
+  DIRECTIVE_REMOVED: 'DIRECTIVE_REMOVED';
+  DIRECTIVE_ARG_REMOVED: 'DIRECTIVE_ARG_REMOVED';
+  REQUIRED_DIRECTIVE_ARG_ADDED: 'REQUIRED_DIRECTIVE_ARG_ADDED';
+  OPTIONAL_DIRECTIVE_ARG_ADDED: 'OPTIONAL_DIRECTIVE_ARG_ADDED';
+  DIRECTIVE_ARG_CHANGED_KIND: 'DIRECTIVE_ARG_CHANGED_KIND';
+  DIRECTIVE_ARG_DEFAULT_VALUE_CHANGE: 'DIRECTIVE_ARG_DEFAULT_VALUE_CHANGE';
+  DIRECTIVE_LOCATION_ADDED: 'DIRECTIVE_LOCATION_ADDED';
+  DIRECTIVE_LOCATION_REMOVED: 'DIRECTIVE_LOCATION_REMOVED';
+  DIRECTIVE_REPEATABLE_ADDED: 'DIRECTIVE_REPEATABLE_ADDED';
+  DIRECTIVE_REPEATABLE_REMOVED: 'DIRECTIVE_REPEATABLE_REMOVED';
+  DESCRIPTION_ADDED: 'DESCRIPTION_ADDED';
+  DESCRIPTION_REMOVED: 'DESCRIPTION_REMOVED';
+  DESCRIPTION_CHANGED: 'DESCRIPTION_CHANGED';
+  DEPRECATION_ADDED: 'DEPRECATION_ADDED';
+  DEPRECATION_REMOVED: 'DEPRECATION_REMOVED';
+  DEPRECATION_REASON_CHANGED: 'DEPRECATION_REASON_CHANGED';
+};
+
+/**
+ * A change between two schemas.
+ *
+ *   - `criticality` tells whether the change breaks existing clients, may
+ *     change their behavior or is safe.
+ *   - `coordinate` is the schema coordinate of the changed element, such as
+ *     `Type.field(arg:)` or `@directive`. Changes of root operation types use
+ *     the name of the root type in the new schema, or in the old schema when
+ *     it was removed.
+ */
+export interface SchemaChange {
+  type: keyof _SchemaChangeType;
+  criticality: keyof _SchemaChangeCriticality;
+  coordinate: string;
+  description: string;
+}
+
+/**
+ * Given two schemas, returns an Array containing every change between them,
+ * each classified as breaking, dangerous or safe.
+ */
+export function diffSchemas(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema,
+): Array<SchemaChange>;
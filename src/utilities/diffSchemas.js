@@ -0,0 +1,960 @@
+// @flow strict
+
+import objectValues from '../polyfills/objectValues';
+
+import keyMap from '../jsutils/keyMap';
+import inspect from '../jsutils/inspect';
+import invariant from '../jsutils/invariant';
+
+import { print } from '../language/printer';
+import { visit } from '../language/visitor';
+
+import { type GraphQLSchema } from '../type/schema';
+import { isSpecifiedScalarType } from '../type/scalars';
+import {
+  type GraphQLField,
+  type GraphQLType,
+  type GraphQLInputType,
+  type GraphQLNamedType,
+  type GraphQLEnumType,
+  type GraphQLUnionType,
+  type GraphQLObjectType,
+  type GraphQLInterfaceType,
+  type GraphQLInputObjectType,
+  isScalarType,
+  isObjectType,
+  isInterfaceType,
+  isUnionType,
+  isEnumType,
+  isInputObjectType,
+  isNonNullType,
+  isListType,
+  isNamedType,
+  isRequiredArgument,
+  isRequiredInputField,
+} from '../type/definition';
+
+import { astFromValue } from './astFromValue';
+
+export const SchemaChangeCriticality = Object.freeze({
+  BREAKING: 'BREAKING',
+  DANGEROUS: 'DANGEROUS',
+  SAFE: 'SAFE',
+});
+
+export const SchemaChangeType = Object.freeze({
+  ROOT_OPERATION_TYPE_ADDED: 'ROOT_OPERATION_TYPE_ADDED',
+  ROOT_OPERATION_TYPE_REMOVED: 'ROOT_OPERATION_TYPE_REMOVED',
+  ROOT_OPERATION_TYPE_CHANGED: 'ROOT_OPERATION_TYPE_CHANGED',
+  TYPE_ADDED: 'TYPE_ADDED',
+  TYPE_REMOVED: 'TYPE_REMOVED',
+  TYPE_CHANGED_KIND: 'TYPE_CHANGED_KIND',
+  SPECIFIED_BY_URL_CHANGED: 'SPECIFIED_BY_URL_CHANGED',
+  TYPE_ADDED_TO_UNION: 'TYPE_ADDED_TO_UNION',
+  TYPE_REMOVED_FROM_UNION: 'TYPE_REMOVED_FROM_UNION',
+  VALUE_ADDED_TO_ENUM: 'VALUE_ADDED_TO_ENUM',
+  VALUE_REMOVED_FROM_ENUM: 'VALUE_REMOVED_FROM_ENUM',
+  IMPLEMENTED_INTERFACE_ADDED: 'IMPLEMENTED_INTERFACE_ADDED',
+  IMPLEMENTED_INTERFACE_REMOVED: 'IMPLEMENTED_INTERFACE_REMOVED',
+  FIELD_ADDED: 'FIELD_ADDED',
+  FIELD_REMOVED: 'FIELD_REMOVED',
+  FIELD_CHANGED_KIND: 'FIELD_CHANGED_KIND',
+  REQUIRED_INPUT_FIELD_ADDED: 'REQUIRED_INPUT_FIELD_ADDED',
+  OPTIONAL_INPUT_FIELD_ADDED: 'OPTIONAL_INPUT_FIELD_ADDED',
+  INPUT_FIELD_DEFAULT_VALUE_CHANGE: 'INPUT_FIELD_DEFAULT_VALUE_CHANGE',
+  REQUIRED_ARG_ADDED: 'REQUIRED_ARG_ADDED',
+  OPTIONAL_ARG_ADDED: 'OPTIONAL_ARG_ADDED',
+  ARG_REMOVED: 'ARG_REMOVED',
+  ARG_CHANGED_KIND: 'ARG_CHANGED_KIND',
+  ARG_DEFAULT_VALUE_CHANGE: 'ARG_DEFAULT_VALUE_CHANGE',
+  DIRECTIVE_ADDED: 'DIRECTIVE_ADDED',
+  DIRECTIVE_REMOVED: 'DIRECTIVE_REMOVED',
+  DIRECTIVE_ARG_REMOVED: 'DIRECTIVE_ARG_REMOVED',
+  REQUIRED_DIRECTIVE_ARG_ADDED: 'REQUIRED_DIRECTIVE_ARG_ADDED',
+  OPTIONAL_DIRECTIVE_ARG_ADDED: 'OPTIONAL_DIRECTIVE_ARG_ADDED',
+  DIRECTIVE_ARG_CHANGED_KIND: 'DIRECTIVE_ARG_CHANGED_KIND',
+  DIRECTIVE_ARG_DEFAULT_VALUE_CHANGE: 'DIRECTIVE_ARG_DEFAULT_VALUE_CHANGE',
+  DIRECTIVE_LOCATION_ADDED: 'DIRECTIVE_LOCATION_ADDED',
+  DIRECTIVE_LOCATION_REMOVED: 'DIRECTIVE_LOCATION_REMOVED',
+  DIRECTIVE_REPEATABLE_ADDED: 'DIRECTIVE_REPEATABLE_ADDED',
+  DIRECTIVE_REPEATABLE_REMOVED: 'DIRECTIVE_REPEATABLE_REMOVED',
+  DESCRIPTION_ADDED: 'DESCRIPTION_ADDED',
+  DESCRIPTION_REMOVED: 'DESCRIPTION_REMOVED',
+  DESCRIPTION_CHANGED: 'DESCRIPTION_CHANGED',
+  DEPRECATION_ADDED: 'DEPRECATION_ADDED',
+  DEPRECATION_REMOVED: 'DEPRECATION_REMOVED',
+  DEPRECATION_REASON_CHANGED: 'DEPRECATION_REASON_CHANGED',
+});
+
+/**
+ * A change between two schemas.
+ *
+ *   - `criticality` tells whether the change breaks existing clients, may
+ *     change their behavior or is safe.
+ *   - `coordinate` is the schema coordinate of the changed element, such as
+ *     `Type.field(arg:)` or `@directive`. Changes of root operation types use
+ *     the name of the root type in the new schema, or in the old schema when
+ *     it was removed.
+ */
+export type SchemaChange = {|
+  type: $Keys<typeof SchemaChangeType>,
+  criticality: $Keys<typeof SchemaChangeCriticality>,
+  coordinate: string,
+  description: string,
+|};
+
+const { BREAKING, DANGEROUS, SAFE } = SchemaChangeCriticality;
+
+/**
+ * Given two schemas, returns an Array containing every change between them,
+ * each classified as breaking, dangerous or safe.
+ */
+export function diffSchemas(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema,
+): Array<SchemaChange> {
+  return [
+    ...findRootTypeChanges(oldSchema, newSchema),
+    ...findTypeChanges(oldSchema, newSchema),
+    ...findDirectiveChanges(oldSchema, newSchema),
+  ];
+}
+
+function findRootTypeChanges(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const rootTypes = [
+    ['query', oldSchema.getQueryType(), newSchema.getQueryType()],
+    ['mutation', oldSchema.getMutationType(), newSchema.getMutationType()],
+    [
+      'subscription',
+      oldSchema.getSubscriptionType(),
+      newSchema.getSubscriptionType(),
+    ],
+  ];
+
+  for (const [operation, oldRootType, newRootType] of rootTypes) {
+    if (!oldRootType && newRootType) {
+      schemaChanges.push({
+        type: SchemaChangeType.ROOT_OPERATION_TYPE_ADDED,
+        criticality: SAFE,
+        coordinate: newRootType.name,
+        description: `${newRootType.name} was added as the ${operation} root type.`,
+      });
+    } else if (oldRootType && !newRootType) {
+      schemaChanges.push({
+        type: SchemaChangeType.ROOT_OPERATION_TYPE_REMOVED,
+        criticality: BREAKING,
+        coordinate: oldRootType.name,
+        description: `${oldRootType.name} was removed as the ${operation} root type.`,
+      });
+    } else if (
+      oldRootType &&
+      newRootType &&
+      oldRootType.name !== newRootType.name
+    ) {
+      schemaChanges.push({
+        type: SchemaChangeType.ROOT_OPERATION_TYPE_CHANGED,
+        criticality: BREAKING,
+        coordinate: newRootType.name,
+        description: `The ${operation} root type changed from ${oldRootType.name} to ${newRootType.name}.`,
+      });
+    }
+  }
+
+  return schemaChanges;
+}
+
+function findDirectiveChanges(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+
+  const directivesDiff = diff(
+    oldSchema.getDirectives(),
+    newSchema.getDirectives(),
+  );
+
+  for (const newDirective of directivesDiff.added) {
+    schemaChanges.push({
+      type: SchemaChangeType.DIRECTIVE_ADDED,
+      criticality: SAFE,
+      coordinate: `@${newDirective.name}`,
+      description: `${newDirective.name} was added.`,
+    });
+  }
+
+  for (const oldDirective of directivesDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.DIRECTIVE_REMOVED,
+      criticality: BREAKING,
+      coordinate: `@${oldDirective.name}`,
+      description: `${oldDirective.name} was removed.`,
+    });
+  }
+
+  for (const [oldDirective, newDirective] of directivesDiff.persisted) {
+    const coordinate = `@${oldDirective.name}`;
+    schemaChanges.push(
+      ...findDescriptionChanges(coordinate, oldDirective, newDirective),
+    );
+
+    const argsDiff = diff(oldDirective.args, newDirective.args);
+
+    for (const newArg of argsDiff.added) {
+      if (isRequiredArgument(newArg)) {
+        schemaChanges.push({
+          type: SchemaChangeType.REQUIRED_DIRECTIVE_ARG_ADDED,
+          criticality: BREAKING,
+          coordinate: `${coordinate}(${newArg.name}:)`,
+          description: `A required arg ${newArg.name} on directive ${oldDirective.name} was added.`,
+        });
+      } else {
+        schemaChanges.push({
+          type: SchemaChangeType.OPTIONAL_DIRECTIVE_ARG_ADDED,
+          criticality: SAFE,
+          coordinate: `${coordinate}(${newArg.name}:)`,
+          description: `An optional arg ${newArg.name} on directive ${oldDirective.name} was added.`,
+        });
+      }
+    }
+
+    for (const oldArg of argsDiff.removed) {
+      schemaChanges.push({
+        type: SchemaChangeType.DIRECTIVE_ARG_REMOVED,
+        criticality: BREAKING,
+        coordinate: `${coordinate}(${oldArg.name}:)`,
+        description: `${oldArg.name} was removed from ${oldDirective.name}.`,
+      });
+    }
+
+    for (const [oldArg, newArg] of argsDiff.persisted) {
+      const argCoordinate = `${coordinate}(${oldArg.name}:)`;
+      const name = `${oldDirective.name} arg ${oldArg.name}`;
+      schemaChanges.push(
+        ...findDescriptionChanges(argCoordinate, oldArg, newArg),
+        ...findDeprecationChanges(argCoordinate, oldArg, newArg),
+      );
+
+      const isSafe = isChangeSafeForInputObjectFieldOrFieldArg(
+        oldArg.type,
+        newArg.type,
+      );
+      if (!isSafe || String(oldArg.type) !== String(newArg.type)) {
+        schemaChanges.push({
+          type: SchemaChangeType.DIRECTIVE_ARG_CHANGED_KIND,
+          criticality: isSafe ? SAFE : BREAKING,
+          coordinate: argCoordinate,
+          description:
+            `${name} has changed type from ` +
+            `${String(oldArg.type)} to ${String(newArg.type)}.`,
+        });
+      }
+      if (isSafe) {
+        schemaChanges.push(
+          ...findDefaultValueChanges(
+            SchemaChangeType.DIRECTIVE_ARG_DEFAULT_VALUE_CHANGE,
+            argCoordinate,
+            name,
+            oldArg,
+            newArg,
+          ),
+        );
+      }
+    }
+
+    for (const location of newDirective.locations) {
+      if (oldDirective.locations.indexOf(location) === -1) {
+        schemaChanges.push({
+          type: SchemaChangeType.DIRECTIVE_LOCATION_ADDED,
+          criticality: SAFE,
+          coordinate,
+          description: `${location} was added to ${oldDirective.name}.`,
+        });
+      }
+    }
+
+    for (const location of oldDirective.locations) {
+      if (newDirective.locations.indexOf(location) === -1) {
+        schemaChanges.push({
+          type: SchemaChangeType.DIRECTIVE_LOCATION_REMOVED,
+          criticality: BREAKING,
+          coordinate,
+          description: `${location} was removed from ${oldDirective.name}.`,
+        });
+      }
+    }
+
+    if (!oldDirective.isRepeatable && newDirective.isRepeatable) {
+      schemaChanges.push({
+        type: SchemaChangeType.DIRECTIVE_REPEATABLE_ADDED,
+        criticality: SAFE,
+        coordinate,
+        description: `${oldDirective.name} became repeatable.`,
+      });
+    } else if (oldDirective.isRepeatable && !newDirective.isRepeatable) {
+      schemaChanges.push({
+        type: SchemaChangeType.DIRECTIVE_REPEATABLE_REMOVED,
+        criticality: BREAKING,
+        coordinate,
+        description: `${oldDirective.name} is no longer repeatable.`,
+      });
+    }
+  }
+
+  return schemaChanges;
+}
+
+function findTypeChanges(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+
+  const typesDiff = diff(
+    objectValues(oldSchema.getTypeMap()),
+    objectValues(newSchema.getTypeMap()),
+  );
+
+  for (const oldType of typesDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.TYPE_REMOVED,
+      criticality: BREAKING,
+      coordinate: oldType.name,
+      description: isSpecifiedScalarType(oldType)
+        ? `Standard scalar ${oldType.name} was removed because it is not referenced anymore.`
+        : `${oldType.name} was removed.`,
+    });
+  }
+
+  for (const newType of typesDiff.added) {
+    schemaChanges.push({
+      type: SchemaChangeType.TYPE_ADDED,
+      criticality: SAFE,
+      coordinate: newType.name,
+      description: `${newType.name} was added.`,
+    });
+  }
+
+  for (const [oldType, newType] of typesDiff.persisted) {
+    schemaChanges.push(
+      ...findDescriptionChanges(oldType.name, oldType, newType),
+    );
+
+    if (isEnumType(oldType) && isEnumType(newType)) {
+      schemaChanges.push(...findEnumTypeChanges(oldType, newType));
+    } else if (isUnionType(oldType) && isUnionType(newType)) {
+      schemaChanges.push(...findUnionTypeChanges(oldType, newType));
+    } else if (isInputObjectType(oldType) && isInputObjectType(newType)) {
+      schemaChanges.push(...findInputObjectTypeChanges(oldType, newType));
+    } else if (isObjectType(oldType) && isObjectType(newType)) {
+      schemaChanges.push(
+        ...findFieldChanges(oldType, newType),
+        ...findImplementedInterfacesChanges(oldType, newType),
+      );
+    } else if (isInterfaceType(oldType) && isInterfaceType(newType)) {
+      schemaChanges.push(
+        ...findFieldChanges(oldType, newType),
+        ...findImplementedInterfacesChanges(oldType, newType),
+      );
+    } else if (isScalarType(oldType) && isScalarType(newType)) {
+      if (oldType.specifiedByUrl !== newType.specifiedByUrl) {
+        schemaChanges.push({
+          type: SchemaChangeType.SPECIFIED_BY_URL_CHANGED,
+          criticality: DANGEROUS,
+          coordinate: oldType.name,
+          description:
+            `${oldType.name} changed specifiedByUrl from ` +
+            `${inspect(oldType.specifiedByUrl)} to ${inspect(
+              newType.specifiedByUrl,
+            )}.`,
+        });
+      }
+    } else if (oldType.constructor !== newType.constructor) {
+      schemaChanges.push({
+        type: SchemaChangeType.TYPE_CHANGED_KIND,
+        criticality: BREAKING,
+        coordinate: oldType.name,
+        description:
+          `${oldType.name} changed from ` +
+          `${typeKindName(oldType)} to ${typeKindName(newType)}.`,
+      });
+    }
+  }
+
+  return schemaChanges;
+}
+
+function findInputObjectTypeChanges(
+  oldType: GraphQLInputObjectType,
+  newType: GraphQLInputObjectType,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const fieldsDiff = diff(
+    objectValues(oldType.getFields()),
+    objectValues(newType.getFields()),
+  );
+
+  for (const newField of fieldsDiff.added) {
+    if (isRequiredInputField(newField)) {
+      schemaChanges.push({
+        type: SchemaChangeType.REQUIRED_INPUT_FIELD_ADDED,
+        criticality: BREAKING,
+        coordinate: `${oldType.name}.${newField.name}`,
+        description: `A required field ${newField.name} on input type ${oldType.name} was added.`,
+      });
+    } else {
+      schemaChanges.push({
+        type: SchemaChangeType.OPTIONAL_INPUT_FIELD_ADDED,
+        criticality: DANGEROUS,
+        coordinate: `${oldType.name}.${newField.name}`,
+        description: `An optional field ${newField.name} on input type ${oldType.name} was added.`,
+      });
+    }
+  }
+
+  for (const oldField of fieldsDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.FIELD_REMOVED,
+      criticality: BREAKING,
+      coordinate: `${oldType.name}.${oldField.name}`,
+      description: `${oldType.name}.${oldField.name} was removed.`,
+    });
+  }
+
+  for (const [oldField, newField] of fieldsDiff.persisted) {
+    const coordinate = `${oldType.name}.${oldField.name}`;
+    schemaChanges.push(
+      ...findDescriptionChanges(coordinate, oldField, newField),
+      ...findDeprecationChanges(coordinate, oldField, newField),
+    );
+
+    const isSafe = isChangeSafeForInputObjectFieldOrFieldArg(
+      oldField.type,
+      newField.type,
+    );
+    if (!isSafe || String(oldField.type) !== String(newField.type)) {
+      schemaChanges.push({
+        type: SchemaChangeType.FIELD_CHANGED_KIND,
+        criticality: isSafe ? SAFE : BREAKING,
+        coordinate,
+        description:
+          `${coordinate} changed type from ` +
+          `${String(oldField.type)} to ${String(newField.type)}.`,
+      });
+    }
+    if (isSafe) {
+      schemaChanges.push(
+        ...findDefaultValueChanges(
+          SchemaChangeType.INPUT_FIELD_DEFAULT_VALUE_CHANGE,
+          coordinate,
+          coordinate,
+          oldField,
+          newField,
+        ),
+      );
+    }
+  }
+
+  return schemaChanges;
+}
+
+function findUnionTypeChanges(
+  oldType: GraphQLUnionType,
+  newType: GraphQLUnionType,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const possibleTypesDiff = diff(oldType.getTypes(), newType.getTypes());
+
+  for (const newPossibleType of possibleTypesDiff.added) {
+    schemaChanges.push({
+      type: SchemaChangeType.TYPE_ADDED_TO_UNION,
+      criticality: DANGEROUS,
+      coordinate: oldType.name,
+      description: `${newPossibleType.name} was added to union type ${oldType.name}.`,
+    });
+  }
+
+  for (const oldPossibleType of possibleTypesDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.TYPE_REMOVED_FROM_UNION,
+      criticality: BREAKING,
+      coordinate: oldType.name,
+      description: `${oldPossibleType.name} was removed from union type ${oldType.name}.`,
+    });
+  }
+
+  return schemaChanges;
+}
+
+function findEnumTypeChanges(
+  oldType: GraphQLEnumType,
+  newType: GraphQLEnumType,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const valuesDiff = diff(oldType.getValues(), newType.getValues());
+
+  for (const newValue of valuesDiff.added) {
+    schemaChanges.push({
+      type: SchemaChangeType.VALUE_ADDED_TO_ENUM,
+      criticality: DANGEROUS,
+      coordinate: `${oldType.name}.${newValue.name}`,
+      description: `${newValue.name} was added to enum type ${oldType.name}.`,
+    });
+  }
+
+  for (const oldValue of valuesDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.VALUE_REMOVED_FROM_ENUM,
+      criticality: BREAKING,
+      coordinate: `${oldType.name}.${oldValue.name}`,
+      description: `${oldValue.name} was removed from enum type ${oldType.name}.`,
+    });
+  }
+
+  for (const [oldValue, newValue] of valuesDiff.persisted) {
+    const coordinate = `${oldType.name}.${oldValue.name}`;
+    schemaChanges.push(
+      ...findDescriptionChanges(coordinate, oldValue, newValue),
+      ...findDeprecationChanges(coordinate, oldValue, newValue),
+    );
+  }
+
+  return schemaChanges;
+}
+
+function findImplementedInterfacesChanges(
+  oldType: GraphQLObjectType | GraphQLInterfaceType,
+  newType: GraphQLObjectType | GraphQLInterfaceType,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const interfacesDiff = diff(oldType.getInterfaces(), newType.getInterfaces());
+
+  for (const newInterface of interfacesDiff.added) {
+    schemaChanges.push({
+      type: SchemaChangeType.IMPLEMENTED_INTERFACE_ADDED,
+      criticality: DANGEROUS,
+      coordinate: oldType.name,
+      description: `${newInterface.name} added to interfaces implemented by ${oldType.name}.`,
+    });
+  }
+
+  for (const oldInterface of interfacesDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.IMPLEMENTED_INTERFACE_REMOVED,
+      criticality: BREAKING,
+      coordinate: oldType.name,
+      description: `${oldType.name} no longer implements interface ${oldInterface.name}.`,
+    });
+  }
+
+  return schemaChanges;
+}
+
+function findFieldChanges(
+  oldType: GraphQLObjectType | GraphQLInterfaceType,
+  newType: GraphQLObjectType | GraphQLInterfaceType,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const fieldsDiff = diff(
+    objectValues(oldType.getFields()),
+    objectValues(newType.getFields()),
+  );
+
+  for (const newField of fieldsDiff.added) {
+    schemaChanges.push({
+      type: SchemaChangeType.FIELD_ADDED,
+      criticality: SAFE,
+      coordinate: `${oldType.name}.${newField.name}`,
+      description: `${oldType.name}.${newField.name} was added.`,
+    });
+  }
+
+  for (const oldField of fieldsDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.FIELD_REMOVED,
+      criticality: BREAKING,
+      coordinate: `${oldType.name}.${oldField.name}`,
+      description: `${oldType.name}.${oldField.name} was removed.`,
+    });
+  }
+
+  for (const [oldField, newField] of fieldsDiff.persisted) {
+    const coordinate = `${oldType.name}.${oldField.name}`;
+    schemaChanges.push(
+      ...findDescriptionChanges(coordinate, oldField, newField),
+      ...findDeprecationChanges(coordinate, oldField, newField),
+      ...findArgChanges(oldType, oldField, newField),
+    );
+
+    const isSafe = isChangeSafeForObjectOrInterfaceField(
+      oldField.type,
+      newField.type,
+    );
+    if (!isSafe || String(oldField.type) !== String(newField.type)) {
+      schemaChanges.push({
+        type: SchemaChangeType.FIELD_CHANGED_KIND,
+        criticality: isSafe ? SAFE : BREAKING,
+        coordinate,
+        description:
+          `${coordinate} changed type from ` +
+          `${String(oldField.type)} to ${String(newField.type)}.`,
+      });
+    }
+  }
+
+  return schemaChanges;
+}
+
+function findArgChanges(
+  oldType: GraphQLObjectType | GraphQLInterfaceType,
+  oldField: GraphQLField<mixed, mixed>,
+  newField: GraphQLField<mixed, mixed>,
+): Array<SchemaChange> {
+  const schemaChanges = [];
+  const argsDiff = diff(oldField.args, newField.args);
+  const fieldName = `${oldType.name}.${oldField.name}`;
+
+  for (const oldArg of argsDiff.removed) {
+    schemaChanges.push({
+      type: SchemaChangeType.ARG_REMOVED,
+      criticality: BREAKING,
+      coordinate: `${fieldName}(${oldArg.name}:)`,
+      description: `${fieldName} arg ${oldArg.name} was removed.`,
+    });
+  }
+
+  for (const [oldArg, newArg] of argsDiff.persisted) {
+    const coordinate = `${fieldName}(${oldArg.name}:)`;
+    schemaChanges.push(
+      ...findDescriptionChanges(coordinate, oldArg, newArg),
+      ...findDeprecationChanges(coordinate, oldArg, newArg),
+    );
+
+    const isSafe = isChangeSafeForInputObjectFieldOrFieldArg(
+      oldArg.type,
+      newArg.type,
+    );
+    if (!isSafe || String(oldArg.type) !== String(newArg.type)) {
+      schemaChanges.push({
+        type: SchemaChangeType.ARG_CHANGED_KIND,
+        criticality: isSafe ? SAFE : BREAKING,
+        coordinate,
+        description:
+          `${fieldName} arg ${oldArg.name} has changed type from ` +
+          `${String(oldArg.type)} to ${String(newArg.type)}.`,
+      });
+    }
+    if (isSafe) {
+      schemaChanges.push(
+        ...findDefaultValueChanges(
+          SchemaChangeType.ARG_DEFAULT_VALUE_CHANGE,
+          coordinate,
+          `${fieldName} arg ${oldArg.name}`,
+          oldArg,
+          newArg,
+        ),
+      );
+    }
+  }
+
+  for (const newArg of argsDiff.added) {
+    if (isRequiredArgument(newArg)) {
+      schemaChanges.push({
+        type: SchemaChangeType.REQUIRED_ARG_ADDED,
+        criticality: BREAKING,
+        coordinate: `${fieldName}(${newArg.name}:)`,
+        description: `A required arg ${newArg.name} on ${fieldName} was added.`,
+      });
+    } else {
+      schemaChanges.push({
+        type: SchemaChangeType.OPTIONAL_ARG_ADDED,
+        criticality: DANGEROUS,
+        coordinate: `${fieldName}(${newArg.name}:)`,
+        description: `An optional arg ${newArg.name} on ${fieldName} was added.`,
+      });
+    }
+  }
+
+  return schemaChanges;
+}
+
+// Changing or removing a default value changes the behavior of clients which
+// rely on it, while adding a default value only affects clients which did not
+// provide a value.
+function findDefaultValueChanges(
+  type: $Keys<typeof SchemaChangeType>,
+  coordinate: string,
+  name: string,
+  oldValue: { +type: GraphQLInputType, +defaultValue: mixed, ... },
+  newValue: { +type: GraphQLInputType, +defaultValue: mixed, ... },
+): Array<SchemaChange> {
+  if (oldValue.defaultValue === undefined) {
+    if (newValue.defaultValue === undefined) {
+      return [];
+    }
+    const newValueStr = stringifyValue(newValue.defaultValue, newValue.type);
+    return [
+      {
+        type,
+        criticality: SAFE,
+        coordinate,
+        description: `${name} defaultValue was added as ${newValueStr}.`,
+      },
+    ];
+  }
+
+  if (newValue.defaultValue === undefined) {
+    return [
+      {
+        type,
+        criticality: DANGEROUS,
+        coordinate,
+        description: `${name} defaultValue was removed.`,
+      },
+    ];
+  }
+
+  // Since we looking only for client's observable changes we should
+  // compare default values in the same representation as they are
+  // represented inside introspection.
+  const oldValueStr = stringifyValue(oldValue.defaultValue, oldValue.type);
+  const newValueStr = stringifyValue(newValue.defaultValue, newValue.type);
+  if (oldValueStr === newValueStr) {
+    return [];
+  }
+  return [
+    {
+      type,
+      criticality: DANGEROUS,
+      coordinate,
+      description: `${name} has changed defaultValue from ${oldValueStr} to ${newValueStr}.`,
+    },
+  ];
+}
+
+function findDescriptionChanges(
+  coordinate: string,
+  oldElement: { +description: ?string, ... },
+  newElement: { +description: ?string, ... },
+): Array<SchemaChange> {
+  const oldDescription = oldElement.description;
+  const newDescription = newElement.description;
+  if (oldDescription == null && newDescription != null) {
+    return [
+      {
+        type: SchemaChangeType.DESCRIPTION_ADDED,
+        criticality: SAFE,
+        coordinate,
+        description: `Description of ${coordinate} was added.`,
+      },
+    ];
+  }
+  if (oldDescription != null && newDescription == null) {
+    return [
+      {
+        type: SchemaChangeType.DESCRIPTION_REMOVED,
+        criticality: SAFE,
+        coordinate,
+        description: `Description of ${coordinate} was removed.`,
+      },
+    ];
+  }
+  if (oldDescription !== newDescription) {
+    return [
+      {
+        type: SchemaChangeType.DESCRIPTION_CHANGED,
+        criticality: SAFE,
+        coordinate,
+        description: `Description of ${coordinate} was changed.`,
+      },
+    ];
+  }
+  return [];
+}
+
+function findDeprecationChanges(
+  coordinate: string,
+  oldElement: { +isDeprecated: boolean, +deprecationReason: ?string, ... },
+  newElement: { +isDeprecated: boolean, +deprecationReason: ?string, ... },
+): Array<SchemaChange> {
+  const oldReason = oldElement.deprecationReason;
+  const newReason = newElement.deprecationReason;
+  if (!oldElement.isDeprecated && newElement.isDeprecated) {
+    return [
+      {
+        type: SchemaChangeType.DEPRECATION_ADDED,
+        criticality: SAFE,
+        coordinate,
+        description: `${coordinate} was deprecated with reason ${inspect(
+          newReason,
+        )}.`,
+      },
+    ];
+  }
+  if (oldElement.isDeprecated && !newElement.isDeprecated) {
+    return [
+      {
+        type: SchemaChangeType.DEPRECATION_REMOVED,
+        criticality: SAFE,
+        coordinate,
+        description: `${coordinate} is no longer deprecated.`,
+      },
+    ];
+  }
+  if (oldReason !== newReason) {
+    return [
+      {
+        type: SchemaChangeType.DEPRECATION_REASON_CHANGED,
+        criticality: SAFE,
+        coordinate,
+        description: `Deprecation reason of ${coordinate} changed from ${inspect(
+          oldReason,
+        )} to ${inspect(newReason)}.`,
+      },
+    ];
+  }
+  return [];
+}
+
+function isChangeSafeForObjectOrInterfaceField(
+  oldType: GraphQLType,
+  newType: GraphQLType,
+): boolean {
+  if (isListType(oldType)) {
+    return (
+      // if they're both lists, make sure the underlying types are compatible
+      (isListType(newType) &&
+        isChangeSafeForObjectOrInterfaceField(
+          oldType.ofType,
+          newType.ofType,
+        )) ||
+      // moving from nullable to non-null of the same underlying type is safe
+      (isNonNullType(newType) &&
+        isChangeSafeForObjectOrInterfaceField(oldType, newType.ofType))
+    );
+  }
+
+  if (isNonNullType(oldType)) {
+    // if they're both non-null, make sure the underlying types are compatible
+    return (
+      isNonNullType(newType) &&
+      isChangeSafeForObjectOrInterfaceField(oldType.ofType, newType.ofType)
+    );
+  }
+
+  return (
+    // if they're both named types, see if their names are equivalent
+    (isNamedType(newType) && oldType.name === newType.name) ||
+    // moving from nullable to non-null of the same underlying type is safe
+    (isNonNullType(newType) &&
+      isChangeSafeForObjectOrInterfaceField(oldType, newType.ofType))
+  );
+}
+
+function isChangeSafeForInputObjectFieldOrFieldArg(
+  oldType: GraphQLType,
+  newType: GraphQLType,
+): boolean {
+  if (isListType(oldType)) {
+    // if they're both lists, make sure the underlying types are compatible
+    return (
+      isListType(newType) &&
+      isChangeSafeForInputObjectFieldOrFieldArg(oldType.ofType, newType.ofType)
+    );
+  }
+
+  if (isNonNullType(oldType)) {
+    return (
+      // if they're both non-null, make sure the underlying types are
+      // compatible
+      (isNonNullType(newType) &&
+        isChangeSafeForInputObjectFieldOrFieldArg(
+          oldType.ofType,
+          newType.ofType,
+        )) ||
+      // moving from non-null to nullable of the same underlying type is safe
+      (!isNonNullType(newType) &&
+        isChangeSafeForInputObjectFieldOrFieldArg(oldType.ofType, newType))
+    );
+  }
+
+  // if they're both named types, see if their names are equivalent
+  return isNamedType(newType) && oldType.name === newType.name;
+}
+
+function typeKindName(type: GraphQLNamedType): string {
+  if (isScalarType(type)) {
+    return 'a Scalar type';
+  }
+  if (isObjectType(type)) {
+    return 'an Object type';
+  }
+  if (isInterfaceType(type)) {
+    return 'an Interface type';
+  }
+  if (isUnionType(type)) {
+    return 'a Union type';
+  }
+  if (isEnumType(type)) {
+    return 'an Enum type';
+  }
+  if (isInputObjectType(type)) {
+    return 'an Input type';
+  }
+
+  // Not reachable. All possible named types have been considered.
+  invariant(false, 'Unexpected type: ' + inspect((type: empty)));
+}
+
+function stringifyValue(value: mixed, type: GraphQLInputType): string {
+  const ast = astFromValue(value, type);
+  invariant(ast != null);
+
+  const sortedAST = visit(ast, {
+    ObjectValue(objectNode) {
+      const fields = [...objectNode.fields].sort((fieldA, fieldB) =>
+        fieldA.name.value.localeCompare(fieldB.name.value),
+      );
+      return { ...objectNode, fields };
+    },
+  });
+
+  return print(sortedAST);
+}
+
+function diff<T: { name: string, ... }>(
+  oldArray: $ReadOnlyArray<T>,
+  newArray: $ReadOnlyArray<T>,
+): {|
+  added: Array<T>,
+  removed: Array<T>,
+  persisted: Array<[T, T]>,
+|} {
+  const added = [];
+  const removed = [];
+  const persisted = [];
+
+  const oldMap = keyMap(oldArray, ({ name }) => name);
+  const newMap = keyMap(newArray, ({ name }) => name);
+
+  for (const oldItem of oldArray) {
+    const newItem = newMap[oldItem.name];
+    if (newItem === undefined) {
+      removed.push(oldItem);
+    } else {
+      persisted.push([oldItem, newItem]);
+    }
+  }
+
+  for (const newItem of newArray) {
+    if (oldMap[newItem.name] === undefined) {
+      added.push(newItem);
+    }
+  }
+
+  return { added, persisted, removed };
+}
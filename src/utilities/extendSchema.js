@@ -1,5 +1,6 @@
 // @flow strict
 
+import flatMap from '../polyfills/flatMap';
 import objectValues from '../polyfills/objectValues';
 
 import inspect from '../jsutils/inspect';
@@ -49,7 +50,12 @@ import {
   GraphQLInputObjectType,
 } from '../type/definition';
 
-import { ASTDefinitionBuilder } from './buildASTSchema';
+import {
+  ASTDefinitionBuilder,
+  getAppliedDirectives,
+  getSpecifiedByUrl,
+  isOneOf,
+} from './buildASTSchema';
 
 type Options = {|
   ...GraphQLSchemaValidationOptions,
@@ -176,12 +182,22 @@ export function extendSchema(
 
   // Then produce and return a Schema with these types.
   return new GraphQLSchema({
+    description:
+      (schemaDef && schemaDef.description && schemaDef.description.value) ||
+      schemaConfig.description,
     ...operationTypes,
     types: objectValues(typeMap),
     directives: [
       ...replaceDirectives(schemaConfig.directives),
       ...astBuilder.buildDirectives(directiveDefs),
     ],
+    appliedDirectives: [
+      ...schemaConfig.appliedDirectives,
+      ...flatMap(
+        concatMaybeArrays(schemaDef && [schemaDef], schemaExts) || [],
+        getAppliedDirectives,
+      ),
+    ],
     astNode: schemaDef || schemaConfig.astNode,
     extensionASTNodes: concatMaybeArrays(
       schemaConfig.extensionASTNodes,
@@ -260,6 +276,11 @@ export function extendSchema(
         // $FlowFixMe Bug in Flow, see https://github.com/facebook/flow/issues/8178
         ...astBuilder.buildInputFieldMap(extensions),
       }),
+      isOneOf: config.isOneOf || extensions.some(isOneOf),
+      appliedDirectives: [
+        ...config.appliedDirectives,
+        ...flatMap(extensions, getAppliedDirectives),
+      ],
       extensionASTNodes: concatMaybeArrays(
         config.extensionASTNodes,
         extensions,
@@ -278,6 +299,10 @@ export function extendSchema(
         // $FlowFixMe Bug in Flow, see https://github.com/facebook/flow/issues/8178
         ...astBuilder.buildEnumValueMap(extensions),
       },
+      appliedDirectives: [
+        ...config.appliedDirectives,
+        ...flatMap(extensions, getAppliedDirectives),
+      ],
       extensionASTNodes: concatMaybeArrays(
         config.extensionASTNodes,
         extensions,
@@ -289,8 +314,18 @@ export function extendSchema(
     const config = type.toConfig();
     const extensions = typeExtsMap[config.name] || [];
 
+    let specifiedByUrl = config.specifiedByUrl;
+    for (const extensionNode of extensions) {
+      specifiedByUrl = getSpecifiedByUrl(extensionNode) || specifiedByUrl;
+    }
+
     return new GraphQLScalarType({
       ...config,
+      specifiedByUrl,
+      appliedDirectives: [
+        ...config.appliedDirectives,
+        ...flatMap(extensions, getAppliedDirectives),
+      ],
       extensionASTNodes: concatMaybeArrays(
         config.extensionASTNodes,
         extensions,
@@ -313,6 +348,10 @@ export function extendSchema(
         // $FlowFixMe Bug in Flow, see https://github.com/facebook/flow/issues/8178
         ...astBuilder.buildFieldMap(extensions),
       }),
+      appliedDirectives: [
+        ...config.appliedDirectives,
+        ...flatMap(extensions, getAppliedDirectives),
+      ],
       extensionASTNodes: concatMaybeArrays(
         config.extensionASTNodes,
         extensions,
@@ -337,6 +376,10 @@ export function extendSchema(
         // $FlowFixMe Bug in Flow, see https://github.com/facebook/flow/issues/8178
         ...astBuilder.buildFieldMap(extensions),
       }),
+      appliedDirectives: [
+        ...config.appliedDirectives,
+        ...flatMap(extensions, getAppliedDirectives),
+      ],
       extensionASTNodes: concatMaybeArrays(
         config.extensionASTNodes,
         extensions,
@@ -354,6 +397,10 @@ export function extendSchema(
         ...type.getTypes().map(replaceNamedType),
         ...astBuilder.buildUnionTypes(extensions),
       ],
+      appliedDirectives: [
+        ...config.appliedDirectives,
+        ...flatMap(extensions, getAppliedDirectives),
+      ],
       extensionASTNodes: concatMaybeArrays(
         config.extensionASTNodes,
         extensions,
@@ -0,0 +1,31 @@
+import Maybe from '../tsutils/Maybe';
+
+import { ASTNode } from '../language/ast';
+import { GraphQLSchema } from '../type/schema';
+
+/**
+ * Called with the schema coordinate and the config of a schema element, such
+ * as `Type.field(arg:)` or `@directive`. The config exposes the `extensions`
+ * and the AST node of the element, which may be used to find elements tagged
+ * in code or in SDL.
+ */
+export type SchemaElementPredicate = (
+  coordinate: string,
+  config: {
+    readonly extensions?: Maybe<Readonly<Record<string, any>>>;
+    readonly astNode?: Maybe<ASTNode>;
+  },
+) => boolean;
+
+/**
+ * Returns a copy of the schema which only contains the types, fields,
+ * arguments, input fields, enum values and directives for which the predicate
+ * returns true. The schema is then pruned so that everything which became
+ * unreachable or empty is removed as well.
+ *
+ * Introspection types and specified scalar types are always kept.
+ */
+export function filterSchema(
+  schema: GraphQLSchema,
+  predicate: SchemaElementPredicate,
+): GraphQLSchema;
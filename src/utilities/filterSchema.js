@@ -0,0 +1,72 @@
+// @flow strict
+
+import { type ReadOnlyObjMapLike } from '../jsutils/ObjMap';
+
+import { type ASTNode } from '../language/ast';
+
+import { type GraphQLSchema } from '../type/schema';
+
+import { mapSchema } from './mapSchema';
+import { pruneSchema } from './pruneSchema';
+
+/**
+ * Called with the schema coordinate and the config of a schema element, such
+ * as `Type.field(arg:)` or `@directive`. The config exposes the `extensions`
+ * and the AST node of the element, which may be used to find elements tagged
+ * in code or in SDL.
+ */
+export type SchemaElementPredicate = (
+  coordinate: string,
+  config: SchemaElementConfig,
+) => boolean;
+
+type SchemaElementConfig = {
+  +extensions?: ?ReadOnlyObjMapLike<mixed>,
+  +astNode?: ?ASTNode,
+  ...
+};
+
+/**
+ * Returns a copy of the schema which only contains the types, fields,
+ * arguments, input fields, enum values and directives for which the predicate
+ * returns true. The schema is then pruned so that everything which became
+ * unreachable or empty is removed as well.
+ *
+ * Introspection types and specified scalar types are always kept.
+ */
+export function filterSchema(
+  schema: GraphQLSchema,
+  predicate: SchemaElementPredicate,
+): GraphQLSchema {
+  function filterType<
+    T: {
+      +name: string,
+      +extensions?: ?ReadOnlyObjMapLike<mixed>,
+      +astNode?: ?ASTNode,
+      ...
+    },
+  >(config: T): ?T {
+    return predicate(config.name, config) ? config : null;
+  }
+
+  return pruneSchema(
+    mapSchema(schema, {
+      mapScalarType: filterType,
+      mapObjectType: filterType,
+      mapInterfaceType: filterType,
+      mapUnionType: filterType,
+      mapEnumType: filterType,
+      mapInputObjectType: filterType,
+      mapField: (config, fieldName, parentCoordinate) =>
+        predicate(`${parentCoordinate}.${fieldName}`, config) ? config : null,
+      mapArgument: (config, argName, parentCoordinate) =>
+        predicate(`${parentCoordinate}(${argName}:)`, config) ? config : null,
+      mapInputField: (config, fieldName, parentCoordinate) =>
+        predicate(`${parentCoordinate}.${fieldName}`, config) ? config : null,
+      mapEnumValue: (config, valueName, parentCoordinate) =>
+        predicate(`${parentCoordinate}.${valueName}`, config) ? config : null,
+      mapDirective: config =>
+        predicate(`@${config.name}`, config) ? config : null,
+    }),
+  );
+}
@@ -1,6 +1,14 @@
 import { GraphQLDirective } from '../type/directives';
 import { GraphQLSchema } from '../type/schema';
 import { DirectiveLocationEnum } from '../language/directiveLocation';
+import { SourceLocation } from '../language/location';
+import {
+  ASTNode,
+  DocumentNode,
+  OperationDefinitionNode,
+} from '../language/ast';
+
+import { SchemaChange } from './diffSchemas';
 
 export const BreakingChangeType: _BreakingChangeType;
 
@@ -51,7 +59,7 @@ export interface DangerousChange {
 
 /**
  * Given two schemas, returns an Array containing descriptions of all the types
- * of breaking changes covered by the other functions down below.
+ * of breaking changes reported by `diffSchemas`.
  */
 export function findBreakingChanges(
   oldSchema: GraphQLSchema,
@@ -60,9 +68,34 @@ export function findBreakingChanges(
 
 /**
  * Given two schemas, returns an Array containing descriptions of all the types
- * of potentially dangerous changes covered by the other functions down below.
+ * of potentially dangerous changes reported by `diffSchemas`.
  */
 export function findDangerousChanges(
   oldSchema: GraphQLSchema,
   newSchema: GraphQLSchema,
 ): Array<DangerousChange>;
+
+export interface OperationBreakingChange extends SchemaChange {
+  operations: Array<AffectedOperation>;
+}
+
+export interface AffectedOperation {
+  operation: OperationDefinitionNode;
+  nodes: Array<ASTNode>;
+  locations: Array<SourceLocation>;
+}
+
+/**
+ * Given two schemas and documents containing the operations of known clients,
+ * returns an Array containing the breaking changes which affect at least one
+ * of those operations, each along with the affected operations and the nodes
+ * within them which use the changed schema element.
+ *
+ * An operation is affected by a change when the operation itself, or any of
+ * the fragments it spreads, uses the changed element of the old schema.
+ */
+export function findBreakingChangesForOperations(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema,
+  documents: ReadonlyArray<DocumentNode>,
+): Array<OperationBreakingChange>;
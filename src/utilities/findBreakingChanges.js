@@ -2,39 +2,36 @@
 
 import objectValues from '../polyfills/objectValues';
 
-import keyMap from '../jsutils/keyMap';
-import inspect from '../jsutils/inspect';
-import invariant from '../jsutils/invariant';
+import { type ObjMap } from '../jsutils/ObjMap';
 
-import { print } from '../language/printer';
+import { Kind } from '../language/kinds';
 import { visit } from '../language/visitor';
+import { type SourceLocation, getLocation } from '../language/location';
+import {
+  type ASTNode,
+  type DocumentNode,
+  type OperationDefinitionNode,
+} from '../language/ast';
 
 import { type GraphQLSchema } from '../type/schema';
-import { isSpecifiedScalarType } from '../type/scalars';
 import {
-  type GraphQLField,
   type GraphQLType,
-  type GraphQLInputType,
   type GraphQLNamedType,
-  type GraphQLEnumType,
-  type GraphQLUnionType,
-  type GraphQLObjectType,
-  type GraphQLInterfaceType,
-  type GraphQLInputObjectType,
-  isScalarType,
-  isObjectType,
-  isInterfaceType,
-  isUnionType,
+  getNamedType,
   isEnumType,
   isInputObjectType,
-  isNonNullType,
-  isListType,
-  isNamedType,
   isRequiredArgument,
   isRequiredInputField,
 } from '../type/definition';
 
-import { astFromValue } from './astFromValue';
+import { TypeInfo, visitWithTypeInfo } from './TypeInfo';
+import { resolveSchemaCoordinate } from './resolveSchemaCoordinate';
+import {
+  type SchemaChange,
+  SchemaChangeType,
+  SchemaChangeCriticality,
+  diffSchemas,
+} from './diffSchemas';
 
 export const BreakingChangeType = Object.freeze({
   TYPE_REMOVED: 'TYPE_REMOVED',
@@ -75,502 +72,366 @@ export type DangerousChange = {|
 
 /**
  * Given two schemas, returns an Array containing descriptions of all the types
- * of breaking changes covered by the other functions down below.
+ * of breaking changes reported by `diffSchemas`.
  */
 export function findBreakingChanges(
   oldSchema: GraphQLSchema,
   newSchema: GraphQLSchema,
 ): Array<BreakingChange> {
-  const breakingChanges = findSchemaChanges(oldSchema, newSchema).filter(
-    change => change.type in BreakingChangeType,
-  );
+  const breakingChanges = diffSchemas(oldSchema, newSchema)
+    .filter(
+      change =>
+        change.criticality === SchemaChangeCriticality.BREAKING &&
+        change.type in BreakingChangeType,
+    )
+    .map(({ type, description }) => ({ type, description }));
   return ((breakingChanges: any): Array<BreakingChange>);
 }
 
 /**
  * Given two schemas, returns an Array containing descriptions of all the types
- * of potentially dangerous changes covered by the other functions down below.
+ * of potentially dangerous changes reported by `diffSchemas`.
  */
 export function findDangerousChanges(
   oldSchema: GraphQLSchema,
   newSchema: GraphQLSchema,
 ): Array<DangerousChange> {
-  const dangerousChanges = findSchemaChanges(oldSchema, newSchema).filter(
-    change => change.type in DangerousChangeType,
-  );
+  const dangerousChanges = diffSchemas(oldSchema, newSchema)
+    .filter(
+      change =>
+        change.criticality === SchemaChangeCriticality.DANGEROUS &&
+        change.type in DangerousChangeType,
+    )
+    .map(({ type, description }) => ({ type, description }));
   return ((dangerousChanges: any): Array<DangerousChange>);
 }
 
-function findSchemaChanges(
-  oldSchema: GraphQLSchema,
-  newSchema: GraphQLSchema,
-): Array<BreakingChange | DangerousChange> {
-  return [
-    ...findTypeChanges(oldSchema, newSchema),
-    ...findDirectiveChanges(oldSchema, newSchema),
-  ];
-}
+export type OperationBreakingChange = {|
+  ...SchemaChange,
+  operations: Array<AffectedOperation>,
+|};
 
-function findDirectiveChanges(
+export type AffectedOperation = {|
+  operation: OperationDefinitionNode,
+  nodes: Array<ASTNode>,
+  locations: Array<SourceLocation>,
+|};
+
+/**
+ * Given two schemas and documents containing the operations of known clients,
+ * returns an Array containing the breaking changes which affect at least one
+ * of those operations, each along with the affected operations and the nodes
+ * within them which use the changed schema element.
+ *
+ * An operation is affected by a change when the operation itself, or any of
+ * the fragments it spreads, uses the changed element of the old schema.
+ */
+export function findBreakingChangesForOperations(
   oldSchema: GraphQLSchema,
   newSchema: GraphQLSchema,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-
-  const directivesDiff = diff(
-    oldSchema.getDirectives(),
-    newSchema.getDirectives(),
-  );
-
-  for (const oldDirective of directivesDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.DIRECTIVE_REMOVED,
-      description: `${oldDirective.name} was removed.`,
-    });
+  documents: $ReadOnlyArray<DocumentNode>,
+): Array<OperationBreakingChange> {
+  const operationUsages = [];
+  for (const document of documents) {
+    operationUsages.push(...collectOperationUsages(oldSchema, document));
   }
 
-  for (const [oldDirective, newDirective] of directivesDiff.persisted) {
-    const argsDiff = diff(oldDirective.args, newDirective.args);
-
-    for (const newArg of argsDiff.added) {
-      if (isRequiredArgument(newArg)) {
-        schemaChanges.push({
-          type: BreakingChangeType.REQUIRED_DIRECTIVE_ARG_ADDED,
-          description: `A required arg ${newArg.name} on directive ${oldDirective.name} was added.`,
-        });
-      }
+  const breakingChanges = [];
+  for (const change of diffSchemas(oldSchema, newSchema)) {
+    if (change.criticality !== SchemaChangeCriticality.BREAKING) {
+      continue;
     }
 
-    for (const oldArg of argsDiff.removed) {
-      schemaChanges.push({
-        type: BreakingChangeType.DIRECTIVE_ARG_REMOVED,
-        description: `${oldArg.name} was removed from ${oldDirective.name}.`,
-      });
+    const coordinates = getAffectedCoordinates(change, oldSchema, newSchema);
+    const operations = [];
+    for (const { operation, usages } of operationUsages) {
+      const nodes = [];
+      for (const coordinate of coordinates) {
+        const usageNodes = usages[coordinate];
+        if (usageNodes) {
+          nodes.push(...usageNodes);
+        }
+      }
+      if (nodes.length > 0) {
+        operations.push({ operation, nodes, locations: getLocations(nodes) });
+      }
     }
 
-    for (const location of oldDirective.locations) {
-      if (newDirective.locations.indexOf(location) === -1) {
-        schemaChanges.push({
-          type: BreakingChangeType.DIRECTIVE_LOCATION_REMOVED,
-          description: `${location} was removed from ${oldDirective.name}.`,
-        });
-      }
+    if (operations.length > 0) {
+      breakingChanges.push({ ...change, operations });
     }
   }
-
-  return schemaChanges;
+  return breakingChanges;
 }
 
-function findTypeChanges(
+// The schema coordinates which, when used, make an operation affected by the
+// change. Adding a required argument or input field, or making an optional one
+// required, breaks every use of the field, directive or input object type
+// lacking it, and changing a root operation type breaks the operations using
+// the previous one.
+function getAffectedCoordinates(
+  change: SchemaChange,
   oldSchema: GraphQLSchema,
   newSchema: GraphQLSchema,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-
-  const typesDiff = diff(
-    objectValues(oldSchema.getTypeMap()),
-    objectValues(newSchema.getTypeMap()),
-  );
-
-  for (const oldType of typesDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.TYPE_REMOVED,
-      description: isSpecifiedScalarType(oldType)
-        ? `Standard scalar ${oldType.name} was removed because it is not referenced anymore.`
-        : `${oldType.name} was removed.`,
-    });
-  }
-
-  for (const [oldType, newType] of typesDiff.persisted) {
-    if (isEnumType(oldType) && isEnumType(newType)) {
-      schemaChanges.push(...findEnumTypeChanges(oldType, newType));
-    } else if (isUnionType(oldType) && isUnionType(newType)) {
-      schemaChanges.push(...findUnionTypeChanges(oldType, newType));
-    } else if (isInputObjectType(oldType) && isInputObjectType(newType)) {
-      schemaChanges.push(...findInputObjectTypeChanges(oldType, newType));
-    } else if (isObjectType(oldType) && isObjectType(newType)) {
-      schemaChanges.push(
-        ...findFieldChanges(oldType, newType),
-        ...findImplementedInterfacesChanges(oldType, newType),
-      );
-    } else if (isInterfaceType(oldType) && isInterfaceType(newType)) {
-      schemaChanges.push(
-        ...findFieldChanges(oldType, newType),
-        ...findImplementedInterfacesChanges(oldType, newType),
-      );
-    } else if (oldType.constructor !== newType.constructor) {
-      schemaChanges.push({
-        type: BreakingChangeType.TYPE_CHANGED_KIND,
-        description:
-          `${oldType.name} changed from ` +
-          `${typeKindName(oldType)} to ${typeKindName(newType)}.`,
-      });
-    }
-  }
-
-  return schemaChanges;
-}
-
-function findInputObjectTypeChanges(
-  oldType: GraphQLInputObjectType,
-  newType: GraphQLInputObjectType,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-  const fieldsDiff = diff(
-    objectValues(oldType.getFields()),
-    objectValues(newType.getFields()),
-  );
-
-  for (const newField of fieldsDiff.added) {
-    if (isRequiredInputField(newField)) {
-      schemaChanges.push({
-        type: BreakingChangeType.REQUIRED_INPUT_FIELD_ADDED,
-        description: `A required field ${newField.name} on input type ${oldType.name} was added.`,
-      });
-    } else {
-      schemaChanges.push({
-        type: DangerousChangeType.OPTIONAL_INPUT_FIELD_ADDED,
-        description: `An optional field ${newField.name} on input type ${oldType.name} was added.`,
-      });
-    }
-  }
-
-  for (const oldField of fieldsDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.FIELD_REMOVED,
-      description: `${oldType.name}.${oldField.name} was removed.`,
-    });
-  }
-
-  for (const [oldField, newField] of fieldsDiff.persisted) {
-    const isSafe = isChangeSafeForInputObjectFieldOrFieldArg(
-      oldField.type,
-      newField.type,
-    );
-    if (!isSafe) {
-      schemaChanges.push({
-        type: BreakingChangeType.FIELD_CHANGED_KIND,
-        description:
-          `${oldType.name}.${oldField.name} changed type from ` +
-          `${String(oldField.type)} to ${String(newField.type)}.`,
-      });
+): Array<string> {
+  const { coordinate } = change;
+  switch (change.type) {
+    case SchemaChangeType.ROOT_OPERATION_TYPE_CHANGED: {
+      const oldRootTypeNames = [];
+      for (const [oldRootType, newRootType] of [
+        [oldSchema.getQueryType(), newSchema.getQueryType()],
+        [oldSchema.getMutationType(), newSchema.getMutationType()],
+        [oldSchema.getSubscriptionType(), newSchema.getSubscriptionType()],
+      ]) {
+        if (
+          oldRootType &&
+          newRootType &&
+          newRootType.name === coordinate &&
+          oldRootType.name !== coordinate
+        ) {
+          oldRootTypeNames.push(oldRootType.name);
+        }
+      }
+      return oldRootTypeNames;
     }
+    case SchemaChangeType.REQUIRED_ARG_ADDED:
+    case SchemaChangeType.REQUIRED_DIRECTIVE_ARG_ADDED:
+      return [coordinate.slice(0, coordinate.indexOf('('))];
+    case SchemaChangeType.REQUIRED_INPUT_FIELD_ADDED:
+      return [coordinate.slice(0, coordinate.indexOf('.'))];
+    case SchemaChangeType.ARG_CHANGED_KIND:
+    case SchemaChangeType.DIRECTIVE_ARG_CHANGED_KIND:
+      if (
+        !isRequiredInputValue(oldSchema, coordinate) &&
+        isRequiredInputValue(newSchema, coordinate)
+      ) {
+        return [coordinate.slice(0, coordinate.indexOf('('))];
+      }
+      break;
+    case SchemaChangeType.FIELD_CHANGED_KIND:
+      if (
+        !isRequiredInputValue(oldSchema, coordinate) &&
+        isRequiredInputValue(newSchema, coordinate)
+      ) {
+        return [coordinate.slice(0, coordinate.indexOf('.'))];
+      }
+      break;
   }
-
-  return schemaChanges;
-}
-
-function findUnionTypeChanges(
-  oldType: GraphQLUnionType,
-  newType: GraphQLUnionType,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-  const possibleTypesDiff = diff(oldType.getTypes(), newType.getTypes());
-
-  for (const newPossibleType of possibleTypesDiff.added) {
-    schemaChanges.push({
-      type: DangerousChangeType.TYPE_ADDED_TO_UNION,
-      description: `${newPossibleType.name} was added to union type ${oldType.name}.`,
-    });
-  }
-
-  for (const oldPossibleType of possibleTypesDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.TYPE_REMOVED_FROM_UNION,
-      description: `${oldPossibleType.name} was removed from union type ${oldType.name}.`,
-    });
-  }
-
-  return schemaChanges;
-}
-
-function findEnumTypeChanges(
-  oldType: GraphQLEnumType,
-  newType: GraphQLEnumType,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-  const valuesDiff = diff(oldType.getValues(), newType.getValues());
-
-  for (const newValue of valuesDiff.added) {
-    schemaChanges.push({
-      type: DangerousChangeType.VALUE_ADDED_TO_ENUM,
-      description: `${newValue.name} was added to enum type ${oldType.name}.`,
-    });
-  }
-
-  for (const oldValue of valuesDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.VALUE_REMOVED_FROM_ENUM,
-      description: `${oldValue.name} was removed from enum type ${oldType.name}.`,
-    });
-  }
-
-  return schemaChanges;
+  return [coordinate];
 }
 
-function findImplementedInterfacesChanges(
-  oldType: GraphQLObjectType | GraphQLInterfaceType,
-  newType: GraphQLObjectType | GraphQLInterfaceType,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-  const interfacesDiff = diff(oldType.getInterfaces(), newType.getInterfaces());
-
-  for (const newInterface of interfacesDiff.added) {
-    schemaChanges.push({
-      type: DangerousChangeType.IMPLEMENTED_INTERFACE_ADDED,
-      description: `${newInterface.name} added to interfaces implemented by ${oldType.name}.`,
-    });
+function isRequiredInputValue(
+  schema: GraphQLSchema,
+  coordinate: string,
+): boolean {
+  const element = resolveSchemaCoordinate(schema, coordinate);
+  if (!element) {
+    return false;
   }
-
-  for (const oldInterface of interfacesDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.IMPLEMENTED_INTERFACE_REMOVED,
-      description: `${oldType.name} no longer implements interface ${oldInterface.name}.`,
-    });
+  switch (element.kind) {
+    case 'FieldArgument':
+      return isRequiredArgument(element.fieldArgument);
+    case 'DirectiveArgument':
+      return isRequiredArgument(element.directiveArgument);
+    case 'InputField':
+      return isRequiredInputField(element.inputField);
   }
-
-  return schemaChanges;
+  return false;
 }
 
-function findFieldChanges(
-  oldType: GraphQLObjectType | GraphQLInterfaceType,
-  newType: GraphQLObjectType | GraphQLInterfaceType,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-  const fieldsDiff = diff(
-    objectValues(oldType.getFields()),
-    objectValues(newType.getFields()),
-  );
+type DefinitionUsages = {|
+  usages: ObjMap<Array<ASTNode>>,
+  fragmentSpreads: Array<string>,
+|};
 
-  for (const oldField of fieldsDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.FIELD_REMOVED,
-      description: `${oldType.name}.${oldField.name} was removed.`,
-    });
+/**
+ * Returns the schema coordinates used by each operation of the document,
+ * including those used by the fragments the operation spreads, mapped to the
+ * nodes using them.
+ *
+ * Variables may provide any field of an input object type or any value of an
+ * enum type, so variable definitions use all of them.
+ */
+function collectOperationUsages(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+): Array<{|
+  operation: OperationDefinitionNode,
+  usages: ObjMap<Array<ASTNode>>,
+|}> {
+  const typeInfo = new TypeInfo(schema);
+  const operations = [];
+  const fragments: ObjMap<DefinitionUsages> = Object.create(null);
+  let definition: DefinitionUsages = newDefinitionUsages();
+
+  function addUsage(coordinate: string, node: ASTNode): void {
+    const nodes = definition.usages[coordinate];
+    if (nodes) {
+      nodes.push(node);
+    } else {
+      definition.usages[coordinate] = [node];
+    }
   }
 
-  for (const [oldField, newField] of fieldsDiff.persisted) {
-    schemaChanges.push(...findArgChanges(oldType, oldField, newField));
-
-    const isSafe = isChangeSafeForObjectOrInterfaceField(
-      oldField.type,
-      newField.type,
-    );
-    if (!isSafe) {
-      schemaChanges.push({
-        type: BreakingChangeType.FIELD_CHANGED_KIND,
-        description:
-          `${oldType.name}.${oldField.name} changed type from ` +
-          `${String(oldField.type)} to ${String(newField.type)}.`,
-      });
+  function addTypeUsage(type: ?GraphQLType, node: ASTNode): void {
+    const namedType = getNamedType(type);
+    if (namedType) {
+      addUsage(namedType.name, node);
     }
   }
 
-  return schemaChanges;
-}
+  visit(
+    document,
+    visitWithTypeInfo(typeInfo, {
+      OperationDefinition(node) {
+        definition = newDefinitionUsages();
+        operations.push([node, definition]);
+        addTypeUsage(typeInfo.getType(), node);
+      },
+      FragmentDefinition(node) {
+        definition = newDefinitionUsages();
+        fragments[node.name.value] = definition;
+        addTypeUsage(typeInfo.getType(), node);
+      },
+      InlineFragment(node) {
+        if (node.typeCondition) {
+          addTypeUsage(typeInfo.getType(), node);
+        }
+      },
+      FragmentSpread(node) {
+        definition.fragmentSpreads.push(node.name.value);
+      },
+      VariableDefinition(node) {
+        for (const type of getVariableTypes(typeInfo.getInputType())) {
+          addUsage(type.name, node);
+          if (isInputObjectType(type)) {
+            for (const field of objectValues(type.getFields())) {
+              addUsage(`${type.name}.${field.name}`, node);
+            }
+          } else if (isEnumType(type)) {
+            for (const value of type.getValues()) {
+              addUsage(`${type.name}.${value.name}`, node);
+            }
+          }
+        }
+      },
+      Field(node) {
+        const parentType = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+        if (parentType && fieldDef) {
+          addUsage(`${parentType.name}.${fieldDef.name}`, node);
+          addTypeUsage(fieldDef.type, node);
+        }
+      },
+      Directive(node) {
+        const directive = typeInfo.getDirective();
+        if (directive) {
+          addUsage(`@${directive.name}`, node);
+        }
+      },
+      Argument(node, _key, _parent, _path, ancestors) {
+        // The arguments of fragment spreads are not schema elements.
+        const parentNode = ancestors[ancestors.length - 1];
+        if (
+          !Array.isArray(parentNode) &&
+          parentNode.kind === Kind.FRAGMENT_SPREAD
+        ) {
+          return;
+        }
 
-function findArgChanges(
-  oldType: GraphQLObjectType | GraphQLInterfaceType,
-  oldField: GraphQLField<mixed, mixed>,
-  newField: GraphQLField<mixed, mixed>,
-): Array<BreakingChange | DangerousChange> {
-  const schemaChanges = [];
-  const argsDiff = diff(oldField.args, newField.args);
-
-  for (const oldArg of argsDiff.removed) {
-    schemaChanges.push({
-      type: BreakingChangeType.ARG_REMOVED,
-      description: `${oldType.name}.${oldField.name} arg ${oldArg.name} was removed.`,
-    });
-  }
+        const argDef = typeInfo.getArgument();
+        const directive = typeInfo.getDirective();
+        const parentType = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+        if (argDef && directive) {
+          addUsage(`@${directive.name}(${argDef.name}:)`, node);
+        } else if (argDef && parentType && fieldDef) {
+          addUsage(
+            `${parentType.name}.${fieldDef.name}(${argDef.name}:)`,
+            node,
+          );
+        }
+      },
+      ObjectValue(node) {
+        addTypeUsage(typeInfo.getInputType(), node);
+      },
+      ObjectField(node) {
+        const inputType = getNamedType(typeInfo.getParentInputType());
+        if (isInputObjectType(inputType)) {
+          const field = inputType.getFields()[node.name.value];
+          if (field) {
+            addUsage(`${inputType.name}.${field.name}`, node);
+          }
+        }
+      },
+      EnumValue(node) {
+        const enumType = getNamedType(typeInfo.getInputType());
+        const enumValue = typeInfo.getEnumValue();
+        if (enumType && enumValue) {
+          addUsage(`${enumType.name}.${enumValue.name}`, node);
+        }
+      },
+    }),
+  );
 
-  for (const [oldArg, newArg] of argsDiff.persisted) {
-    const isSafe = isChangeSafeForInputObjectFieldOrFieldArg(
-      oldArg.type,
-      newArg.type,
-    );
-    if (!isSafe) {
-      schemaChanges.push({
-        type: BreakingChangeType.ARG_CHANGED_KIND,
-        description:
-          `${oldType.name}.${oldField.name} arg ${oldArg.name} has changed type from ` +
-          `${String(oldArg.type)} to ${String(newArg.type)}.`,
-      });
-    } else if (oldArg.defaultValue !== undefined) {
-      if (newArg.defaultValue === undefined) {
-        schemaChanges.push({
-          type: DangerousChangeType.ARG_DEFAULT_VALUE_CHANGE,
-          description: `${oldType.name}.${oldField.name} arg ${oldArg.name} defaultValue was removed.`,
-        });
-      } else {
-        // Since we looking only for client's observable changes we should
-        // compare default values in the same representation as they are
-        // represented inside introspection.
-        const oldValueStr = stringifyValue(oldArg.defaultValue, oldArg.type);
-        const newValueStr = stringifyValue(newArg.defaultValue, newArg.type);
-
-        if (oldValueStr !== newValueStr) {
-          schemaChanges.push({
-            type: DangerousChangeType.ARG_DEFAULT_VALUE_CHANGE,
-            description: `${oldType.name}.${oldField.name} arg ${oldArg.name} has changed defaultValue from ${oldValueStr} to ${newValueStr}.`,
-          });
+  return operations.map(([operation, operationUsages]) => {
+    const usages = Object.create(null);
+    const definitions = [operationUsages];
+    const visitedFragments = Object.create(null);
+
+    for (let i = 0; i < definitions.length; i++) {
+      const { usages: definitionUsages, fragmentSpreads } = definitions[i];
+      for (const coordinate of Object.keys(definitionUsages)) {
+        usages[coordinate] = (usages[coordinate] || []).concat(
+          definitionUsages[coordinate],
+        );
+      }
+      for (const fragmentName of fragmentSpreads) {
+        const fragment = fragments[fragmentName];
+        if (fragment && visitedFragments[fragmentName] !== true) {
+          visitedFragments[fragmentName] = true;
+          definitions.push(fragment);
         }
       }
     }
-  }
-
-  for (const newArg of argsDiff.added) {
-    if (isRequiredArgument(newArg)) {
-      schemaChanges.push({
-        type: BreakingChangeType.REQUIRED_ARG_ADDED,
-        description: `A required arg ${newArg.name} on ${oldType.name}.${oldField.name} was added.`,
-      });
-    } else {
-      schemaChanges.push({
-        type: DangerousChangeType.OPTIONAL_ARG_ADDED,
-        description: `An optional arg ${newArg.name} on ${oldType.name}.${oldField.name} was added.`,
-      });
-    }
-  }
-
-  return schemaChanges;
-}
 
-function isChangeSafeForObjectOrInterfaceField(
-  oldType: GraphQLType,
-  newType: GraphQLType,
-): boolean {
-  if (isListType(oldType)) {
-    return (
-      // if they're both lists, make sure the underlying types are compatible
-      (isListType(newType) &&
-        isChangeSafeForObjectOrInterfaceField(
-          oldType.ofType,
-          newType.ofType,
-        )) ||
-      // moving from nullable to non-null of the same underlying type is safe
-      (isNonNullType(newType) &&
-        isChangeSafeForObjectOrInterfaceField(oldType, newType.ofType))
-    );
-  }
-
-  if (isNonNullType(oldType)) {
-    // if they're both non-null, make sure the underlying types are compatible
-    return (
-      isNonNullType(newType) &&
-      isChangeSafeForObjectOrInterfaceField(oldType.ofType, newType.ofType)
-    );
-  }
-
-  return (
-    // if they're both named types, see if their names are equivalent
-    (isNamedType(newType) && oldType.name === newType.name) ||
-    // moving from nullable to non-null of the same underlying type is safe
-    (isNonNullType(newType) &&
-      isChangeSafeForObjectOrInterfaceField(oldType, newType.ofType))
-  );
+    return { operation, usages };
+  });
 }
 
-function isChangeSafeForInputObjectFieldOrFieldArg(
-  oldType: GraphQLType,
-  newType: GraphQLType,
-): boolean {
-  if (isListType(oldType)) {
-    // if they're both lists, make sure the underlying types are compatible
-    return (
-      isListType(newType) &&
-      isChangeSafeForInputObjectFieldOrFieldArg(oldType.ofType, newType.ofType)
-    );
-  }
-
-  if (isNonNullType(oldType)) {
-    return (
-      // if they're both non-null, make sure the underlying types are
-      // compatible
-      (isNonNullType(newType) &&
-        isChangeSafeForInputObjectFieldOrFieldArg(
-          oldType.ofType,
-          newType.ofType,
-        )) ||
-      // moving from non-null to nullable of the same underlying type is safe
-      (!isNonNullType(newType) &&
-        isChangeSafeForInputObjectFieldOrFieldArg(oldType.ofType, newType))
-    );
-  }
-
-  // if they're both named types, see if their names are equivalent
-  return isNamedType(newType) && oldType.name === newType.name;
+function newDefinitionUsages(): DefinitionUsages {
+  return { usages: Object.create(null), fragmentSpreads: [] };
 }
 
-function typeKindName(type: GraphQLNamedType): string {
-  if (isScalarType(type)) {
-    return 'a Scalar type';
-  }
-  if (isObjectType(type)) {
-    return 'an Object type';
-  }
-  if (isInterfaceType(type)) {
-    return 'an Interface type';
+// Returns the named type of a variable along with every input type reachable
+// through the fields of input object types.
+function getVariableTypes(type: ?GraphQLType): Array<GraphQLNamedType> {
+  const types = [];
+  const namedType = getNamedType(type);
+  if (namedType) {
+    types.push(namedType);
   }
-  if (isUnionType(type)) {
-    return 'a Union type';
-  }
-  if (isEnumType(type)) {
-    return 'an Enum type';
-  }
-  if (isInputObjectType(type)) {
-    return 'an Input type';
-  }
-
-  // Not reachable. All possible named types have been considered.
-  invariant(false, 'Unexpected type: ' + inspect((type: empty)));
-}
-
-function stringifyValue(value: mixed, type: GraphQLInputType): string {
-  const ast = astFromValue(value, type);
-  invariant(ast != null);
-
-  const sortedAST = visit(ast, {
-    ObjectValue(objectNode) {
-      const fields = [...objectNode.fields].sort((fieldA, fieldB) =>
-        fieldA.name.value.localeCompare(fieldB.name.value),
-      );
-      return { ...objectNode, fields };
-    },
-  });
 
-  return print(sortedAST);
-}
-
-function diff<T: { name: string, ... }>(
-  oldArray: $ReadOnlyArray<T>,
-  newArray: $ReadOnlyArray<T>,
-): {|
-  added: Array<T>,
-  removed: Array<T>,
-  persisted: Array<[T, T]>,
-|} {
-  const added = [];
-  const removed = [];
-  const persisted = [];
-
-  const oldMap = keyMap(oldArray, ({ name }) => name);
-  const newMap = keyMap(newArray, ({ name }) => name);
-
-  for (const oldItem of oldArray) {
-    const newItem = newMap[oldItem.name];
-    if (newItem === undefined) {
-      removed.push(oldItem);
-    } else {
-      persisted.push([oldItem, newItem]);
+  for (let i = 0; i < types.length; i++) {
+    const inputType = types[i];
+    if (isInputObjectType(inputType)) {
+      for (const field of objectValues(inputType.getFields())) {
+        const fieldType = getNamedType(field.type);
+        if (types.indexOf(fieldType) === -1) {
+          types.push(fieldType);
+        }
+      }
     }
   }
+  return types;
+}
 
-  for (const newItem of newArray) {
-    if (oldMap[newItem.name] === undefined) {
-      added.push(newItem);
+function getLocations(nodes: $ReadOnlyArray<ASTNode>): Array<SourceLocation> {
+  const locations = [];
+  for (const node of nodes) {
+    if (node.loc) {
+      locations.push(getLocation(node.loc.source, node.loc.start));
     }
   }
-
-  return { added, persisted, removed };
+  return locations;
 }
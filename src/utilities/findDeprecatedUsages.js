@@ -5,7 +5,7 @@ import { GraphQLError } from '../error/GraphQLError';
 import { visit } from '../language/visitor';
 import { type DocumentNode } from '../language/ast';
 
-import { getNamedType } from '../type/definition';
+import { getNamedType, isInputObjectType } from '../type/definition';
 import { type GraphQLSchema } from '../type/schema';
 
 import { TypeInfo, visitWithTypeInfo } from './TypeInfo';
@@ -41,6 +41,45 @@ export function findDeprecatedUsages(
           }
         }
       },
+      Argument(node) {
+        const argDef = typeInfo.getArgument();
+        if (argDef && argDef.isDeprecated) {
+          const directive = typeInfo.getDirective();
+          const fieldDef = typeInfo.getFieldDef();
+          const parentType = typeInfo.getParentType();
+          const ownerName = directive
+            ? '@' + directive.name
+            : fieldDef && parentType
+            ? `${parentType.name}.${fieldDef.name}`
+            : undefined;
+          if (ownerName != null) {
+            const reason = argDef.deprecationReason;
+            errors.push(
+              new GraphQLError(
+                `The argument "${ownerName}(${argDef.name}:)" is deprecated.` +
+                  (reason != null ? ' ' + reason : ''),
+                node,
+              ),
+            );
+          }
+        }
+      },
+      ObjectField(node) {
+        const inputObjectType = getNamedType(typeInfo.getParentInputType());
+        if (isInputObjectType(inputObjectType)) {
+          const inputFieldDef = inputObjectType.getFields()[node.name.value];
+          if (inputFieldDef && inputFieldDef.isDeprecated) {
+            const reason = inputFieldDef.deprecationReason;
+            errors.push(
+              new GraphQLError(
+                `The input field "${inputObjectType.name}.${inputFieldDef.name}" is deprecated.` +
+                  (reason != null ? ' ' + reason : ''),
+                node,
+              ),
+            );
+          }
+        }
+      },
       EnumValue(node) {
         const enumVal = typeInfo.getEnumValue();
         if (enumVal && enumVal.isDeprecated) {
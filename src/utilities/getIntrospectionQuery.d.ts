@@ -4,7 +4,28 @@ import { DirectiveLocationEnum } from '../language/directiveLocation';
 export interface IntrospectionOptions {
   // Whether to include descriptions in the introspection result.
   // Default: true
-  descriptions: boolean;
+  descriptions?: boolean;
+
+  // Whether to include `specifiedByUrl` in the introspection result.
+  // Default: false
+  specifiedByUrl?: boolean;
+
+  // Whether to include `isRepeatable` flag on directives.
+  // Default: false
+  directiveIsRepeatable?: boolean;
+
+  // Whether to include `description` field on schema.
+  // Default: false
+  schemaDescription?: boolean;
+
+  // Whether to include `isOneOf` on input object types.
+  // Default: false
+  oneOf?: boolean;
+
+  // Whether target GraphQL server supports deprecation of input values, in
+  // which case deprecated arguments and input fields are included.
+  // Default: false
+  inputValueDeprecation?: boolean;
 }
 
 export function getIntrospectionQuery(options?: IntrospectionOptions): string;
@@ -14,6 +35,7 @@ export interface IntrospectionQuery {
 }
 
 export interface IntrospectionSchema {
+  readonly description?: Maybe<string>;
   readonly queryType: IntrospectionNamedTypeRef<IntrospectionObjectType>;
   readonly mutationType: Maybe<
     IntrospectionNamedTypeRef<IntrospectionObjectType>
@@ -49,6 +71,7 @@ export interface IntrospectionScalarType {
   readonly kind: 'SCALAR';
   readonly name: string;
   readonly description?: Maybe<string>;
+  readonly specifiedByUrl?: Maybe<string>;
 }
 
 export interface IntrospectionObjectType {
@@ -95,6 +118,7 @@ export interface IntrospectionInputObjectType {
   readonly name: string;
   readonly description?: Maybe<string>;
   readonly inputFields: ReadonlyArray<IntrospectionInputValue>;
+  readonly isOneOf?: boolean;
 }
 
 export interface IntrospectionListTypeRef<
@@ -156,6 +180,8 @@ export interface IntrospectionInputValue {
   readonly description?: Maybe<string>;
   readonly type: IntrospectionInputTypeRef;
   readonly defaultValue?: Maybe<string>;
+  readonly isDeprecated?: boolean;
+  readonly deprecationReason?: Maybe<string>;
 }
 
 export interface IntrospectionEnumValue {
@@ -168,6 +194,7 @@ export interface IntrospectionEnumValue {
 export interface IntrospectionDirective {
   readonly name: string;
   readonly description?: Maybe<string>;
+  readonly isRepeatable?: boolean;
   readonly locations: ReadonlyArray<DirectiveLocationEnum>;
   readonly args: ReadonlyArray<IntrospectionInputValue>;
 }
@@ -5,14 +5,48 @@ import { type DirectiveLocationEnum } from '../language/directiveLocation';
 export type IntrospectionOptions = {|
   // Whether to include descriptions in the introspection result.
   // Default: true
-  descriptions: boolean,
+  descriptions?: boolean,
+
+  // Whether to include `specifiedByUrl` in the introspection result.
+  // Default: false
+  specifiedByUrl?: boolean,
+
+  // Whether to include `isRepeatable` flag on directives.
+  // Default: false
+  directiveIsRepeatable?: boolean,
+
+  // Whether to include `description` field on schema.
+  // Default: false
+  schemaDescription?: boolean,
+
+  // Whether to include `isOneOf` on input object types.
+  // Default: false
+  oneOf?: boolean,
+
+  // Whether target GraphQL server supports deprecation of input values, in
+  // which case deprecated arguments and input fields are included.
+  // Default: false
+  inputValueDeprecation?: boolean,
 |};
 
 export function getIntrospectionQuery(options?: IntrospectionOptions): string {
   const descriptions = !(options && options.descriptions === false);
+  const specifiedByUrl = options && options.specifiedByUrl === true;
+  const directiveIsRepeatable =
+    options && options.directiveIsRepeatable === true;
+  const schemaDescription = options && options.schemaDescription === true;
+  const oneOf = options && options.oneOf === true;
+  const inputValueDeprecation =
+    options && options.inputValueDeprecation === true;
+
+  function inputDeprecation(str) {
+    return inputValueDeprecation ? str : '';
+  }
+
   return `
     query IntrospectionQuery {
       __schema {
+        ${schemaDescription ? 'description' : ''}
         queryType { name }
         mutationType { name }
         subscriptionType { name }
@@ -22,8 +56,9 @@ export function getIntrospectionQuery(options?: IntrospectionOptions): string {
         directives {
           name
           ${descriptions ? 'description' : ''}
+          ${directiveIsRepeatable ? 'isRepeatable' : ''}
           locations
-          args {
+          args${inputDeprecation('(includeDeprecated: true)')} {
             ...InputValue
           }
         }
@@ -34,10 +69,11 @@ export function getIntrospectionQuery(options?: IntrospectionOptions): string {
       kind
       name
       ${descriptions ? 'description' : ''}
+      ${specifiedByUrl ? 'specifiedByUrl' : ''}
       fields(includeDeprecated: true) {
         name
         ${descriptions ? 'description' : ''}
-        args {
+        args${inputDeprecation('(includeDeprecated: true)')} {
           ...InputValue
         }
         type {
@@ -46,7 +82,7 @@ export function getIntrospectionQuery(options?: IntrospectionOptions): string {
         isDeprecated
         deprecationReason
       }
-      inputFields {
+      inputFields${inputDeprecation('(includeDeprecated: true)')} {
         ...InputValue
       }
       interfaces {
@@ -61,6 +97,7 @@ export function getIntrospectionQuery(options?: IntrospectionOptions): string {
       possibleTypes {
         ...TypeRef
       }
+      ${oneOf ? 'isOneOf' : ''}
     }
 
     fragment InputValue on __InputValue {
@@ -68,6 +105,8 @@ export function getIntrospectionQuery(options?: IntrospectionOptions): string {
       ${descriptions ? 'description' : ''}
       type { ...TypeRef }
       defaultValue
+      ${inputDeprecation('isDeprecated')}
+      ${inputDeprecation('deprecationReason')}
     }
 
     fragment TypeRef on __Type {
@@ -110,6 +149,7 @@ export type IntrospectionQuery = {|
 |};
 
 export type IntrospectionSchema = {|
+  +description?: ?string,
   +queryType: IntrospectionNamedTypeRef<IntrospectionObjectType>,
   +mutationType: ?IntrospectionNamedTypeRef<IntrospectionObjectType>,
   +subscriptionType: ?IntrospectionNamedTypeRef<IntrospectionObjectType>,
@@ -141,6 +181,7 @@ export type IntrospectionScalarType = {|
   +kind: 'SCALAR',
   +name: string,
   +description?: ?string,
+  +specifiedByUrl?: ?string,
 |};
 
 export type IntrospectionObjectType = {|
@@ -187,6 +228,7 @@ export type IntrospectionInputObjectType = {|
   +name: string,
   +description?: ?string,
   +inputFields: $ReadOnlyArray<IntrospectionInputValue>,
+  +isOneOf?: boolean,
 |};
 
 export type IntrospectionListTypeRef<
@@ -248,6 +290,8 @@ export type IntrospectionInputValue = {|
   +description?: ?string,
   +type: IntrospectionInputTypeRef,
   +defaultValue: ?string,
+  +isDeprecated?: boolean,
+  +deprecationReason?: ?string,
 |};
 
 export type IntrospectionEnumValue = {|
@@ -260,6 +304,7 @@ export type IntrospectionEnumValue = {|
 export type IntrospectionDirective = {|
   +name: string,
   +description?: ?string,
+  +isRepeatable?: boolean,
   +locations: $ReadOnlyArray<DirectiveLocationEnum>,
   +args: $ReadOnlyArray<IntrospectionInputValue>,
 |};
@@ -54,6 +54,21 @@ export { extendSchema } from './extendSchema';
 // Sort a GraphQLSchema.
 export { lexicographicSortSchema } from './lexicographicSortSchema';
 
+// Rebuilds a GraphQLSchema with mapped types, fields and directives.
+export { mapSchema, SchemaMapper } from './mapSchema';
+
+// Removes schema elements and everything left unreachable by their removal.
+export { filterSchema, SchemaElementPredicate } from './filterSchema';
+export { pruneSchema } from './pruneSchema';
+
+// Merges several SDL documents or GraphQLSchemas into one.
+export {
+  mergeTypeDefs,
+  mergeSchemas,
+  MergeTypeDefsOptions,
+  MergeSchemasOptions,
+} from './mergeSchemas';
+
 // Print a GraphQLSchema to GraphQL Schema language.
 export {
   printSchema,
@@ -64,6 +79,9 @@ export {
 // Create a GraphQLType from a GraphQL language AST.
 export { typeFromAST } from './typeFromAST';
 
+// Apply a client controlled nullability assertion to the type of a field.
+export { applyNullabilityAssertion } from './applyNullabilityAssertion';
+
 // Create a JavaScript value from a GraphQL language AST with a type.
 export { valueFromAST } from './valueFromAST';
 
@@ -77,6 +95,14 @@ export { astFromValue } from './astFromValue';
 // the GraphQL type system.
 export { TypeInfo, visitWithTypeInfo } from './TypeInfo';
 
+// A cache of parsed and validated documents.
+export {
+  DocumentCache,
+  DocumentCacheEntry,
+  DocumentCacheStore,
+  DocumentCacheOptions,
+} from './DocumentCache';
+
 // Coerces a JavaScript value to a GraphQL type, or produces errors.
 export { coerceInputValue } from './coerceInputValue';
 
@@ -106,9 +132,27 @@ export {
   DangerousChangeType,
   findBreakingChanges,
   findDangerousChanges,
+  findBreakingChangesForOperations,
   BreakingChange,
   DangerousChange,
+  OperationBreakingChange,
+  AffectedOperation,
 } from './findBreakingChanges';
 
+// Reports every change between two GraphQLSchemas.
+export {
+  SchemaChangeType,
+  SchemaChangeCriticality,
+  diffSchemas,
+  SchemaChange,
+} from './diffSchemas';
+
 // Report all deprecated usage within a GraphQL document.
 export { findDeprecatedUsages } from './findDeprecatedUsages';
+
+// Resolves the schema element named by a schema coordinate.
+export {
+  resolveSchemaCoordinate,
+  resolveASTSchemaCoordinate,
+  ResolvedSchemaElement,
+} from './resolveSchemaCoordinate';
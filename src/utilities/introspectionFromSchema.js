@@ -1,10 +1,12 @@
 // @flow strict
 
+import { isAsyncIterable } from 'iterall';
+
 import invariant from '../jsutils/invariant';
 import isPromise from '../jsutils/isPromise';
 
 import { parse } from '../language/parser';
-import { execute } from '../execution/execute';
+import { type ExecutionResult, execute } from '../execution/execute';
 import { type GraphQLSchema } from '../type/schema';
 
 import {
@@ -21,13 +23,28 @@ import {
  *
  * This is the inverse of buildClientSchema. The primary use case is outside
  * of the server context, for instance when doing schema comparisons.
+ *
+ * Unlike `getIntrospectionQuery`, all optional parts of the introspection are
+ * requested by default, since the schema is known to support them.
  */
 export function introspectionFromSchema(
   schema: GraphQLSchema,
   options?: IntrospectionOptions,
 ): IntrospectionQuery {
-  const queryAST = parse(getIntrospectionQuery(options));
+  const optionsWithDefaults = {
+    specifiedByUrl: true,
+    directiveIsRepeatable: true,
+    schemaDescription: true,
+    oneOf: true,
+    inputValueDeprecation: true,
+    ...options,
+  };
+
+  const queryAST = parse(getIntrospectionQuery(optionsWithDefaults));
   const result = execute(schema, queryAST);
-  invariant(!isPromise(result) && !result.errors && result.data);
-  return (result.data: any);
+  invariant(!isPromise(result) && !isAsyncIterable(result));
+  // Note: Flow can't refine isAsyncIterable, so an explicit cast is used.
+  const { errors, data } = ((result: any): ExecutionResult);
+  invariant(!errors && data);
+  return (data: any);
 }
@@ -1,154 +1,63 @@
 // @flow strict
 
-import objectValues from '../polyfills/objectValues';
-
-import inspect from '../jsutils/inspect';
-import invariant from '../jsutils/invariant';
-import keyValMap from '../jsutils/keyValMap';
 import { type ObjMap } from '../jsutils/ObjMap';
 
 import { GraphQLSchema } from '../type/schema';
-import { GraphQLDirective } from '../type/directives';
-import { isIntrospectionType } from '../type/introspection';
-import {
-  type GraphQLNamedType,
-  GraphQLObjectType,
-  GraphQLInterfaceType,
-  GraphQLUnionType,
-  GraphQLEnumType,
-  GraphQLInputObjectType,
-  GraphQLList,
-  GraphQLNonNull,
-  isListType,
-  isNonNullType,
-  isScalarType,
-  isObjectType,
-  isInterfaceType,
-  isUnionType,
-  isEnumType,
-  isInputObjectType,
-} from '../type/definition';
+import { resolveThunk } from '../type/definition';
+
+import { mapSchema } from './mapSchema';
 
 /**
  * Sort GraphQLSchema.
  */
 export function lexicographicSortSchema(schema: GraphQLSchema): GraphQLSchema {
-  const schemaConfig = schema.toConfig();
-  const typeMap = keyValMap(
-    sortByName(schemaConfig.types),
-    type => type.name,
-    sortNamedType,
-  );
+  const sortedSchema = mapSchema(schema, {
+    mapObjectType: config => ({
+      ...config,
+      interfaces: sortByName(resolveThunk(config.interfaces) || []),
+      fields: sortObjMap(resolveThunk(config.fields)),
+    }),
+    mapInterfaceType: config => ({
+      ...config,
+      interfaces: sortByName(resolveThunk(config.interfaces) || []),
+      fields: sortObjMap(resolveThunk(config.fields)),
+    }),
+    mapUnionType: config => ({
+      ...config,
+      types: sortByName(resolveThunk(config.types)),
+    }),
+    mapEnumType: config => ({
+      ...config,
+      values: sortObjMap(config.values),
+    }),
+    mapInputObjectType: config => ({
+      ...config,
+      fields: sortObjMap(resolveThunk(config.fields)),
+    }),
+    mapField: config => ({
+      ...config,
+      args: config.args && sortObjMap(config.args),
+    }),
+    mapDirective: config => ({
+      ...config,
+      locations: sortBy(config.locations, x => x),
+      args: config.args && sortObjMap(config.args),
+    }),
+  });
 
+  const schemaConfig = sortedSchema.toConfig();
   return new GraphQLSchema({
     ...schemaConfig,
-    types: objectValues(typeMap),
-    directives: sortByName(schemaConfig.directives).map(sortDirective),
-    query: replaceMaybeType(schemaConfig.query),
-    mutation: replaceMaybeType(schemaConfig.mutation),
-    subscription: replaceMaybeType(schemaConfig.subscription),
+    types: sortByName(schemaConfig.types),
+    directives: sortByName(schemaConfig.directives),
   });
-
-  function replaceType(type) {
-    if (isListType(type)) {
-      return new GraphQLList(replaceType(type.ofType));
-    } else if (isNonNullType(type)) {
-      return new GraphQLNonNull(replaceType(type.ofType));
-    }
-    return replaceNamedType(type);
-  }
-
-  function replaceNamedType<T: GraphQLNamedType>(type: T): T {
-    return ((typeMap[type.name]: any): T);
-  }
-
-  function replaceMaybeType(maybeType) {
-    return maybeType && replaceNamedType(maybeType);
-  }
-
-  function sortDirective(directive) {
-    const config = directive.toConfig();
-    return new GraphQLDirective({
-      ...config,
-      locations: sortBy(config.locations, x => x),
-      args: sortArgs(config.args),
-    });
-  }
-
-  function sortArgs(args) {
-    return sortObjMap(args, arg => ({
-      ...arg,
-      type: replaceType(arg.type),
-    }));
-  }
-
-  function sortFields(fieldsMap) {
-    return sortObjMap(fieldsMap, field => ({
-      ...field,
-      type: replaceType(field.type),
-      args: sortArgs(field.args),
-    }));
-  }
-
-  function sortInputFields(fieldsMap) {
-    return sortObjMap(fieldsMap, field => ({
-      ...field,
-      type: replaceType(field.type),
-    }));
-  }
-
-  function sortTypes<T: GraphQLNamedType>(arr: $ReadOnlyArray<T>): Array<T> {
-    return sortByName(arr).map(replaceNamedType);
-  }
-
-  function sortNamedType(type) {
-    if (isScalarType(type) || isIntrospectionType(type)) {
-      return type;
-    } else if (isObjectType(type)) {
-      const config = type.toConfig();
-      return new GraphQLObjectType({
-        ...config,
-        interfaces: () => sortTypes(config.interfaces),
-        fields: () => sortFields(config.fields),
-      });
-    } else if (isInterfaceType(type)) {
-      const config = type.toConfig();
-      return new GraphQLInterfaceType({
-        ...config,
-        interfaces: () => sortTypes(config.interfaces),
-        fields: () => sortFields(config.fields),
-      });
-    } else if (isUnionType(type)) {
-      const config = type.toConfig();
-      return new GraphQLUnionType({
-        ...config,
-        types: () => sortTypes(config.types),
-      });
-    } else if (isEnumType(type)) {
-      const config = type.toConfig();
-      return new GraphQLEnumType({
-        ...config,
-        values: sortObjMap(config.values),
-      });
-    } else if (isInputObjectType(type)) {
-      const config = type.toConfig();
-      return new GraphQLInputObjectType({
-        ...config,
-        fields: () => sortInputFields(config.fields),
-      });
-    }
-
-    // Not reachable. All possible types have been considered.
-    invariant(false, 'Unexpected type: ' + inspect((type: empty)));
-  }
 }
 
-function sortObjMap<T, R>(map: ObjMap<T>, sortValueFn?: T => R): ObjMap<R> {
+function sortObjMap<T>(map: ObjMap<T>): ObjMap<T> {
   const sortedMap = Object.create(null);
   const sortedKeys = sortBy(Object.keys(map), x => x);
   for (const key of sortedKeys) {
-    const value = map[key];
-    sortedMap[key] = sortValueFn ? sortValueFn(value) : value;
+    sortedMap[key] = map[key];
   }
   return sortedMap;
 }
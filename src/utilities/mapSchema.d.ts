@@ -0,0 +1,77 @@
+import Maybe from '../tsutils/Maybe';
+
+import { GraphQLSchema } from '../type/schema';
+import { GraphQLDirectiveConfig } from '../type/directives';
+import {
+  GraphQLScalarTypeConfig,
+  GraphQLObjectTypeConfig,
+  GraphQLInterfaceTypeConfig,
+  GraphQLUnionTypeConfig,
+  GraphQLEnumTypeConfig,
+  GraphQLInputObjectTypeConfig,
+  GraphQLFieldConfig,
+  GraphQLArgumentConfig,
+  GraphQLEnumValueConfig,
+  GraphQLInputFieldConfig,
+} from '../type/definition';
+
+export interface SchemaMapper {
+  mapScalarType?: (
+    config: GraphQLScalarTypeConfig<any, any>,
+  ) => Maybe<GraphQLScalarTypeConfig<any, any>>;
+  mapObjectType?: (
+    config: GraphQLObjectTypeConfig<any, any>,
+  ) => Maybe<GraphQLObjectTypeConfig<any, any>>;
+  mapInterfaceType?: (
+    config: GraphQLInterfaceTypeConfig<any, any>,
+  ) => Maybe<GraphQLInterfaceTypeConfig<any, any>>;
+  mapUnionType?: (
+    config: GraphQLUnionTypeConfig<any, any>,
+  ) => Maybe<GraphQLUnionTypeConfig<any, any>>;
+  mapEnumType?: (config: GraphQLEnumTypeConfig) => Maybe<GraphQLEnumTypeConfig>;
+  mapInputObjectType?: (
+    config: GraphQLInputObjectTypeConfig,
+  ) => Maybe<GraphQLInputObjectTypeConfig>;
+  mapField?: (
+    config: GraphQLFieldConfig<any, any>,
+    fieldName: string,
+    parentCoordinate: string,
+  ) => Maybe<GraphQLFieldConfig<any, any>>;
+  mapArgument?: (
+    config: GraphQLArgumentConfig,
+    argName: string,
+    parentCoordinate: string,
+  ) => Maybe<GraphQLArgumentConfig>;
+  mapInputField?: (
+    config: GraphQLInputFieldConfig,
+    fieldName: string,
+    parentCoordinate: string,
+  ) => Maybe<GraphQLInputFieldConfig>;
+  mapEnumValue?: (
+    config: GraphQLEnumValueConfig,
+    valueName: string,
+    parentCoordinate: string,
+  ) => Maybe<GraphQLEnumValueConfig>;
+  mapDirective?: (
+    config: GraphQLDirectiveConfig,
+  ) => Maybe<GraphQLDirectiveConfig>;
+}
+
+/**
+ * Rebuilds a GraphQLSchema, passing the config of every type, field, argument,
+ * input field, enum value and directive through the matching function of the
+ * mapper. A function may return a modified config, or null to remove the
+ * element. Fields, arguments, input fields and enum values are mapped along
+ * with their name and the schema coordinate of the type, field or directive
+ * they belong to in the original schema.
+ *
+ * References to types are rewired to the mapped types, including renamed ones.
+ * Fields, arguments, input fields, union members and interfaces referring to a
+ * removed type are removed as well. Introspection types and specified scalar
+ * types are never mapped, and other scalar types are kept as they are unless
+ * their config is changed.
+ */
+export function mapSchema(
+  schema: GraphQLSchema,
+  mapper: SchemaMapper,
+): GraphQLSchema;
@@ -0,0 +1,324 @@
+// @flow strict
+
+import objectValues from '../polyfills/objectValues';
+
+import inspect from '../jsutils/inspect';
+import invariant from '../jsutils/invariant';
+import { type ObjMap } from '../jsutils/ObjMap';
+
+import { GraphQLSchema } from '../type/schema';
+import {
+  type GraphQLDirectiveConfig,
+  GraphQLDirective,
+} from '../type/directives';
+import { isSpecifiedScalarType } from '../type/scalars';
+import { isIntrospectionType } from '../type/introspection';
+import {
+  type GraphQLNamedType,
+  type GraphQLScalarTypeConfig,
+  type GraphQLObjectTypeConfig,
+  type GraphQLInterfaceTypeConfig,
+  type GraphQLUnionTypeConfig,
+  type GraphQLEnumTypeConfig,
+  type GraphQLInputObjectTypeConfig,
+  type GraphQLFieldConfig,
+  type GraphQLFieldConfigMap,
+  type GraphQLArgumentConfig,
+  type GraphQLFieldConfigArgumentMap,
+  type GraphQLEnumValueConfig,
+  type GraphQLEnumValueConfigMap,
+  type GraphQLInputFieldConfig,
+  type GraphQLInputFieldConfigMap,
+  GraphQLScalarType,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLUnionType,
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  isListType,
+  isNonNullType,
+  isScalarType,
+  isObjectType,
+  isInterfaceType,
+  isUnionType,
+  isEnumType,
+  isInputObjectType,
+  resolveThunk,
+} from '../type/definition';
+
+export type SchemaMapper = {|
+  mapScalarType?: (
+    config: GraphQLScalarTypeConfig<mixed, mixed>,
+  ) => ?GraphQLScalarTypeConfig<mixed, mixed>,
+  mapObjectType?: (
+    config: GraphQLObjectTypeConfig<mixed, mixed>,
+  ) => ?GraphQLObjectTypeConfig<mixed, mixed>,
+  mapInterfaceType?: (
+    config: GraphQLInterfaceTypeConfig<mixed, mixed>,
+  ) => ?GraphQLInterfaceTypeConfig<mixed, mixed>,
+  mapUnionType?: (
+    config: GraphQLUnionTypeConfig<mixed, mixed>,
+  ) => ?GraphQLUnionTypeConfig<mixed, mixed>,
+  mapEnumType?: (config: GraphQLEnumTypeConfig) => ?GraphQLEnumTypeConfig,
+  mapInputObjectType?: (
+    config: GraphQLInputObjectTypeConfig,
+  ) => ?GraphQLInputObjectTypeConfig,
+  mapField?: (
+    config: GraphQLFieldConfig<mixed, mixed>,
+    fieldName: string,
+    parentCoordinate: string,
+  ) => ?GraphQLFieldConfig<mixed, mixed>,
+  mapArgument?: (
+    config: GraphQLArgumentConfig,
+    argName: string,
+    parentCoordinate: string,
+  ) => ?GraphQLArgumentConfig,
+  mapInputField?: (
+    config: GraphQLInputFieldConfig,
+    fieldName: string,
+    parentCoordinate: string,
+  ) => ?GraphQLInputFieldConfig,
+  mapEnumValue?: (
+    config: GraphQLEnumValueConfig,
+    valueName: string,
+    parentCoordinate: string,
+  ) => ?GraphQLEnumValueConfig,
+  mapDirective?: (config: GraphQLDirectiveConfig) => ?GraphQLDirectiveConfig,
+|};
+
+/**
+ * Rebuilds a GraphQLSchema, passing the config of every type, field, argument,
+ * input field, enum value and directive through the matching function of the
+ * mapper. A function may return a modified config, or null to remove the
+ * element. Fields, arguments, input fields and enum values are mapped along
+ * with their name and the schema coordinate of the type, field or directive
+ * they belong to in the original schema.
+ *
+ * References to types are rewired to the mapped types, including renamed ones.
+ * Fields, arguments, input fields, union members and interfaces referring to a
+ * removed type are removed as well. Introspection types and specified scalar
+ * types are never mapped, and other scalar types are kept as they are unless
+ * their config is changed.
+ */
+export function mapSchema(
+  schema: GraphQLSchema,
+  mapper: SchemaMapper,
+): GraphQLSchema {
+  const schemaConfig = schema.toConfig();
+  const typeMap: ObjMap<?GraphQLNamedType> = Object.create(null);
+  for (const type of schemaConfig.types) {
+    typeMap[type.name] = mapNamedType(type);
+  }
+
+  return new GraphQLSchema({
+    ...schemaConfig,
+    types: objectValues(typeMap).filter(Boolean),
+    directives: mapDirectives(schemaConfig.directives),
+    query: replaceMaybeType(schemaConfig.query),
+    mutation: replaceMaybeType(schemaConfig.mutation),
+    subscription: replaceMaybeType(schemaConfig.subscription),
+  });
+
+  function replaceType(type) {
+    if (isListType(type)) {
+      const ofType = replaceType(type.ofType);
+      return ofType && new GraphQLList(ofType);
+    } else if (isNonNullType(type)) {
+      const ofType = replaceType(type.ofType);
+      return ofType && new GraphQLNonNull(ofType);
+    }
+    return replaceNamedType(type);
+  }
+
+  function replaceNamedType<T: GraphQLNamedType>(type: T): ?T {
+    return ((typeMap[type.name]: any): ?T);
+  }
+
+  function replaceMaybeType(maybeType) {
+    return maybeType && replaceNamedType(maybeType);
+  }
+
+  function replaceTypes<T: GraphQLNamedType>(
+    types: ?$ReadOnlyArray<T>,
+  ): Array<T> {
+    const newTypes = [];
+    for (const type of types || []) {
+      const newType = replaceNamedType(type);
+      if (newType) {
+        newTypes.push(newType);
+      }
+    }
+    return newTypes;
+  }
+
+  function mapDirectives(
+    directives: $ReadOnlyArray<GraphQLDirective>,
+  ): Array<GraphQLDirective> {
+    const newDirectives = [];
+    for (const directive of directives) {
+      const config = mapConfig(
+        mapper.mapDirective,
+        (directive.toConfig(): any),
+      );
+      if (config) {
+        newDirectives.push(
+          new GraphQLDirective({
+            ...config,
+            args: mapArgs(config.args, `@${directive.name}`),
+          }),
+        );
+      }
+    }
+    return newDirectives;
+  }
+
+  function mapArgs(
+    args: ?GraphQLFieldConfigArgumentMap,
+    parentCoordinate: string,
+  ): GraphQLFieldConfigArgumentMap {
+    const newArgs = Object.create(null);
+    if (!args) {
+      return newArgs;
+    }
+    for (const argName of Object.keys(args)) {
+      const arg = mapper.mapArgument
+        ? mapper.mapArgument(args[argName], argName, parentCoordinate)
+        : args[argName];
+      const type = arg && replaceType(arg.type);
+      if (arg && type) {
+        newArgs[argName] = { ...arg, type };
+      }
+    }
+    return newArgs;
+  }
+
+  function mapFields(
+    fields: GraphQLFieldConfigMap<mixed, mixed>,
+    typeName: string,
+  ): GraphQLFieldConfigMap<mixed, mixed> {
+    const newFields = Object.create(null);
+    for (const fieldName of Object.keys(fields)) {
+      const field = mapper.mapField
+        ? mapper.mapField(fields[fieldName], fieldName, typeName)
+        : fields[fieldName];
+      const type = field && replaceType(field.type);
+      if (field && type) {
+        newFields[fieldName] = {
+          ...field,
+          type,
+          args: mapArgs(field.args, `${typeName}.${fieldName}`),
+        };
+      }
+    }
+    return newFields;
+  }
+
+  function mapInputFields(
+    fields: GraphQLInputFieldConfigMap,
+    typeName: string,
+  ): GraphQLInputFieldConfigMap {
+    const newFields = Object.create(null);
+    for (const fieldName of Object.keys(fields)) {
+      const field = mapper.mapInputField
+        ? mapper.mapInputField(fields[fieldName], fieldName, typeName)
+        : fields[fieldName];
+      const type = field && replaceType(field.type);
+      if (field && type) {
+        newFields[fieldName] = { ...field, type };
+      }
+    }
+    return newFields;
+  }
+
+  function mapEnumValues(
+    values: GraphQLEnumValueConfigMap,
+    typeName: string,
+  ): GraphQLEnumValueConfigMap {
+    const newValues = Object.create(null);
+    for (const valueName of Object.keys(values)) {
+      const value = mapper.mapEnumValue
+        ? mapper.mapEnumValue(values[valueName], valueName, typeName)
+        : values[valueName];
+      if (value) {
+        newValues[valueName] = value;
+      }
+    }
+    return newValues;
+  }
+
+  function mapNamedType(type: GraphQLNamedType): ?GraphQLNamedType {
+    if (isIntrospectionType(type) || isSpecifiedScalarType(type)) {
+      return type;
+    } else if (isScalarType(type)) {
+      // Scalars do not refer to other types, so they are only rebuilt when
+      // their config is changed.
+      const scalarConfig = type.toConfig();
+      const config = mapConfig(mapper.mapScalarType, (scalarConfig: any));
+      if (config === scalarConfig) {
+        return type;
+      }
+      return config && new GraphQLScalarType(config);
+    } else if (isObjectType(type)) {
+      const config = mapConfig(mapper.mapObjectType, (type.toConfig(): any));
+      return (
+        config &&
+        new GraphQLObjectType({
+          ...config,
+          interfaces: () => replaceTypes(resolveThunk(config.interfaces)),
+          fields: () => mapFields(resolveThunk(config.fields), type.name),
+        })
+      );
+    } else if (isInterfaceType(type)) {
+      const config = mapConfig(mapper.mapInterfaceType, (type.toConfig(): any));
+      return (
+        config &&
+        new GraphQLInterfaceType({
+          ...config,
+          interfaces: () => replaceTypes(resolveThunk(config.interfaces)),
+          fields: () => mapFields(resolveThunk(config.fields), type.name),
+        })
+      );
+    } else if (isUnionType(type)) {
+      const config = mapConfig(mapper.mapUnionType, (type.toConfig(): any));
+      return (
+        config &&
+        new GraphQLUnionType({
+          ...config,
+          types: () => replaceTypes(resolveThunk(config.types)),
+        })
+      );
+    } else if (isEnumType(type)) {
+      const config = mapConfig(mapper.mapEnumType, (type.toConfig(): any));
+      return (
+        config &&
+        new GraphQLEnumType({
+          ...config,
+          values: mapEnumValues(config.values, type.name),
+        })
+      );
+    } else if (isInputObjectType(type)) {
+      const config = mapConfig(
+        mapper.mapInputObjectType,
+        (type.toConfig(): any),
+      );
+      return (
+        config &&
+        new GraphQLInputObjectType({
+          ...config,
+          fields: () => mapInputFields(resolveThunk(config.fields), type.name),
+        })
+      );
+    }
+
+    // Not reachable. All possible types have been considered.
+    invariant(false, 'Unexpected type: ' + inspect((type: empty)));
+  }
+}
+
+// The configs returned by `toConfig()` have every thunk resolved, so they are
+// valid configs for the mapping functions.
+function mapConfig<T>(mapFn: ?(config: T) => ?T, config: T): ?T {
+  return mapFn ? mapFn(config) : config;
+}
@@ -0,0 +1,57 @@
+import { DocumentNode } from '../language/ast';
+import { GraphQLSchema } from '../type/schema';
+
+import { BuildSchemaOptions } from './buildASTSchema';
+
+export interface MergeTypeDefsOptions {
+  /**
+   * How to resolve two definitions of the same type, field, argument, input
+   * field, directive or root operation type which differ:
+   *
+   *    - 'error': throw a GraphQLError located on both definitions.
+   *    - 'first': keep the definition which comes first.
+   *    - 'last': keep the definition which comes last.
+   *
+   * Default: 'error'
+   */
+  onConflict?: 'error' | 'first' | 'last';
+}
+
+export interface MergeSchemasOptions
+  extends MergeTypeDefsOptions,
+    BuildSchemaOptions {}
+
+/**
+ * Merges several SDL documents or schemas, presumably one per module of an
+ * application, into a single SDL document.
+ *
+ * Definitions and extensions of the same type are merged into one definition,
+ * which holds the fields, interfaces, union members, enum values and applied
+ * directives of all of them. Definitions of the same directive are merged as
+ * well, along with the root operation types of schema definitions and
+ * extensions. Identical elements are only kept once, while elements defined
+ * differently are resolved according to the `onConflict` option. Elements
+ * keep the description and deprecation of the definitions providing one, and
+ * differing descriptions or deprecation reasons are resolved the same way.
+ *
+ * Extensions of types which are not defined in any of the documents are left
+ * as they are.
+ */
+export function mergeTypeDefs(
+  typeDefs: ReadonlyArray<DocumentNode | GraphQLSchema>,
+  options?: MergeTypeDefsOptions,
+): DocumentNode;
+
+/**
+ * Merges several SDL documents or schemas into a single schema, as described
+ * for `mergeTypeDefs`.
+ *
+ * The field resolvers, type resolvers, `isTypeOf` functions, scalar coercion
+ * functions and internal enum values of the given schemas are kept. Where
+ * several schemas provide them for the same element, those of the first
+ * schema are used, or those of the last one when `onConflict` is 'last'.
+ */
+export function mergeSchemas(
+  typeDefs: ReadonlyArray<DocumentNode | GraphQLSchema>,
+  options?: MergeSchemasOptions,
+): GraphQLSchema;
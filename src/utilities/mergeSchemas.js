@@ -0,0 +1,650 @@
+// @flow strict
+
+import find from '../polyfills/find';
+
+import inspect from '../jsutils/inspect';
+import invariant from '../jsutils/invariant';
+import { type ObjMap } from '../jsutils/ObjMap';
+
+import { GraphQLError } from '../error/GraphQLError';
+
+import { Kind } from '../language/kinds';
+import { parse } from '../language/parser';
+import { print } from '../language/printer';
+import {
+  isTypeDefinitionNode,
+  isTypeExtensionNode,
+} from '../language/predicates';
+import {
+  type ASTNode,
+  type NameNode,
+  type DocumentNode,
+  type DefinitionNode,
+  type DirectiveNode,
+  type StringValueNode,
+  type SchemaDefinitionNode,
+  type SchemaExtensionNode,
+  type TypeDefinitionNode,
+  type TypeExtensionNode,
+  type FieldDefinitionNode,
+  type InputValueDefinitionNode,
+  type EnumValueDefinitionNode,
+  type DirectiveDefinitionNode,
+} from '../language/ast';
+
+import { GraphQLSchema, isSchema } from '../type/schema';
+import { isSpecifiedScalarType } from '../type/scalars';
+import {
+  DEFAULT_DEPRECATION_REASON,
+  GraphQLDeprecatedDirective,
+} from '../type/directives';
+import {
+  isScalarType,
+  isObjectType,
+  isInterfaceType,
+  isUnionType,
+  isEnumType,
+} from '../type/definition';
+
+import { mapSchema } from './mapSchema';
+import { printSchema } from './schemaPrinter';
+import { type BuildSchemaOptions, buildASTSchema } from './buildASTSchema';
+
+export type MergeTypeDefsOptions = {|
+  /**
+   * How to resolve two definitions of the same type, field, argument, input
+   * field, directive or root operation type which differ:
+   *
+   *    - 'error': throw a GraphQLError located on both definitions.
+   *    - 'first': keep the definition which comes first.
+   *    - 'last': keep the definition which comes last.
+   *
+   * Default: 'error'
+   */
+  onConflict?: 'error' | 'first' | 'last',
+|};
+
+export type MergeSchemasOptions = {|
+  ...MergeTypeDefsOptions,
+  ...BuildSchemaOptions,
+|};
+
+type NamedTypeSystemNode =
+  | TypeDefinitionNode
+  | TypeExtensionNode
+  | DirectiveDefinitionNode;
+
+/**
+ * Merges several SDL documents or schemas, presumably one per module of an
+ * application, into a single SDL document.
+ *
+ * Definitions and extensions of the same type are merged into one definition,
+ * which holds the fields, interfaces, union members, enum values and applied
+ * directives of all of them. Definitions of the same directive are merged as
+ * well, along with the root operation types of schema definitions and
+ * extensions. Identical elements are only kept once, while elements defined
+ * differently are resolved according to the `onConflict` option. Elements
+ * keep the description and deprecation of the definitions providing one, and
+ * differing descriptions or deprecation reasons are resolved the same way.
+ *
+ * Extensions of types which are not defined in any of the documents are left
+ * as they are.
+ */
+export function mergeTypeDefs(
+  typeDefs: $ReadOnlyArray<DocumentNode | GraphQLSchema>,
+  options?: MergeTypeDefsOptions,
+): DocumentNode {
+  const onConflict = (options && options.onConflict) || 'error';
+
+  const definitions: Array<DefinitionNode> = [];
+  const definitionIndexes: ObjMap<number> = Object.create(null);
+  let schemaIndex: ?number;
+
+  for (const typeDef of typeDefs) {
+    const document = isSchema(typeDef)
+      ? parse(printSchema(typeDef, { appliedDirectives: true }))
+      : typeDef;
+    for (const def of document.definitions) {
+      if (
+        def.kind === Kind.SCHEMA_DEFINITION ||
+        def.kind === Kind.SCHEMA_EXTENSION
+      ) {
+        if (schemaIndex == null) {
+          schemaIndex = definitions.length;
+          definitions.push(def);
+        } else {
+          const existingDef: any = definitions[schemaIndex];
+          definitions[schemaIndex] = mergeSchemaNodes(existingDef, def);
+        }
+      } else if (
+        isTypeDefinitionNode(def) ||
+        isTypeExtensionNode(def) ||
+        def.kind === Kind.DIRECTIVE_DEFINITION
+      ) {
+        const key =
+          def.kind === Kind.DIRECTIVE_DEFINITION
+            ? `@${def.name.value}`
+            : def.name.value;
+        const index = definitionIndexes[key];
+        if (index === undefined) {
+          definitionIndexes[key] = definitions.length;
+          definitions.push(def);
+        } else {
+          const existingDef: any = definitions[index];
+          definitions[index] = mergeNamedNodes(existingDef, def);
+        }
+      } else {
+        definitions.push(def);
+      }
+    }
+  }
+
+  return { kind: Kind.DOCUMENT, definitions };
+
+  function resolveConflict<T: ASTNode>(
+    message: string,
+    existingNode: T,
+    node: T,
+  ): T {
+    if (onConflict === 'error') {
+      throw new GraphQLError(message, [existingNode, node]);
+    }
+    return onConflict === 'first' ? existingNode : node;
+  }
+
+  function mergeSchemaNodes(
+    existingNode: SchemaDefinitionNode | SchemaExtensionNode,
+    node: SchemaDefinitionNode | SchemaExtensionNode,
+  ): SchemaDefinitionNode | SchemaExtensionNode {
+    const operationTypes = mergeByKey(
+      existingNode.operationTypes,
+      node.operationTypes,
+      operationType => operationType.operation,
+      (existingOperationType, operationType) =>
+        existingOperationType.type.name.value === operationType.type.name.value
+          ? existingOperationType
+          : resolveConflict(
+              `Root operation type "${operationType.operation}" is defined as both "${existingOperationType.type.name.value}" and "${operationType.type.name.value}".`,
+              existingOperationType,
+              operationType,
+            ),
+    );
+    const directives = mergeDirectives(
+      existingNode.directives,
+      node.directives,
+    );
+
+    if (existingNode.kind === Kind.SCHEMA_DEFINITION) {
+      return { ...existingNode, operationTypes, directives };
+    } else if (node.kind === Kind.SCHEMA_DEFINITION) {
+      return { ...node, operationTypes, directives };
+    }
+    return { ...existingNode, operationTypes, directives };
+  }
+
+  function mergeNamedNodes(
+    existingNode: NamedTypeSystemNode,
+    node: NamedTypeSystemNode,
+  ): NamedTypeSystemNode {
+    const existingKind = getDefinitionKind(existingNode);
+    const kind = getDefinitionKind(node);
+    if (existingKind !== kind) {
+      return resolveConflict(
+        `"${node.name.value}" is defined both as ${describeKind(
+          existingKind,
+        )} and as ${describeKind(kind)}.`,
+        existingNode,
+        node,
+      );
+    }
+
+    if (
+      existingNode.kind === Kind.DIRECTIVE_DEFINITION &&
+      node.kind === Kind.DIRECTIVE_DEFINITION
+    ) {
+      return mergeDirectiveDefinitions(existingNode, node);
+    }
+
+    // Both nodes define or extend the same kind of type at this point.
+    const existingTypeNode: any = existingNode;
+    const typeNode: any = node;
+
+    // Extensions are merged into the definition of the type, if any.
+    const mergedNode = {
+      ...(isTypeExtensionNode(existingNode) && isTypeDefinitionNode(node)
+        ? typeNode
+        : existingTypeNode),
+      directives: mergeDirectives(
+        existingTypeNode.directives,
+        typeNode.directives,
+      ),
+    };
+    const typeName = node.name.value;
+    if (isTypeDefinitionNode(mergedNode)) {
+      mergedNode.description = mergeDescriptions(
+        typeName,
+        existingTypeNode,
+        typeNode,
+      );
+    }
+
+    switch (kind) {
+      case Kind.OBJECT_TYPE_DEFINITION:
+      case Kind.INTERFACE_TYPE_DEFINITION:
+        mergedNode.interfaces = mergeByName(
+          existingTypeNode.interfaces,
+          typeNode.interfaces,
+          existingInterface => existingInterface,
+        );
+        mergedNode.fields = mergeByName(
+          existingTypeNode.fields,
+          typeNode.fields,
+          (f1, f2) => mergeFields(typeName, f1, f2),
+        );
+        break;
+      case Kind.UNION_TYPE_DEFINITION:
+        mergedNode.types = mergeByName(
+          existingTypeNode.types,
+          typeNode.types,
+          existingMember => existingMember,
+        );
+        break;
+      case Kind.ENUM_TYPE_DEFINITION:
+        mergedNode.values = mergeByName(
+          existingTypeNode.values,
+          typeNode.values,
+          (v1, v2) => mergeEnumValues(`${typeName}.${v2.name.value}`, v1, v2),
+        );
+        break;
+      case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+        mergedNode.fields = mergeByName(
+          existingTypeNode.fields,
+          typeNode.fields,
+          (f1, f2) => mergeInputValues(`${typeName}.${f2.name.value}`, f1, f2),
+        );
+        break;
+    }
+    return mergedNode;
+  }
+
+  function mergeDirectiveDefinitions(
+    existingNode: DirectiveDefinitionNode,
+    node: DirectiveDefinitionNode,
+  ): DirectiveDefinitionNode {
+    const coordinate = `@${node.name.value}`;
+    if (existingNode.repeatable !== node.repeatable) {
+      return resolveConflict(
+        `Directive "${coordinate}" is defined both as repeatable and as non-repeatable.`,
+        existingNode,
+        node,
+      );
+    }
+    return {
+      ...existingNode,
+      description: mergeDescriptions(coordinate, existingNode, node),
+      arguments: mergeByName(existingNode.arguments, node.arguments, (a1, a2) =>
+        mergeInputValues(`${coordinate}(${a2.name.value}:)`, a1, a2),
+      ),
+      locations: mergeByKey(
+        existingNode.locations,
+        node.locations,
+        location => location.value,
+        existingLocation => existingLocation,
+      ),
+    };
+  }
+
+  function mergeFields(
+    typeName: string,
+    existingField: FieldDefinitionNode,
+    field: FieldDefinitionNode,
+  ): FieldDefinitionNode {
+    const coordinate = `${typeName}.${field.name.value}`;
+    const existingType = print(existingField.type);
+    const type = print(field.type);
+    if (existingType !== type) {
+      return resolveConflict(
+        `Field "${coordinate}" is defined with both type "${existingType}" and type "${type}".`,
+        existingField,
+        field,
+      );
+    }
+    return {
+      ...existingField,
+      description: mergeDescriptions(coordinate, existingField, field),
+      arguments: mergeByName(
+        existingField.arguments,
+        field.arguments,
+        (a1, a2) =>
+          mergeInputValues(`${coordinate}(${a2.name.value}:)`, a1, a2),
+      ),
+      directives: mergeDeprecations(coordinate, existingField, field),
+    };
+  }
+
+  function mergeInputValues(
+    coordinate: string,
+    existingValue: InputValueDefinitionNode,
+    value: InputValueDefinitionNode,
+  ): InputValueDefinitionNode {
+    const existingType = print(existingValue.type);
+    const type = print(value.type);
+    if (existingType !== type) {
+      return resolveConflict(
+        `"${coordinate}" is defined with both type "${existingType}" and type "${type}".`,
+        existingValue,
+        value,
+      );
+    }
+
+    const existingDefault = existingValue.defaultValue
+      ? print(existingValue.defaultValue)
+      : 'no default value';
+    const defaultValue = value.defaultValue
+      ? print(value.defaultValue)
+      : 'no default value';
+    if (existingDefault !== defaultValue) {
+      return resolveConflict(
+        `"${coordinate}" is defined with both ${existingDefault} and ${defaultValue} as default value.`,
+        existingValue,
+        value,
+      );
+    }
+    return {
+      ...existingValue,
+      description: mergeDescriptions(coordinate, existingValue, value),
+      directives: mergeDeprecations(coordinate, existingValue, value),
+    };
+  }
+
+  function mergeEnumValues(
+    coordinate: string,
+    existingValue: EnumValueDefinitionNode,
+    value: EnumValueDefinitionNode,
+  ): EnumValueDefinitionNode {
+    return {
+      ...existingValue,
+      description: mergeDescriptions(coordinate, existingValue, value),
+      directives: mergeDeprecations(coordinate, existingValue, value),
+    };
+  }
+
+  // Descriptions are conflicting when both nodes have a different one.
+  function mergeDescriptions(
+    coordinate: string,
+    existingNode: { +description?: StringValueNode, ... },
+    node: { +description?: StringValueNode, ... },
+  ): StringValueNode | void {
+    const existingDescription = existingNode.description;
+    const description = node.description;
+    if (
+      existingDescription &&
+      description &&
+      existingDescription.value !== description.value
+    ) {
+      return resolveConflict(
+        `"${coordinate}" is defined with two different descriptions.`,
+        existingDescription,
+        description,
+      );
+    }
+    return existingDescription || description;
+  }
+
+  // Merges the applied directives of two nodes which may be deprecated. The
+  // deprecations are conflicting when both nodes are deprecated with a
+  // different reason.
+  function mergeDeprecations<
+    T: FieldDefinitionNode | InputValueDefinitionNode | EnumValueDefinitionNode,
+  >(coordinate: string, existingNode: T, node: T): Array<DirectiveNode> {
+    const existingReason = getDeprecationReason(existingNode);
+    const reason = getDeprecationReason(node);
+
+    let deprecatedNode = existingReason != null ? existingNode : node;
+    if (existingReason != null && reason != null && existingReason !== reason) {
+      deprecatedNode = resolveConflict(
+        `"${coordinate}" is deprecated with both reason "${existingReason}" and reason "${reason}".`,
+        existingNode,
+        node,
+      );
+    }
+
+    // Only the deprecation of one of the nodes is kept.
+    const deprecatedDirective = findDeprecatedDirective(deprecatedNode);
+    return mergeDirectives(existingNode.directives, node.directives).filter(
+      directive =>
+        directive.name.value !== GraphQLDeprecatedDirective.name ||
+        directive === deprecatedDirective,
+    );
+  }
+}
+
+/**
+ * Merges several SDL documents or schemas into a single schema, as described
+ * for `mergeTypeDefs`.
+ *
+ * The field resolvers, type resolvers, `isTypeOf` functions, scalar coercion
+ * functions and internal enum values of the given schemas are kept. Where
+ * several schemas provide them for the same element, those of the first
+ * schema are used, or those of the last one when `onConflict` is 'last'.
+ */
+export function mergeSchemas(
+  typeDefs: $ReadOnlyArray<DocumentNode | GraphQLSchema>,
+  options?: MergeSchemasOptions,
+): GraphQLSchema {
+  const onConflict = options && options.onConflict;
+  const schema = buildASTSchema(
+    mergeTypeDefs(typeDefs, { onConflict }),
+    options && {
+      assumeValid: options.assumeValid,
+      assumeValidSDL: options.assumeValidSDL,
+      commentDescriptions: options.commentDescriptions,
+    },
+  );
+
+  const sourceSchemas = [];
+  for (const typeDef of typeDefs) {
+    if (isSchema(typeDef)) {
+      sourceSchemas.push(typeDef);
+    }
+  }
+  if (sourceSchemas.length === 0) {
+    return schema;
+  }
+  if (onConflict === 'last') {
+    sourceSchemas.reverse();
+  }
+
+  function findSourceValue<T>(
+    getValue: (sourceSchema: GraphQLSchema) => ?T,
+  ): T | void {
+    for (const sourceSchema of sourceSchemas) {
+      const value = getValue(sourceSchema);
+      if (value != null) {
+        return value;
+      }
+    }
+  }
+
+  function findSourceField(typeName: string, fieldName: string, key: string) {
+    return findSourceValue(sourceSchema => {
+      const type = sourceSchema.getType(typeName);
+      if (isObjectType(type) || isInterfaceType(type)) {
+        const field = type.getFields()[fieldName];
+        return field && field[key];
+      }
+    });
+  }
+
+  return mapSchema(schema, {
+    mapScalarType: config => {
+      const sourceType = findSourceValue(sourceSchema => {
+        const type = sourceSchema.getType(config.name);
+        return isScalarType(type) && !isSpecifiedScalarType(type)
+          ? type
+          : undefined;
+      });
+      return sourceType
+        ? {
+            ...config,
+            serialize: sourceType.serialize,
+            parseValue: sourceType.parseValue,
+            parseLiteral: sourceType.parseLiteral,
+          }
+        : config;
+    },
+    mapObjectType: config => ({
+      ...config,
+      isTypeOf: findSourceValue(sourceSchema => {
+        const type = sourceSchema.getType(config.name);
+        return isObjectType(type) ? type.isTypeOf : undefined;
+      }),
+    }),
+    mapInterfaceType: config => ({
+      ...config,
+      resolveType: findSourceValue(sourceSchema => {
+        const type = sourceSchema.getType(config.name);
+        return isInterfaceType(type) ? type.resolveType : undefined;
+      }),
+    }),
+    mapUnionType: config => ({
+      ...config,
+      resolveType: findSourceValue(sourceSchema => {
+        const type = sourceSchema.getType(config.name);
+        return isUnionType(type) ? type.resolveType : undefined;
+      }),
+    }),
+    mapEnumValue: (config, valueName, typeName) => {
+      const sourceValue = findSourceValue(sourceSchema => {
+        const type = sourceSchema.getType(typeName);
+        return isEnumType(type) ? type.getValue(valueName) : undefined;
+      });
+      return sourceValue ? { ...config, value: sourceValue.value } : config;
+    },
+    mapField: (config, fieldName, typeName) => ({
+      ...config,
+      resolve: findSourceField(typeName, fieldName, 'resolve'),
+      subscribe: findSourceField(typeName, fieldName, 'subscribe'),
+    }),
+  });
+}
+
+function mergeByKey<T>(
+  existingNodes: ?$ReadOnlyArray<T>,
+  nodes: ?$ReadOnlyArray<T>,
+  getKey: (node: T) => string,
+  mergeNodes: (existingNode: T, node: T) => T,
+): Array<T> {
+  const mergedNodes = [...(existingNodes || [])];
+  const indexes = Object.create(null);
+  mergedNodes.forEach((node, index) => {
+    indexes[getKey(node)] = index;
+  });
+
+  for (const node of nodes || []) {
+    const key = getKey(node);
+    const index = indexes[key];
+    if (index === undefined) {
+      indexes[key] = mergedNodes.length;
+      mergedNodes.push(node);
+    } else {
+      mergedNodes[index] = mergeNodes(mergedNodes[index], node);
+    }
+  }
+  return mergedNodes;
+}
+
+function mergeByName<T: { +name: NameNode, ... }>(
+  existingNodes: ?$ReadOnlyArray<T>,
+  nodes: ?$ReadOnlyArray<T>,
+  mergeNodes: (existingNode: T, node: T) => T,
+): Array<T> {
+  return mergeByKey(existingNodes, nodes, node => node.name.value, mergeNodes);
+}
+
+function findDeprecatedDirective(node: {
+  +directives?: $ReadOnlyArray<DirectiveNode>,
+  ...
+}): ?DirectiveNode {
+  return find(
+    node.directives || [],
+    directive => directive.name.value === GraphQLDeprecatedDirective.name,
+  );
+}
+
+function getDeprecationReason(node: {
+  +directives?: $ReadOnlyArray<DirectiveNode>,
+  ...
+}): ?string {
+  const deprecatedDirective = findDeprecatedDirective(node);
+  if (!deprecatedDirective) {
+    return;
+  }
+  const reasonArg = find(
+    deprecatedDirective.arguments || [],
+    arg => arg.name.value === 'reason',
+  );
+  return reasonArg && reasonArg.value.kind === Kind.STRING
+    ? reasonArg.value.value
+    : DEFAULT_DEPRECATION_REASON;
+}
+
+// Applied directives are only kept once when they are applied with the same
+// arguments.
+function mergeDirectives(
+  existingDirectives: ?$ReadOnlyArray<DirectiveNode>,
+  directives: ?$ReadOnlyArray<DirectiveNode>,
+): Array<DirectiveNode> {
+  return mergeByKey(
+    existingDirectives,
+    directives,
+    directive => print(directive),
+    existingDirective => existingDirective,
+  );
+}
+
+function getDefinitionKind(node: NamedTypeSystemNode): string {
+  switch (node.kind) {
+    case Kind.SCALAR_TYPE_DEFINITION:
+    case Kind.SCALAR_TYPE_EXTENSION:
+      return Kind.SCALAR_TYPE_DEFINITION;
+    case Kind.OBJECT_TYPE_DEFINITION:
+    case Kind.OBJECT_TYPE_EXTENSION:
+      return Kind.OBJECT_TYPE_DEFINITION;
+    case Kind.INTERFACE_TYPE_DEFINITION:
+    case Kind.INTERFACE_TYPE_EXTENSION:
+      return Kind.INTERFACE_TYPE_DEFINITION;
+    case Kind.UNION_TYPE_DEFINITION:
+    case Kind.UNION_TYPE_EXTENSION:
+      return Kind.UNION_TYPE_DEFINITION;
+    case Kind.ENUM_TYPE_DEFINITION:
+    case Kind.ENUM_TYPE_EXTENSION:
+      return Kind.ENUM_TYPE_DEFINITION;
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+    case Kind.INPUT_OBJECT_TYPE_EXTENSION:
+      return Kind.INPUT_OBJECT_TYPE_DEFINITION;
+    case Kind.DIRECTIVE_DEFINITION:
+      return Kind.DIRECTIVE_DEFINITION;
+  }
+
+  // Not reachable. All possible nodes have been considered.
+  invariant(false, 'Unexpected node: ' + inspect((node: empty)));
+}
+
+function describeKind(kind: string): string {
+  switch (kind) {
+    case Kind.SCALAR_TYPE_DEFINITION:
+      return 'a scalar type';
+    case Kind.OBJECT_TYPE_DEFINITION:
+      return 'an object type';
+    case Kind.INTERFACE_TYPE_DEFINITION:
+      return 'an interface type';
+    case Kind.UNION_TYPE_DEFINITION:
+      return 'a union type';
+    case Kind.ENUM_TYPE_DEFINITION:
+      return 'an enum type';
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+      return 'an input object type';
+  }
+  return 'a directive';
+}
@@ -0,0 +1,13 @@
+import { GraphQLSchema } from '../type/schema';
+
+/**
+ * Removes the types which cannot be reached from the root operation types or
+ * from the arguments of directives, along with the types left without fields,
+ * union members or enum values. Types lacking some of the fields of an
+ * interface they implement no longer implement it.
+ *
+ * Removing a type may leave other types unreachable or empty, so the schema is
+ * pruned again until nothing more can be removed. Introspection types and
+ * specified scalar types are always kept.
+ */
+export function pruneSchema(schema: GraphQLSchema): GraphQLSchema;
@@ -0,0 +1,185 @@
+// @flow strict
+
+import objectValues from '../polyfills/objectValues';
+
+import { type ObjMap } from '../jsutils/ObjMap';
+
+import { type GraphQLSchema } from '../type/schema';
+import { isIntrospectionType } from '../type/introspection';
+import {
+  type Thunk,
+  type GraphQLNamedType,
+  type GraphQLObjectType,
+  type GraphQLInterfaceType,
+  getNamedType,
+  isObjectType,
+  isInterfaceType,
+  isUnionType,
+  isEnumType,
+  isInputObjectType,
+  resolveThunk,
+} from '../type/definition';
+
+import { mapSchema } from './mapSchema';
+
+/**
+ * Removes the types which cannot be reached from the root operation types or
+ * from the arguments of directives, along with the types left without fields,
+ * union members or enum values. Types lacking some of the fields of an
+ * interface they implement no longer implement it.
+ *
+ * Removing a type may leave other types unreachable or empty, so the schema is
+ * pruned again until nothing more can be removed. Introspection types and
+ * specified scalar types are always kept.
+ */
+export function pruneSchema(schema: GraphQLSchema): GraphQLSchema {
+  const removedTypes = collectRemovedTypes(schema);
+  const danglingInterfaces = collectDanglingInterfaces(schema);
+  if (
+    Object.keys(removedTypes).length === 0 &&
+    Object.keys(danglingInterfaces).length === 0
+  ) {
+    return schema;
+  }
+
+  function mapType<T: { +name: string, ... }>(config: T): ?T {
+    return removedTypes[config.name] === true ? null : config;
+  }
+
+  function implementedInterfaces(config: {
+    +name: string,
+    +interfaces?: Thunk<?Array<GraphQLInterfaceType>>,
+    ...
+  }): Array<GraphQLInterfaceType> {
+    return (resolveThunk(config.interfaces) || []).filter(
+      iface => danglingInterfaces[`${config.name}.${iface.name}`] !== true,
+    );
+  }
+
+  const prunedSchema = mapSchema(schema, {
+    mapScalarType: mapType,
+    mapObjectType: config =>
+      mapType({ ...config, interfaces: implementedInterfaces(config) }),
+    mapInterfaceType: config =>
+      mapType({ ...config, interfaces: implementedInterfaces(config) }),
+    mapUnionType: mapType,
+    mapEnumType: mapType,
+    mapInputObjectType: mapType,
+  });
+
+  // Stop once an iteration removes nothing, so types which the schema always
+  // adds back can never cause an endless loop.
+  const typeCount = Object.keys(schema.getTypeMap()).length;
+  const prunedTypeCount = Object.keys(prunedSchema.getTypeMap()).length;
+  if (
+    prunedTypeCount === typeCount &&
+    Object.keys(danglingInterfaces).length === 0
+  ) {
+    return prunedSchema;
+  }
+  return pruneSchema(prunedSchema);
+}
+
+function collectRemovedTypes(schema: GraphQLSchema): ObjMap<true> {
+  const reachableTypes = collectReachableTypes(schema);
+  const removedTypes = Object.create(null);
+  for (const type of objectValues(schema.getTypeMap())) {
+    if (
+      !isIntrospectionType(type) &&
+      (reachableTypes[type.name] !== true || isEmptyType(type))
+    ) {
+      removedTypes[type.name] = true;
+    }
+  }
+  return removedTypes;
+}
+
+function collectReachableTypes(schema: GraphQLSchema): ObjMap<true> {
+  const reachableTypes = Object.create(null);
+  // The types referenced by the introspection types, such as String and
+  // Boolean, are part of every schema.
+  const typesToVisit: Array<GraphQLNamedType> = objectValues(
+    schema.getTypeMap(),
+  ).filter(type => isIntrospectionType(type));
+  for (const rootType of [
+    schema.getQueryType(),
+    schema.getMutationType(),
+    schema.getSubscriptionType(),
+  ]) {
+    if (rootType) {
+      typesToVisit.push(rootType);
+    }
+  }
+  for (const directive of schema.getDirectives()) {
+    for (const arg of directive.args) {
+      typesToVisit.push(getNamedType(arg.type));
+    }
+  }
+
+  while (typesToVisit.length > 0) {
+    const type = typesToVisit.pop();
+    if (reachableTypes[type.name] === true) {
+      continue;
+    }
+    reachableTypes[type.name] = true;
+
+    if (isObjectType(type) || isInterfaceType(type)) {
+      typesToVisit.push(...type.getInterfaces());
+      for (const field of objectValues(type.getFields())) {
+        typesToVisit.push(getNamedType(field.type));
+        for (const arg of field.args) {
+          typesToVisit.push(getNamedType(arg.type));
+        }
+      }
+    }
+    if (isInterfaceType(type)) {
+      // Fields of an interface type may resolve to any of its implementations.
+      const { objects, interfaces } = schema.getImplementations(type);
+      typesToVisit.push(...objects, ...interfaces);
+    } else if (isUnionType(type)) {
+      typesToVisit.push(...type.getTypes());
+    } else if (isInputObjectType(type)) {
+      for (const field of objectValues(type.getFields())) {
+        typesToVisit.push(getNamedType(field.type));
+      }
+    }
+  }
+  return reachableTypes;
+}
+
+function isEmptyType(type: GraphQLNamedType): boolean {
+  if (isObjectType(type) || isInterfaceType(type) || isInputObjectType(type)) {
+    return Object.keys(type.getFields()).length === 0;
+  } else if (isUnionType(type)) {
+    return type.getTypes().length === 0;
+  } else if (isEnumType(type)) {
+    return type.getValues().length === 0;
+  }
+  return false;
+}
+
+// Returns the interfaces implemented by a type which lacks some of their
+// fields, keyed by `TypeName.InterfaceName`.
+function collectDanglingInterfaces(schema: GraphQLSchema): ObjMap<true> {
+  const danglingInterfaces = Object.create(null);
+  for (const type of objectValues(schema.getTypeMap())) {
+    if (isObjectType(type) || isInterfaceType(type)) {
+      for (const iface of type.getInterfaces()) {
+        if (!implementsAllFields(type, iface)) {
+          danglingInterfaces[`${type.name}.${iface.name}`] = true;
+        }
+      }
+    }
+  }
+  return danglingInterfaces;
+}
+
+function implementsAllFields(
+  type: GraphQLObjectType | GraphQLInterfaceType,
+  iface: GraphQLInterfaceType,
+): boolean {
+  const fields = type.getFields();
+  return Object.keys(iface.getFields()).every(
+    fieldName => fields[fieldName] !== undefined,
+  );
+}
@@ -0,0 +1,72 @@
+import { Source } from '../language/source';
+import { SchemaCoordinateNode } from '../language/ast';
+
+import { GraphQLSchema } from '../type/schema';
+import { GraphQLDirective } from '../type/directives';
+import {
+  GraphQLNamedType,
+  GraphQLField,
+  GraphQLArgument,
+  GraphQLInputField,
+  GraphQLEnumValue,
+} from '../type/definition';
+
+/**
+ * The schema element named by a schema coordinate, see
+ * `resolveSchemaCoordinate`.
+ */
+export type ResolvedSchemaElement =
+  | {
+      readonly kind: 'NamedType';
+      readonly type: GraphQLNamedType;
+    }
+  | {
+      readonly kind: 'Field';
+      readonly type: GraphQLNamedType;
+      readonly field: GraphQLField<any, any>;
+    }
+  | {
+      readonly kind: 'InputField';
+      readonly type: GraphQLNamedType;
+      readonly inputField: GraphQLInputField;
+    }
+  | {
+      readonly kind: 'EnumValue';
+      readonly type: GraphQLNamedType;
+      readonly enumValue: GraphQLEnumValue;
+    }
+  | {
+      readonly kind: 'FieldArgument';
+      readonly type: GraphQLNamedType;
+      readonly field: GraphQLField<any, any>;
+      readonly fieldArgument: GraphQLArgument;
+    }
+  | {
+      readonly kind: 'Directive';
+      readonly directive: GraphQLDirective;
+    }
+  | {
+      readonly kind: 'DirectiveArgument';
+      readonly directive: GraphQLDirective;
+      readonly directiveArgument: GraphQLArgument;
+    };
+
+/**
+ * Given a schema and a schema coordinate (ex. `Type.field(arg:)`), returns the
+ * type, field, input field, enum value, argument or directive it names, or
+ * undefined if the schema has no such element.
+ *
+ * Throws GraphQLError if the schema coordinate cannot be parsed.
+ */
+export function resolveSchemaCoordinate(
+  schema: GraphQLSchema,
+  schemaCoordinate: string | Source,
+): ResolvedSchemaElement | undefined;
+
+/**
+ * Resolves a schema coordinate AST, see `resolveSchemaCoordinate`.
+ */
+export function resolveASTSchemaCoordinate(
+  schema: GraphQLSchema,
+  schemaCoordinate: SchemaCoordinateNode,
+): ResolvedSchemaElement | undefined;
@@ -0,0 +1,148 @@
+// @flow strict
+
+import find from '../polyfills/find';
+
+import { type Source } from '../language/source';
+import { type SchemaCoordinateNode } from '../language/ast';
+import { parseSchemaCoordinate } from '../language/parser';
+
+import { type GraphQLSchema } from '../type/schema';
+import { type GraphQLDirective } from '../type/directives';
+import {
+  type GraphQLNamedType,
+  type GraphQLField,
+  type GraphQLArgument,
+  type GraphQLInputField,
+  type GraphQLEnumValue,
+  isObjectType,
+  isInterfaceType,
+  isEnumType,
+  isInputObjectType,
+} from '../type/definition';
+
+/**
+ * The schema element named by a schema coordinate, see
+ * `resolveSchemaCoordinate`.
+ */
+export type ResolvedSchemaElement =
+  | {|
+      +kind: 'NamedType',
+      +type: GraphQLNamedType,
+    |}
+  | {|
+      +kind: 'Field',
+      +type: GraphQLNamedType,
+      +field: GraphQLField<mixed, mixed>,
+    |}
+  | {|
+      +kind: 'InputField',
+      +type: GraphQLNamedType,
+      +inputField: GraphQLInputField,
+    |}
+  | {|
+      +kind: 'EnumValue',
+      +type: GraphQLNamedType,
+      +enumValue: GraphQLEnumValue,
+    |}
+  | {|
+      +kind: 'FieldArgument',
+      +type: GraphQLNamedType,
+      +field: GraphQLField<mixed, mixed>,
+      +fieldArgument: GraphQLArgument,
+    |}
+  | {|
+      +kind: 'Directive',
+      +directive: GraphQLDirective,
+    |}
+  | {|
+      +kind: 'DirectiveArgument',
+      +directive: GraphQLDirective,
+      +directiveArgument: GraphQLArgument,
+    |};
+
+/**
+ * Given a schema and a schema coordinate (ex. `Type.field(arg:)`), returns the
+ * type, field, input field, enum value, argument or directive it names, or
+ * undefined if the schema has no such element.
+ *
+ * Throws GraphQLError if the schema coordinate cannot be parsed.
+ */
+export function resolveSchemaCoordinate(
+  schema: GraphQLSchema,
+  schemaCoordinate: string | Source,
+): ResolvedSchemaElement | void {
+  return resolveASTSchemaCoordinate(
+    schema,
+    parseSchemaCoordinate(schemaCoordinate),
+  );
+}
+
+/**
+ * Resolves a schema coordinate AST, see `resolveSchemaCoordinate`.
+ */
+export function resolveASTSchemaCoordinate(
+  schema: GraphQLSchema,
+  schemaCoordinate: SchemaCoordinateNode,
+): ResolvedSchemaElement | void {
+  const { ofDirective, name, memberName, argumentName } = schemaCoordinate;
+
+  if (ofDirective) {
+    const directive = schema.getDirective(name.value);
+    if (!directive) {
+      return;
+    }
+    if (!argumentName) {
+      return { kind: 'Directive', directive };
+    }
+    const directiveArgument = find(
+      directive.args,
+      arg => arg.name === argumentName.value,
+    );
+    if (!directiveArgument) {
+      return;
+    }
+    return { kind: 'DirectiveArgument', directive, directiveArgument };
+  }
+
+  const type = schema.getType(name.value);
+  if (!type) {
+    return;
+  }
+  if (!memberName) {
+    return { kind: 'NamedType', type };
+  }
+
+  if (isEnumType(type)) {
+    const enumValue = type.getValue(memberName.value);
+    if (!enumValue || argumentName) {
+      return;
+    }
+    return { kind: 'EnumValue', type, enumValue };
+  }
+
+  if (isInputObjectType(type)) {
+    const inputField = type.getFields()[memberName.value];
+    if (!inputField || argumentName) {
+      return;
+    }
+    return { kind: 'InputField', type, inputField };
+  }
+
+  if (isObjectType(type) || isInterfaceType(type)) {
+    const field = type.getFields()[memberName.value];
+    if (!field) {
+      return;
+    }
+    if (!argumentName) {
+      return { kind: 'Field', type, field };
+    }
+    const fieldArgument = find(
+      field.args,
+      arg => arg.name === argumentName.value,
+    );
+    if (!fieldArgument) {
+      return;
+    }
+    return { kind: 'FieldArgument', type, field, fieldArgument };
+  }
+}
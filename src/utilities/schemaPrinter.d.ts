@@ -11,6 +11,15 @@ export interface Options {
    * Default: false
    */
   commentDescriptions?: boolean;
+
+  /**
+   * Set to true to print the directives applied to the schema, types, fields,
+   * arguments, input fields and enum values, other than the specified
+   * directives which are always printed.
+   *
+   * Default: false
+   */
+  appliedDirectives?: boolean;
 }
 
 /**
@@ -19,6 +28,9 @@ export interface Options {
  *    - commentDescriptions:
  *        Provide true to use preceding comments as the description.
  *
+ *    - appliedDirectives:
+ *        Provide true to print the applied directives.
+ *
  */
 export function printSchema(schema: GraphQLSchema, options?: Options): string;
 
@@ -27,4 +39,8 @@ export function printIntrospectionSchema(
   options?: Options,
 ): string;
 
+/**
+ * Without the schema, the arguments of applied directives are printed
+ * according to their JavaScript values rather than the argument types.
+ */
 export function printType(type: GraphQLNamedType, options?: Options): string;
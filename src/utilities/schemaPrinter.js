@@ -1,10 +1,16 @@
 // @flow strict
 
+import find from '../polyfills/find';
+import isFinite from '../polyfills/isFinite';
+import isInteger from '../polyfills/isInteger';
 import objectValues from '../polyfills/objectValues';
 
 import inspect from '../jsutils/inspect';
 import invariant from '../jsutils/invariant';
+import isObjectLike from '../jsutils/isObjectLike';
 
+import { Kind } from '../language/kinds';
+import { type ValueNode } from '../language/ast';
 import { print } from '../language/printer';
 import { printBlockString } from '../language/blockString';
 
@@ -12,6 +18,7 @@ import { type GraphQLSchema } from '../type/schema';
 import { isIntrospectionType } from '../type/introspection';
 import { GraphQLString, isSpecifiedScalarType } from '../type/scalars';
 import {
+  type GraphQLAppliedDirective,
   GraphQLDirective,
   DEFAULT_DEPRECATION_REASON,
   isSpecifiedDirective,
@@ -24,12 +31,15 @@ import {
   type GraphQLInterfaceType,
   type GraphQLUnionType,
   type GraphQLInputObjectType,
+  type GraphQLInputType,
   isScalarType,
   isObjectType,
   isInterfaceType,
   isUnionType,
   isEnumType,
   isInputObjectType,
+  isListType,
+  isNonNullType,
 } from '../type/definition';
 
 import { astFromValue } from '../utilities/astFromValue';
@@ -44,6 +54,22 @@ type Options = {|
    * Default: false
    */
   commentDescriptions?: boolean,
+
+  /**
+   * Set to true to print the directives applied to the schema, types, fields,
+   * arguments, input fields and enum values, other than the specified
+   * directives which are always printed.
+   *
+   * Default: false
+   */
+  appliedDirectives?: boolean,
+|};
+
+// The schema being printed, if any, provides the types of the arguments of
+// applied directives.
+type PrintOptions = {|
+  ...Options,
+  schema?: GraphQLSchema,
 |};
 
 /**
@@ -52,6 +78,9 @@ type Options = {|
  *    - commentDescriptions:
  *        Provide true to use preceding comments as the description.
  *
+ *    - appliedDirectives:
+ *        Provide true to print the applied directives.
+ *
  */
 export function printSchema(schema: GraphQLSchema, options?: Options): string {
   return printFilteredSchema(
@@ -82,8 +111,9 @@ function printFilteredSchema(
   schema: GraphQLSchema,
   directiveFilter: (type: GraphQLDirective) => boolean,
   typeFilter: (type: GraphQLNamedType) => boolean,
-  options,
+  options: ?Options,
 ): string {
+  const printOptions = { ...options, schema };
   const directives = schema.getDirectives().filter(directiveFilter);
   const typeMap = schema.getTypeMap();
   const types = objectValues(typeMap)
@@ -91,18 +121,26 @@ function printFilteredSchema(
     .filter(typeFilter);
 
   return (
-    [printSchemaDefinition(schema)]
+    [printSchemaDefinition(schema, printOptions)]
       .concat(
-        directives.map(directive => printDirective(directive, options)),
-        types.map(type => printType(type, options)),
+        directives.map(directive => printDirective(directive, printOptions)),
+        types.map(type => printNamedType(type, printOptions)),
       )
       .filter(Boolean)
       .join('\n\n') + '\n'
   );
 }
 
-function printSchemaDefinition(schema: GraphQLSchema): ?string {
-  if (isSchemaOfCommonNames(schema)) {
+function printSchemaDefinition(
+  schema: GraphQLSchema,
+  options: PrintOptions,
+): ?string {
+  const appliedDirectives = printAppliedDirectives(options, schema);
+  if (
+    schema.description == null &&
+    appliedDirectives === '' &&
+    isSchemaOfCommonNames(schema)
+  ) {
     return;
   }
 
@@ -123,7 +161,10 @@ function printSchemaDefinition(schema: GraphQLSchema): ?string {
     operationTypes.push(`  subscription: ${subscriptionType.name}`);
   }
 
-  return `schema {\n${operationTypes.join('\n')}\n}`;
+  return (
+    printDescription(options, schema) +
+    `schema${appliedDirectives} {\n${operationTypes.join('\n')}\n}`
+  );
 }
 
 /**
@@ -157,7 +198,15 @@ function isSchemaOfCommonNames(schema: GraphQLSchema): boolean {
   return true;
 }
 
+/**
+ * Without the schema, the arguments of applied directives are printed
+ * according to their JavaScript values rather than the argument types.
+ */
 export function printType(type: GraphQLNamedType, options?: Options): string {
+  return printNamedType(type, { ...options });
+}
+
+function printNamedType(type: GraphQLNamedType, options: PrintOptions): string {
   if (isScalarType(type)) {
     return printScalar(type, options);
   } else if (isObjectType(type)) {
@@ -177,7 +226,12 @@ export function printType(type: GraphQLNamedType, options?: Options): string {
 }
 
 function printScalar(type: GraphQLScalarType, options): string {
-  return printDescription(options, type) + `scalar ${type.name}`;
+  return (
+    printDescription(options, type) +
+    `scalar ${type.name}` +
+    printSpecifiedByUrl(type) +
+    printAppliedDirectives(options, type)
+  );
 }
 
 function printImplementedInterfaces(
@@ -194,6 +248,7 @@ function printObject(type: GraphQLObjectType, options): string {
     printDescription(options, type) +
     `type ${type.name}` +
     printImplementedInterfaces(type) +
+    printAppliedDirectives(options, type) +
     printFields(options, type)
   );
 }
@@ -203,6 +258,7 @@ function printInterface(type: GraphQLInterfaceType, options): string {
     printDescription(options, type) +
     `interface ${type.name}` +
     printImplementedInterfaces(type) +
+    printAppliedDirectives(options, type) +
     printFields(options, type)
   );
 }
@@ -210,7 +266,13 @@ function printInterface(type: GraphQLInterfaceType, options): string {
 function printUnion(type: GraphQLUnionType, options): string {
   const types = type.getTypes();
   const possibleTypes = types.length ? ' = ' + types.join(' | ') : '';
-  return printDescription(options, type) + 'union ' + type.name + possibleTypes;
+  return (
+    printDescription(options, type) +
+    'union ' +
+    type.name +
+    printAppliedDirectives(options, type) +
+    possibleTypes
+  );
 }
 
 function printEnum(type: GraphQLEnumType, options): string {
@@ -221,21 +283,31 @@ function printEnum(type: GraphQLEnumType, options): string {
         printDescription(options, value, '  ', !i) +
         '  ' +
         value.name +
-        printDeprecated(value),
+        printDeprecated(value) +
+        printAppliedDirectives(options, value),
     );
 
   return (
-    printDescription(options, type) + `enum ${type.name}` + printBlock(values)
+    printDescription(options, type) +
+    `enum ${type.name}` +
+    printAppliedDirectives(options, type) +
+    printBlock(values)
   );
 }
 
 function printInputObject(type: GraphQLInputObjectType, options): string {
   const fields = objectValues(type.getFields()).map(
     (f, i) =>
-      printDescription(options, f, '  ', !i) + '  ' + printInputValue(f),
+      printDescription(options, f, '  ', !i) +
+      '  ' +
+      printInputValue(options, f),
   );
   return (
-    printDescription(options, type) + `input ${type.name}` + printBlock(fields)
+    printDescription(options, type) +
+    `input ${type.name}` +
+    (type.isOneOf ? ' @oneOf' : '') +
+    printAppliedDirectives(options, type) +
+    printBlock(fields)
   );
 }
 
@@ -248,7 +320,8 @@ function printFields(options, type) {
       printArgs(options, f.args, '  ') +
       ': ' +
       String(f.type) +
-      printDeprecated(f),
+      printDeprecated(f) +
+      printAppliedDirectives(options, f),
   );
   return printBlock(fields);
 }
@@ -264,7 +337,9 @@ function printArgs(options, args, indentation = '') {
 
   // If every arg does not have a description, print them on one line.
   if (args.every(arg => !arg.description)) {
-    return '(' + args.map(printInputValue).join(', ') + ')';
+    return (
+      '(' + args.map(arg => printInputValue(options, arg)).join(', ') + ')'
+    );
   }
 
   return (
@@ -275,7 +350,7 @@ function printArgs(options, args, indentation = '') {
           printDescription(options, arg, '  ' + indentation, !i) +
           '  ' +
           indentation +
-          printInputValue(arg),
+          printInputValue(options, arg),
       )
       .join('\n') +
     '\n' +
@@ -284,13 +359,13 @@ function printArgs(options, args, indentation = '') {
   );
 }
 
-function printInputValue(arg) {
+function printInputValue(options, arg) {
   const defaultAST = astFromValue(arg.defaultValue, arg.type);
   let argDecl = arg.name + ': ' + String(arg.type);
   if (defaultAST) {
     argDecl += ` = ${print(defaultAST)}`;
   }
-  return argDecl;
+  return argDecl + printDeprecated(arg) + printAppliedDirectives(options, arg);
 }
 
 function printDirective(directive, options) {
@@ -305,11 +380,11 @@ function printDirective(directive, options) {
   );
 }
 
-function printDeprecated(fieldOrEnumVal) {
-  if (!fieldOrEnumVal.isDeprecated) {
+function printDeprecated(element) {
+  if (!element.isDeprecated) {
     return '';
   }
-  const reason = fieldOrEnumVal.deprecationReason;
+  const reason = element.deprecationReason;
   const reasonAST = astFromValue(reason, GraphQLString);
   if (reasonAST && reason !== DEFAULT_DEPRECATION_REASON) {
     return ' @deprecated(reason: ' + print(reasonAST) + ')';
@@ -317,6 +392,152 @@ function printDeprecated(fieldOrEnumVal) {
   return ' @deprecated';
 }
 
+function printAppliedDirectives(
+  options: PrintOptions,
+  element: {
+    +appliedDirectives: $ReadOnlyArray<GraphQLAppliedDirective>,
+    ...
+  },
+): string {
+  if (!options.appliedDirectives) {
+    return '';
+  }
+  return element.appliedDirectives
+    .map(
+      appliedDirective =>
+        ' ' + printAppliedDirective(options, appliedDirective),
+    )
+    .join('');
+}
+
+function printAppliedDirective(
+  options: PrintOptions,
+  appliedDirective: GraphQLAppliedDirective,
+): string {
+  const { schema } = options;
+  const directive = schema && schema.getDirective(appliedDirective.name);
+  const argValues = appliedDirective.args || {};
+
+  const args = [];
+  for (const argName of Object.keys(argValues)) {
+    const arg =
+      directive && find(directive.args, ({ name }) => name === argName);
+    const valueAST = arg
+      ? astFromExternalValue(argValues[argName], arg.type)
+      : astFromUntypedValue(argValues[argName]);
+    if (valueAST) {
+      args.push(argName + ': ' + print(valueAST));
+    }
+  }
+
+  return (
+    '@' +
+    appliedDirective.name +
+    (args.length !== 0 ? '(' + args.join(', ') + ')' : '')
+  );
+}
+
+// The arguments of applied directives hold external input values, such as
+// those produced by `valueFromASTUntyped`, in which enum values are given by
+// name. They are printed as such, without serializing them.
+function astFromExternalValue(
+  value: mixed,
+  type: GraphQLInputType,
+): ?ValueNode {
+  if (isNonNullType(type)) {
+    return astFromExternalValue(value, type.ofType);
+  }
+  if (value === null) {
+    return { kind: Kind.NULL };
+  }
+  if (isListType(type)) {
+    if (!Array.isArray(value)) {
+      return astFromExternalValue(value, type.ofType);
+    }
+    const values = [];
+    for (const item of value) {
+      const itemNode = astFromExternalValue(item, type.ofType);
+      if (itemNode) {
+        values.push(itemNode);
+      }
+    }
+    return { kind: Kind.LIST, values };
+  }
+  if (isInputObjectType(type) && isObjectLike(value)) {
+    const fieldDefs = type.getFields();
+    const fields = [];
+    for (const fieldName of Object.keys(value)) {
+      const fieldDef = fieldDefs[fieldName];
+      const fieldValue = fieldDef
+        ? astFromExternalValue(value[fieldName], fieldDef.type)
+        : astFromUntypedValue(value[fieldName]);
+      if (fieldValue) {
+        fields.push({
+          kind: Kind.OBJECT_FIELD,
+          name: { kind: Kind.NAME, value: fieldName },
+          value: fieldValue,
+        });
+      }
+    }
+    return { kind: Kind.OBJECT, fields };
+  }
+  if (isEnumType(type) && typeof value === 'string') {
+    return { kind: Kind.ENUM, value };
+  }
+  return astFromUntypedValue(value);
+}
+
+// Arguments of directives which are unknown to the printed schema are printed
+// according to their JavaScript values.
+function astFromUntypedValue(value: mixed): ?ValueNode {
+  if (value === null) {
+    return { kind: Kind.NULL };
+  } else if (typeof value === 'boolean') {
+    return { kind: Kind.BOOLEAN, value };
+  } else if (typeof value === 'number' && isFinite(value)) {
+    return isInteger(value)
+      ? { kind: Kind.INT, value: String(value) }
+      : { kind: Kind.FLOAT, value: String(value) };
+  } else if (typeof value === 'string') {
+    return { kind: Kind.STRING, value };
+  } else if (Array.isArray(value)) {
+    const values = [];
+    for (const item of value) {
+      const itemNode = astFromUntypedValue(item);
+      if (itemNode) {
+        values.push(itemNode);
+      }
+    }
+    return { kind: Kind.LIST, values };
+  } else if (isObjectLike(value)) {
+    const fields = [];
+    for (const fieldName of Object.keys(value)) {
+      const fieldValue = astFromUntypedValue(value[fieldName]);
+      if (fieldValue) {
+        fields.push({
+          kind: Kind.OBJECT_FIELD,
+          name: { kind: Kind.NAME, value: fieldName },
+          value: fieldValue,
+        });
+      }
+    }
+    return { kind: Kind.OBJECT, fields };
+  }
+}
+
+function printSpecifiedByUrl(scalar: GraphQLScalarType): string {
+  if (scalar.specifiedByUrl == null) {
+    return '';
+  }
+  const url = scalar.specifiedByUrl;
+  const urlAST = astFromValue(url, GraphQLString);
+  invariant(
+    urlAST,
+    'Unexpected null value returned from `astFromValue` for specifiedByUrl',
+  );
+  return ' @specifiedBy(url: ' + print(urlAST) + ')';
+}
+
 function printDescription(
   options,
   def,
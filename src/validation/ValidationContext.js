@@ -28,7 +28,7 @@ import {
 import { TypeInfo, visitWithTypeInfo } from '../utilities/TypeInfo';
 
 type NodeWithSelectionSet = OperationDefinitionNode | FragmentDefinitionNode;
-type VariableUsage = {|
+export type VariableUsage = {|
   +node: VariableNode,
   +type: ?GraphQLInputType,
   +defaultValue: ?mixed,
@@ -183,6 +183,9 @@ export class ValidationContext extends ASTValidationContext {
     if (!usages) {
       const newUsages = [];
       const typeInfo = new TypeInfo(this._schema);
+      // Entering the document lets TypeInfo type the arguments of fragment
+      // spreads with the variable definitions of the spread fragments.
+      typeInfo.enter(this._ast);
       visit(
         node,
         visitWithTypeInfo(typeInfo, {
@@ -209,7 +212,16 @@ export class ValidationContext extends ASTValidationContext {
     if (!usages) {
       usages = this.getVariableUsages(operation);
       for (const frag of this.getRecursivelyReferencedFragments(operation)) {
-        usages = usages.concat(this.getVariableUsages(frag));
+        // Variables defined by a fragment are scoped to it, so only the other
+        // variables used by the fragment are variables of the operation.
+        const fragmentVariables = (frag.variableDefinitions || []).map(
+          def => def.variable.name.value,
+        );
+        usages = usages.concat(
+          this.getVariableUsages(frag).filter(
+            ({ node }) => fragmentVariables.indexOf(node.name.value) === -1,
+          ),
+        );
       }
       this._recursiveVariableUsages.set(operation, usages);
     }
@@ -0,0 +1,139 @@
+// @flow strict
+
+import { describe, it } from 'mocha';
+
+import { DeferStreamDirectiveLabel } from '../rules/DeferStreamDirectiveLabel';
+
+import { expectValidationErrors } from './harness';
+
+function expectErrors(queryStr) {
+  return expectValidationErrors(DeferStreamDirectiveLabel, queryStr);
+}
+
+function expectValid(queryStr) {
+  expectErrors(queryStr).to.deep.equal([]);
+}
+
+describe('Validate: Defer/Stream directive labels', () => {
+  it('defer fragments with no label', () => {
+    expectValid(`
+      {
+        dog {
+          ...dogFragmentA @defer
+          ...dogFragmentB @defer
+        }
+      }
+      fragment dogFragmentA on Dog {
+        name
+      }
+      fragment dogFragmentB on Dog {
+        nickname
+      }
+    `);
+  });
+
+  it('defer and stream with unique labels', () => {
+    expectValid(`
+      {
+        dog {
+          ...dogFragment @defer(label: "dogDefer")
+          ... on Dog @defer(label: "inlineDefer") {
+            barks
+          }
+        }
+        human {
+          pets @stream(label: "petStream", initialCount: 1) {
+            name
+          }
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `);
+  });
+
+  it('labels of other directives are ignored', () => {
+    expectValid(`
+      {
+        dog @onField(label: "dup") {
+          ...dogFragment @defer(label: "dup")
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `);
+  });
+
+  it('defer fragments with the same label', () => {
+    expectErrors(`
+      {
+        dog {
+          ...dogFragmentA @defer(label: "fragA")
+          ...dogFragmentB @defer(label: "fragA")
+        }
+      }
+      fragment dogFragmentA on Dog {
+        name
+      }
+      fragment dogFragmentB on Dog {
+        nickname
+      }
+    `).to.deep.equal([
+      {
+        message:
+          'Directive label "fragA" must be unique among all "@defer" and "@stream" directives.',
+        locations: [
+          { line: 4, column: 27 },
+          { line: 5, column: 27 },
+        ],
+      },
+    ]);
+  });
+
+  it('defer and stream with the same label', () => {
+    expectErrors(`
+      {
+        dog {
+          ...dogFragment @defer(label: "MyLabel")
+        }
+        human {
+          pets @stream(label: "MyLabel") {
+            name
+          }
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `).to.deep.equal([
+      {
+        message:
+          'Directive label "MyLabel" must be unique among all "@defer" and "@stream" directives.',
+        locations: [
+          { line: 4, column: 26 },
+          { line: 7, column: 16 },
+        ],
+      },
+    ]);
+  });
+
+  it('label passed as a variable', () => {
+    expectErrors(`
+      query ($label: String) {
+        dog {
+          ...dogFragment @defer(label: $label)
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `).to.deep.equal([
+      {
+        message: 'Directive "@defer" label argument must be a static string.',
+        locations: [{ line: 4, column: 26 }],
+      },
+    ]);
+  });
+});
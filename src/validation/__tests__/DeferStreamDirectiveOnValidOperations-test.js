@@ -0,0 +1,128 @@
+// @flow strict
+
+import { describe, it } from 'mocha';
+
+import { DeferStreamDirectiveOnValidOperations } from '../rules/DeferStreamDirectiveOnValidOperations';
+
+import { expectValidationErrors } from './harness';
+
+function expectErrors(queryStr) {
+  return expectValidationErrors(
+    DeferStreamDirectiveOnValidOperations,
+    queryStr,
+  );
+}
+
+function expectValid(queryStr) {
+  expectErrors(queryStr).to.deep.equal([]);
+}
+
+describe('Validate: Defer/Stream directive on valid operations', () => {
+  it('defer and stream in queries and mutations', () => {
+    expectValid(`
+      query {
+        dog {
+          ...dogFragment @defer
+        }
+      }
+      mutation {
+        human {
+          pets @stream {
+            name
+          }
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `);
+  });
+
+  it('defer in a fragment not used by a subscription', () => {
+    expectValid(`
+      subscription {
+        dog {
+          name
+        }
+      }
+      query {
+        dog {
+          ...dogFragment
+        }
+      }
+      fragment dogFragment on Dog {
+        ... on Dog @defer {
+          nickname
+        }
+      }
+    `);
+  });
+
+  it('defer and stream disabled on subscriptions', () => {
+    expectValid(`
+      subscription ($enabled: Boolean) {
+        dog {
+          ...dogFragment @defer(if: false)
+        }
+        human {
+          pets @stream(if: $enabled) {
+            name
+          }
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `);
+  });
+
+  it('defer and stream on subscriptions', () => {
+    expectErrors(`
+      subscription {
+        dog {
+          ...dogFragment @defer
+        }
+        human {
+          pets @stream(if: true) {
+            name
+          }
+        }
+      }
+      fragment dogFragment on Dog {
+        name
+      }
+    `).to.deep.equal([
+      {
+        message:
+          'Directive "@defer" cannot be used on subscription operations. Disable it by setting the "if" argument to "false".',
+        locations: [{ line: 4, column: 26 }],
+      },
+      {
+        message:
+          'Directive "@stream" cannot be used on subscription operations. Disable it by setting the "if" argument to "false".',
+        locations: [{ line: 7, column: 16 }],
+      },
+    ]);
+  });
+
+  it('defer in a fragment used by a subscription', () => {
+    expectErrors(`
+      fragment dogFragment on Dog {
+        ... on Dog @defer {
+          nickname
+        }
+      }
+      subscription {
+        dog {
+          ...dogFragment
+        }
+      }
+    `).to.deep.equal([
+      {
+        message:
+          'Directive "@defer" cannot be used on subscription operations. Disable it by setting the "if" argument to "false".',
+        locations: [{ line: 3, column: 20 }],
+      },
+    ]);
+  });
+});
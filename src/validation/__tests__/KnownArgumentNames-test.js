@@ -326,4 +326,58 @@ describe('Validate: Known argument names', () => {
       ]);
     });
   });
+
+  describe('Experimental: fragment arguments', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(KnownArgumentNames, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('known fragment arguments', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Frag(surname: true)
+          }
+        }
+        fragment Frag($surname: Boolean) on Dog {
+          name(surname: $surname)
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('unknown fragment arguments', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Frag(surnam: true, unknown: "Fido")
+          }
+        }
+        fragment Frag($surname: Boolean) on Dog {
+          name(surname: $surname)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Unknown argument "surnam" on fragment "Frag". Did you mean "surname"?',
+          locations: [{ line: 4, column: 21 }],
+        },
+        {
+          message: 'Unknown argument "unknown" on fragment "Frag".',
+          locations: [{ line: 4, column: 35 }],
+        },
+      ]);
+    });
+
+    it('arguments of unknown fragments are ignored', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Unknown(surname: true)
+          }
+        }
+      `).to.deep.equal([]);
+    });
+  });
 });
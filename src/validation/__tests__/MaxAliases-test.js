@@ -0,0 +1,104 @@
+// @flow strict
+
+import { describe, it } from 'mocha';
+
+import { createMaxAliasesRule } from '../rules/MaxAliases';
+
+import { expectValidationErrors } from './harness';
+
+function expectErrors(maxAliases, queryStr) {
+  return expectValidationErrors(createMaxAliasesRule(maxAliases), queryStr);
+}
+
+function expectValid(maxAliases, queryStr) {
+  expectErrors(maxAliases, queryStr).to.deep.equal([]);
+}
+
+describe('Validate: Max aliases', () => {
+  it('operation within the maximum number of aliases', () => {
+    expectValid(
+      2,
+      `
+      {
+        first: dog {
+          alias: name
+        }
+        dog {
+          name
+        }
+      }
+    `,
+    );
+  });
+
+  it('operation with too many aliases', () => {
+    expectErrors(
+      2,
+      `
+      query ManyAliases {
+        a: dog { name }
+        b: dog { name }
+        c: dog { name }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Operation "ManyAliases" uses 3 aliases, which exceeds the maximum of 2 allowed aliases.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('counts aliases within fragments for each spread', () => {
+    expectErrors(
+      3,
+      `
+      {
+        dog {
+          ...DogAliases
+          mother {
+            ...DogAliases
+          }
+        }
+      }
+
+      fragment DogAliases on Dog {
+        first: name
+        ... on Dog {
+          second: name
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation uses 4 aliases, which exceeds the maximum of 3 allowed aliases.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('does not loop on fragment cycles', () => {
+    expectValid(
+      2,
+      `
+      {
+        dog {
+          ...fragA
+        }
+      }
+
+      fragment fragA on Dog {
+        a: name
+        ...fragB
+      }
+
+      fragment fragB on Dog {
+        b: name
+        ...fragA
+      }
+    `,
+    );
+  });
+});
@@ -0,0 +1,371 @@
+// @flow strict
+
+import { describe, it } from 'mocha';
+
+import { GraphQLSchema } from '../../type/schema';
+import { GraphQLInt, GraphQLString } from '../../type/scalars';
+import { GraphQLList, GraphQLObjectType } from '../../type/definition';
+
+import { buildSchema } from '../../utilities/buildASTSchema';
+
+import { createMaxCostRule } from '../rules/MaxCost';
+
+import { expectValidationErrorsWithSchema } from './harness';
+
+const schemaWithCostDirective = buildSchema(`
+  directive @cost(complexity: Int, multipliers: [String!]) on FIELD_DEFINITION
+
+  type Query {
+    posts(first: Int, last: Int = 5): [Post] @cost(complexity: 2, multipliers: ["first", "last"])
+    author(id: ID): Author @cost(complexity: 10)
+  }
+
+  type Post {
+    title: String
+    author: Author
+  }
+
+  type Author {
+    name: String @cost(complexity: 0)
+    posts(limit: Int): [Post] @cost(multipliers: ["limit"])
+  }
+`);
+
+function expectErrors(maxCost, queryStr, options, parseOptions) {
+  return expectValidationErrorsWithSchema(
+    schemaWithCostDirective,
+    createMaxCostRule(maxCost, options),
+    queryStr,
+    parseOptions,
+  );
+}
+
+function expectValid(maxCost, queryStr, options) {
+  expectErrors(maxCost, queryStr, options).to.deep.equal([]);
+}
+
+describe('Validate: Max cost', () => {
+  it('operation within the maximum cost', () => {
+    // author: 10 + name: 0
+    expectValid(
+      10,
+      `
+      {
+        author {
+          name
+        }
+      }
+    `,
+    );
+  });
+
+  it('operation over the maximum cost', () => {
+    // author: 10 + posts: (1 + title: 1) * 3
+    expectErrors(
+      15,
+      `
+      query AuthorPosts {
+        author {
+          name
+          posts(limit: 3) {
+            title
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Operation "AuthorPosts" has a cost of 16, which exceeds the maximum allowed cost of 15.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('sums multiplier arguments and uses their default values', () => {
+    // posts: (2 + title: 1) * (first: 10 + last: 5)
+    expectErrors(
+      44,
+      `
+      {
+        posts(first: 10) {
+          title
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 45, which exceeds the maximum allowed cost of 44.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('resolves multipliers provided as variables', () => {
+    const query = `
+      query ($limit: Int) {
+        author {
+          posts(limit: $limit) {
+            title
+          }
+        }
+      }
+    `;
+
+    // author: 10 + posts: (1 + title: 1) * 1
+    expectValid(12, query, { variableValues: {} });
+
+    // author: 10 + posts: (1 + title: 1) * 20
+    expectErrors(12, query, { variableValues: { limit: 20 } }).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 50, which exceeds the maximum allowed cost of 12.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('reports multipliers provided as variables without known values', () => {
+    expectErrors(
+      100,
+      `
+      query ($limit: Int) {
+        author {
+          posts(limit: $limit) {
+            title
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'The value of the multiplier argument "limit" of field "Author.posts" is unknown, so the cost of the operation cannot be estimated.',
+        locations: [{ line: 4, column: 17 }],
+      },
+    ]);
+  });
+
+  it('uses the default values of variables and arguments as multipliers', () => {
+    // author: 10 + posts: (1 + title: 1) * 20
+    expectErrors(
+      12,
+      `
+      query ($limit: Int = 20) {
+        author {
+          posts(limit: $limit) {
+            title
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 50, which exceeds the maximum allowed cost of 12.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+
+    // posts: (2 + title: 1) * (first: 0 + last: 5)
+    expectErrors(
+      14,
+      `
+      query ($last: Int) {
+        posts(first: -10, last: $last) {
+          title
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 15, which exceeds the maximum allowed cost of 14.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('does not lower the cost with negative multipliers', () => {
+    // author: 10 + posts: (1 + title: 1) * 0
+    expectValid(
+      10,
+      `
+      {
+        author {
+          posts(limit: -100) {
+            title
+          }
+        }
+      }
+    `,
+    );
+  });
+
+  it('resolves multipliers provided as fragment variables', () => {
+    // author: 10 + posts: (1 + title: 1) * 20, then * 1
+    expectErrors(
+      51,
+      `
+      {
+        author {
+          ...AuthorPosts(limit: 20)
+          ...AuthorPosts
+        }
+      }
+
+      fragment AuthorPosts($limit: Int = 1) on Author {
+        posts(limit: $limit) {
+          title
+        }
+      }
+    `,
+      undefined,
+      { experimentalFragmentVariables: true },
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 52, which exceeds the maximum allowed cost of 51.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('follows fragment spreads for each use', () => {
+    // posts: (2 + title: 1 + author: (1 + name: 0)) * 5, twice
+    expectErrors(
+      39,
+      `
+      {
+        first: posts {
+          ...PostFragment
+        }
+        second: posts {
+          ... on Post {
+            ...PostFragment
+          }
+        }
+      }
+
+      fragment PostFragment on Post {
+        title
+        author {
+          name
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 40, which exceeds the maximum allowed cost of 39.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('does not count introspection meta-fields themselves', () => {
+    // types: 1 + name: 1
+    expectValid(
+      2,
+      `
+      {
+        __typename
+        __schema {
+          types {
+            name
+          }
+        }
+      }
+    `,
+    );
+  });
+
+  it('counts the selections of introspection meta-fields', () => {
+    // types: 1 + fields: 1 + type: 1 + fields: 1 + name: 1
+    expectErrors(
+      3,
+      `
+      {
+        __schema {
+          types {
+            fields {
+              type {
+                fields {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 5, which exceeds the maximum allowed cost of 3.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('uses the provided default cost', () => {
+    // posts: (2 + title: 0 + author: (0 + name: 0)) * 5
+    expectValid(
+      10,
+      `
+      {
+        posts {
+          title
+          author {
+            name
+          }
+        }
+      }
+    `,
+      { defaultCost: 0 },
+    );
+  });
+
+  it('reads cost metadata from field extensions', () => {
+    const Item = new GraphQLObjectType({
+      name: 'Item',
+      fields: {
+        name: { type: GraphQLString },
+      },
+    });
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          items: {
+            type: GraphQLList(Item),
+            args: { limit: { type: GraphQLInt } },
+            extensions: {
+              cost: { complexity: 3, multipliers: ['limit'] },
+            },
+          },
+        },
+      }),
+    });
+
+    // items: (3 + name: 1) * 25
+    expectValidationErrorsWithSchema(
+      schema,
+      createMaxCostRule(99),
+      `
+      {
+        items(limit: 25) {
+          name
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a cost of 100, which exceeds the maximum allowed cost of 99.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+});
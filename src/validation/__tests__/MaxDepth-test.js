@@ -0,0 +1,209 @@
+// @flow strict
+
+import { describe, it } from 'mocha';
+
+import { createMaxDepthRule } from '../rules/MaxDepth';
+
+import { expectValidationErrors } from './harness';
+
+function expectErrors(maxDepth, queryStr) {
+  return expectValidationErrors(createMaxDepthRule(maxDepth), queryStr);
+}
+
+function expectValid(maxDepth, queryStr) {
+  expectErrors(maxDepth, queryStr).to.deep.equal([]);
+}
+
+describe('Validate: Max depth', () => {
+  it('operation within the maximum depth', () => {
+    expectValid(
+      3,
+      `
+      {
+        dog {
+          mother {
+            name
+          }
+        }
+      }
+    `,
+    );
+  });
+
+  it('operation deeper than the maximum depth', () => {
+    expectErrors(
+      2,
+      `
+      query DeepQuery {
+        dog {
+          name
+          mother {
+            name
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Operation "DeepQuery" has a depth of 3, which exceeds the maximum allowed depth of 2.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('reports each operation separately', () => {
+    expectErrors(
+      1,
+      `
+      query Shallow {
+        dog {
+          name
+        }
+      }
+
+      {
+        human {
+          pets {
+            name
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Operation "Shallow" has a depth of 2, which exceeds the maximum allowed depth of 1.',
+        locations: [{ line: 2, column: 7 }],
+      },
+      {
+        message:
+          'Anonymous operation has a depth of 3, which exceeds the maximum allowed depth of 1.',
+        locations: [{ line: 8, column: 7 }],
+      },
+    ]);
+  });
+
+  it('follows fragment spreads and inline fragments', () => {
+    expectErrors(
+      3,
+      `
+      {
+        pet {
+          ... on Dog {
+            ...MotherFragment
+          }
+        }
+      }
+
+      fragment MotherFragment on Dog {
+        mother {
+          ...NameFragment
+        }
+      }
+
+      fragment NameFragment on Dog {
+        father {
+          name
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a depth of 4, which exceeds the maximum allowed depth of 3.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('does not count introspection meta-fields themselves', () => {
+    expectValid(
+      3,
+      `
+      {
+        __typename
+        __schema {
+          types {
+            fields {
+              name
+            }
+          }
+        }
+        dog {
+          __typename
+        }
+      }
+    `,
+    );
+  });
+
+  it('counts the selections of introspection meta-fields', () => {
+    expectErrors(
+      2,
+      `
+      {
+        __schema {
+          types {
+            fields {
+              type {
+                fields {
+                  name
+                }
+              }
+            }
+          }
+        }
+        __type(name: "Dog") {
+          ...TypeFields
+        }
+      }
+
+      fragment TypeFields on __Type {
+        fields {
+          type {
+            name
+          }
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a depth of 5, which exceeds the maximum allowed depth of 2.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+
+  it('does not loop on fragment cycles', () => {
+    expectErrors(
+      2,
+      `
+      {
+        dog {
+          ...fragA
+        }
+      }
+
+      fragment fragA on Dog {
+        mother {
+          ...fragB
+        }
+      }
+
+      fragment fragB on Dog {
+        father {
+          ...fragA
+        }
+      }
+    `,
+    ).to.deep.equal([
+      {
+        message:
+          'Anonymous operation has a depth of 3, which exceeds the maximum allowed depth of 2.',
+        locations: [{ line: 2, column: 7 }],
+      },
+    ]);
+  });
+});
@@ -406,4 +406,66 @@ describe('Validate: No undefined variables', () => {
       },
     ]);
   });
+
+  describe('Experimental: fragment variables', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(NoUndefinedVariables, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('variables defined by fragments', () => {
+      expectFragmentErrors(`
+        query Foo($a: String) {
+          ...FragA(a: $a)
+        }
+        fragment FragA($a: String, $b: String = "b") on Type {
+          field(a: $a, b: $b) {
+            ...FragB(c: $b)
+          }
+        }
+        fragment FragB($c: String) on Type {
+          field(c: $c)
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('variable passed as fragment argument not defined by operation', () => {
+      expectFragmentErrors(`
+        query Foo {
+          ...FragA(a: $a)
+        }
+        fragment FragA($a: String) on Type {
+          field(a: $a)
+        }
+      `).to.deep.equal([
+        {
+          message: 'Variable "$a" is not defined by operation "Foo".',
+          locations: [
+            { line: 3, column: 23 },
+            { line: 2, column: 9 },
+          ],
+        },
+      ]);
+    });
+
+    it('variable not defined by fragment nor operation', () => {
+      expectFragmentErrors(`
+        query Foo {
+          ...FragA
+        }
+        fragment FragA($a: String) on Type {
+          field(b: $b)
+        }
+      `).to.deep.equal([
+        {
+          message: 'Variable "$b" is not defined by operation "Foo".',
+          locations: [
+            { line: 6, column: 20 },
+            { line: 2, column: 9 },
+          ],
+        },
+      ]);
+    });
+  });
 });
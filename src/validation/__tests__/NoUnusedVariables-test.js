@@ -232,4 +232,55 @@ describe('Validate: No unused variables', () => {
       },
     ]);
   });
+
+  describe('Experimental: fragment variables', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(NoUnusedVariables, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('uses all variables defined by fragments', () => {
+      expectFragmentErrors(`
+        query Foo($a: String) {
+          ...FragA(a: $a)
+        }
+        fragment FragA($a: String) on Type {
+          field(a: $a)
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('variable not used by fragment', () => {
+      expectFragmentErrors(`
+        query Foo($a: String) {
+          ...FragA(a: $a)
+        }
+        fragment FragA($a: String, $b: String) on Type {
+          field(a: $a)
+        }
+      `).to.deep.equal([
+        {
+          message: 'Variable "$b" is never used in fragment "FragA".',
+          locations: [{ line: 5, column: 36 }],
+        },
+      ]);
+    });
+
+    it('variable shadowed by fragment variable is not used by operation', () => {
+      expectFragmentErrors(`
+        query Foo($a: String) {
+          ...FragA
+        }
+        fragment FragA($a: String) on Type {
+          field(a: $a)
+        }
+      `).to.deep.equal([
+        {
+          message: 'Variable "$a" is never used in operation "Foo".',
+          locations: [{ line: 2, column: 19 }],
+        },
+      ]);
+    });
+  });
 });
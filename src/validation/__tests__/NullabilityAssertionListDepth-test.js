@@ -0,0 +1,74 @@
+// @flow strict
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+
+import { parse } from '../../language/parser';
+
+import { buildSchema } from '../../utilities/buildASTSchema';
+
+import { validate } from '../validate';
+import { NullabilityAssertionListDepth } from '../rules/NullabilityAssertionListDepth';
+
+const schema = buildSchema(`
+  type Query {
+    name: String
+    names: [String!]!
+    matrix: [[Int]]
+  }
+`);
+
+function expectErrors(queryStr) {
+  const document = parse(queryStr, {
+    experimentalClientControlledNullability: true,
+  });
+  const errors = validate(schema, document, [NullabilityAssertionListDepth]);
+  return expect(errors);
+}
+
+function expectValid(queryStr) {
+  expectErrors(queryStr).to.deep.equal([]);
+}
+
+describe('Validate: Nullability assertion list depth', () => {
+  it('fields without nullability assertions', () => {
+    expectValid('{ name names matrix }');
+  });
+
+  it('nullability assertions without list nullability operators', () => {
+    expectValid('{ name! names? matrix! }');
+  });
+
+  it('list nullability operators matching the list depth', () => {
+    expectValid('{ names[?]! matrix[[!]]? other: matrix[[]] }');
+  });
+
+  it('unknown fields are ignored', () => {
+    expectValid('{ unknown[[!]] }');
+  });
+
+  it('list nullability operators on a field which is not a list', () => {
+    expectErrors('{ name[!] }').to.deep.equal([
+      {
+        message:
+          'Nullability assertion on field "Query.name" has a list depth of 1, but its type "String" has a list depth of 0.',
+        locations: [{ line: 1, column: 7 }],
+      },
+    ]);
+  });
+
+  it('list nullability operators not matching the list depth', () => {
+    expectErrors('{ names[[!]] matrix[!]? }').to.deep.equal([
+      {
+        message:
+          'Nullability assertion on field "Query.names" has a list depth of 2, but its type "[String!]!" has a list depth of 1.',
+        locations: [{ line: 1, column: 8 }],
+      },
+      {
+        message:
+          'Nullability assertion on field "Query.matrix" has a list depth of 1, but its type "[[Int]]" has a list depth of 2.',
+        locations: [{ line: 1, column: 20 }],
+      },
+    ]);
+  });
+});
@@ -1,12 +1,17 @@
 // @flow strict
 
+import { expect } from 'chai';
 import { describe, it } from 'mocha';
 
+import { parse } from '../../language/parser';
+
 import { buildSchema } from '../../utilities/buildASTSchema';
 
+import { validate } from '../validate';
 import { OverlappingFieldsCanBeMerged } from '../rules/OverlappingFieldsCanBeMerged';
 
 import {
+  testSchema,
   expectValidationErrors,
   expectValidationErrorsWithSchema,
 } from './harness';
@@ -203,6 +208,55 @@ describe('Validate: Overlapping fields can be merged', () => {
     ]);
   });
 
+  it('identical stream directives', () => {
+    expectValid(`
+      fragment identicalStreams on Human {
+        relatives @stream(initialCount: 1) {
+          name
+        }
+        relatives @stream(initialCount: 1) {
+          iq
+        }
+      }
+    `);
+  });
+
+  it('conflicting stream directives', () => {
+    expectErrors(`
+      fragment conflictingStreams on Human {
+        relatives @stream(initialCount: 1) {
+          name
+        }
+        relatives {
+          iq
+        }
+        pets @stream(initialCount: 1) {
+          name
+        }
+        pets @stream(initialCount: 2) {
+          name
+        }
+      }
+    `).to.deep.equal([
+      {
+        message:
+          'Fields "relatives" conflict because they have differing stream directives. Use different aliases on the fields to fetch both if this was intentional.',
+        locations: [
+          { line: 3, column: 9 },
+          { line: 6, column: 9 },
+        ],
+      },
+      {
+        message:
+          'Fields "pets" conflict because they have differing stream directives. Use different aliases on the fields to fetch both if this was intentional.',
+        locations: [
+          { line: 9, column: 9 },
+          { line: 12, column: 9 },
+        ],
+      },
+    ]);
+  });
+
   it('allows different args where no conflict is possible', () => {
     // This is valid since no object can be both a "Dog" and a "Cat", thus
     // these fields can never overlap.
@@ -1029,4 +1083,167 @@ describe('Validate: Overlapping fields can be merged', () => {
       },
     ]);
   });
+
+  describe('Experimental: client controlled nullability', () => {
+    function expectNullabilityErrors(queryStr) {
+      const document = parse(queryStr, {
+        experimentalClientControlledNullability: true,
+      });
+      return expect(
+        validate(testSchema, document, [OverlappingFieldsCanBeMerged]),
+      );
+    }
+
+    it('allows identical nullability assertions', () => {
+      expectNullabilityErrors(`
+        fragment identicalAssertions on Dog {
+          name!
+          name!
+          nickname?
+          nickname
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('disallows differing nullability assertions', () => {
+      expectNullabilityErrors(`
+        fragment differingAssertions on Dog {
+          name!
+          name
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Fields "name" conflict because they return conflicting types "String!" and "String". Use different aliases on the fields to fetch both if this was intentional.',
+          locations: [
+            { line: 3, column: 11 },
+            { line: 4, column: 11 },
+          ],
+        },
+      ]);
+    });
+
+    it('disallows differing list nullability operators', () => {
+      expectNullabilityErrors(`
+        fragment differingListAssertions on Human {
+          pets[!] {
+            name
+          }
+          pets {
+            name
+          }
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Fields "pets" conflict because they return conflicting types "[Pet!]" and "[Pet]". Use different aliases on the fields to fetch both if this was intentional.',
+          locations: [
+            { line: 3, column: 11 },
+            { line: 6, column: 11 },
+          ],
+        },
+      ]);
+    });
+  });
+
+  describe('Experimental: fragment arguments', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(OverlappingFieldsCanBeMerged, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('allows spreads with identical arguments', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Frag(surname: true)
+            ... on Dog {
+              ...Frag(surname: true)
+            }
+          }
+        }
+        fragment Frag($surname: Boolean) on Dog {
+          name(surname: $surname)
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('disallows spreads with differing arguments', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Frag(surname: true)
+            ... on Dog {
+              ...Frag
+            }
+          }
+        }
+        fragment Frag($surname: Boolean) on Dog {
+          name(surname: $surname)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Fragment spreads "Frag" conflict because they have differing arguments.',
+          locations: [
+            { line: 4, column: 13 },
+            { line: 6, column: 15 },
+          ],
+        },
+      ]);
+    });
+
+    it('disallows spreads with differing arguments in nested fragments', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Frag(surname: true)
+            ...Other
+          }
+        }
+        fragment Other on Dog {
+          ...Frag(surname: false)
+        }
+        fragment Frag($surname: Boolean) on Dog {
+          name(surname: $surname)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Fragment spreads "Frag" conflict because they have differing arguments.',
+          locations: [
+            { line: 4, column: 13 },
+            { line: 9, column: 11 },
+          ],
+        },
+      ]);
+    });
+
+    it('reports conflicts within a nested fragment once', () => {
+      expectFragmentErrors(`
+        {
+          dog {
+            ...Other
+          }
+        }
+        fragment Other on Dog {
+          ...Frag(surname: true)
+          ...Frag(surname: false)
+        }
+        fragment Frag($surname: Boolean) on Dog {
+          name(surname: $surname)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Fragment spreads "Frag" conflict because they have differing arguments.',
+          locations: [
+            { line: 8, column: 11 },
+            { line: 9, column: 11 },
+          ],
+        },
+      ]);
+    });
+  });
 });
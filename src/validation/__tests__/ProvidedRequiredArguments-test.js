@@ -353,4 +353,45 @@ describe('Validate: Provided required arguments', () => {
       ]);
     });
   });
+
+  describe('Experimental: fragment arguments', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(ProvidedRequiredArguments, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('required fragment arguments provided', () => {
+      expectFragmentErrors(`
+        {
+          complicatedArgs {
+            ...Frag(req: 1)
+          }
+        }
+        fragment Frag($req: Int!, $opt: Int, $def: Int! = 1) on ComplicatedArgs {
+          multipleReqs(req1: $req, req2: $def)
+          intArgField(intArg: $opt)
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('required fragment argument missing', () => {
+      expectFragmentErrors(`
+        {
+          complicatedArgs {
+            ...Frag
+          }
+        }
+        fragment Frag($req: Int!) on ComplicatedArgs {
+          multipleReqs(req1: $req, req2: $req)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Fragment "Frag" argument "req" of type "Int!" is required, but it was not provided.',
+          locations: [{ line: 4, column: 13 }],
+        },
+      ]);
+    });
+  });
 });
@@ -0,0 +1,68 @@
+// @flow strict
+
+import { describe, it } from 'mocha';
+
+import { StreamDirectiveOnListField } from '../rules/StreamDirectiveOnListField';
+
+import { expectValidationErrors } from './harness';
+
+function expectErrors(queryStr) {
+  return expectValidationErrors(StreamDirectiveOnListField, queryStr);
+}
+
+function expectValid(queryStr) {
+  expectErrors(queryStr).to.deep.equal([]);
+}
+
+describe('Validate: Stream directive on list field', () => {
+  it('stream on list field', () => {
+    expectValid(`
+      fragment humanFields on Human {
+        pets @stream(initialCount: 0) {
+          name
+        }
+        relatives @stream {
+          name
+        }
+      }
+    `);
+  });
+
+  it('stream on unknown field is ignored', () => {
+    expectValid(`
+      fragment humanFields on Human {
+        unknownField @stream
+      }
+    `);
+  });
+
+  it('other directives on non-list field', () => {
+    expectValid(`
+      fragment humanFields on Human {
+        name @onField
+      }
+    `);
+  });
+
+  it('stream on non-list field', () => {
+    expectErrors(`
+      fragment dogFields on Dog {
+        name @stream
+        mother @stream {
+          name
+        }
+      }
+    `).to.deep.equal([
+      {
+        message:
+          'Directive "@stream" cannot be used on non-list field "Dog.name".',
+        locations: [{ line: 3, column: 14 }],
+      },
+      {
+        message:
+          'Directive "@stream" cannot be used on non-list field "Dog.mother".',
+        locations: [{ line: 4, column: 16 }],
+      },
+    ]);
+  });
+});
@@ -165,4 +165,24 @@ describe('Validate: Unique argument names', () => {
       },
     ]);
   });
+
+  it('Experimental: duplicate fragment arguments', () => {
+    expectValidationErrors(
+      UniqueArgumentNames,
+      `
+      {
+        ...Frag(arg1: "value", arg1: "value") @directive(arg1: "value")
+      }
+    `,
+      { experimentalFragmentVariables: true },
+    ).to.deep.equal([
+      {
+        message: 'There can be only one argument named "arg1".',
+        locations: [
+          { line: 3, column: 17 },
+          { line: 3, column: 32 },
+        ],
+      },
+    ]);
+  });
 });
@@ -58,4 +58,34 @@ describe('Validate: Unique variable names', () => {
       },
     ]);
   });
+
+  describe('Experimental: fragment arguments', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(UniqueVariableNames, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('unique variable names of operations and fragments', () => {
+      expectFragmentErrors(`
+        query A($x: Int) { ...F }
+        fragment F($x: Int, $y: String) on Query { __typename }
+        fragment G($x: String) on Query { __typename }
+      `).to.deep.equal([]);
+    });
+
+    it('duplicate variable names of a fragment', () => {
+      expectFragmentErrors(`
+        fragment F($x: Int, $x: String) on Query { __typename }
+      `).to.deep.equal([
+        {
+          message: 'There can be only one variable named "$x".',
+          locations: [
+            { line: 2, column: 21 },
+            { line: 2, column: 30 },
+          ],
+        },
+      ]);
+    });
+  });
 });
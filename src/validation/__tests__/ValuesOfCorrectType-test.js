@@ -847,6 +847,26 @@ describe('Validate: Values of correct type', () => {
         }
       `);
     });
+
+    it('Exactly one OneOf field', () => {
+      expectValid(`
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { stringField: "abc" })
+          }
+        }
+      `);
+    });
+
+    it('Exactly one non-nullable variable for a OneOf field', () => {
+      expectValid(`
+        query ($string: String!) {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { stringField: $string })
+          }
+        }
+      `);
+    });
   });
 
   describe('Invalid input object value', () => {
@@ -921,6 +941,69 @@ describe('Validate: Values of correct type', () => {
       ]);
     });
 
+    it('OneOf object, more than one field', () => {
+      expectErrors(`
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { stringField: "abc", intField: 123 })
+          }
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'OneOf Input Object "OneOfInput" must specify exactly one key.',
+          locations: [{ line: 4, column: 37 }],
+        },
+      ]);
+    });
+
+    it('OneOf object, no fields', () => {
+      expectErrors(`
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: {})
+          }
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'OneOf Input Object "OneOfInput" must specify exactly one key.',
+          locations: [{ line: 4, column: 37 }],
+        },
+      ]);
+    });
+
+    it('OneOf object, exactly one null field', () => {
+      expectErrors(`
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { stringField: null })
+          }
+        }
+      `).to.deep.equal([
+        {
+          message: 'Field "OneOfInput.stringField" must be non-null.',
+          locations: [{ line: 4, column: 37 }],
+        },
+      ]);
+    });
+
+    it('OneOf object, exactly one nullable variable', () => {
+      expectErrors(`
+        query ($string: String) {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { stringField: $string })
+          }
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Variable "string" must be non-nullable to be used for OneOf Input Object "OneOfInput".',
+          locations: [{ line: 4, column: 37 }],
+        },
+      ]);
+    });
+
     it('reports original error for custom scalar which throws', () => {
       const expectedErrors = expectErrors(`
         {
@@ -1111,4 +1194,54 @@ describe('Validate: Values of correct type', () => {
       ]);
     });
   });
+
+  describe('Experimental: fragment arguments', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(ValuesOfCorrectType, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('OneOf field with the variables of other definitions', () => {
+      expectFragmentErrors(`
+        query ($string: String) {
+          complicatedArgs {
+            stringArgField(stringArg: $string)
+          }
+        }
+
+        fragment NullableString($string: String) on ComplicatedArgs {
+          stringArgField(stringArg: $string)
+        }
+
+        fragment OneOfWithOperationVariable on ComplicatedArgs {
+          oneOfArgField(oneOfArg: { stringField: $string })
+        }
+
+        fragment OneOfWithNonNullString($string: String!) on ComplicatedArgs {
+          oneOfArgField(oneOfArg: { stringField: $string })
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('OneOf field with a nullable fragment variable', () => {
+      expectFragmentErrors(`
+        query ($string: String!) {
+          complicatedArgs {
+            ...OneOfWithNullableString
+          }
+        }
+
+        fragment OneOfWithNullableString($string: String) on ComplicatedArgs {
+          oneOfArgField(oneOfArg: { stringField: $string })
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Variable "string" must be non-nullable to be used for OneOf Input Object "OneOfInput".',
+          locations: [{ line: 9, column: 35 }],
+        },
+      ]);
+    });
+  });
 });
@@ -359,4 +359,83 @@ describe('Validate: Variables are in allowed positions', () => {
         }`);
     });
   });
+
+  describe('Experimental: fragment variables', () => {
+    function expectFragmentErrors(queryStr) {
+      return expectValidationErrors(VariablesInAllowedPosition, queryStr, {
+        experimentalFragmentVariables: true,
+      });
+    }
+
+    it('fragment variables in allowed positions', () => {
+      expectFragmentErrors(`
+        query Query($intArg: Int!) {
+          complicatedArgs {
+            ...Frag(nonNullIntArg: $intArg, intArg: $intArg)
+          }
+        }
+        fragment Frag($nonNullIntArg: Int!, $intArg: Int = 1) on ComplicatedArgs {
+          nonNullIntArgField(nonNullIntArg: $nonNullIntArg)
+          intArgField(intArg: $intArg)
+        }
+      `).to.deep.equal([]);
+    });
+
+    it('fragment variable in a position expecting another type', () => {
+      expectFragmentErrors(`
+        fragment Frag($intArg: Int) on ComplicatedArgs {
+          nonNullIntArgField(nonNullIntArg: $intArg)
+          stringArgField(stringArg: $intArg)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Variable "$intArg" of type "Int" used in position expecting type "Int!".',
+          locations: [
+            { line: 2, column: 23 },
+            { line: 3, column: 45 },
+          ],
+        },
+        {
+          message:
+            'Variable "$intArg" of type "Int" used in position expecting type "String".',
+          locations: [
+            { line: 2, column: 23 },
+            { line: 4, column: 37 },
+          ],
+        },
+      ]);
+    });
+
+    it('operation variable passed as fragment argument of another type', () => {
+      expectFragmentErrors(`
+        query Query($intArg: Int, $stringArg: String) {
+          complicatedArgs {
+            ...Frag(nonNullIntArg: $intArg, optionalIntArg: $stringArg)
+          }
+        }
+        fragment Frag($nonNullIntArg: Int!, $optionalIntArg: Int = 1) on ComplicatedArgs {
+          nonNullIntArgField(nonNullIntArg: $nonNullIntArg)
+          intArgField(intArg: $optionalIntArg)
+        }
+      `).to.deep.equal([
+        {
+          message:
+            'Variable "$intArg" of type "Int" used in position expecting type "Int!".',
+          locations: [
+            { line: 2, column: 21 },
+            { line: 4, column: 36 },
+          ],
+        },
+        {
+          message:
+            'Variable "$stringArg" of type "String" used in position expecting type "Int".',
+          locations: [
+            { line: 2, column: 35 },
+            { line: 4, column: 61 },
+          ],
+        },
+      ]);
+    });
+  });
 });
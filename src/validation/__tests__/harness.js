@@ -4,13 +4,15 @@ import { expect } from 'chai';
 
 import inspect from '../../jsutils/inspect';
 
-import { parse } from '../../language/parser';
+import { type ParseOptions, parse } from '../../language/parser';
 
 import { GraphQLSchema } from '../../type/schema';
 import {
   GraphQLDirective,
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
 } from '../../type/directives';
 import {
   GraphQLInt,
@@ -223,6 +225,15 @@ const ComplexInput = new GraphQLInputObjectType({
   },
 });
 
+const OneOfInput = new GraphQLInputObjectType({
+  name: 'OneOfInput',
+  isOneOf: true,
+  fields: {
+    stringField: { type: GraphQLString },
+    intField: { type: GraphQLInt },
+  },
+});
+
 const ComplicatedArgs = new GraphQLObjectType({
   name: 'ComplicatedArgs',
   // TODO List
@@ -273,6 +284,10 @@ const ComplicatedArgs = new GraphQLObjectType({
       type: GraphQLString,
       args: { complexArg: { type: ComplexInput } },
     },
+    oneOfArgField: {
+      type: GraphQLString,
+      args: { oneOfArg: { type: OneOfInput } },
+    },
     multipleReqs: {
       type: GraphQLString,
       args: {
@@ -362,6 +377,8 @@ export const testSchema = new GraphQLSchema({
   directives: [
     GraphQLIncludeDirective,
     GraphQLSkipDirective,
+    GraphQLDeferDirective,
+    GraphQLStreamDirective,
     new GraphQLDirective({
       name: 'onQuery',
       locations: ['QUERY'],
@@ -401,14 +418,24 @@ export function expectValidationErrorsWithSchema(
   schema: GraphQLSchema,
   rule: ValidationRule,
   queryStr: string,
+  parseOptions?: ParseOptions,
 ) {
-  const doc = parse(queryStr);
+  const doc = parse(queryStr, parseOptions);
   const errors = validate(schema, doc, [rule]);
   return expect(errors);
 }
 
-export function expectValidationErrors(rule: ValidationRule, queryStr: string) {
-  return expectValidationErrorsWithSchema(testSchema, rule, queryStr);
+export function expectValidationErrors(
+  rule: ValidationRule,
+  queryStr: string,
+  parseOptions?: ParseOptions,
+) {
+  return expectValidationErrorsWithSchema(
+    testSchema,
+    rule,
+    queryStr,
+    parseOptions,
+  );
 }
 
 export function expectSDLValidationErrors(
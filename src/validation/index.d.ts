@@ -4,6 +4,12 @@ export { ValidationContext, ValidationRule } from './ValidationContext';
 
 export { specifiedRules } from './specifiedRules';
 
+// Proposal: "Defer and Stream Directive Labels Are Unique"
+export { DeferStreamDirectiveLabel as DeferStreamDirectiveLabelRule } from './rules/DeferStreamDirectiveLabel';
+
+// Proposal: "Defer and Stream Directives Are Used On Valid Operations"
+export { DeferStreamDirectiveOnValidOperations as DeferStreamDirectiveOnValidOperationsRule } from './rules/DeferStreamDirectiveOnValidOperations';
+
 // Spec Section: "Field Selections on Objects, Interfaces, and Unions Types"
 export { FieldsOnCorrectType as FieldsOnCorrectTypeRule } from './rules/FieldsOnCorrectType';
 
@@ -37,6 +43,9 @@ export { NoUnusedFragments as NoUnusedFragmentsRule } from './rules/NoUnusedFrag
 // Spec Section: "All Variables Used"
 export { NoUnusedVariables as NoUnusedVariablesRule } from './rules/NoUnusedVariables';
 
+// Proposal: "Nullability Assertions Match The List Depth Of Fields"
+export { NullabilityAssertionListDepth as NullabilityAssertionListDepthRule } from './rules/NullabilityAssertionListDepth';
+
 // Spec Section: "Field Selection Merging"
 export { OverlappingFieldsCanBeMerged as OverlappingFieldsCanBeMergedRule } from './rules/OverlappingFieldsCanBeMerged';
 
@@ -49,6 +58,9 @@ export { ProvidedRequiredArguments as ProvidedRequiredArgumentsRule } from './ru
 // Spec Section: "Leaf Field Selections"
 export { ScalarLeafs as ScalarLeafsRule } from './rules/ScalarLeafs';
 
+// Proposal: "Stream Directives Are Used On List Fields"
+export { StreamDirectiveOnListField as StreamDirectiveOnListFieldRule } from './rules/StreamDirectiveOnListField';
+
 // Spec Section: "Subscriptions with Single Root Field"
 export { SingleFieldSubscriptions as SingleFieldSubscriptionsRule } from './rules/SingleFieldSubscriptions';
 
@@ -78,3 +90,8 @@ export { VariablesAreInputTypes as VariablesAreInputTypesRule } from './rules/Va
 
 // Spec Section: "All Variable Usages Are Allowed"
 export { VariablesInAllowedPosition as VariablesInAllowedPositionRule } from './rules/VariablesInAllowedPosition';
+
+// Limits on operation size, to be used alongside the specified rules.
+export { createMaxDepthRule } from './rules/MaxDepth';
+export { createMaxAliasesRule } from './rules/MaxAliases';
+export { createMaxCostRule, MaxCostOptions } from './rules/MaxCost';
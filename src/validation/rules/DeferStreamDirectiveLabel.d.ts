@@ -0,0 +1,12 @@
+import { ASTVisitor } from '../../language/visitor';
+import { ValidationContext } from '../ValidationContext';
+
+/**
+ * Defer and stream directive labels
+ *
+ * A GraphQL document is only valid if the labels of all `@defer` and
+ * `@stream` directives are static strings and are unique.
+ */
+export function DeferStreamDirectiveLabel(
+  context: ValidationContext,
+): ASTVisitor;
@@ -0,0 +1,65 @@
+// @flow strict
+
+import find from '../../polyfills/find';
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { Kind } from '../../language/kinds';
+import { type ASTVisitor } from '../../language/visitor';
+
+import {
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+} from '../../type/directives';
+
+import { type ValidationContext } from '../ValidationContext';
+
+/**
+ * Defer and stream directive labels
+ *
+ * A GraphQL document is only valid if the labels of all `@defer` and
+ * `@stream` directives are static strings and are unique.
+ */
+export function DeferStreamDirectiveLabel(
+  context: ValidationContext,
+): ASTVisitor {
+  const knownLabels = Object.create(null);
+  return {
+    Directive(node) {
+      const directiveName = node.name.value;
+      if (
+        directiveName !== GraphQLDeferDirective.name &&
+        directiveName !== GraphQLStreamDirective.name
+      ) {
+        return;
+      }
+
+      const labelArgument = find(
+        node.arguments || [],
+        arg => arg.name.value === 'label',
+      );
+      if (!labelArgument) {
+        return;
+      }
+
+      const labelValue = labelArgument.value;
+      if (labelValue.kind !== Kind.STRING) {
+        context.reportError(
+          new GraphQLError(
+            `Directive "@${directiveName}" label argument must be a static string.`,
+            node,
+          ),
+        );
+      } else if (knownLabels[labelValue.value]) {
+        context.reportError(
+          new GraphQLError(
+            `Directive label "${labelValue.value}" must be unique among all "@defer" and "@stream" directives.`,
+            [knownLabels[labelValue.value], node],
+          ),
+        );
+      } else {
+        knownLabels[labelValue.value] = node;
+      }
+    },
+  };
+}
@@ -0,0 +1,13 @@
+import { ASTVisitor } from '../../language/visitor';
+import { ValidationContext } from '../ValidationContext';
+
+/**
+ * Defer and stream directives are used on valid operations
+ *
+ * A GraphQL document is only valid if `@defer` and `@stream` directives are
+ * not used within subscription operations, unless they are disabled through
+ * their `if` argument.
+ */
+export function DeferStreamDirectiveOnValidOperations(
+  context: ValidationContext,
+): ASTVisitor;
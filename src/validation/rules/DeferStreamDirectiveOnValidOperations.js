@@ -0,0 +1,79 @@
+// @flow strict
+
+import find from '../../polyfills/find';
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { Kind } from '../../language/kinds';
+import { type DirectiveNode } from '../../language/ast';
+import { type ASTVisitor } from '../../language/visitor';
+
+import {
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+} from '../../type/directives';
+
+import { type ValidationContext } from '../ValidationContext';
+
+/**
+ * Defer and stream directives are used on valid operations
+ *
+ * A GraphQL document is only valid if `@defer` and `@stream` directives are
+ * not used within subscription operations, unless they are disabled through
+ * their `if` argument.
+ */
+export function DeferStreamDirectiveOnValidOperations(
+  context: ValidationContext,
+): ASTVisitor {
+  const fragmentsUsedOnSubscriptions = Object.create(null);
+  for (const definition of context.getDocument().definitions) {
+    if (
+      definition.kind === Kind.OPERATION_DEFINITION &&
+      definition.operation === 'subscription'
+    ) {
+      const fragments = context.getRecursivelyReferencedFragments(definition);
+      for (const fragment of fragments) {
+        fragmentsUsedOnSubscriptions[fragment.name.value] = true;
+      }
+    }
+  }
+
+  // Whether the definition currently visited is executed as a subscription.
+  let isInSubscription = false;
+
+  return {
+    OperationDefinition(node) {
+      isInSubscription = node.operation === 'subscription';
+    },
+    FragmentDefinition(node) {
+      isInSubscription = fragmentsUsedOnSubscriptions[node.name.value] === true;
+    },
+    Directive(node) {
+      const directiveName = node.name.value;
+      if (
+        isInSubscription &&
+        (directiveName === GraphQLDeferDirective.name ||
+          directiveName === GraphQLStreamDirective.name) &&
+        !ifArgumentCanBeFalse(node)
+      ) {
+        context.reportError(
+          new GraphQLError(
+            `Directive "@${directiveName}" cannot be used on subscription operations. Disable it by setting the "if" argument to "false".`,
+            node,
+          ),
+        );
+      }
+    },
+  };
+}
+
+function ifArgumentCanBeFalse(node: DirectiveNode): boolean {
+  const ifArgument = find(node.arguments || [], arg => arg.name.value === 'if');
+  if (!ifArgument) {
+    return false;
+  }
+  if (ifArgument.value.kind === Kind.BOOLEAN) {
+    return !ifArgument.value.value;
+  }
+  return ifArgument.value.kind === Kind.VARIABLE;
+}
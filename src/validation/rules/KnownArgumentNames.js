@@ -20,11 +20,47 @@ import {
  *
  * A GraphQL field is only valid if all supplied arguments are defined by
  * that field.
+ *
+ * Likewise, a fragment spread is only valid if all supplied arguments are
+ * variables defined by that fragment.
  */
 export function KnownArgumentNames(context: ValidationContext): ASTVisitor {
   return {
     ...KnownArgumentNamesOnDirectives(context),
-    Argument(argNode) {
+    FragmentSpread(spreadNode) {
+      const fragmentName = spreadNode.name.value;
+      const fragment = context.getFragment(fragmentName);
+      if (!spreadNode.arguments || !fragment) {
+        return;
+      }
+
+      const knownArgsNames = (fragment.variableDefinitions || []).map(
+        varDef => varDef.variable.name.value,
+      );
+      for (const argNode of spreadNode.arguments) {
+        const argName = argNode.name.value;
+        if (knownArgsNames.indexOf(argName) === -1) {
+          const suggestions = suggestionList(argName, knownArgsNames);
+          context.reportError(
+            new GraphQLError(
+              `Unknown argument "${argName}" on fragment "${fragmentName}".` +
+                didYouMean(suggestions),
+              argNode,
+            ),
+          );
+        }
+      }
+    },
+    Argument(argNode, _key, _parent, _path, ancestors) {
+      // The arguments of fragment spreads are checked with the spread.
+      const parentNode = ancestors[ancestors.length - 1];
+      if (
+        !Array.isArray(parentNode) &&
+        parentNode.kind === Kind.FRAGMENT_SPREAD
+      ) {
+        return;
+      }
+
       const argDef = context.getArgument();
       const fieldDef = context.getFieldDef();
       const parentType = context.getParentType();
@@ -0,0 +1,10 @@
+import { ValidationRule } from '../ValidationContext';
+
+/**
+ * Max aliases
+ *
+ * Creates a validation rule which rejects operations using more than
+ * `maxAliases` field aliases. Aliases within a fragment are counted each time
+ * the fragment is spread.
+ */
+export function createMaxAliasesRule(maxAliases: number): ValidationRule;
@@ -0,0 +1,96 @@
+// @flow strict
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { Kind } from '../../language/kinds';
+import { type ASTVisitor } from '../../language/visitor';
+import {
+  type SelectionSetNode,
+  type OperationDefinitionNode,
+} from '../../language/ast';
+
+import {
+  type ASTValidationContext,
+  type ASTValidationRule,
+} from '../ValidationContext';
+
+/**
+ * Max aliases
+ *
+ * Creates a validation rule which rejects operations using more than
+ * `maxAliases` field aliases. Aliases within a fragment are counted each time
+ * the fragment is spread.
+ */
+export function createMaxAliasesRule(maxAliases: number): ASTValidationRule {
+  return function MaxAliases(context: ASTValidationContext): ASTVisitor {
+    // Number of aliases within each fragment, including nested spreads.
+    const fragmentAliasCounts = Object.create(null);
+
+    // Fragments currently being counted, used to break fragment cycles which
+    // are reported by the NoFragmentCycles rule.
+    const visitingFragments = Object.create(null);
+
+    return {
+      OperationDefinition(node) {
+        const aliasCount = countAliases(node.selectionSet);
+        if (aliasCount > maxAliases) {
+          context.reportError(
+            new GraphQLError(
+              `${operationDescription(node)} uses ${aliasCount} aliases, ` +
+                `which exceeds the maximum of ${maxAliases} allowed aliases.`,
+              node,
+            ),
+          );
+        }
+        return false;
+      },
+      FragmentDefinition: () => false,
+    };
+
+    function countAliases(selectionSet: SelectionSetNode): number {
+      let aliasCount = 0;
+      for (const selection of selectionSet.selections) {
+        switch (selection.kind) {
+          case Kind.FIELD:
+            if (selection.alias) {
+              ++aliasCount;
+            }
+            if (selection.selectionSet) {
+              aliasCount += countAliases(selection.selectionSet);
+            }
+            break;
+          case Kind.INLINE_FRAGMENT:
+            aliasCount += countAliases(selection.selectionSet);
+            break;
+          case Kind.FRAGMENT_SPREAD:
+            aliasCount += countFragmentAliases(selection.name.value);
+            break;
+        }
+      }
+      return aliasCount;
+    }
+
+    function countFragmentAliases(fragmentName: string): number {
+      const cachedCount = fragmentAliasCounts[fragmentName];
+      if (cachedCount !== undefined) {
+        return cachedCount;
+      }
+
+      const fragment = context.getFragment(fragmentName);
+      if (!fragment || visitingFragments[fragmentName] === true) {
+        return 0;
+      }
+
+      visitingFragments[fragmentName] = true;
+      const aliasCount = countAliases(fragment.selectionSet);
+      visitingFragments[fragmentName] = false;
+
+      fragmentAliasCounts[fragmentName] = aliasCount;
+      return aliasCount;
+    }
+  };
+}
+
+function operationDescription(node: OperationDefinitionNode): string {
+  return node.name ? `Operation "${node.name.value}"` : 'Anonymous operation';
+}
@@ -0,0 +1,41 @@
+import Maybe from '../../tsutils/Maybe';
+import { ValidationRule } from '../ValidationContext';
+
+export interface MaxCostOptions {
+  // The cost of fields which do not provide any cost metadata. Defaults to 1.
+  defaultCost?: number;
+
+  // Variable values used to resolve multiplier arguments provided as
+  // variables. Variables without a value fall back to their default value,
+  // then to the default value of the argument. When no variable values are
+  // given and neither default exists, the multiplier is unknown and reported.
+  variableValues?: Maybe<{ [key: string]: any }>;
+}
+
+/**
+ * Max cost
+ *
+ * Creates a validation rule which rejects operations whose estimated cost is
+ * higher than `maxCost`.
+ *
+ * The cost of a field is described by a `cost` entry in the field's
+ * `extensions`, or by a `@cost` directive on its definition if the schema
+ * defines one:
+ *
+ *     directive @cost(
+ *       complexity: Int
+ *       multipliers: [String!]
+ *     ) on FIELD_DEFINITION
+ *
+ * `complexity` is the cost of resolving the field itself, and `multipliers`
+ * names the arguments (such as `first` or `limit`) whose values multiply the
+ * cost of the field and its selections. If several multiplier arguments are
+ * provided, their values are summed, and negative values count as 0.
+ *
+ * Fragments cost as much as their selections each time they are spread.
+ * Introspection meta-fields are free, but their selections are not.
+ */
+export function createMaxCostRule(
+  maxCost: number,
+  options?: MaxCostOptions,
+): ValidationRule;
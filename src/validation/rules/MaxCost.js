@@ -0,0 +1,386 @@
+// @flow strict
+
+import find from '../../polyfills/find';
+
+import { type ObjMap } from '../../jsutils/ObjMap';
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { Kind } from '../../language/kinds';
+import { type ASTVisitor } from '../../language/visitor';
+import {
+  type FieldNode,
+  type ArgumentNode,
+  type SelectionSetNode,
+  type FragmentSpreadNode,
+  type VariableDefinitionNode,
+  type OperationDefinitionNode,
+} from '../../language/ast';
+
+import {
+  type GraphQLField,
+  type GraphQLInputType,
+  type GraphQLCompositeType,
+  isInputType,
+} from '../../type/definition';
+import {
+  SchemaMetaFieldDef,
+  TypeMetaFieldDef,
+  TypeNameMetaFieldDef,
+} from '../../type/introspection';
+
+import { typeFromAST } from '../../utilities/typeFromAST';
+import { valueFromAST } from '../../utilities/valueFromAST';
+
+import { getDirectiveValues } from '../../execution/values';
+
+import {
+  type ValidationContext,
+  type ValidationRule,
+} from '../ValidationContext';
+
+export type MaxCostOptions = {|
+  // The cost of fields which do not provide any cost metadata. Defaults to 1.
+  defaultCost?: number,
+
+  // Variable values used to resolve multiplier arguments provided as
+  // variables. Variables without a value fall back to their default value,
+  // then to the default value of the argument. When no variable values are
+  // given and neither default exists, the multiplier is unknown and reported.
+  variableValues?: ?ObjMap<mixed>,
+|};
+
+/**
+ * Max cost
+ *
+ * Creates a validation rule which rejects operations whose estimated cost is
+ * higher than `maxCost`.
+ *
+ * The cost of a field is described by a `cost` entry in the field's
+ * `extensions`, or by a `@cost` directive on its definition if the schema
+ * defines one:
+ *
+ *     directive @cost(
+ *       complexity: Int
+ *       multipliers: [String!]
+ *     ) on FIELD_DEFINITION
+ *
+ * `complexity` is the cost of resolving the field itself, and `multipliers`
+ * names the arguments (such as `first` or `limit`) whose values multiply the
+ * cost of the field and its selections. If several multiplier arguments are
+ * provided, their values are summed, and negative values count as 0.
+ *
+ * Fragments cost as much as their selections each time they are spread.
+ * Introspection meta-fields are free, but their selections are not.
+ */
+export function createMaxCostRule(
+  maxCost: number,
+  options?: MaxCostOptions,
+): ValidationRule {
+  const defaultCost =
+    options && options.defaultCost != null ? options.defaultCost : 1;
+  const variableValues = options && options.variableValues;
+
+  return function MaxCost(context: ValidationContext): ASTVisitor {
+    const schema = context.getSchema();
+    const costDirective = schema.getDirective('cost');
+
+    // Field definitions are recorded while visiting the document with the
+    // TypeInfo of the validation context, and costs are computed once every
+    // fragment has been visited.
+    const fieldDefs: Map<
+      FieldNode,
+      {|
+        fieldDef: GraphQLField<mixed, mixed>,
+        parentType: ?GraphQLCompositeType,
+      |},
+    > = new Map();
+    const operations = [];
+
+    // Cost of each fragment, including nested spreads, keyed by the fragment
+    // name and the values of its variables. Reset for each operation, since
+    // the values of variables depend on the operation.
+    let fragmentCosts = Object.create(null);
+
+    // Values of the variables in scope, or UNKNOWN_VALUE for variables whose
+    // value cannot be known.
+    let operationScope: ObjMap<mixed> = Object.create(null);
+
+    // Arguments whose unknown value was already reported.
+    const reportedArguments: Set<ArgumentNode> = new Set();
+
+    // Fragments currently being measured, used to break fragment cycles which
+    // are reported by the NoFragmentCycles rule.
+    const visitingFragments = Object.create(null);
+
+    return {
+      OperationDefinition(node) {
+        operations.push(node);
+      },
+      Field(node) {
+        const fieldDef = context.getFieldDef();
+        if (fieldDef) {
+          fieldDefs.set(node, {
+            fieldDef,
+            parentType: context.getParentType(),
+          });
+        }
+      },
+      Document: {
+        leave() {
+          for (const operation of operations) {
+            fragmentCosts = Object.create(null);
+            operationScope = getOperationScope(
+              operation.variableDefinitions || [],
+            );
+            const cost = getSelectionSetCost(
+              operation.selectionSet,
+              operationScope,
+            );
+            if (cost > maxCost) {
+              context.reportError(
+                new GraphQLError(
+                  `${operationDescription(operation)} has a cost of ${cost}, ` +
+                    `which exceeds the maximum allowed cost of ${maxCost}.`,
+                  operation,
+                ),
+              );
+            }
+          }
+        },
+      },
+    };
+
+    function getOperationScope(
+      variableDefinitions: $ReadOnlyArray<VariableDefinitionNode>,
+    ): ObjMap<mixed> {
+      const scope = Object.create(null);
+      for (const variableDefinition of variableDefinitions) {
+        const name = variableDefinition.variable.name.value;
+        if (
+          variableValues &&
+          Object.prototype.hasOwnProperty.call(variableValues, name)
+        ) {
+          scope[name] = variableValues[name];
+        } else if (variableDefinition.defaultValue) {
+          scope[name] = getDefaultValue(variableDefinition);
+        } else if (!variableValues) {
+          scope[name] = UNKNOWN_VALUE;
+        }
+      }
+      return scope;
+    }
+
+    // Variables defined by a fragment are scoped to it and take the values of
+    // the arguments of the spread, falling back to their default values.
+    function getFragmentScope(
+      variableDefinitions: $ReadOnlyArray<VariableDefinitionNode>,
+      spread: FragmentSpreadNode,
+      spreadScope: ObjMap<mixed>,
+    ): ObjMap<mixed> {
+      const scope = Object.create(operationScope);
+      for (const variableDefinition of variableDefinitions) {
+        const name = variableDefinition.variable.name.value;
+        const argNode =
+          spread.arguments &&
+          find(spread.arguments, arg => arg.name.value === name);
+        let value = argNode
+          ? getArgumentValue(
+              argNode,
+              getVariableType(variableDefinition),
+              spreadScope,
+            )
+          : undefined;
+        if (
+          (value === undefined || value === UNKNOWN_VALUE) &&
+          variableDefinition.defaultValue
+        ) {
+          value = getDefaultValue(variableDefinition);
+        }
+        // Set even when undefined, to shadow a variable of the operation.
+        scope[name] = value;
+      }
+      return scope;
+    }
+
+    function getVariableType(
+      variableDefinition: VariableDefinitionNode,
+    ): ?GraphQLInputType {
+      const type = typeFromAST(schema, variableDefinition.type);
+      return isInputType(type) ? type : undefined;
+    }
+
+    function getDefaultValue(
+      variableDefinition: VariableDefinitionNode,
+    ): mixed {
+      const type = getVariableType(variableDefinition);
+      return type && variableDefinition.defaultValue
+        ? valueFromAST(variableDefinition.defaultValue, type)
+        : undefined;
+    }
+
+    // Returns the value of an argument, undefined when it is not provided, or
+    // UNKNOWN_VALUE when it is given a variable whose value cannot be known.
+    function getArgumentValue(
+      argNode: ArgumentNode,
+      type: ?GraphQLInputType,
+      scope: ObjMap<mixed>,
+    ): mixed {
+      const valueNode = argNode.value;
+      if (valueNode.kind === Kind.VARIABLE) {
+        return scope[valueNode.name.value];
+      }
+      return type ? valueFromAST(valueNode, type) : undefined;
+    }
+
+    function getSelectionSetCost(
+      selectionSet: SelectionSetNode,
+      scope: ObjMap<mixed>,
+    ): number {
+      let cost = 0;
+      for (const selection of selectionSet.selections) {
+        switch (selection.kind) {
+          case Kind.FIELD:
+            cost += getFieldCost(selection, scope);
+            break;
+          case Kind.INLINE_FRAGMENT:
+            cost += getSelectionSetCost(selection.selectionSet, scope);
+            break;
+          case Kind.FRAGMENT_SPREAD:
+            cost += getFragmentCost(selection, scope);
+            break;
+        }
+      }
+      return cost;
+    }
+
+    function getFieldCost(node: FieldNode, scope: ObjMap<mixed>): number {
+      const { fieldDef, parentType } = fieldDefs.get(node) || {};
+      const childrenCost = node.selectionSet
+        ? getSelectionSetCost(node.selectionSet, scope)
+        : 0;
+      if (
+        fieldDef === SchemaMetaFieldDef ||
+        fieldDef === TypeMetaFieldDef ||
+        fieldDef === TypeNameMetaFieldDef
+      ) {
+        return childrenCost;
+      }
+      if (!fieldDef) {
+        return defaultCost + childrenCost;
+      }
+
+      const { complexity, multipliers } = getCostMetadata(fieldDef);
+      const fieldCost =
+        typeof complexity === 'number' ? complexity : defaultCost;
+      const multiplier = Array.isArray(multipliers)
+        ? getMultiplier(node, fieldDef, parentType, multipliers, scope)
+        : 1;
+      return (fieldCost + childrenCost) * multiplier;
+    }
+
+    function getCostMetadata(
+      fieldDef: GraphQLField<mixed, mixed>,
+    ): { +complexity?: mixed, +multipliers?: mixed, ... } {
+      const costExtension = fieldDef.extensions && fieldDef.extensions.cost;
+      if (costExtension != null && typeof costExtension === 'object') {
+        return costExtension;
+      }
+      if (costDirective && fieldDef.astNode) {
+        return getDirectiveValues(costDirective, fieldDef.astNode) || {};
+      }
+      return {};
+    }
+
+    function getMultiplier(
+      node: FieldNode,
+      fieldDef: GraphQLField<mixed, mixed>,
+      parentType: ?GraphQLCompositeType,
+      multipliers: $ReadOnlyArray<mixed>,
+      scope: ObjMap<mixed>,
+    ): number {
+      let multiplier;
+      for (const argName of multipliers) {
+        const argDef = find(fieldDef.args, arg => arg.name === argName);
+        if (!argDef) {
+          continue;
+        }
+
+        const argNode =
+          node.arguments &&
+          find(node.arguments, arg => arg.name.value === argName);
+        let value = argNode
+          ? getArgumentValue(argNode, argDef.type, scope)
+          : undefined;
+        if (value === undefined || value === UNKNOWN_VALUE) {
+          value =
+            argDef.defaultValue !== undefined ? argDef.defaultValue : value;
+        }
+
+        if (value === UNKNOWN_VALUE && argNode) {
+          if (!reportedArguments.has(argNode)) {
+            reportedArguments.add(argNode);
+            const fieldName = parentType
+              ? `${parentType.name}.${fieldDef.name}`
+              : fieldDef.name;
+            context.reportError(
+              new GraphQLError(
+                `The value of the multiplier argument "${argDef.name}" of field "${fieldName}" is unknown, ` +
+                  'so the cost of the operation cannot be estimated.',
+                argNode,
+              ),
+            );
+          }
+        } else if (typeof value === 'number') {
+          multiplier = (multiplier || 0) + Math.max(0, value);
+        }
+      }
+      return multiplier != null ? multiplier : 1;
+    }
+
+    function getFragmentCost(
+      spread: FragmentSpreadNode,
+      spreadScope: ObjMap<mixed>,
+    ): number {
+      const fragmentName = spread.name.value;
+      const fragment = context.getFragment(fragmentName);
+      if (!fragment || visitingFragments[fragmentName] === true) {
+        return 0;
+      }
+
+      const variableDefinitions = fragment.variableDefinitions || [];
+      const scope =
+        variableDefinitions.length === 0
+          ? operationScope
+          : getFragmentScope(variableDefinitions, spread, spreadScope);
+      const cacheKey =
+        fragmentName +
+        JSON.stringify(
+          variableDefinitions.map(({ variable }) => {
+            const value = scope[variable.name.value];
+            if (value === UNKNOWN_VALUE) {
+              return 'unknown';
+            }
+            return value === undefined ? [] : [value];
+          }),
+        );
+      const cachedCost = fragmentCosts[cacheKey];
+      if (cachedCost !== undefined) {
+        return cachedCost;
+      }
+
+      visitingFragments[fragmentName] = true;
+      const cost = getSelectionSetCost(fragment.selectionSet, scope);
+      visitingFragments[fragmentName] = false;
+
+      fragmentCosts[cacheKey] = cost;
+      return cost;
+    }
+  };
+}
+
+const UNKNOWN_VALUE = Object.freeze({});
+
+function operationDescription(node: OperationDefinitionNode): string {
+  return node.name ? `Operation "${node.name.value}"` : 'Anonymous operation';
+}
@@ -0,0 +1,13 @@
+import { ValidationRule } from '../ValidationContext';
+
+/**
+ * Max depth
+ *
+ * Creates a validation rule which rejects operations whose selections are
+ * nested deeper than `maxDepth` fields. Root fields have a depth of one, and
+ * fragment spreads count as the depth of the fragment they include.
+ *
+ * Introspection meta-fields (`__schema`, `__type` and `__typename`) do not add
+ * to the depth themselves, but their selections are counted like any other.
+ */
+export function createMaxDepthRule(maxDepth: number): ValidationRule;
@@ -0,0 +1,114 @@
+// @flow strict
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { Kind } from '../../language/kinds';
+import { type ASTVisitor } from '../../language/visitor';
+import {
+  type SelectionSetNode,
+  type OperationDefinitionNode,
+} from '../../language/ast';
+
+import {
+  SchemaMetaFieldDef,
+  TypeMetaFieldDef,
+  TypeNameMetaFieldDef,
+} from '../../type/introspection';
+
+import {
+  type ASTValidationContext,
+  type ASTValidationRule,
+} from '../ValidationContext';
+
+/**
+ * Max depth
+ *
+ * Creates a validation rule which rejects operations whose selections are
+ * nested deeper than `maxDepth` fields. Root fields have a depth of one, and
+ * fragment spreads count as the depth of the fragment they include.
+ *
+ * Introspection meta-fields (`__schema`, `__type` and `__typename`) do not add
+ * to the depth themselves, but their selections are counted like any other.
+ */
+export function createMaxDepthRule(maxDepth: number): ASTValidationRule {
+  return function MaxDepth(context: ASTValidationContext): ASTVisitor {
+    // Depth of each fragment, relative to the selection set it is spread in.
+    const fragmentDepths = Object.create(null);
+
+    // Fragments currently being measured, used to break fragment cycles which
+    // are reported by the NoFragmentCycles rule.
+    const visitingFragments = Object.create(null);
+
+    return {
+      OperationDefinition(node) {
+        const depth = getSelectionSetDepth(node.selectionSet);
+        if (depth > maxDepth) {
+          context.reportError(
+            new GraphQLError(
+              `${operationDescription(node)} has a depth of ${depth}, ` +
+                `which exceeds the maximum allowed depth of ${maxDepth}.`,
+              node,
+            ),
+          );
+        }
+        return false;
+      },
+      FragmentDefinition: () => false,
+    };
+
+    function getSelectionSetDepth(selectionSet: SelectionSetNode): number {
+      let depth = 0;
+      for (const selection of selectionSet.selections) {
+        let selectionDepth = 0;
+        switch (selection.kind) {
+          case Kind.FIELD:
+            selectionDepth =
+              (isIntrospectionField(selection.name.value) ? 0 : 1) +
+              (selection.selectionSet
+                ? getSelectionSetDepth(selection.selectionSet)
+                : 0);
+            break;
+          case Kind.INLINE_FRAGMENT:
+            selectionDepth = getSelectionSetDepth(selection.selectionSet);
+            break;
+          case Kind.FRAGMENT_SPREAD:
+            selectionDepth = getFragmentDepth(selection.name.value);
+            break;
+        }
+        depth = Math.max(depth, selectionDepth);
+      }
+      return depth;
+    }
+
+    function getFragmentDepth(fragmentName: string): number {
+      const cachedDepth = fragmentDepths[fragmentName];
+      if (cachedDepth !== undefined) {
+        return cachedDepth;
+      }
+
+      const fragment = context.getFragment(fragmentName);
+      if (!fragment || visitingFragments[fragmentName] === true) {
+        return 0;
+      }
+
+      visitingFragments[fragmentName] = true;
+      const depth = getSelectionSetDepth(fragment.selectionSet);
+      visitingFragments[fragmentName] = false;
+
+      fragmentDepths[fragmentName] = depth;
+      return depth;
+    }
+  };
+}
+
+function operationDescription(node: OperationDefinitionNode): string {
+  return node.name ? `Operation "${node.name.value}"` : 'Anonymous operation';
+}
+
+function isIntrospectionField(fieldName: string): boolean {
+  return (
+    fieldName === SchemaMetaFieldDef.name ||
+    fieldName === TypeMetaFieldDef.name ||
+    fieldName === TypeNameMetaFieldDef.name
+  );
+}
@@ -10,6 +10,9 @@ import { type ValidationContext } from '../ValidationContext';
  *
  * A GraphQL operation is only valid if all variables defined by an operation
  * are used, either directly or within a spread fragment.
+ *
+ * Likewise, a fragment is only valid if all variables defined by the fragment
+ * are used within it.
  */
 export function NoUnusedVariables(context: ValidationContext): ASTVisitor {
   let variableDefs = [];
@@ -42,6 +45,31 @@ export function NoUnusedVariables(context: ValidationContext): ASTVisitor {
         }
       },
     },
+    FragmentDefinition: {
+      leave(fragment) {
+        const variableDefinitions = fragment.variableDefinitions;
+        if (!variableDefinitions) {
+          return;
+        }
+
+        const variableNameUsed = Object.create(null);
+        for (const { node } of context.getVariableUsages(fragment)) {
+          variableNameUsed[node.name.value] = true;
+        }
+
+        for (const variableDef of variableDefinitions) {
+          const variableName = variableDef.variable.name.value;
+          if (variableNameUsed[variableName] !== true) {
+            context.reportError(
+              new GraphQLError(
+                `Variable "$${variableName}" is never used in fragment "${fragment.name.value}".`,
+                variableDef,
+              ),
+            );
+          }
+        }
+      },
+    },
     VariableDefinition(def) {
       variableDefs.push(def);
     },
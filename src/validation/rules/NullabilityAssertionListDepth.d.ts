@@ -0,0 +1,16 @@
+import { ASTVisitor } from '../../language/visitor';
+import { ValidationContext } from '../ValidationContext';
+
+/**
+ * Nullability assertion list depth
+ *
+ * A GraphQL document is only valid if the list nullability operators of every
+ * client controlled nullability assertion are either omitted or nested as
+ * deep as the list type of the field.
+ *
+ * Note: client controlled nullability is experimental and may be changed or
+ * removed in the future.
+ */
+export function NullabilityAssertionListDepth(
+  context: ValidationContext,
+): ASTVisitor;
@@ -0,0 +1,60 @@
+// @flow strict
+
+import inspect from '../../jsutils/inspect';
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { type ASTVisitor } from '../../language/visitor';
+
+import { isListType, getNullableType } from '../../type/definition';
+
+import { getNullabilityAssertionListDepth } from '../../utilities/applyNullabilityAssertion';
+
+import { type ValidationContext } from '../ValidationContext';
+
+/**
+ * Nullability assertion list depth
+ *
+ * A GraphQL document is only valid if the list nullability operators of every
+ * client controlled nullability assertion are either omitted or nested as
+ * deep as the list type of the field.
+ *
+ * Note: client controlled nullability is experimental and may be changed or
+ * removed in the future.
+ */
+export function NullabilityAssertionListDepth(
+  context: ValidationContext,
+): ASTVisitor {
+  return {
+    Field(node) {
+      const fieldDef = context.getFieldDef();
+      const parentType = context.getParentType();
+      if (!node.nullabilityAssertion || !fieldDef || !parentType) {
+        return;
+      }
+
+      const assertionDepth = getNullabilityAssertionListDepth(
+        node.nullabilityAssertion,
+      );
+      let typeDepth = 0;
+      let type = getNullableType(fieldDef.type);
+      while (isListType(type)) {
+        ++typeDepth;
+        type = getNullableType(type.ofType);
+      }
+
+      if (assertionDepth !== 0 && assertionDepth !== typeDepth) {
+        context.reportError(
+          new GraphQLError(
+            `Nullability assertion on field "${parentType.name}.${
+              fieldDef.name
+            }" has a list depth of ${assertionDepth}, but its type "${inspect(
+              fieldDef.type,
+            )}" has a list depth of ${typeDepth}.`,
+            node.nullabilityAssertion,
+          ),
+        );
+      }
+    },
+  };
+}
@@ -15,6 +15,8 @@ import {
   type SelectionSetNode,
   type FieldNode,
   type ArgumentNode,
+  type DirectiveNode,
+  type FragmentSpreadNode,
   type FragmentDefinitionNode,
 } from '../../language/ast';
 
@@ -30,8 +32,10 @@ import {
   isListType,
   isInterfaceType,
 } from '../../type/definition';
+import { GraphQLStreamDirective } from '../../type/directives';
 
 import { typeFromAST } from '../../utilities/typeFromAST';
+import { applyNullabilityAssertion } from '../../utilities/applyNullabilityAssertion';
 
 import { type ValidationContext } from '../ValidationContext';
 
@@ -70,7 +74,19 @@ export function OverlappingFieldsCanBeMerged(
   const cachedFieldsAndFragmentNames = new Map();
 
   return {
-    SelectionSet(selectionSet) {
+    SelectionSet(selectionSet, _key, parent) {
+      // Experimental: a fragment is only spread once within a selection set,
+      // so every spread of a fragment must pass the same arguments, including
+      // the spreads of nested fragments. Inline fragments are checked with
+      // their enclosing selection set.
+      if (
+        !parent ||
+        Array.isArray(parent) ||
+        parent.kind !== Kind.INLINE_FRAGMENT
+      ) {
+        findConflictingFragmentSpreads(context, selectionSet);
+      }
+
       const conflicts = findConflictsWithinSelectionSet(
         context,
         cachedFieldsAndFragmentNames,
@@ -574,9 +590,12 @@ function findConflict(
       isObjectType(parentType1) &&
       isObjectType(parentType2));
 
-  // The return type for each field.
-  const type1 = def1 && def1.type;
-  const type2 = def2 && def2.type;
+  // The return type for each field, as modified by client controlled
+  // nullability.
+  const type1 =
+    def1 && applyNullabilityAssertion(def1.type, node1.nullabilityAssertion);
+  const type2 =
+    def2 && applyNullabilityAssertion(def2.type, node2.nullabilityAssertion);
 
   if (!areMutuallyExclusive) {
     // Two aliases must refer to the same field.
@@ -598,6 +617,15 @@ function findConflict(
         [node2],
       ];
     }
+
+    // Two field calls must be streamed the same way.
+    if (!sameStreams(node1.directives || [], node2.directives || [])) {
+      return [
+        [responseName, 'they have differing stream directives'],
+        [node1],
+        [node2],
+      ];
+    }
   }
 
   if (type1 && type2 && doTypesConflict(type1, type2)) {
@@ -652,6 +680,24 @@ function sameArguments(
   });
 }
 
+function sameStreams(
+  directives1: $ReadOnlyArray<DirectiveNode>,
+  directives2: $ReadOnlyArray<DirectiveNode>,
+): boolean {
+  const stream1 = find(
+    directives1,
+    directive => directive.name.value === GraphQLStreamDirective.name,
+  );
+  const stream2 = find(
+    directives2,
+    directive => directive.name.value === GraphQLStreamDirective.name,
+  );
+  if (!stream1 || !stream2) {
+    return !stream1 && !stream2;
+  }
+  return sameArguments(stream1.arguments || [], stream2.arguments || []);
+}
+
 function sameValue(value1, value2) {
   return (!value1 && !value2) || print(value1) === print(value2);
 }
@@ -778,6 +824,90 @@ function _collectFieldsAndFragmentNames(
   }
 }
 
+// Reports the spreads of a fragment within a selection set, or within the
+// fragments it spreads, which pass differing arguments.
+function findConflictingFragmentSpreads(
+  context: ValidationContext,
+  selectionSet: SelectionSetNode,
+): void {
+  const spreads = Object.create(null);
+  collectFragmentSpreads(
+    context,
+    selectionSet,
+    undefined,
+    spreads,
+    Object.create(null),
+  );
+  for (const fragmentName of Object.keys(spreads)) {
+    const fragmentSpreads = spreads[fragmentName];
+    for (let i = 1; i < fragmentSpreads.length; i++) {
+      const other = fragmentSpreads[i];
+      // Spreads found within the same nested fragment are reported with the
+      // selection set of that fragment.
+      const conflicting = fragmentSpreads
+        .slice(0, i)
+        .find(
+          previous =>
+            (previous.origin == null || previous.origin !== other.origin) &&
+            !sameArguments(
+              previous.spread.arguments || [],
+              other.spread.arguments || [],
+            ),
+        );
+      if (conflicting) {
+        context.reportError(
+          new GraphQLError(
+            `Fragment spreads "${fragmentName}" conflict because they have differing arguments.`,
+            [conflicting.spread, other.spread],
+          ),
+        );
+      }
+    }
+  }
+}
+
+// Given a selection set, adds the fragment spreads found in it, in its inline
+// fragments and in the fragments it spreads to a mapping of fragment name to
+// spread nodes, along with the name of the fragment spread by the selection
+// set through which they were found.
+function collectFragmentSpreads(
+  context: ValidationContext,
+  selectionSet: SelectionSetNode,
+  origin: ?string,
+  spreads: ObjMap<Array<{| spread: FragmentSpreadNode, origin: ?string |}>>,
+  visitedFragmentNames: ObjMap<boolean>,
+): void {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragmentName = selection.name.value;
+      if (!spreads[fragmentName]) {
+        spreads[fragmentName] = [];
+      }
+      spreads[fragmentName].push({ spread: selection, origin });
+
+      const fragment = context.getFragment(fragmentName);
+      if (fragment && !visitedFragmentNames[fragmentName]) {
+        visitedFragmentNames[fragmentName] = true;
+        collectFragmentSpreads(
+          context,
+          fragment.selectionSet,
+          origin != null ? origin : fragmentName,
+          spreads,
+          visitedFragmentNames,
+        );
+      }
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      collectFragmentSpreads(
+        context,
+        selection.selectionSet,
+        origin,
+        spreads,
+        visitedFragmentNames,
+      );
+    }
+  }
+}
+
 // Given a series of Conflicts which occurred between two sub-fields, generate
 // a single Conflict.
 function subfieldConflicts(
@@ -38,6 +38,9 @@ export function missingDirectiveArgMessage(
  *
  * A field or directive is only valid if all required (non-null without a
  * default value) field arguments have been provided.
+ *
+ * Likewise, a fragment spread is only valid if all required variables of the
+ * fragment have been provided as arguments.
  */
 export function ProvidedRequiredArguments(
   context: ValidationContext,
@@ -68,6 +71,32 @@ export function ProvidedRequiredArguments(
         }
       },
     },
+    FragmentSpread: {
+      // Validate on leave to allow for deeper errors to appear first.
+      leave(spreadNode) {
+        const fragmentName = spreadNode.name.value;
+        const fragment = context.getFragment(fragmentName);
+        if (!fragment) {
+          return;
+        }
+        const argNodes = spreadNode.arguments || [];
+
+        const argNodeMap = keyMap(argNodes, arg => arg.name.value);
+        for (const varDef of fragment.variableDefinitions || []) {
+          const varName = varDef.variable.name.value;
+          if (!argNodeMap[varName] && isRequiredArgumentNode(varDef)) {
+            context.reportError(
+              new GraphQLError(
+                `Fragment "${fragmentName}" argument "${varName}" of type "${print(
+                  varDef.type,
+                )}" is required, but it was not provided.`,
+                spreadNode,
+              ),
+            );
+          }
+        }
+      },
+    },
   };
 }
 
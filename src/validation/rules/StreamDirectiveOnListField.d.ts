@@ -0,0 +1,12 @@
+import { ASTVisitor } from '../../language/visitor';
+import { ValidationContext } from '../ValidationContext';
+
+/**
+ * Stream directive on list field
+ *
+ * A GraphQL document is only valid if `@stream` directives are only used on
+ * fields that return a list.
+ */
+export function StreamDirectiveOnListField(
+  context: ValidationContext,
+): ASTVisitor;
@@ -0,0 +1,43 @@
+// @flow strict
+
+import { GraphQLError } from '../../error/GraphQLError';
+
+import { type ASTVisitor } from '../../language/visitor';
+
+import { GraphQLStreamDirective } from '../../type/directives';
+import { isListType, getNullableType } from '../../type/definition';
+
+import { type ValidationContext } from '../ValidationContext';
+
+/**
+ * Stream directive on list field
+ *
+ * A GraphQL document is only valid if `@stream` directives are only used on
+ * fields that return a list.
+ */
+export function StreamDirectiveOnListField(
+  context: ValidationContext,
+): ASTVisitor {
+  return {
+    Directive(node) {
+      if (node.name.value !== GraphQLStreamDirective.name) {
+        return;
+      }
+
+      const fieldDef = context.getFieldDef();
+      const parentType = context.getParentType();
+      if (
+        fieldDef &&
+        parentType &&
+        !isListType(getNullableType(fieldDef.type))
+      ) {
+        context.reportError(
+          new GraphQLError(
+            `Directive "@stream" cannot be used on non-list field "${parentType.name}.${fieldDef.name}".`,
+            node,
+          ),
+        );
+      }
+    },
+  };
+}
@@ -12,8 +12,8 @@ export function duplicateArgMessage(argName: string): string {
 /**
  * Unique argument names
  *
- * A GraphQL field or directive is only valid if all supplied arguments are
- * uniquely named.
+ * A GraphQL field, directive or fragment spread is only valid if all supplied
+ * arguments are uniquely named.
  */
 export function UniqueArgumentNames(context: ASTValidationContext): ASTVisitor {
   let knownArgNames = Object.create(null);
@@ -24,6 +24,9 @@ export function UniqueArgumentNames(context: ASTValidationContext): ASTVisitor {
     Directive() {
       knownArgNames = Object.create(null);
     },
+    FragmentSpread() {
+      knownArgNames = Object.create(null);
+    },
     Argument(node) {
       const argName = node.name.value;
       if (knownArgNames[argName]) {
@@ -11,6 +11,8 @@ import { type ASTValidationContext } from '../ValidationContext';
  * Unique variable names
  *
  * A GraphQL operation is only valid if all its variables are uniquely named.
+ * The same holds for the variables of a fragment, which may shadow those of an
+ * operation.
  */
 export function UniqueVariableNames(context: ASTValidationContext): ASTVisitor {
   let knownVariableNames = Object.create(null);
@@ -18,6 +20,9 @@ export function UniqueVariableNames(context: ASTValidationContext): ASTVisitor {
     OperationDefinition() {
       knownVariableNames = Object.create(null);
     },
+    FragmentDefinition() {
+      knownVariableNames = Object.create(null);
+    },
     VariableDefinition(node: VariableDefinitionNode) {
       const variableName = node.variable.name.value;
       if (knownVariableNames[variableName]) {
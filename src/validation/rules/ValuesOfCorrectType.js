@@ -3,6 +3,7 @@
 import objectValues from '../../polyfills/objectValues';
 
 import keyMap from '../../jsutils/keyMap';
+import { type ObjMap } from '../../jsutils/ObjMap';
 import inspect from '../../jsutils/inspect';
 import isInvalid from '../../jsutils/isInvalid';
 import didYouMean from '../../jsutils/didYouMean';
@@ -12,10 +13,16 @@ import { GraphQLError } from '../../error/GraphQLError';
 
 import { Kind } from '../../language/kinds';
 import { print } from '../../language/printer';
-import { type ValueNode } from '../../language/ast';
+import {
+  type ValueNode,
+  type ObjectValueNode,
+  type ObjectFieldNode,
+  type VariableDefinitionNode,
+} from '../../language/ast';
 import { type ASTVisitor } from '../../language/visitor';
 
 import {
+  type GraphQLInputObjectType,
   isScalarType,
   isEnumType,
   isInputObjectType,
@@ -35,7 +42,18 @@ import { type ValidationContext } from '../ValidationContext';
  * expected at their position.
  */
 export function ValuesOfCorrectType(context: ValidationContext): ASTVisitor {
+  let variableDefinitions: ObjMap<VariableDefinitionNode> = Object.create(null);
+
   return {
+    OperationDefinition() {
+      variableDefinitions = Object.create(null);
+    },
+    FragmentDefinition() {
+      variableDefinitions = Object.create(null);
+    },
+    VariableDefinition(definition) {
+      variableDefinitions[definition.variable.name.value] = definition;
+    },
     ListValue(node) {
       // Note: TypeInfo will traverse into a list's item type, so look to the
       // parent input type to check if it is a list.
@@ -65,6 +83,16 @@ export function ValuesOfCorrectType(context: ValidationContext): ASTVisitor {
           );
         }
       }
+
+      if (type.isOneOf) {
+        validateOneOfInputObject(
+          context,
+          node,
+          type,
+          fieldNodeMap,
+          variableDefinitions,
+        );
+      }
     },
     ObjectField(node) {
       const parentType = getNamedType(context.getParentInputType());
@@ -102,6 +130,53 @@ export function ValuesOfCorrectType(context: ValidationContext): ASTVisitor {
   };
 }
 
+/**
+ * A OneOf Input Object literal must specify exactly one field, and its value
+ * must be neither null nor a nullable variable.
+ */
+function validateOneOfInputObject(
+  context: ValidationContext,
+  node: ObjectValueNode,
+  type: GraphQLInputObjectType,
+  fieldNodeMap: ObjMap<ObjectFieldNode>,
+  variableDefinitions: ObjMap<VariableDefinitionNode>,
+): void {
+  const keys = Object.keys(fieldNodeMap);
+  if (keys.length !== 1) {
+    context.reportError(
+      new GraphQLError(
+        `OneOf Input Object "${type.name}" must specify exactly one key.`,
+        node,
+      ),
+    );
+    return;
+  }
+
+  const value = fieldNodeMap[keys[0]].value;
+  if (value.kind === Kind.NULL) {
+    context.reportError(
+      new GraphQLError(
+        `Field "${type.name}.${keys[0]}" must be non-null.`,
+        node,
+      ),
+    );
+    return;
+  }
+
+  if (value.kind === Kind.VARIABLE) {
+    const variableName = value.name.value;
+    const definition = variableDefinitions[variableName];
+    if (definition && definition.type.kind !== Kind.NON_NULL_TYPE) {
+      context.reportError(
+        new GraphQLError(
+          `Variable "${variableName}" must be non-nullable to be used for OneOf Input Object "${type.name}".`,
+          node,
+        ),
+      );
+    }
+  }
+}
+
 /**
  * Any value literal may be a valid representation of a Scalar, depending on
  * that scalar type.
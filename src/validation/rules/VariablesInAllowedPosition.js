@@ -1,11 +1,16 @@
 // @flow strict
 
 import inspect from '../../jsutils/inspect';
+import keyMap from '../../jsutils/keyMap';
+import { type ObjMap } from '../../jsutils/ObjMap';
 
 import { GraphQLError } from '../../error/GraphQLError';
 
 import { Kind } from '../../language/kinds';
-import { type ValueNode } from '../../language/ast';
+import {
+  type ValueNode,
+  type VariableDefinitionNode,
+} from '../../language/ast';
 import { type ASTVisitor } from '../../language/visitor';
 
 import { type GraphQLSchema } from '../../type/schema';
@@ -14,7 +19,10 @@ import { type GraphQLType, isNonNullType } from '../../type/definition';
 import { typeFromAST } from '../../utilities/typeFromAST';
 import { isTypeSubTypeOf } from '../../utilities/typeComparators';
 
-import { type ValidationContext } from '../ValidationContext';
+import {
+  type ValidationContext,
+  type VariableUsage,
+} from '../ValidationContext';
 
 /**
  * Variables passed to field arguments conform to type
@@ -31,47 +39,67 @@ export function VariablesInAllowedPosition(
       },
       leave(operation) {
         const usages = context.getRecursiveVariableUsages(operation);
-
-        for (const { node, type, defaultValue } of usages) {
-          const varName = node.name.value;
-          const varDef = varDefMap[varName];
-          if (varDef && type) {
-            // A var type is allowed if it is the same or more strict (e.g. is
-            // a subtype of) than the expected type. It can be more strict if
-            // the variable type is non-null when the expected type is nullable.
-            // If both are list types, the variable item type can be more strict
-            // than the expected item type (contravariant).
-            const schema = context.getSchema();
-            const varType = typeFromAST(schema, varDef.type);
-            if (
-              varType &&
-              !allowedVariableUsage(
-                schema,
-                varType,
-                varDef.defaultValue,
-                type,
-                defaultValue,
-              )
-            ) {
-              const varTypeStr = inspect(varType);
-              const typeStr = inspect(type);
-              context.reportError(
-                new GraphQLError(
-                  `Variable "$${varName}" of type "${varTypeStr}" used in position expecting type "${typeStr}".`,
-                  [varDef, node],
-                ),
-              );
-            }
-          }
-        }
+        checkVariableUsages(context, varDefMap, usages);
       },
     },
+    FragmentDefinition(fragment) {
+      // Experimental: usages of the variables defined by a fragment are
+      // checked against their definitions within the fragment.
+      const fragmentVarDefs = fragment.variableDefinitions;
+      if (fragmentVarDefs) {
+        const usages = context.getVariableUsages(fragment);
+        checkVariableUsages(
+          context,
+          keyMap(fragmentVarDefs, varDef => varDef.variable.name.value),
+          usages,
+        );
+      }
+    },
     VariableDefinition(node) {
       varDefMap[node.variable.name.value] = node;
     },
   };
 }
 
+function checkVariableUsages(
+  context: ValidationContext,
+  varDefMap: ObjMap<VariableDefinitionNode>,
+  usages: $ReadOnlyArray<VariableUsage>,
+): void {
+  for (const { node, type, defaultValue } of usages) {
+    const varName = node.name.value;
+    const varDef = varDefMap[varName];
+    if (varDef && type) {
+      // A var type is allowed if it is the same or more strict (e.g. is
+      // a subtype of) than the expected type. It can be more strict if
+      // the variable type is non-null when the expected type is nullable.
+      // If both are list types, the variable item type can be more strict
+      // than the expected item type (contravariant).
+      const schema = context.getSchema();
+      const varType = typeFromAST(schema, varDef.type);
+      if (
+        varType &&
+        !allowedVariableUsage(
+          schema,
+          varType,
+          varDef.defaultValue,
+          type,
+          defaultValue,
+        )
+      ) {
+        const varTypeStr = inspect(varType);
+        const typeStr = inspect(type);
+        context.reportError(
+          new GraphQLError(
+            `Variable "$${varName}" of type "${varTypeStr}" used in position expecting type "${typeStr}".`,
+            [varDef, node],
+          ),
+        );
+      }
+    }
+  }
+}
+
 /**
  * Returns true if the variable is allowed in the location it was found,
  * which includes considering if default values exist for either the variable
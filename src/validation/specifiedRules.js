@@ -57,6 +57,18 @@ import { KnownDirectives } from './rules/KnownDirectives';
 // Spec Section: "Directives Are Unique Per Location"
 import { UniqueDirectivesPerLocation } from './rules/UniqueDirectivesPerLocation';
 
+// Proposal: "Defer and Stream Directive Labels Are Unique"
+import { DeferStreamDirectiveLabel } from './rules/DeferStreamDirectiveLabel';
+
+// Proposal: "Defer and Stream Directives Are Used On Valid Operations"
+import { DeferStreamDirectiveOnValidOperations } from './rules/DeferStreamDirectiveOnValidOperations';
+
+// Proposal: "Stream Directives Are Used On List Fields"
+import { StreamDirectiveOnListField } from './rules/StreamDirectiveOnListField';
+
+// Proposal: "Nullability Assertions Match The List Depth Of Fields"
+import { NullabilityAssertionListDepth } from './rules/NullabilityAssertionListDepth';
+
 // Spec Section: "Argument Names"
 import {
   KnownArgumentNames,
@@ -110,6 +122,10 @@ export const specifiedRules = Object.freeze([
   NoUnusedVariables,
   KnownDirectives,
   UniqueDirectivesPerLocation,
+  DeferStreamDirectiveLabel,
+  DeferStreamDirectiveOnValidOperations,
+  StreamDirectiveOnListField,
+  NullabilityAssertionListDepth,
   KnownArgumentNames,
   UniqueArgumentNames,
   ValuesOfCorrectType,